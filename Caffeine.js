@@ -0,0 +1,288 @@
+// ============ CAFFEINE ============
+// Every caffeine dose of the day - supplements from supplement_log and drinks
+// from food_log - on one timeline, with a half-life model of how much is still
+// in the system. The number that matters on a 2pm-11:30pm shift is how much
+// is left at bedtime after it, not the daily total alone.
+
+const { UNIT_GRAMS } = require('./PortionParser');
+const { currentDate, logicalDate, localClock, atLocalTime, parseTimestamp, toDbTimestamp } = require('./DateUtils');
+
+const HALF_LIFE_HOURS = 5;        // typical adult elimination half-life
+const ABSORPTION_MINUTES = 45;    // time to peak after a dose
+const LOOKBACK_HOURS = 24;        // older doses are under 4% of their size
+const DEFAULT_BEDTIME = '00:30';  // after the 11:30pm shift ends
+const BEDTIME_LIMIT_MG = 50;      // enough left above this to hurt sleep quality
+const DUPLICATE_MINUTES = 10;     // "drank coffee" lands in both logs
+
+// Caffeine per serving for drinks and foods logged through food_log. First
+// match wins, so decaf and herbal come before coffee and tea. serving is ml
+// (or g) so volume/weight portions scale; counted portions are per serving.
+const CAFFEINE_SOURCES = [
+    { pattern: /decaf/, mg: 2, serving: 240 },
+    { pattern: /herbal|chamomile|peppermint tea|rooibos/, mg: 0, serving: 240 },
+    { pattern: /cold brew/, mg: 200, serving: 473 },
+    { pattern: /espresso|shot of coffee/, mg: 63, serving: 30 },
+    { pattern: /latte|cappuccino|americano|mocha|macchiato|flat white/, mg: 150, serving: 473 },
+    { pattern: /coffee/, mg: 95, serving: 240 },
+    { pattern: /matcha/, mg: 70, serving: 240 },
+    { pattern: /green tea/, mg: 28, serving: 240 },
+    { pattern: /\btea\b|chai/, mg: 47, serving: 240 },
+    { pattern: /celsius/, mg: 200, serving: 355 },
+    { pattern: /\bbang\b/, mg: 300, serving: 473 },
+    { pattern: /red bull/, mg: 80, serving: 250 },
+    { pattern: /monster|rockstar|energy drink/, mg: 160, serving: 473 },
+    { pattern: /pre-?workout/, mg: 200, serving: null },
+    { pattern: /mountain dew|mtn dew/, mg: 54, serving: 355 },
+    { pattern: /diet coke/, mg: 46, serving: 355 },
+    { pattern: /\bcola\b|\bcoke\b|pepsi|dr\.? pepper/, mg: 34, serving: 355 },
+    { pattern: /dark chocolate|chocolate, dark/, mg: 12, serving: 28 }
+];
+
+function round(value, places = 0) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+// Estimated mg in a food_log entry (0 when the food has no known caffeine)
+function caffeineFromFood(food) {
+    const name = (food.food_name || food.name || '').toLowerCase();
+    const source = CAFFEINE_SOURCES.find(entry => entry.pattern.test(name));
+    if (!source || source.mg === 0) return 0;
+
+    // "16 oz cold brew" scales by volume; "2 coffees" counts servings
+    if (source.serving && food.unit && UNIT_GRAMS[food.unit] && food.unit !== 'scoop') {
+        const amount = food.grams || (food.quantity || 1) * UNIT_GRAMS[food.unit];
+        return round(source.mg * amount / source.serving);
+    }
+    return round(source.mg * (food.quantity || 1));
+}
+
+// mg still in the system at `at` from one dose: linear absorption up to the
+// peak, then exponential elimination
+function remainingFromDose(dose, at, halfLifeHours = HALF_LIFE_HOURS) {
+    const minutes = (at - dose.at) / 60000;
+    if (minutes <= 0) return 0;
+
+    const absorbed = Math.min(1, minutes / ABSORPTION_MINUTES);
+    return dose.mg * absorbed * Math.pow(0.5, minutes / 60 / halfLifeHours);
+}
+
+function caffeineLevel(doses, at, halfLifeHours = HALF_LIFE_HOURS) {
+    return doses.reduce((sum, dose) => sum + remainingFromDose(dose, at, halfLifeHours), 0);
+}
+
+// Tonight's bedtime: the local HH:MM on the current logical day, so 00:30
+// after the shift is still tonight at 11pm and at 00:15. Past it but the day
+// isn't over yet means they're still up - bedtime is now, not tomorrow.
+function nextBedtime(now, bedtime = DEFAULT_BEDTIME) {
+    const at = atLocalTime(logicalDate(now), bedtime);
+    return at < now ? new Date(now) : at;
+}
+
+// First time (on a 15 minute grid) after `from` that the level is at or under
+// the limit - never before the last dose has peaked
+function clearTime(doses, from, limit, halfLifeHours = HALF_LIFE_HOURS) {
+    const lastPeak = doses.length > 0 ? doses[doses.length - 1].at.getTime() + ABSORPTION_MINUTES * 60000 : 0;
+    const at = new Date(Math.max(from.getTime(), lastPeak));
+    for (let step = 0; step < 4 * 48; step++) {
+        if (caffeineLevel(doses, at, halfLifeHours) <= limit) return at;
+        at.setMinutes(at.getMinutes() + 15);
+    }
+    return null;
+}
+
+// A food entry logged within a few minutes of a caffeinated supplement with a
+// matching name is the same drink ("drank coffee" logs Coffee and coffee)
+function mergeDoses(supplementDoses, foodDoses) {
+    const unique = foodDoses.filter(food => !supplementDoses.some(supp => {
+        const close = Math.abs(food.at - supp.at) <= DUPLICATE_MINUTES * 60000;
+        const name = food.name.toLowerCase();
+        const suppName = supp.name.toLowerCase();
+        return close && (name.includes(suppName) || suppName.includes(name));
+    }));
+
+    return [...supplementDoses, ...unique].sort((a, b) => a.at - b.at);
+}
+
+// The caffeinated thing a message mentions: a supplement by name ("Mountain
+// Ops Ignite") or a drink ("another coffee", "a red bull") → { name, mg }
+function caffeineInText(text, supplements = []) {
+    const lower = (text || '').toLowerCase();
+
+    const supplement = supplements.find(supp => supp.caffeine_content > 0 && lower.includes(supp.name.toLowerCase()));
+    if (supplement) return { name: supplement.name, mg: supplement.caffeine_content };
+
+    const source = CAFFEINE_SOURCES.find(entry => entry.mg > 0 && entry.pattern.test(lower));
+    return source ? { name: lower.match(source.pattern)[0], mg: source.mg } : null;
+}
+
+// "can I have another coffee?", "is it too late for a red bull", "should I take Ignite"
+function isCaffeineQuestion(text) {
+    return /\b(?:can|could|should|may)\s+i\s+(?:still\s+)?(?:have|take|drink|get|grab)\b|\btoo late (?:for|to)\b|\bhow much caffeine\b|\bcaffeine (?:left|in my system)\b/i.test(text || '');
+}
+
+// Over the daily limit, or enough left at bedtime to hurt sleep
+function caffeineWarnings({ total, limit, bedtimeMg, bedtimeLimit, bedtimeLocal }) {
+    const warnings = [];
+
+    if (total > limit) {
+        warnings.push({
+            type: 'daily_limit',
+            message: `${total}mg today - over the ${limit}mg limit`
+        });
+    }
+    if (bedtimeMg > bedtimeLimit) {
+        warnings.push({
+            type: 'bedtime',
+            message: `~${bedtimeMg}mg still active at bedtime (${bedtimeLocal}) - over ${bedtimeLimit}mg`
+        });
+    }
+
+    return warnings;
+}
+
+class CaffeineTracker {
+    constructor(db, { halfLifeHours = HALF_LIFE_HOURS, bedtime = DEFAULT_BEDTIME, bedtimeLimit = BEDTIME_LIMIT_MG } = {}) {
+        this.db = db;
+        this.halfLifeHours = halfLifeHours;
+        this.bedtime = bedtime;
+        this.bedtimeLimit = bedtimeLimit;
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    // Every caffeinated dose between two moments, oldest first
+    async doses(since, until) {
+        const range = [toDbTimestamp(since), toDbTimestamp(until)];
+
+        const supplementRows = await this.all(
+            `SELECT sl.supplement_name, sl.date, sl.timestamp, s.caffeine_content
+             FROM supplement_log sl
+             JOIN supplements s ON LOWER(sl.supplement_name) = LOWER(s.name)
+             WHERE s.caffeine_content > 0 AND sl.timestamp BETWEEN ? AND ?`,
+            range
+        );
+        const foodRows = await this.all(
+            'SELECT id, food_name, quantity, unit, grams, date, timestamp FROM food_log WHERE timestamp BETWEEN ? AND ?',
+            range
+        );
+
+        const supplementDoses = supplementRows.map(row => ({
+            source: 'supplement',
+            name: row.supplement_name,
+            mg: row.caffeine_content,
+            date: row.date,
+            at: parseTimestamp(row.timestamp)
+        }));
+        const foodDoses = foodRows
+            .map(row => ({
+                source: 'food',
+                id: row.id,
+                name: row.food_name,
+                mg: caffeineFromFood(row),
+                date: row.date,
+                at: parseTimestamp(row.timestamp)
+            }))
+            .filter(dose => dose.mg > 0);
+
+        return mergeDoses(supplementDoses, foodDoses);
+    }
+
+    // Doses from the last day plus where today stands
+    async load(now, bedtime) {
+        const since = new Date(now.getTime() - LOOKBACK_HOURS * 3600000);
+        const doses = await this.doses(since, now);
+        const date = currentDate(now);
+        const totalToday = round(doses.filter(dose => dose.date === date).reduce((sum, dose) => sum + dose.mg, 0));
+
+        return { date, since, doses, totalToday, bedtimeAt: nextBedtime(now, bedtime) };
+    }
+
+    // Today's total against the limit, what's in the system now and at bedtime,
+    // and an hourly curve from the first dose through bedtime
+    async status({ now = new Date(), limit = 400, bedtime = this.bedtime } = {}) {
+        const { date, since, doses, totalToday, bedtimeAt } = await this.load(now, bedtime);
+        const bedtimeMg = round(caffeineLevel(doses, bedtimeAt, this.halfLifeHours));
+        const clearAt = clearTime(doses, now, this.bedtimeLimit, this.halfLifeHours);
+
+        const curve = [];
+        if (doses.length > 0) {
+            const at = new Date(Math.max(doses[0].at.getTime(), since.getTime()));
+            at.setMinutes(0, 0, 0);
+            for (; at <= bedtimeAt; at.setHours(at.getHours() + 1)) {
+                curve.push({ time: at.toISOString(), local: localClock(at), mg: round(caffeineLevel(doses, at, this.halfLifeHours)) });
+            }
+        }
+
+        return {
+            date,
+            total_today: totalToday,
+            limit,
+            remaining_today: Math.max(0, round(limit - totalToday)),
+            current_mg: round(caffeineLevel(doses, now, this.halfLifeHours)),
+            bedtime: bedtimeAt.toISOString(),
+            bedtime_local: localClock(bedtimeAt),
+            bedtime_mg: bedtimeMg,
+            bedtime_limit: this.bedtimeLimit,
+            clear_by: clearAt ? clearAt.toISOString() : null,
+            clear_by_local: clearAt ? localClock(clearAt) : null,
+            half_life_hours: this.halfLifeHours,
+            doses: doses
+                .filter(dose => dose.date === date)
+                .map(dose => ({ source: dose.source, name: dose.name, mg: dose.mg, time: dose.at.toISOString(), local: localClock(dose.at) })),
+            curve,
+            warnings: caffeineWarnings({
+                total: totalToday,
+                limit,
+                bedtimeMg,
+                bedtimeLimit: this.bedtimeLimit,
+                bedtimeLocal: localClock(bedtimeAt)
+            })
+        };
+    }
+
+    // What another `mg` right now would do to the daily total and bedtime level
+    async check(mg, { now = new Date(), limit = 400, bedtime = this.bedtime } = {}) {
+        const { doses, totalToday, bedtimeAt } = await this.load(now, bedtime);
+        const bedtimeMg = round(caffeineLevel(doses, bedtimeAt, this.halfLifeHours));
+        const projectedTotal = round(totalToday + mg);
+        const projectedBedtimeMg = round(caffeineLevel([...doses, { mg, at: now }], bedtimeAt, this.halfLifeHours));
+        const warnings = caffeineWarnings({
+            total: projectedTotal,
+            limit,
+            bedtimeMg: projectedBedtimeMg,
+            bedtimeLimit: this.bedtimeLimit,
+            bedtimeLocal: localClock(bedtimeAt)
+        });
+
+        return {
+            mg,
+            ok: warnings.length === 0,
+            total_today: totalToday,
+            projected_total: projectedTotal,
+            limit,
+            bedtime_local: localClock(bedtimeAt),
+            bedtime_mg: bedtimeMg,
+            projected_bedtime_mg: projectedBedtimeMg,
+            bedtime_limit: this.bedtimeLimit,
+            warnings
+        };
+    }
+}
+
+module.exports = CaffeineTracker;
+module.exports.caffeineFromFood = caffeineFromFood;
+module.exports.caffeineLevel = caffeineLevel;
+module.exports.mergeDoses = mergeDoses;
+module.exports.caffeineInText = caffeineInText;
+module.exports.isCaffeineQuestion = isCaffeineQuestion;
+module.exports.nextBedtime = nextBedtime;
+module.exports.CAFFEINE_SOURCES = CAFFEINE_SOURCES;
+module.exports.BEDTIME_LIMIT_MG = BEDTIME_LIMIT_MG;
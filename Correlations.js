@@ -0,0 +1,364 @@
+// ============ CORRELATIONS ============
+// Looks for what predicts how a day goes: every daily series (metrics,
+// nutrient totals, caffeine, supplements taken, journal scores) is paired
+// with every metric and journal score the same day and 1-3 days later,
+// scored with Pearson r, and kept only when it survives a false discovery
+// rate correction across all the pairs tested.
+// With ~40 series and 4 lags a few hundred pairs get tested, so p < 0.05 on
+// its own would turn up noise every time.
+
+const { NUTRIENT_FIELDS, NUTRIENT_LABELS } = require('./Nutrients');
+const { addDays, localHour, parseTimestamp } = require('./DateUtils');
+const { mergeDoses, caffeineFromFood } = require('./Caffeine');
+
+const WINDOW_DAYS = 90;
+const MAX_LAG = 3;
+const MIN_PAIRS = 10;            // fewer days in common than this is never significant
+const MIN_STRENGTH = 0.3;        // weaker than this isn't worth acting on even when real
+const FALSE_DISCOVERY_RATE = 0.05;
+const LATE_CAFFEINE_HOUR = 18;   // "after 6pm", local time
+
+function round(value, places = 2) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+    return values.reduce((s, v) => s + v, 0) / values.length;
+}
+
+// Pearson r of two equal-length arrays (null when either one never varies)
+function pearson(xs, ys) {
+    const mx = mean(xs);
+    const my = mean(ys);
+    let sxy = 0, sxx = 0, syy = 0;
+    for (let i = 0; i < xs.length; i++) {
+        sxy += (xs[i] - mx) * (ys[i] - my);
+        sxx += (xs[i] - mx) * (xs[i] - mx);
+        syy += (ys[i] - my) * (ys[i] - my);
+    }
+    if (sxx === 0 || syy === 0) return null;
+    return Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy)));
+}
+
+// Lanczos approximation of ln Γ(x)
+function logGamma(x) {
+    const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    c.forEach(coefficient => { series += coefficient / ++y; });
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Continued fraction for the incomplete beta function (Lentz's method)
+function betaFraction(a, b, x) {
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let h = d;
+
+    for (let m = 1; m <= 200; m++) {
+        const m2 = 2 * m;
+        let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + aa / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        h *= d * c;
+
+        aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 + aa * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + aa / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-10) break;
+    }
+    return h;
+}
+
+// Regularized incomplete beta I_x(a, b)
+function incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2)
+        ? front * betaFraction(a, b, x) / a
+        : 1 - front * betaFraction(b, a, 1 - x) / b;
+}
+
+// Two-tailed p-value for r over n pairs (t-test with n - 2 degrees of freedom)
+function correlationPValue(r, n) {
+    const df = n - 2;
+    if (df <= 0) return 1;
+    if (Math.abs(r) >= 1) return 0;
+    const t2 = r * r * df / (1 - r * r);
+    return incompleteBeta(df / (df + t2), df / 2, 0.5);
+}
+
+// Benjamini-Hochberg: the largest p still under rank / count × rate, or -1
+function falseDiscoveryCutoff(pValues, rate = FALSE_DISCOVERY_RATE) {
+    const sorted = [...pValues].sort((a, b) => a - b);
+    let cutoff = -1;
+    sorted.forEach((p, i) => {
+        if (p <= (i + 1) / sorted.length * rate) cutoff = p;
+    });
+    return cutoff;
+}
+
+// { date: value } for x on day d and y on day d + lag → paired arrays
+function pairSeries(x, y, lag) {
+    const xs = [], ys = [], pairs = [];
+    Object.keys(x.values).forEach(date => {
+        const later = y.values[addDays(date, lag)];
+        if (later === undefined) return;
+        xs.push(x.values[date]);
+        ys.push(later);
+        pairs.push([x.values[date], later]);
+    });
+    return { xs, ys, pairs };
+}
+
+// Outcome average on the predictor's high days vs its low days (split at the
+// median, or taken vs not for yes/no series) - the number a person can act on
+function splitEffect(pairs, binary) {
+    const sorted = pairs.map(pair => pair[0]).sort((a, b) => a - b);
+    const median = binary ? 0 : sorted[Math.floor(sorted.length / 2)];
+    // Mostly-zero series (late caffeine) split at "any" instead of the median
+    const split = binary || median === sorted[0] ? median : null;
+    const isHigh = value => split !== null ? value > split : value >= median;
+
+    const high = pairs.filter(pair => isHigh(pair[0])).map(pair => pair[1]);
+    const low = pairs.filter(pair => !isHigh(pair[0])).map(pair => pair[1]);
+    if (high.length === 0 || low.length === 0) return null;
+    return {
+        threshold: round(median, 1),
+        above: split === null ? 'at_least' : 'over',
+        high_avg: round(mean(high), 1),
+        low_avg: round(mean(low), 1),
+        high_days: high.length,
+        low_days: low.length
+    };
+}
+
+function describeLag(lag) {
+    if (lag === 0) return 'the same day';
+    if (lag === 1) return 'the next day';
+    return `${lag} days later`;
+}
+
+// "More caffeine after 6pm predicts lower sleep the next day (5.1 with any vs 6.8 with none)"
+function describeFinding(finding) {
+    const { predictor, outcome, effect } = finding;
+    const direction = finding.r > 0 ? 'higher' : 'lower';
+    const subject = predictor.binary ? `Taking ${predictor.label}` : `More ${predictor.label.toLowerCase()}`;
+    const verb = finding.lag === 0 ? 'goes with' : 'predicts';
+
+    let detail = '';
+    if (effect && predictor.binary) {
+        detail = ` (${effect.high_avg} when taken vs ${effect.low_avg} when not)`;
+    } else if (effect && effect.above === 'over' && effect.threshold === 0) {
+        detail = ` (${effect.high_avg} with any vs ${effect.low_avg} with none)`;
+    } else if (effect) {
+        const amount = `${effect.threshold}${predictor.unit ? ` ${predictor.unit}` : ''}`;
+        detail = effect.above === 'over'
+            ? ` (${effect.high_avg} over ${amount} vs ${effect.low_avg} at or under)`
+            : ` (${effect.high_avg} at ${amount}+ vs ${effect.low_avg} below)`;
+    }
+    return `${subject} ${verb} ${direction} ${outcome.label.toLowerCase()} ${describeLag(finding.lag)}${detail}`;
+}
+
+class CorrelationEngine {
+    constructor(db, { registry }) {
+        this.db = db;
+        this.registry = registry;
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    // Every daily series between two dates. Outcomes are the tracked metrics;
+    // predictors are everything. A date missing from a series means nothing
+    // was logged, not zero - except caffeine and supplements, which are 0 on
+    // days something else was logged in the same log.
+    async series(from, to) {
+        const series = [];
+
+        const definitions = (await this.registry.list())
+            .filter(definition => ['integer', 'real', 'boolean'].includes(definition.type) && !definition.display.derived);
+        const metricRows = await this.all('SELECT * FROM metrics WHERE date BETWEEN ? AND ? ORDER BY date, created_at, id', [from, to]);
+        const latest = {};
+        metricRows.forEach(row => { latest[row.date] = row; });
+
+        definitions.forEach(definition => {
+            const values = {};
+            Object.values(latest).forEach(row => {
+                if (typeof row[definition.name] === 'number') values[row.date] = row[definition.name];
+            });
+            series.push({
+                key: `metric:${definition.name}`, kind: 'metric', label: definition.label,
+                unit: definition.unit || null, binary: definition.type === 'boolean', outcome: true, values
+            });
+        });
+
+        const foodRows = await this.all(
+            `SELECT date, ${NUTRIENT_FIELDS.map(field => `SUM(${field}) AS ${field}`).join(', ')}
+             FROM food_log WHERE date BETWEEN ? AND ? GROUP BY date`,
+            [from, to]
+        );
+        NUTRIENT_FIELDS.forEach(field => {
+            const values = {};
+            foodRows.forEach(row => { values[row.date] = round(row[field] || 0, 1); });
+            const { label, unit } = NUTRIENT_LABELS[field];
+            series.push({ key: `nutrient:${field}`, kind: 'nutrient', label, unit, values });
+        });
+
+        // Caffeine by date logged, late doses by local clock time
+        const supplementRows = await this.all(
+            `SELECT sl.supplement_name, sl.date, sl.timestamp, s.caffeine_content
+             FROM supplement_log sl
+             LEFT JOIN supplements s ON LOWER(sl.supplement_name) = LOWER(s.name)
+             WHERE sl.date BETWEEN ? AND ?`,
+            [from, to]
+        );
+        const caffeineFoods = await this.all(
+            'SELECT food_name, quantity, unit, grams, date, timestamp FROM food_log WHERE date BETWEEN ? AND ?',
+            [from, to]
+        );
+        const toDose = (name, mg, row) => ({ name, mg, date: row.date, at: parseTimestamp(row.timestamp) });
+        const doses = mergeDoses(
+            supplementRows.filter(row => row.caffeine_content > 0).map(row => toDose(row.supplement_name, row.caffeine_content, row)),
+            caffeineFoods.map(row => toDose(row.food_name, caffeineFromFood(row), row)).filter(dose => dose.mg > 0)
+        );
+
+        const caffeineTotal = {};
+        const caffeineLate = {};
+        new Set([...supplementRows, ...caffeineFoods].map(row => row.date)).forEach(date => {
+            caffeineTotal[date] = 0;
+            caffeineLate[date] = 0;
+        });
+        doses.forEach(dose => {
+            caffeineTotal[dose.date] += dose.mg;
+            if (localHour(dose.at) >= LATE_CAFFEINE_HOUR) caffeineLate[dose.date] += dose.mg;
+        });
+        series.push({ key: 'caffeine:total', kind: 'caffeine', label: 'Caffeine', unit: 'mg', values: caffeineTotal });
+        series.push({ key: 'caffeine:late', kind: 'caffeine', label: `Caffeine after ${LATE_CAFFEINE_HOUR - 12}pm`, unit: 'mg', values: caffeineLate });
+
+        // Taken (1) or not (0) on each day any supplement was logged
+        const supplementDays = new Set(supplementRows.map(row => row.date));
+        const supplements = {};
+        supplementRows.forEach(row => {
+            const key = row.supplement_name.toLowerCase();
+            if (!supplements[key]) supplements[key] = { name: row.supplement_name, dates: new Set() };
+            supplements[key].dates.add(row.date);
+        });
+        Object.entries(supplements).forEach(([key, supplement]) => {
+            const values = {};
+            supplementDays.forEach(date => { values[date] = supplement.dates.has(date) ? 1 : 0; });
+            series.push({ key: `supplement:${key}`, kind: 'supplement', label: supplement.name, unit: null, binary: true, values });
+        });
+
+        // Journal sentiment and stress, averaged over the day's entries
+        const journalRows = await this.all(
+            'SELECT date, AVG(sentiment) AS sentiment, AVG(stress) AS stress FROM journal_entries WHERE date BETWEEN ? AND ? GROUP BY date',
+            [from, to]
+        );
+        const sentiment = {};
+        const stress = {};
+        journalRows.forEach(row => {
+            sentiment[row.date] = round(row.sentiment);
+            stress[row.date] = round(row.stress, 1);
+        });
+        series.push({ key: 'journal:sentiment', kind: 'journal', label: 'Journal sentiment', unit: null, outcome: true, values: sentiment });
+        series.push({ key: 'journal:stress', kind: 'journal', label: 'Journal stress', unit: null, outcome: true, values: stress });
+
+        return series;
+    }
+
+    // Significant findings over the last `days` days ending `to`, strongest
+    // first. Each predictor/outcome pair appears once, at its strongest lag.
+    async analyze({ to, days = WINDOW_DAYS, maxLag = MAX_LAG, lag = null, outcome = null, minPairs = MIN_PAIRS } = {}) {
+        const from = addDays(to, -(days - 1));
+        const all = await this.series(from, to);
+        const outcomes = all.filter(series => series.outcome && (!outcome || series.key === `metric:${outcome}`));
+        const lags = lag !== null ? [lag] : Array.from({ length: maxLag + 1 }, (_, i) => i);
+
+        const tests = [];
+        all.forEach(predictor => {
+            if (Object.keys(predictor.values).length < minPairs) return;
+
+            outcomes.forEach(target => {
+                lags.forEach(currentLag => {
+                    // Same-day metric pairs are symmetric - test each once; a
+                    // metric predicting itself is just persistence
+                    if (predictor.key === target.key) return;
+                    if (currentLag === 0 && predictor.outcome && predictor.key > target.key) return;
+
+                    const { xs, ys, pairs } = pairSeries(predictor, target, currentLag);
+                    if (pairs.length < minPairs) return;
+                    const r = pearson(xs, ys);
+                    if (r === null) return;
+
+                    tests.push({ predictor, outcome: target, lag: currentLag, r, n: pairs.length, p: correlationPValue(r, pairs.length), pairs });
+                });
+            });
+        });
+
+        const cutoff = falseDiscoveryCutoff(tests.map(test => test.p));
+        const best = {};
+        tests
+            .filter(test => test.p <= cutoff && Math.abs(test.r) >= MIN_STRENGTH)
+            .forEach(test => {
+                const key = `${test.predictor.key}|${test.outcome.key}`;
+                if (!best[key] || Math.abs(test.r) > Math.abs(best[key].r)) best[key] = test;
+            });
+
+        const findings = Object.values(best)
+            .sort((a, b) => Math.abs(b.r) - Math.abs(a.r))
+            .map(test => {
+                const finding = {
+                    predictor: { key: test.predictor.key, kind: test.predictor.kind, label: test.predictor.label, unit: test.predictor.unit, binary: !!test.predictor.binary },
+                    outcome: { key: test.outcome.key, label: test.outcome.label, unit: test.outcome.unit },
+                    lag: test.lag,
+                    r: round(test.r),
+                    p: Number(test.p.toPrecision(2)),
+                    n: test.n,
+                    effect: splitEffect(test.pairs, !!test.predictor.binary)
+                };
+                finding.summary = describeFinding(finding);
+                return finding;
+            });
+
+        return {
+            from,
+            to,
+            days,
+            lags,
+            series: all.length,
+            tested: tests.length,
+            p_cutoff: cutoff >= 0 ? Number(cutoff.toPrecision(2)) : null,
+            findings
+        };
+    }
+}
+
+module.exports = CorrelationEngine;
+module.exports.pearson = pearson;
+module.exports.correlationPValue = correlationPValue;
+module.exports.falseDiscoveryCutoff = falseDiscoveryCutoff;
+module.exports.describeFinding = describeFinding;
+module.exports.WINDOW_DAYS = WINDOW_DAYS;
+module.exports.MAX_LAG = MAX_LAG;
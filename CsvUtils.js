@@ -0,0 +1,122 @@
+// ============ CSV UTILITIES ============
+// Minimal RFC 4180 parsing for food dumps and data imports, plus writing exports
+
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+
+// Line reader over a plain or gzip-compressed (.gz) file
+function readLines(filePath) {
+    const input = filePath.endsWith('.gz')
+        ? fs.createReadStream(filePath).pipe(zlib.createGunzip())
+        : fs.createReadStream(filePath);
+
+    return readline.createInterface({ input, crlfDelay: Infinity });
+}
+
+// Split one CSV line into fields, honoring quoted fields and "" escapes
+function parseCsvLine(line, delimiter = ',') {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            fields.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    fields.push(current);
+    return fields;
+}
+
+// Parse a whole CSV document into row objects keyed by header
+function parseCsv(text, delimiter = ',') {
+    const rows = [];
+    let headers = null;
+    let buffer = '';
+
+    for (const line of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+        // Quoted fields may contain newlines - keep joining until quotes balance
+        buffer = buffer ? `${buffer}\n${line}` : line;
+        if ((buffer.match(/"/g) || []).length % 2 !== 0) continue;
+
+        if (buffer.trim().length > 0) {
+            const fields = parseCsvLine(buffer, delimiter);
+            if (!headers) {
+                headers = fields.map(h => h.trim());
+            } else {
+                const row = {};
+                headers.forEach((h, i) => { row[h] = fields[i] !== undefined ? fields[i] : ''; });
+                rows.push(row);
+            }
+        }
+        buffer = '';
+    }
+
+    return rows;
+}
+
+// Stream a large CSV file row by row without loading it into memory.
+// onRow(row) may return a promise; rows are processed in order.
+async function streamCsv(filePath, onRow, delimiter = ',') {
+    const rl = readLines(filePath);
+
+    let headers = null;
+    let count = 0;
+
+    for await (const rawLine of rl) {
+        const line = headers ? rawLine : rawLine.replace(/^\uFEFF/, '');
+        if (line.trim().length === 0) continue;
+
+        const fields = parseCsvLine(line, delimiter);
+        if (!headers) {
+            headers = fields.map(h => h.trim());
+            continue;
+        }
+
+        const row = {};
+        headers.forEach((h, i) => { row[h] = fields[i] !== undefined ? fields[i] : ''; });
+        await onRow(row);
+        count++;
+    }
+
+    return count;
+}
+
+// Quote a field when it contains a delimiter, quote or newline
+function escapeCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Build a CSV document from a header row and arrays of values
+function toCsv(headers, rows) {
+    return [headers, ...rows]
+        .map(row => row.map(escapeCsvField).join(','))
+        .join('\n') + '\n';
+}
+
+module.exports = {
+    parseCsvLine,
+    parseCsv,
+    streamCsv,
+    readLines,
+    toCsv
+};
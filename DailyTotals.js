@@ -0,0 +1,165 @@
+// ============ DAILY TOTALS ============
+// food_log is the only source of truth for what was eaten. The daily_nutrition
+// view sums it per date, and triggers keep metrics.calories_consumed equal to
+// that sum on every insert, edit and delete - whichever code path makes them.
+// Days with no food logged keep whatever calories were entered by hand.
+
+const { NUTRIENT_FIELDS } = require('./Nutrients');
+
+// Rounded whole-calorie total for one date (0 once its last entry is deleted)
+const DAY_CALORIES = (dateRef) =>
+    `(SELECT COALESCE(ROUND(SUM(calories)), 0) FROM food_log WHERE date = ${dateRef})`;
+
+const TRIGGERS = {
+    food_log_totals_insert: `
+        CREATE TRIGGER food_log_totals_insert AFTER INSERT ON food_log
+        BEGIN
+            INSERT INTO metrics (date)
+                SELECT NEW.date WHERE NOT EXISTS (SELECT 1 FROM metrics WHERE date = NEW.date);
+            UPDATE metrics SET calories_consumed = ${DAY_CALORIES('NEW.date')} WHERE date = NEW.date;
+        END`,
+
+    food_log_totals_update: `
+        CREATE TRIGGER food_log_totals_update AFTER UPDATE OF calories, date ON food_log
+        BEGIN
+            INSERT INTO metrics (date)
+                SELECT NEW.date WHERE NOT EXISTS (SELECT 1 FROM metrics WHERE date = NEW.date);
+            UPDATE metrics SET calories_consumed = ${DAY_CALORIES('NEW.date')} WHERE date = NEW.date;
+            UPDATE metrics SET calories_consumed = ${DAY_CALORIES('OLD.date')} WHERE date = OLD.date AND OLD.date != NEW.date;
+        END`,
+
+    food_log_totals_delete: `
+        CREATE TRIGGER food_log_totals_delete AFTER DELETE ON food_log
+        BEGIN
+            UPDATE metrics SET calories_consumed = ${DAY_CALORIES('OLD.date')} WHERE date = OLD.date;
+        END`,
+
+    // A check-in saved for a day with food logged can't overwrite the derived total
+    metrics_totals_insert: `
+        CREATE TRIGGER metrics_totals_insert AFTER INSERT ON metrics
+        WHEN EXISTS (SELECT 1 FROM food_log WHERE date = NEW.date)
+        BEGIN
+            UPDATE metrics SET calories_consumed = ${DAY_CALORIES('NEW.date')} WHERE id = NEW.id;
+        END`,
+
+    metrics_totals_update: `
+        CREATE TRIGGER metrics_totals_update AFTER UPDATE OF calories_consumed, date ON metrics
+        WHEN EXISTS (SELECT 1 FROM food_log WHERE date = NEW.date)
+        BEGIN
+            UPDATE metrics SET calories_consumed = ${DAY_CALORIES('NEW.date')} WHERE id = NEW.id;
+        END`
+};
+
+class DailyTotals {
+    constructor(db) {
+        this.db = db;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    // Recreated on every start so a change to the nutrient list or trigger
+    // bodies reaches existing databases
+    async init() {
+        const sums = NUTRIENT_FIELDS.map(field => `SUM(${field}) AS ${field}`).join(', ');
+
+        await this.run('DROP VIEW IF EXISTS daily_nutrition');
+        await this.run(`CREATE VIEW daily_nutrition AS
+            SELECT date, COUNT(*) AS entries, ${sums}
+            FROM food_log
+            GROUP BY date`);
+
+        for (const name of Object.keys(TRIGGERS)) {
+            await this.run(`DROP TRIGGER IF EXISTS ${name}`);
+            await this.run(TRIGGERS[name]);
+        }
+    }
+
+    // Per-day nutrient sums (days with food logged only), oldest first
+    async range(from, to) {
+        return this.all('SELECT * FROM daily_nutrition WHERE date BETWEEN ? AND ? ORDER BY date', [from, to]);
+    }
+
+    async caloriesFor(date) {
+        const row = await this.get('SELECT calories FROM daily_nutrition WHERE date = ?', [date]);
+        return row ? row.calories || 0 : 0;
+    }
+
+    // Repair history: recompute calories_consumed for every day with food logged,
+    // and create the missing metrics rows. clearUnlogged also blanks calories on
+    // days with no food entries (values left behind by the old running total).
+    // Returns what changed.
+    async rebuild({ clearUnlogged = false, dryRun = false } = {}) {
+        const drift = await this.all(
+            `SELECT DISTINCT d.date, ROUND(d.calories) AS derived, m.calories_consumed AS stored
+             FROM daily_nutrition d
+             LEFT JOIN metrics m ON m.date = d.date
+             WHERE m.id IS NULL OR m.calories_consumed IS NULL OR m.calories_consumed != COALESCE(ROUND(d.calories), 0)
+             ORDER BY d.date`
+        );
+
+        const orphaned = clearUnlogged
+            ? await this.all(
+                `SELECT DISTINCT date, calories_consumed AS stored FROM metrics
+                 WHERE calories_consumed IS NOT NULL
+                   AND date NOT IN (SELECT date FROM food_log)
+                 ORDER BY date`)
+            : [];
+
+        if (!dryRun) {
+            await this.run('BEGIN TRANSACTION');
+            try {
+                await this.run(
+                    `INSERT INTO metrics (date)
+                     SELECT DISTINCT date FROM food_log
+                     WHERE date NOT IN (SELECT date FROM metrics)`
+                );
+                await this.run(
+                    `UPDATE metrics SET calories_consumed = ${DAY_CALORIES('metrics.date')}
+                     WHERE date IN (SELECT date FROM food_log)`
+                );
+                if (clearUnlogged) {
+                    await this.run(
+                        `UPDATE metrics SET calories_consumed = NULL
+                         WHERE date NOT IN (SELECT date FROM food_log)`
+                    );
+                }
+                await this.run('COMMIT');
+            } catch (error) {
+                await this.run('ROLLBACK');
+                throw error;
+            }
+        }
+
+        return {
+            corrected: drift.map(row => ({ date: row.date, from: row.stored, to: row.derived || 0 })),
+            cleared: orphaned.map(row => ({ date: row.date, from: row.stored }))
+        };
+    }
+}
+
+module.exports = DailyTotals;
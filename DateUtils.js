@@ -0,0 +1,230 @@
+// ============ DATE UTILITIES ============
+// Calendar-date helpers for 'YYYY-MM-DD' strings (the format of every `date`
+// column). All arithmetic is done in UTC so DST changes never skip a day.
+//
+// Which date a moment belongs to is decided here too, in the user's timezone
+// with a logical day boundary: a log at 1am after an 11:30pm shift still
+// belongs to the day of the shift, so currentDate() only rolls over at
+// dayEndsAt. Every `date` column is written from currentDate() or
+// logicalDate(); timestamps stay UTC.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseDate(dateStr) {
+    return new Date(`${dateStr}T00:00:00Z`);
+}
+
+function formatDate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+function isValidDate(dateStr) {
+    if (typeof dateStr !== 'string' || !DATE_PATTERN.test(dateStr)) return false;
+    const date = parseDate(dateStr);
+    return !isNaN(date.getTime()) && formatDate(date) === dateStr;
+}
+
+function addDays(dateStr, days) {
+    const date = parseDate(dateStr);
+    date.setUTCDate(date.getUTCDate() + days);
+    return formatDate(date);
+}
+
+// Whole days from one date to another (negative when `to` is earlier)
+function daysBetween(from, to) {
+    return Math.round((parseDate(to) - parseDate(from)) / 86400000);
+}
+
+// Every date from `from` to `to`, inclusive
+function eachDate(from, to) {
+    const dates = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        dates.push(date);
+    }
+    return dates;
+}
+
+// 0 = Sunday ... 6 = Saturday
+function weekday(dateStr) {
+    return parseDate(dateStr).getUTCDay();
+}
+
+// Monday of the ISO week containing the date
+function startOfWeek(dateStr) {
+    const day = parseDate(dateStr).getUTCDay();
+    return addDays(dateStr, day === 0 ? -6 : 1 - day);
+}
+
+function startOfMonth(dateStr) {
+    return `${dateStr.slice(0, 7)}-01`;
+}
+
+function endOfMonth(dateStr) {
+    const date = parseDate(startOfMonth(dateStr));
+    date.setUTCMonth(date.getUTCMonth() + 1);
+    date.setUTCDate(0);
+    return formatDate(date);
+}
+
+// ============ LOCAL DAY ============
+
+const CLOCK_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+const DEFAULT_DAY_ENDS_AT = '04:00';
+
+// Set at startup from day_profile and again when it changes (DaySettings)
+const localDay = {
+    timezone: process.env.TIMEZONE || DEFAULT_TIMEZONE,
+    dayEndsAt: process.env.DAY_ENDS_AT || DEFAULT_DAY_ENDS_AT
+};
+
+const formatters = {};
+
+function isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || !timezone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// "4:00" / "04:00" → "04:00", or null
+function normalizeClock(clock) {
+    const match = String(clock || '').match(CLOCK_PATTERN);
+    return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+function clockMinutes(clock) {
+    const [hours, minutes] = clock.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function configureDay({ timezone, dayEndsAt } = {}) {
+    if (timezone && isValidTimezone(timezone)) localDay.timezone = timezone;
+    if (dayEndsAt && normalizeClock(dayEndsAt)) localDay.dayEndsAt = normalizeClock(dayEndsAt);
+    return dayConfig();
+}
+
+function dayConfig() {
+    return { timezone: localDay.timezone, day_ends_at: localDay.dayEndsAt };
+}
+
+// Wall-clock date and time of a moment in the user's timezone
+function localParts(moment, timezone = localDay.timezone) {
+    if (!formatters[timezone]) {
+        formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone, hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        });
+    }
+
+    const parts = {};
+    formatters[timezone].formatToParts(moment).forEach(part => { parts[part.type] = part.value; });
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        hours: parseInt(parts.hour),
+        minutes: parseInt(parts.minute),
+        seconds: parseInt(parts.second)
+    };
+}
+
+// Local "HH:MM" of a moment
+function localClock(moment) {
+    const parts = localParts(moment);
+    return `${String(parts.hours).padStart(2, '0')}:${String(parts.minutes).padStart(2, '0')}`;
+}
+
+function localHour(moment) {
+    return localParts(moment).hours;
+}
+
+// Calendar date on the local wall clock, ignoring the day boundary
+function calendarDate(moment) {
+    return localParts(moment).date;
+}
+
+// The date a moment is logged under: before dayEndsAt it's still the previous day
+function logicalDate(moment) {
+    const parts = localParts(moment);
+    return parts.hours * 60 + parts.minutes < clockMinutes(localDay.dayEndsAt)
+        ? addDays(parts.date, -1)
+        : parts.date;
+}
+
+function currentDate(now = new Date()) {
+    return logicalDate(now);
+}
+
+// Minutes the timezone is ahead of UTC at a moment
+function offsetMinutes(moment, timezone = localDay.timezone) {
+    const parts = localParts(moment, timezone);
+    const wall = Date.UTC(...parts.date.split('-').map((value, i) => Number(value) - (i === 1 ? 1 : 0)),
+        parts.hours, parts.minutes, parts.seconds);
+    return Math.round((wall - Math.floor(moment.getTime() / 1000) * 1000) / 60000);
+}
+
+// Local wall-clock date + "HH:MM" → Date
+function fromLocal(dateStr, clock, timezone = localDay.timezone) {
+    const guess = new Date(`${dateStr}T${normalizeClock(clock) || '00:00'}:00Z`);
+    const offset = offsetMinutes(guess, timezone);
+    const moment = new Date(guess.getTime() - offset * 60000);
+
+    // Across a DST change the offset at the answer can differ from the guess
+    const corrected = offsetMinutes(moment, timezone);
+    return corrected === offset ? moment : new Date(guess.getTime() - corrected * 60000);
+}
+
+// "HH:MM" on a logical date → Date. Times before the boundary are the
+// early hours after that date ("01:00" on the 14th is 1am on the 15th).
+function atLocalTime(dateStr, clock) {
+    const normalized = normalizeClock(clock) || '00:00';
+    return fromLocal(
+        clockMinutes(normalized) < clockMinutes(localDay.dayEndsAt) ? addDays(dateStr, 1) : dateStr,
+        normalized
+    );
+}
+
+// First moment of a logical date
+function startOfLogicalDay(dateStr) {
+    return fromLocal(dateStr, localDay.dayEndsAt);
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+function parseTimestamp(timestamp) {
+    return new Date(timestamp.includes('T') ? timestamp : `${timestamp.replace(' ', 'T')}Z`);
+}
+
+function toDbTimestamp(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+module.exports = {
+    isValidDate,
+    addDays,
+    daysBetween,
+    eachDate,
+    weekday,
+    startOfWeek,
+    startOfMonth,
+    endOfMonth,
+    isValidTimezone,
+    normalizeClock,
+    configureDay,
+    dayConfig,
+    localClock,
+    localHour,
+    calendarDate,
+    logicalDate,
+    currentDate,
+    fromLocal,
+    atLocalTime,
+    startOfLogicalDay,
+    parseTimestamp,
+    toDbTimestamp,
+    DEFAULT_TIMEZONE,
+    DEFAULT_DAY_ENDS_AT
+};
@@ -0,0 +1,101 @@
+// ============ DAY SETTINGS ============
+// The user's timezone and when their logical day ends, kept in a single-row
+// table and pushed into DateUtils so every date the app writes agrees.
+// TIMEZONE / DAY_ENDS_AT in .env only seed the first row.
+
+const {
+    configureDay,
+    dayConfig,
+    isValidTimezone,
+    normalizeClock,
+    currentDate,
+    localClock,
+    DEFAULT_TIMEZONE,
+    DEFAULT_DAY_ENDS_AT
+} = require('./DateUtils');
+
+// A day ending after noon would file the whole morning under yesterday
+const LATEST_DAY_END = '12:00';
+
+// Returns an error message, or null when the changes are valid
+function validateSettingsChanges(changes) {
+    if (changes.timezone !== undefined && !isValidTimezone(changes.timezone)) {
+        return 'timezone must be an IANA timezone like "America/Los_Angeles"';
+    }
+    if (changes.day_ends_at !== undefined) {
+        const clock = normalizeClock(changes.day_ends_at);
+        if (!clock || clock > LATEST_DAY_END) {
+            return `day_ends_at must be a time between 00:00 and ${LATEST_DAY_END} (HH:MM)`;
+        }
+    }
+    return null;
+}
+
+class DaySettings {
+    constructor(db) {
+        this.db = db;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    async init() {
+        const seed = dayConfig();
+        await this.run(`CREATE TABLE IF NOT EXISTS day_profile (
+            id INTEGER PRIMARY KEY CHECK (id = 1),
+            timezone TEXT DEFAULT '${DEFAULT_TIMEZONE}',
+            day_ends_at TEXT DEFAULT '${DEFAULT_DAY_ENDS_AT}',
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await this.run(
+            'INSERT OR IGNORE INTO day_profile (id, timezone, day_ends_at) VALUES (1, ?, ?)',
+            [seed.timezone, seed.day_ends_at]
+        );
+
+        return this.getSettings();
+    }
+
+    // Also applies the stored settings, so a restart picks them back up
+    async getSettings(now = new Date()) {
+        const row = await this.get('SELECT * FROM day_profile WHERE id = 1') || {};
+        configureDay({ timezone: row.timezone, dayEndsAt: row.day_ends_at });
+
+        return {
+            ...dayConfig(),
+            today: currentDate(now),
+            local_time: localClock(now),
+            updated_at: row.updated_at || null
+        };
+    }
+
+    async updateSettings(changes) {
+        const current = await this.getSettings();
+        const timezone = changes.timezone !== undefined ? changes.timezone : current.timezone;
+        const dayEndsAt = changes.day_ends_at !== undefined ? normalizeClock(changes.day_ends_at) : current.day_ends_at;
+
+        await this.run(
+            'UPDATE day_profile SET timezone = ?, day_ends_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1',
+            [timezone, dayEndsAt]
+        );
+
+        return this.getSettings();
+    }
+}
+
+module.exports = DaySettings;
+module.exports.validateSettingsChanges = validateSettingsChanges;
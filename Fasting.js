@@ -0,0 +1,368 @@
+// ============ FASTING ============
+// Eating windows and fasts worked out from food_log timestamps, plus fasts
+// started and ended explicitly from chat. A day meets the goal when the fast
+// that ended with its first meal (or a completed fast session ending that day)
+// lasted at least the protocol's hours.
+
+const {
+    addDays, eachDate, startOfWeek, localClock, logicalDate, startOfLogicalDay, parseTimestamp, toDbTimestamp
+} = require('./DateUtils');
+
+// Fasting hours for each named protocol (eating window is the rest of the day)
+const PROTOCOLS = {
+    '12:12': 12,
+    '14:10': 14,
+    '16:8': 16,
+    '18:6': 18,
+    '20:4': 20,
+    omad: 23
+};
+
+const DEFAULT_PROTOCOL = '16:8';
+const MEAL_GAP_MINUTES = 30;   // entries closer than this are the same meal
+const LOOKBACK_DAYS = 3;       // how far before the range to find the previous meal
+
+function round(value, places = 1) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+function hoursBetween(from, to) {
+    return (to - from) / 3600000;
+}
+
+// "16:8", "18 hours", "20h", "omad" → { protocol, targetHours }, or null
+function parseProtocol(text) {
+    const lower = (text || '').toLowerCase();
+    let match;
+
+    if ((match = lower.match(/\b(\d{2}):(\d{1,2})\b/)) && parseInt(match[1]) + parseInt(match[2]) === 24) {
+        const protocol = `${parseInt(match[1])}:${parseInt(match[2])}`;
+        return { protocol: PROTOCOLS[protocol] ? protocol : 'custom', targetHours: parseInt(match[1]) };
+    }
+    if (/\bomad\b|one meal a day/.test(lower)) {
+        return { protocol: 'omad', targetHours: PROTOCOLS.omad };
+    }
+    if ((match = lower.match(/\b(\d{1,2}(?:\.\d)?)\s*-?\s*(?:h|hrs?|hours?)\b/))) {
+        const targetHours = parseFloat(match[1]);
+        return targetHours >= 8 && targetHours <= 72 ? { protocol: 'custom', targetHours } : null;
+    }
+
+    return null;
+}
+
+// "start my fast", "starting a 18:6 fast", "end fast", "broke my fast",
+// "how long have I been fasting" → { action, protocol, targetHours }
+function parseFastingCommand(message) {
+    const lower = (message || '').toLowerCase();
+
+    if (/\b(?:end(?:ing)?|stop(?:ping)?|break(?:ing)?|broke|done with)\s+(?:my\s+|the\s+|this\s+)?fast(?:ing)?\b/.test(lower)) {
+        return { action: 'end' };
+    }
+    const kind = '(?:\\d{1,2}:\\d{1,2}|\\d{1,2}(?:\\.\\d)?\\s*-?\\s*(?:h|hrs?|hours?)|omad|water|intermittent)\\s+';
+    if (new RegExp(`\\b(?:start(?:ing|ed)?|begin(?:ning)?|began)\\s+(?:my\\s+|a\\s+|an\\s+|the\\s+)?(?:${kind})?fast(?:ing)?\\b`).test(lower)
+        || /\bfast(?:ing)? (?:starts|from) now\b/.test(lower)) {
+        return { action: 'start', ...(parseProtocol(lower) || {}) };
+    }
+    if (/\bhow long (?:have i been fasting|since i (?:ate|last ate))\b|\bfast(?:ing)? (?:status|progress)\b|\bhow(?:'s| is) my fast\b/.test(lower)) {
+        return { action: 'status' };
+    }
+
+    return null;
+}
+
+// Food entries → meals (entries within MEAL_GAP_MINUTES of the previous merge)
+function groupMeals(entries) {
+    const meals = [];
+
+    entries
+        .slice()
+        .sort((a, b) => a.at - b.at)
+        .forEach(entry => {
+            const last = meals[meals.length - 1];
+            if (last && last.date === entry.date && hoursBetween(last.end, entry.at) * 60 <= MEAL_GAP_MINUTES) {
+                last.end = entry.at;
+                last.items++;
+            } else {
+                meals.push({ date: entry.date, start: entry.at, end: entry.at, items: 1 });
+            }
+        });
+
+    return meals;
+}
+
+// One row per date: first/last meal, eating window, the fast that ended with the
+// first meal, and whether it (or a completed session ending that day) met the goal
+function buildEatingDays(meals, sessions, { from, to, targetHours }) {
+    return eachDate(from, to).map(date => {
+        const dayMeals = meals.filter(meal => meal.date === date);
+        const previous = dayMeals.length > 0
+            ? meals.filter(meal => meal.end < dayMeals[0].start).pop()
+            : null;
+
+        const first = dayMeals.length > 0 ? dayMeals[0].start : null;
+        const last = dayMeals.length > 0 ? dayMeals[dayMeals.length - 1].end : null;
+        const fastHours = first && previous ? round(hoursBetween(previous.end, first)) : null;
+
+        const sessionHours = sessions
+            .filter(session => session.ended_at && logicalDate(session.ended_at) === date)
+            .map(session => hoursBetween(session.started_at, session.ended_at));
+        const longestSession = sessionHours.length > 0 ? round(Math.max(...sessionHours)) : null;
+        const longestFast = Math.max(fastHours || 0, longestSession || 0);
+
+        return {
+            date,
+            meals: dayMeals.length,
+            first_meal: first ? localClock(first) : null,
+            last_meal: last ? localClock(last) : null,
+            eating_window_hours: first ? round(hoursBetween(first, last)) : null,
+            fast_hours: fastHours,
+            session_hours: longestSession,
+            target_hours: targetHours,
+            met: fastHours === null && longestSession === null ? null : longestFast >= targetHours
+        };
+    });
+}
+
+// Consecutive days meeting the goal, counted back from the last day. A day
+// still in progress (not met yet) doesn't break the run.
+function fastingStreaks(days, today) {
+    let current = 0;
+    let best = 0;
+    let run = 0;
+
+    days.forEach(day => {
+        run = day.met ? run + 1 : 0;
+        best = Math.max(best, run);
+    });
+
+    for (let i = days.length - 1; i >= 0; i--) {
+        if (days[i].met) current++;
+        else if (!(days[i].date === today && i === days.length - 1)) break;
+    }
+
+    return { current, best };
+}
+
+class FastingTracker {
+    constructor(db) {
+        this.db = db;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    async init() {
+        // Single row (id = 1); target_hours overrides the protocol's hours
+        await this.run(`CREATE TABLE IF NOT EXISTS fasting_profile (
+            id INTEGER PRIMARY KEY CHECK (id = 1),
+            protocol TEXT DEFAULT '${DEFAULT_PROTOCOL}',
+            target_hours REAL,
+            weekly_goal_days INTEGER DEFAULT 5,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await this.run('INSERT OR IGNORE INTO fasting_profile (id) VALUES (1)');
+
+        await this.run(`CREATE TABLE IF NOT EXISTS fasting_sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            started_at DATETIME NOT NULL,
+            ended_at DATETIME,
+            target_hours REAL NOT NULL,
+            protocol TEXT,
+            ended_by TEXT
+        )`);
+    }
+
+    async getSettings() {
+        const row = await this.get('SELECT * FROM fasting_profile WHERE id = 1') || {};
+        const protocol = row.protocol || DEFAULT_PROTOCOL;
+
+        return {
+            protocol,
+            target_hours: row.target_hours || PROTOCOLS[protocol] || PROTOCOLS[DEFAULT_PROTOCOL],
+            eating_window_hours: 24 - (row.target_hours || PROTOCOLS[protocol] || PROTOCOLS[DEFAULT_PROTOCOL]),
+            weekly_goal_days: row.weekly_goal_days || 5,
+            updated_at: row.updated_at || null
+        };
+    }
+
+    // Picking a named protocol resets target_hours to it unless one is given too
+    async updateSettings(changes) {
+        const current = await this.getSettings();
+        const protocol = changes.protocol !== undefined ? changes.protocol : current.protocol;
+        const targetHours = changes.target_hours !== undefined
+            ? changes.target_hours
+            : (changes.protocol !== undefined ? PROTOCOLS[protocol] || current.target_hours : current.target_hours);
+        const weeklyGoal = changes.weekly_goal_days !== undefined ? changes.weekly_goal_days : current.weekly_goal_days;
+
+        await this.run(
+            `UPDATE fasting_profile
+             SET protocol = ?, target_hours = ?, weekly_goal_days = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = 1`,
+            [protocol, targetHours, weeklyGoal]
+        );
+
+        return this.getSettings();
+    }
+
+    async activeSession() {
+        const row = await this.get('SELECT * FROM fasting_sessions WHERE ended_at IS NULL ORDER BY started_at DESC LIMIT 1');
+        return row ? this.describeSession(row) : null;
+    }
+
+    describeSession(row, now = new Date()) {
+        const startedAt = parseTimestamp(row.started_at);
+        const endedAt = row.ended_at ? parseTimestamp(row.ended_at) : null;
+        const hours = round(hoursBetween(startedAt, endedAt || now));
+        const goalAt = new Date(startedAt.getTime() + row.target_hours * 3600000);
+
+        return {
+            id: row.id,
+            protocol: row.protocol,
+            target_hours: row.target_hours,
+            started_at: startedAt.toISOString(),
+            started_local: localClock(startedAt),
+            ended_at: endedAt ? endedAt.toISOString() : null,
+            ended_by: row.ended_by || null,
+            hours,
+            goal_at: goalAt.toISOString(),
+            goal_local: localClock(goalAt),
+            remaining_hours: endedAt ? 0 : Math.max(0, round(hoursBetween(now, goalAt))),
+            met: hours >= row.target_hours
+        };
+    }
+
+    // Start a fast (ending any still open one first). `at` defaults to now.
+    async start({ at = new Date(), protocol, targetHours } = {}) {
+        const settings = await this.getSettings();
+        const active = await this.activeSession();
+        if (active) await this.end({ at, endedBy: 'restart' });
+
+        const result = await this.run(
+            'INSERT INTO fasting_sessions (started_at, target_hours, protocol) VALUES (?, ?, ?)',
+            [toDbTimestamp(at), targetHours || settings.target_hours, protocol || settings.protocol]
+        );
+        const row = await this.get('SELECT * FROM fasting_sessions WHERE id = ?', [result.lastID]);
+        return this.describeSession(row, at);
+    }
+
+    // End the open fast. Returns null when none is running or `at` is before it started.
+    async end({ at = new Date(), endedBy = 'chat' } = {}) {
+        const row = await this.get('SELECT * FROM fasting_sessions WHERE ended_at IS NULL ORDER BY started_at DESC LIMIT 1');
+        if (!row || parseTimestamp(row.started_at) > at) return null;
+
+        await this.run('UPDATE fasting_sessions SET ended_at = ?, ended_by = ? WHERE id = ?', [toDbTimestamp(at), endedBy, row.id]);
+        const ended = await this.get('SELECT * FROM fasting_sessions WHERE id = ?', [row.id]);
+        return this.describeSession(ended, at);
+    }
+
+    async sessions(limit = 20) {
+        const rows = await this.all('SELECT * FROM fasting_sessions ORDER BY started_at DESC LIMIT ?', [limit]);
+        return rows.map(row => this.describeSession(row));
+    }
+
+    // Active fast, or time since the last meal when none was started
+    async current(now = new Date()) {
+        const active = await this.activeSession();
+        if (active) return { fasting: true, session: active };
+
+        const last = await this.get('SELECT timestamp FROM food_log WHERE timestamp <= ? ORDER BY timestamp DESC LIMIT 1', [toDbTimestamp(now)]);
+        const lastMeal = last ? parseTimestamp(last.timestamp) : null;
+
+        return {
+            fasting: false,
+            session: null,
+            last_meal: lastMeal ? lastMeal.toISOString() : null,
+            last_meal_local: lastMeal ? localClock(lastMeal) : null,
+            hours_since_last_meal: lastMeal ? round(hoursBetween(lastMeal, now)) : null
+        };
+    }
+
+    // Daily eating windows and fasts from `from` to `to`, streaks and this week's progress
+    async summary({ from, to, today = to, now = new Date() }) {
+        const settings = await this.getSettings();
+        const entries = await this.all(
+            'SELECT date, timestamp FROM food_log WHERE date BETWEEN ? AND ? ORDER BY timestamp',
+            [addDays(from, -LOOKBACK_DAYS), to]
+        );
+        // ended_at is UTC, so bound it by the logical days rather than its UTC date
+        const sessionRows = await this.all(
+            'SELECT * FROM fasting_sessions WHERE ended_at IS NOT NULL AND ended_at >= ? AND ended_at < ?',
+            [toDbTimestamp(startOfLogicalDay(from)), toDbTimestamp(startOfLogicalDay(addDays(to, 1)))]
+        );
+
+        const meals = groupMeals(entries.map(row => ({ date: row.date, at: parseTimestamp(row.timestamp) })));
+        const sessions = sessionRows.map(row => ({ started_at: parseTimestamp(row.started_at), ended_at: parseTimestamp(row.ended_at) }));
+        const days = buildEatingDays(meals, sessions, { from, to, targetHours: settings.target_hours });
+
+        const tracked = days.filter(day => day.eating_window_hours !== null);
+        const weekStart = startOfWeek(today);
+
+        return {
+            from,
+            to,
+            settings,
+            current: await this.current(now),
+            days,
+            streak: fastingStreaks(days, today),
+            average_eating_window_hours: tracked.length > 0
+                ? round(tracked.reduce((sum, day) => sum + day.eating_window_hours, 0) / tracked.length)
+                : null,
+            week: {
+                start: weekStart,
+                days_met: days.filter(day => day.date >= weekStart && day.met).length,
+                goal_days: settings.weekly_goal_days
+            }
+        };
+    }
+}
+
+// Returns an error message for an invalid settings update, or null
+function validateSettingsChanges(changes) {
+    if (changes.protocol !== undefined && !PROTOCOLS[changes.protocol] && changes.protocol !== 'custom') {
+        return `protocol must be one of: ${Object.keys(PROTOCOLS).join(', ')}, custom`;
+    }
+    if (changes.protocol === 'custom' && changes.target_hours === undefined) {
+        return 'target_hours is required for a custom protocol';
+    }
+    if (changes.target_hours !== undefined && !(typeof changes.target_hours === 'number' && changes.target_hours >= 8 && changes.target_hours <= 72)) {
+        return 'target_hours must be a number between 8 and 72';
+    }
+    if (changes.weekly_goal_days !== undefined && !(Number.isInteger(changes.weekly_goal_days) && changes.weekly_goal_days >= 1 && changes.weekly_goal_days <= 7)) {
+        return 'weekly_goal_days must be a whole number between 1 and 7';
+    }
+    return null;
+}
+
+module.exports = FastingTracker;
+module.exports.PROTOCOLS = PROTOCOLS;
+module.exports.parseFastingCommand = parseFastingCommand;
+module.exports.parseProtocol = parseProtocol;
+module.exports.groupMeals = groupMeals;
+module.exports.buildEatingDays = buildEatingDays;
+module.exports.fastingStreaks = fastingStreaks;
+module.exports.validateSettingsChanges = validateSettingsChanges;
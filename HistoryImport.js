@@ -0,0 +1,448 @@
+// ============ HISTORY IMPORT ============
+// Brings months of spreadsheet tracking into metrics, food_log or
+// supplement_log from CSV or JSON. Source columns are mapped onto fields
+// (unmapped ones are matched by name, and for metrics by chat word), every row
+// is validated, and each date is either merged with what's already logged or
+// overwritten. A dry run reports the same thing without writing.
+
+const { parseCsv } = require('./CsvUtils');
+const { NUTRIENT_FIELDS } = require('./Nutrients');
+const { isValidDate, logicalDate, localClock, fromLocal, atLocalTime } = require('./DateUtils');
+const { validateValue, fieldError } = require('./MetricRegistry');
+const { withImportTransaction } = require('./ImportTransaction');
+
+const IMPORT_TARGETS = ['metrics', 'food_log', 'supplement_log'];
+const POLICIES = ['merge', 'overwrite'];
+const MEAL_SLOTS = ['breakfast', 'lunch', 'dinner', 'snack'];
+const MEAL_ALIASES = { brunch: 'breakfast', supper: 'dinner', snacks: 'snack' };
+
+// Imported rows with a date but no time are placed at noon
+const DEFAULT_TIME = '12:00';
+
+// Times are local; a separate time column before the day boundary is the
+// early hours after the row's date, like "at": "01:00" on POST /api/metrics
+function entryTimestamp(entry) {
+    return atLocalTime(entry.date, entry.time || DEFAULT_TIME).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Stored UTC timestamp → local "HH:MM", to compare with imported times
+function timestampClock(timestamp) {
+    const text = String(timestamp);
+    return localClock(new Date(text.includes('T') ? text : `${text.replace(' ', 'T')}Z`));
+}
+
+// Common spreadsheet headers → fields, per target
+const FIELD_ALIASES = {
+    common: { day: 'date', logged: 'date', logged_at: 'date', timestamp: 'date', datetime: 'date', hour: 'time' },
+    food_log: { food: 'food_name', name: 'food_name', item: 'food_name', description: 'food_name', kcal: 'calories', cals: 'calories', serving: 'serving_size', qty: 'quantity', amount: 'quantity' },
+    supplement_log: { supplement: 'supplement_name', name: 'supplement_name', item: 'supplement_name' }
+};
+
+const FOOD_TEXT_FIELDS = ['food_name', 'serving_size', 'unit', 'meal'];
+const FOOD_NUMBER_FIELDS = [...NUTRIENT_FIELDS, 'quantity', 'grams'];
+
+// "Sleep Score" → "sleep_score"
+function normalizeHeader(header) {
+    return String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+// CSV text, a JSON string, an array of row objects or { rows: [...] } → rows
+function parseImportData(data, format = null) {
+    if (Array.isArray(data)) return data;
+    if (data && typeof data === 'object' && Array.isArray(data.rows)) return data.rows;
+    if (typeof data !== 'string') throw new Error('data must be CSV text, JSON text or an array of rows');
+
+    const text = data.trim();
+    const detected = format || (text.startsWith('[') || text.startsWith('{') ? 'json' : 'csv');
+
+    if (detected === 'json') {
+        const parsed = JSON.parse(text);
+        return parseImportData(Array.isArray(parsed) || (parsed && Array.isArray(parsed.rows)) ? parsed : [parsed]);
+    }
+    if (detected === 'csv') return parseCsv(text);
+    throw new Error('format must be csv or json');
+}
+
+// Spreadsheet dates → { date: 'YYYY-MM-DD', time: 'HH:MM' | null }, or null.
+// Takes 2025-01-14, 2025/01/14, 1/14/2025, 1/14/25 and ISO date-times.
+function parseImportDate(value) {
+    const text = String(value || '').trim();
+    let match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T\s](\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/);
+    if (match) {
+        const [, year, month, day, hour, minute, zone] = match;
+        const date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+        if (!isValidDate(date)) return null;
+        if (hour === undefined) return { date, time: null };
+
+        // A zoned time is moved into the user's timezone and logical day
+        if (zone) {
+            const parsed = new Date(text.replace(' ', 'T'));
+            if (isNaN(parsed.getTime())) return null;
+            return { date: logicalDate(parsed), time: localClock(parsed) };
+        }
+        // A date-time is a moment on the local clock: 1am on the 15th is
+        // still the 14th when the day ends at 4am
+        const clock = `${hour.padStart(2, '0')}:${minute}`;
+        return { date: logicalDate(fromLocal(date, clock)), time: clock };
+    }
+
+    match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+    if (match) {
+        const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+        const date = `${year}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+        return isValidDate(date) ? { date, time: null } : null;
+    }
+
+    return null;
+}
+
+// "21:15", "9:05 pm", "07:30:00" → "HH:MM", or null
+function parseImportTime(value) {
+    const match = String(value || '').trim().toLowerCase().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?$/);
+    if (!match) return null;
+
+    let hour = parseInt(match[1]);
+    if (match[3]) {
+        if (hour < 1 || hour > 12) return null;
+        hour = (hour % 12) + (match[3] === 'pm' ? 12 : 0);
+    }
+    if (hour > 23 || parseInt(match[2]) > 59) return null;
+    return `${String(hour).padStart(2, '0')}:${match[2]}`;
+}
+
+function isBlank(value) {
+    return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+// Returns an error message for invalid import options, or null
+function validateImportOptions({ target, policy, datePolicies, mapping }) {
+    if (!IMPORT_TARGETS.includes(target)) {
+        return `target must be one of: ${IMPORT_TARGETS.join(', ')}`;
+    }
+    if (policy !== undefined && !POLICIES.includes(policy)) {
+        return `policy must be one of: ${POLICIES.join(', ')}`;
+    }
+    if (datePolicies !== undefined) {
+        if (typeof datePolicies !== 'object' || datePolicies === null || Array.isArray(datePolicies)) {
+            return 'date_policies must be an object of date → policy';
+        }
+        for (const [date, datePolicy] of Object.entries(datePolicies)) {
+            if (!isValidDate(date)) return `date_policies: ${date} is not a YYYY-MM-DD date`;
+            if (!POLICIES.includes(datePolicy)) return `date_policies: ${date} must be merge or overwrite`;
+        }
+    }
+    if (mapping !== undefined && (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping))) {
+        return 'mapping must be an object of source column → field';
+    }
+    return null;
+}
+
+class HistoryImporter {
+    constructor(db, { registry, readings }) {
+        this.db = db;
+        this.registry = registry;
+        this.readings = readings;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    // Source row → { field: value } using the mapping first, then aliases and
+    // normalized header names. A mapping to null/'' drops the column.
+    mapRow(row, target, mapping) {
+        const aliases = { ...FIELD_ALIASES.common, ...(FIELD_ALIASES[target] || {}) };
+        const mapped = {};
+
+        for (const [column, value] of Object.entries(row)) {
+            let field;
+            if (Object.prototype.hasOwnProperty.call(mapping, column)) {
+                field = mapping[column];
+                if (isBlank(field)) continue;
+            } else {
+                const header = normalizeHeader(column);
+                field = aliases[header] || header;
+            }
+            if (!isBlank(value)) mapped[field] = typeof value === 'string' ? value.trim() : value;
+        }
+
+        return mapped;
+    }
+
+    // Mapped row → { date, time, values } or { errors }
+    async validateRow(mapped, target, ignoredColumns) {
+        const errors = [];
+        let date = null;
+        let time = null;
+
+        const when = parseImportDate(mapped.date);
+        if (!when) {
+            errors.push({ field: 'date', value: mapped.date ?? null, code: isBlank(mapped.date) ? 'required' : 'invalid_date', message: isBlank(mapped.date) ? 'is required' : 'must be a date like 2025-01-14 or 1/14/2025' });
+        } else {
+            ({ date, time } = when);
+        }
+
+        if (!isBlank(mapped.time)) {
+            time = parseImportTime(mapped.time);
+            if (!time) errors.push({ field: 'time', value: mapped.time, code: 'invalid_time', message: 'must be a time like 21:15 or 9:15 pm' });
+        }
+
+        const values = {};
+        for (const [field, value] of Object.entries(mapped)) {
+            if (field === 'date' || field === 'time') continue;
+
+            if (target === 'metrics') {
+                const definition = await this.registry.resolve(field);
+                if (!definition) {
+                    ignoredColumns.add(field);
+                    continue;
+                }
+                const result = validateValue(definition, value);
+                if (result.code) errors.push(fieldError(field, definition, value, result));
+                else values[definition.name] = result.value;
+            } else if (target === 'food_log') {
+                if (FOOD_TEXT_FIELDS.includes(field)) {
+                    values[field] = String(value);
+                } else if (FOOD_NUMBER_FIELDS.includes(field)) {
+                    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+                    if (!Number.isFinite(number) || number < 0) {
+                        errors.push({ field, value, code: 'invalid_type', message: 'must be a number, 0 or more' });
+                    } else {
+                        values[field] = number;
+                    }
+                } else {
+                    ignoredColumns.add(field);
+                }
+            } else if (field === 'supplement_name') {
+                values[field] = String(value);
+            } else {
+                ignoredColumns.add(field);
+            }
+        }
+
+        if (target === 'food_log') {
+            if (!values.food_name) errors.push({ field: 'food_name', value: null, code: 'required', message: 'is required' });
+            if (values.meal !== undefined) {
+                values.meal = MEAL_ALIASES[values.meal.toLowerCase()] || values.meal.toLowerCase();
+                if (!MEAL_SLOTS.includes(values.meal)) {
+                    errors.push({ field: 'meal', value: values.meal, code: 'invalid_value', message: `must be one of: ${MEAL_SLOTS.join(', ')}` });
+                }
+            }
+        }
+        if (target === 'supplement_log' && !values.supplement_name) {
+            errors.push({ field: 'supplement_name', value: null, code: 'required', message: 'is required' });
+        }
+        if (target === 'metrics' && errors.length === 0 && Object.keys(values).length === 0) {
+            errors.push({ field: null, value: null, code: 'empty', message: 'has no metric values' });
+        }
+
+        return errors.length > 0 ? { errors } : { date, time, values };
+    }
+
+    // rows: parsed source rows. Returns a report; nothing is written on a dry run.
+    async import({ target, rows, mapping = {}, policy = 'merge', datePolicies = {}, dryRun = false }) {
+        const ignoredColumns = new Set();
+        const valid = [];
+        const invalid = [];
+
+        for (let i = 0; i < rows.length; i++) {
+            const result = await this.validateRow(this.mapRow(rows[i], target, mapping), target, ignoredColumns);
+            // row is 1-based over data rows (the CSV header is line 1, so row 1 is line 2)
+            if (result.errors) invalid.push({ row: i + 1, errors: result.errors });
+            else valid.push({ row: i + 1, ...result });
+        }
+
+        const dates = [...new Set(valid.map(entry => entry.date))].sort();
+        const policyFor = date => datePolicies[date] || policy;
+
+        const report = {
+            target,
+            dry_run: dryRun,
+            policy,
+            rows: rows.length,
+            valid: valid.length,
+            invalid,
+            ignored_columns: [...ignoredColumns],
+            dates: dates.length,
+            from: dates[0] || null,
+            to: dates[dates.length - 1] || null,
+            overwritten_dates: dates.filter(date => policyFor(date) === 'overwrite'),
+            conflicts: [],
+            inserted: 0,
+            skipped: 0,
+            replaced: 0
+        };
+
+        if (valid.length === 0) return report;
+
+        if (dryRun) {
+            await this.importRows(target, valid, policyFor, report, dryRun);
+        } else {
+            await withImportTransaction(this.db, this.registry, (db, readings) =>
+                new HistoryImporter(db, { registry: this.registry, readings }).importRows(target, valid, policyFor, report, dryRun));
+        }
+
+        return report;
+    }
+
+    async importRows(target, entries, policyFor, report, dryRun) {
+        if (target === 'metrics') await this.importMetrics(entries, policyFor, report, dryRun);
+        else if (target === 'food_log') await this.importFood(entries, policyFor, report, dryRun);
+        else await this.importSupplements(entries, policyFor, report, dryRun);
+    }
+
+    // Each value becomes a reading. Merge keeps any metric that already has a
+    // value that day (a conflict when it differs); overwrite replaces the day's
+    // readings for the imported metrics. Other metrics are never touched.
+    async importMetrics(entries, policyFor, report, dryRun) {
+        const dates = [...new Set(entries.map(entry => entry.date))];
+        const existingRows = await this.all(
+            `SELECT * FROM metrics WHERE date IN (${dates.map(() => '?').join(', ')}) ORDER BY created_at, id`,
+            dates
+        );
+        const existing = {};
+        existingRows.forEach(row => { existing[row.date] = row; });
+
+        const cleared = new Set();
+
+        for (const entry of entries) {
+            const overwrite = policyFor(entry.date) === 'overwrite';
+            const day = existing[entry.date] || {};
+            const keep = {};
+
+            for (const [metric, value] of Object.entries(entry.values)) {
+                const current = day[metric];
+                const hasValue = current !== null && current !== undefined;
+                const key = `${entry.date}|${metric}`;
+
+                if (hasValue && !cleared.has(key) && current !== value) {
+                    report.conflicts.push({ row: entry.row, date: entry.date, field: metric, existing: current, incoming: value, resolution: overwrite ? 'overwritten' : 'kept' });
+                }
+
+                if (hasValue && !overwrite) {
+                    report.skipped++;
+                    continue;
+                }
+
+                if (overwrite && !cleared.has(key)) {
+                    cleared.add(key);
+                    if (hasValue) {
+                        report.replaced++;
+                        if (!dryRun) await this.run('DELETE FROM metric_readings WHERE date = ? AND metric = ?', [entry.date, metric]);
+                    }
+                }
+                keep[metric] = value;
+            }
+
+            if (Object.keys(keep).length === 0) continue;
+            report.inserted += Object.keys(keep).length;
+            if (!dryRun) {
+                await this.readings.record(entry.date, keep, {
+                    recordedAt: entryTimestamp(entry),
+                    source: 'import'
+                });
+            }
+        }
+    }
+
+    // Merge adds entries, skipping ones already logged that day (same food and
+    // calories) - repeats within the import are kept. Overwrite deletes the
+    // day's food_log first.
+    async importFood(entries, policyFor, report, dryRun) {
+        const dates = [...new Set(entries.map(entry => entry.date))];
+        const existingRows = await this.all(
+            `SELECT id, date, food_name, calories FROM food_log WHERE date IN (${dates.map(() => '?').join(', ')})`,
+            dates
+        );
+
+        for (const date of dates) {
+            const dayRows = existingRows.filter(row => row.date === date);
+            if (dayRows.length > 0 && policyFor(date) === 'overwrite') {
+                report.conflicts.push({ date, field: 'food_log', existing: dayRows.length, incoming: entries.filter(e => e.date === date).length, resolution: 'overwritten' });
+                report.replaced += dayRows.length;
+                if (!dryRun) await this.run('DELETE FROM food_log WHERE date = ?', [date]);
+            }
+        }
+
+        const seen = existingRows.filter(row => policyFor(row.date) === 'merge')
+            .map(row => `${row.date}|${row.food_name.toLowerCase()}|${Math.round(row.calories || 0)}`);
+
+        for (const entry of entries) {
+            const key = `${entry.date}|${entry.values.food_name.toLowerCase()}|${Math.round(entry.values.calories || 0)}`;
+            if (policyFor(entry.date) === 'merge' && seen.includes(key)) {
+                report.conflicts.push({ row: entry.row, date: entry.date, field: 'food_name', existing: entry.values.food_name, incoming: entry.values.food_name, resolution: 'kept' });
+                report.skipped++;
+                continue;
+            }
+            report.inserted++;
+            if (!dryRun) {
+                const fields = Object.keys(entry.values);
+                await this.run(
+                    `INSERT INTO food_log (${[...fields, 'date', 'timestamp'].join(', ')})
+                     VALUES (${[...fields, 'date', 'timestamp'].map(() => '?').join(', ')})`,
+                    [...Object.values(entry.values), entry.date, entryTimestamp(entry)]
+                );
+            }
+        }
+    }
+
+    // Same policies as food: duplicates are the same supplement at the same time
+    async importSupplements(entries, policyFor, report, dryRun) {
+        const dates = [...new Set(entries.map(entry => entry.date))];
+        const existingRows = await this.all(
+            `SELECT id, date, supplement_name, timestamp FROM supplement_log WHERE date IN (${dates.map(() => '?').join(', ')})`,
+            dates
+        );
+
+        for (const date of dates) {
+            const dayRows = existingRows.filter(row => row.date === date);
+            if (dayRows.length > 0 && policyFor(date) === 'overwrite') {
+                report.conflicts.push({ date, field: 'supplement_log', existing: dayRows.length, incoming: entries.filter(e => e.date === date).length, resolution: 'overwritten' });
+                report.replaced += dayRows.length;
+                if (!dryRun) await this.run('DELETE FROM supplement_log WHERE date = ?', [date]);
+            }
+        }
+
+        const seen = existingRows.filter(row => policyFor(row.date) === 'merge')
+            .map(row => `${row.date}|${row.supplement_name.toLowerCase()}|${timestampClock(row.timestamp)}`);
+
+        for (const entry of entries) {
+            const time = entry.time || DEFAULT_TIME;
+            const key = `${entry.date}|${entry.values.supplement_name.toLowerCase()}|${time}`;
+            if (policyFor(entry.date) === 'merge' && seen.includes(key)) {
+                report.conflicts.push({ row: entry.row, date: entry.date, field: 'supplement_name', existing: entry.values.supplement_name, incoming: entry.values.supplement_name, resolution: 'kept' });
+                report.skipped++;
+                continue;
+            }
+            report.inserted++;
+            if (!dryRun) {
+                await this.run(
+                    'INSERT INTO supplement_log (supplement_name, date, timestamp) VALUES (?, ?, ?)',
+                    [entry.values.supplement_name, entry.date, entryTimestamp(entry)]
+                );
+            }
+        }
+    }
+}
+
+module.exports = HistoryImporter;
+module.exports.IMPORT_TARGETS = IMPORT_TARGETS;
+module.exports.POLICIES = POLICIES;
+module.exports.parseImportData = parseImportData;
+module.exports.parseImportDate = parseImportDate;
+module.exports.parseImportTime = parseImportTime;
+module.exports.validateImportOptions = validateImportOptions;
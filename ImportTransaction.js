@@ -0,0 +1,57 @@
+// ============ IMPORT TRANSACTION ============
+// Bulk imports write everything in one transaction. On the app's shared
+// connection that transaction would take in whatever else runs meanwhile (a
+// chat log, a second import) and roll it back with the import, so each import
+// writes through a connection of its own to the same database file.
+
+const sqlite3 = require('sqlite3');
+const MetricReadings = require('./MetricReadings');
+
+const BUSY_TIMEOUT_MS = 30000;   // how long to wait for another connection's write to finish
+
+function connect(filename) {
+    return new Promise((resolve, reject) => {
+        const connection = new sqlite3.Database(filename, err => {
+            if (err) reject(err);
+            else resolve(connection);
+        });
+    });
+}
+
+function exec(connection, sql) {
+    return new Promise((resolve, reject) => {
+        connection.run(sql, err => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
+// Runs work(connection, readings) inside a transaction on a new connection to
+// db's file; readings records through that connection too. BEGIN IMMEDIATE
+// takes the write lock up front, so a second import waits instead of failing
+// halfway through.
+async function withImportTransaction(db, registry, work) {
+    // A second connection to :memory: would be a new, empty database
+    if (!db.filename || db.filename === ':memory:') {
+        throw new Error('Imports need a database file, not an in-memory database');
+    }
+    const connection = await connect(db.filename);
+    connection.configure('busyTimeout', BUSY_TIMEOUT_MS);
+
+    try {
+        await exec(connection, 'BEGIN IMMEDIATE TRANSACTION');
+        try {
+            const result = await work(connection, new MetricReadings(connection, registry));
+            await exec(connection, 'COMMIT');
+            return result;
+        } catch (error) {
+            await exec(connection, 'ROLLBACK');
+            throw error;
+        }
+    } finally {
+        connection.close();
+    }
+}
+
+module.exports = { withImportTransaction, BUSY_TIMEOUT_MS };
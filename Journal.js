@@ -0,0 +1,370 @@
+// ============ JOURNAL ============
+// Dated journal entries - how the day went in their own words - written from
+// the UI or from chat ("journal: rough day at the plant"). Each entry gets a
+// sentiment (-1 to 1) and stress (0-10) score worked out here from a small
+// word list, so nothing leaves the machine: weighted words, "not"/"never"
+// flipping and softening what follows, "really"/"so" boosting it, and the
+// part after "but" counting more than the part before. The 30-day patterns
+// and correlations read the daily averages.
+
+const {
+    isValidDate, currentDate, logicalDate, localClock, addDays, eachDate, parseTimestamp, toDbTimestamp
+} = require('./DateUtils');
+
+const MAX_TEXT_LENGTH = 5000;
+const MAX_SEARCH_RESULTS = 200;
+const HIGH_STRESS = 6;           // a stressful day for insights
+
+// Multi-word phrases become one token before scoring
+const PHRASES = [
+    [/\b(?:can'?t|couldn'?t|cannot|could not|can not)\s+sleep\b/g, 'cant_sleep'],
+    [/\bburn(?:ed|t)\s+out\b/g, 'burned_out'],
+    [/\bstressed\s+out\b/g, 'stressed_out'],
+    [/\bworn\s+out\b/g, 'worn_out'],
+    [/\bfed\s+up\b/g, 'fed_up'],
+    [/\bpissed\s+off\b/g, 'pissed_off'],
+    [/\bon\s+edge\b/g, 'on_edge'],
+    [/\bfalling\s+apart\b/g, 'falling_apart'],
+    [/\bbreaking\s+down\b/g, 'breaking_down'],
+    [/\bmandatory\s+(?:overtime|ot)\b/g, 'mandatory_overtime'],
+    [/\bday\s+off\b/g, 'day_off'],
+    [/\bsleep\s+debt\b/g, 'sleep_debt'],
+    [/\blooking\s+forward\b/g, 'looking_forward'],
+    [/\bwent\s+well\b/g, 'went_well'],
+    [/\b(good|great|rough|bad|long|hard|tough)\s+(?:day|night|shift|week)\b/g, '$1_day'],
+    [/\b(?:kind\s+of|sort\s+of|a\s+bit|a\s+little)\b/g, 'kinda']
+];
+
+// Sentiment weights, -3 (worst) to 3
+const SENTIMENT = {
+    amazing: 3, awesome: 3, fantastic: 3, excellent: 3, wonderful: 3, great: 3, love: 3, loved: 3,
+    proud: 3, thrilled: 3, great_day: 3,
+    happy: 2, good: 2, glad: 2, grateful: 2, thankful: 2, productive: 2, accomplished: 2, excited: 2,
+    fun: 2, enjoyed: 2, nice: 2, relaxed: 2, calm: 2, peaceful: 2, better: 2, hopeful: 2, confident: 2,
+    rested: 2, motivated: 2, progress: 2, win: 2, won: 2, strong: 2, energized: 2, laughed: 2,
+    content: 2, satisfied: 2, good_day: 2, looking_forward: 2, went_well: 2, day_off: 1,
+    fine: 1, decent: 1, alright: 1, solid: 1, smooth: 1, steady: 1, easy: 1, chill: 1,
+    tired: -1, meh: -1, bored: -1, boring: -1, slow: -1, annoyed: -1, long_day: -1, sore: -1, pain: -1,
+    busy: -1, rushed: -1, numb: -1, problem: -1, problems: -1,
+    bad: -2, rough: -2, hard: -2, tough: -2, sad: -2, lonely: -2, stressed: -2, stressed_out: -2,
+    worried: -2, anxious: -2, frustrated: -2, angry: -2, mad: -2, upset: -2, irritated: -2, sick: -2,
+    exhausted: -2, drained: -2, worn_out: -2, hurt: -2, failed: -2, lost: -2, disappointed: -2,
+    overwhelmed: -2, cried: -2, crying: -2, struggle: -2, struggled: -2, struggling: -2, regret: -2,
+    guilty: -2, ashamed: -2, empty: -2, crap: -2, sucked: -2, sucks: -2, fed_up: -2, cant_sleep: -2,
+    rough_day: -2, bad_day: -2, hard_day: -2, tough_day: -2, argument: -2, fight: -2,
+    terrible: -3, awful: -3, horrible: -3, worst: -3, miserable: -3, hate: -3, hated: -3,
+    depressed: -3, hopeless: -3, furious: -3, devastated: -3, pissed_off: -3, burned_out: -3,
+    falling_apart: -3, breaking_down: -3
+};
+
+// Stress weights; calming words count against it
+const STRESS = {
+    overwhelmed: 3, panic: 3, panicking: 3, burned_out: 3, falling_apart: 3, breaking_down: 3,
+    mandatory_overtime: 3,
+    stressed: 2, stressed_out: 2, stress: 2, stressful: 2, anxious: 2, anxiety: 2, pressure: 2,
+    worried: 2, worry: 2, worrying: 2, overtime: 2, deadline: 2, deadlines: 2, tense: 2, frantic: 2,
+    swamped: 2, slammed: 2, argument: 2, fight: 2, lawyer: 2, court: 2, divorce: 2, bills: 2,
+    on_edge: 2, cant_sleep: 2, fed_up: 2, frustrated: 2, angry: 2, furious: 2, pissed_off: 2,
+    busy: 1, rushed: 1, hectic: 1, behind: 1, exhausted: 1, drained: 1, worn_out: 1, irritated: 1,
+    annoyed: 1, nervous: 1, restless: 1, uneasy: 1, chaos: 1, chaotic: 1, long_day: 1, rough_day: 1,
+    hard_day: 1, tough_day: 1,
+    relaxed: -2, calm: -2, peaceful: -2, meditated: -2, vacation: -2, day_off: -2,
+    chill: -1, rested: -1, unwind: -1, unwound: -1, quiet: -1, easy: -1
+};
+
+const NEGATORS = new Set([
+    'not', 'no', 'never', 'nothing', 'nobody', 'none', 'neither', 'nor', 'without', 'hardly', 'barely',
+    "isn't", "wasn't", "aren't", "weren't", "don't", "didn't", "doesn't", "can't", "couldn't", "won't",
+    "wouldn't", "shouldn't", 'cannot', "ain't", 'isnt', 'wasnt', 'dont', 'didnt', 'doesnt', 'cant', 'couldnt', 'wont'
+]);
+const INTENSIFIERS = new Set([
+    'very', 'really', 'so', 'extremely', 'super', 'incredibly', 'totally', 'completely', 'absolutely',
+    'too', 'insanely', 'fucking', 'damn', 'seriously'
+]);
+const DOWNTONERS = new Set(['kinda', 'slightly', 'somewhat', 'fairly', 'mildly']);
+const NEGATION_WINDOW = 3;
+
+// "journal: ...", "journal entry - ...", "dear diary, ...", "diary: ...", "note to self: ..."
+const JOURNAL_PATTERN = /^\s*(?:(?:add\s+to\s+(?:my\s+)?)?journal(?:\s+entry)?\s*[:\-–—]|diary\s*[:\-–—]|dear\s+diary\s*[,:\-–—]?|reflection\s*[:\-–—]|note\s+to\s+self\s*[:\-–—])\s*([\s\S]+)$/i;
+
+function round(value, places = 2) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+// Text → { sentiment (-1..1), stress (0-10), mood, signals }. signals are the
+// words that moved either score, "not" in front when they were negated.
+function scoreText(text) {
+    let normalized = (text || '').toLowerCase().replace(/[’‘]/g, "'");
+    PHRASES.forEach(([pattern, token]) => { normalized = normalized.replace(pattern, token); });
+
+    let sentiment = 0;
+    let stress = 0;
+    let positive = 0;
+    let negative = 0;
+    const signals = [];
+
+    normalized.split(/[.!?;\n]+/).forEach(sentence => {
+        const tokens = sentence.match(/[a-z'_]+|,/g) || [];
+        const butIndex = tokens.lastIndexOf('but');
+
+        tokens.forEach((token, i) => {
+            const weight = SENTIMENT[token];
+            const load = STRESS[token];
+            if (weight === undefined && load === undefined) return;
+
+            let factor = 1;
+            let negated = false;
+            for (let j = i - 1; j >= Math.max(0, i - NEGATION_WINDOW) && tokens[j] !== ','; j--) {
+                if (NEGATORS.has(tokens[j])) {
+                    negated = true;
+                    factor *= -0.5;
+                    break;
+                }
+            }
+            if (INTENSIFIERS.has(tokens[i - 1])) factor *= 1.5;
+            if (DOWNTONERS.has(tokens[i - 1])) factor *= 0.5;
+            if (butIndex >= 0) factor *= i > butIndex ? 1.5 : 0.5;
+
+            const score = (weight || 0) * factor;
+            sentiment += score;
+            stress += (load || 0) * factor;
+            if (score > 0) positive++;
+            if (score < 0) negative++;
+            signals.push(`${negated ? 'not ' : ''}${token.replace(/_/g, ' ')}`);
+        });
+    });
+
+    // Squashed to -1..1 the way VADER does; low mood on its own adds a little stress
+    const normalizedSentiment = sentiment === 0 ? 0 : round(sentiment / Math.sqrt(sentiment * sentiment + 15));
+    const rawStress = Math.max(0, stress + 0.5 * Math.max(0, -sentiment));
+    const stressScore = Math.min(10, Math.round((10 * rawStress) / (rawStress + 4)));
+
+    let mood = 'neutral';
+    if (normalizedSentiment >= 0.3) mood = 'positive';
+    else if (normalizedSentiment <= -0.3) mood = 'negative';
+    else if (positive > 0 && negative > 0) mood = 'mixed';
+
+    return { sentiment: normalizedSentiment, stress: stressScore, mood, signals };
+}
+
+// "journal: rough day at the plant" → "rough day at the plant", else null
+function parseJournalMessage(message) {
+    const match = (message || '').match(JOURNAL_PATTERN);
+    const text = match ? match[1].trim() : '';
+    return text ? text : null;
+}
+
+// POST/PATCH body → fields, or { error }
+function validateEntry(body, { partial = false } = {}) {
+    const fields = {};
+
+    if (body.text !== undefined) {
+        if (typeof body.text !== 'string' || !body.text.trim()) return { error: 'text must be a non-empty string' };
+        if (body.text.length > MAX_TEXT_LENGTH) return { error: `text is limited to ${MAX_TEXT_LENGTH} characters` };
+        fields.text = body.text.trim();
+    } else if (!partial) {
+        return { error: 'text is required' };
+    }
+
+    if (body.date !== undefined) {
+        if (!isValidDate(body.date)) return { error: 'date must be in YYYY-MM-DD format' };
+        if (body.date > currentDate()) return { error: 'date cannot be in the future' };
+        fields.date = body.date;
+    }
+
+    return { fields };
+}
+
+class DailyJournal {
+    constructor(db) {
+        this.db = db;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    async init() {
+        await this.run(`CREATE TABLE IF NOT EXISTS journal_entries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            date TEXT NOT NULL,
+            recorded_at DATETIME NOT NULL,
+            text TEXT NOT NULL,
+            sentiment REAL NOT NULL DEFAULT 0,
+            stress INTEGER NOT NULL DEFAULT 0,
+            mood TEXT NOT NULL DEFAULT 'neutral',
+            source TEXT DEFAULT 'manual',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME
+        )`);
+        await this.run('CREATE INDEX IF NOT EXISTS idx_journal_entries_date ON journal_entries(date)');
+    }
+
+    describe(row) {
+        const recordedAt = parseTimestamp(row.recorded_at);
+        return {
+            id: row.id,
+            date: row.date,
+            time: localClock(recordedAt),
+            recorded_at: recordedAt.toISOString(),
+            text: row.text,
+            sentiment: row.sentiment,
+            stress: row.stress,
+            mood: row.mood,
+            signals: scoreText(row.text).signals,
+            source: row.source,
+            updated_at: row.updated_at ? parseTimestamp(row.updated_at).toISOString() : null
+        };
+    }
+
+    async find(id) {
+        const row = await this.get('SELECT * FROM journal_entries WHERE id = ?', [id]);
+        return row ? this.describe(row) : null;
+    }
+
+    // fields: { text, date } - date defaults to the logical day it was written
+    async add(fields, { source = 'manual' } = {}) {
+        const now = new Date();
+        const { sentiment, stress, mood } = scoreText(fields.text);
+        const result = await this.run(
+            `INSERT INTO journal_entries (date, recorded_at, text, sentiment, stress, mood, source)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [fields.date || logicalDate(now), toDbTimestamp(now), fields.text, sentiment, stress, mood, source]
+        );
+        return this.find(result.lastID);
+    }
+
+    // Edited text is scored again
+    async update(id, fields) {
+        const row = await this.get('SELECT * FROM journal_entries WHERE id = ?', [id]);
+        if (!row) return null;
+
+        const text = fields.text !== undefined ? fields.text : row.text;
+        const { sentiment, stress, mood } = scoreText(text);
+        await this.run(
+            `UPDATE journal_entries SET date = ?, text = ?, sentiment = ?, stress = ?, mood = ?, updated_at = ?
+             WHERE id = ?`,
+            [fields.date || row.date, text, sentiment, stress, mood, toDbTimestamp(new Date()), id]
+        );
+        return this.find(id);
+    }
+
+    async remove(id) {
+        const entry = await this.find(id);
+        if (!entry) return null;
+
+        await this.run('DELETE FROM journal_entries WHERE id = ?', [id]);
+        return entry;
+    }
+
+    // Newest first. Every word in `q` has to appear somewhere in the entry.
+    async search({ from = null, to = null, q = '', mood = null, limit = 50 } = {}) {
+        const conditions = [];
+        const params = [];
+        if (from) { conditions.push('date >= ?'); params.push(from); }
+        if (to) { conditions.push('date <= ?'); params.push(to); }
+        if (mood) { conditions.push('mood = ?'); params.push(mood); }
+
+        const keywords = q.toLowerCase().split(/\s+/).filter(Boolean);
+        keywords.forEach(keyword => {
+            conditions.push("LOWER(text) LIKE ? ESCAPE '\\'");
+            params.push(`%${keyword.replace(/[\\%_]/g, match => `\\${match}`)}%`);
+        });
+
+        const rows = await this.all(
+            `SELECT * FROM journal_entries ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY date DESC, recorded_at DESC, id DESC LIMIT ?`,
+            [...params, Math.min(limit, MAX_SEARCH_RESULTS)]
+        );
+        return rows.map(row => this.describe(row));
+    }
+
+    // Per-day averages over a range, the last 7 days against the 7 before,
+    // and the words that came up most on stressful days
+    async summary({ from, to }) {
+        const rows = await this.all(
+            'SELECT * FROM journal_entries WHERE date BETWEEN ? AND ? ORDER BY date, recorded_at, id',
+            [from, to]
+        );
+
+        const byDate = {};
+        rows.forEach(row => { (byDate[row.date] = byDate[row.date] || []).push(row); });
+        const days = Object.entries(byDate).map(([date, entries]) => ({
+            date,
+            entries: entries.length,
+            sentiment: round(entries.reduce((sum, entry) => sum + entry.sentiment, 0) / entries.length),
+            stress: round(entries.reduce((sum, entry) => sum + entry.stress, 0) / entries.length, 1)
+        }));
+
+        const average = (list, field, places) => (list.length > 0
+            ? round(list.reduce((sum, day) => sum + day[field], 0) / list.length, places)
+            : null);
+        const recentDates = new Set(eachDate(addDays(to, -6), to));
+        const previousDates = new Set(eachDate(addDays(to, -13), addDays(to, -7)));
+        const recent = days.filter(day => recentDates.has(day.date));
+        const previous = days.filter(day => previousDates.has(day.date));
+        const recentSentiment = average(recent, 'sentiment', 2);
+        const previousSentiment = average(previous, 'sentiment', 2);
+
+        const stressWords = {};
+        rows.filter(row => row.stress >= HIGH_STRESS).forEach(row => {
+            new Set(scoreText(row.text).signals.filter(signal => STRESS[signal.replace(/ /g, '_')] > 0))
+                .forEach(signal => { stressWords[signal] = (stressWords[signal] || 0) + 1; });
+        });
+
+        return {
+            from,
+            to,
+            entries: rows.length,
+            days_logged: days.length,
+            sentiment_avg: average(days, 'sentiment', 2),
+            stress_avg: average(days, 'stress', 1),
+            stressful_days: days.filter(day => day.stress >= HIGH_STRESS).length,
+            last_7_days: { sentiment: recentSentiment, stress: average(recent, 'stress', 1) },
+            previous_7_days: { sentiment: previousSentiment, stress: average(previous, 'stress', 1) },
+            trend: recentSentiment === null || previousSentiment === null ? null
+                : recentSentiment > previousSentiment + 0.15 ? 'improving'
+                    : recentSentiment < previousSentiment - 0.15 ? 'declining' : 'stable',
+            stress_words: Object.entries(stressWords)
+                .map(([word, count]) => ({ word, count }))
+                .sort((a, b) => b.count - a.count)
+                .slice(0, 5),
+            days
+        };
+    }
+
+    async today(date) {
+        const rows = await this.all('SELECT * FROM journal_entries WHERE date = ? ORDER BY recorded_at, id', [date]);
+        return rows.map(row => this.describe(row));
+    }
+}
+
+module.exports = DailyJournal;
+module.exports.scoreText = scoreText;
+module.exports.parseJournalMessage = parseJournalMessage;
+module.exports.validateEntry = validateEntry;
+module.exports.HIGH_STRESS = HIGH_STRESS;
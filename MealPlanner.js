@@ -0,0 +1,421 @@
+// ============ MEAL PLANNER ============
+// Builds a 7-day meal plan around the 2pm-11:30pm shift from foods already
+// logged and saved recipes, portioned to hit the calorie and protein targets,
+// and aggregates the week into a shopping list (Markdown or CSV).
+
+const { parsePortion } = require('./PortionParser');
+const { addDays } = require('./DateUtils');
+const { toCsv } = require('./CsvUtils');
+
+const PLAN_DAYS = 7;
+const HISTORY_DAYS = 90; // how far back logged foods count as "known"
+const PLAN_NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+
+// Shift days (0 = Sunday) and the meal slots on each kind of day.
+// share is the slice of the day's calorie and protein targets the slot should cover.
+const WORK_DAYS = [1, 2, 3, 4, 5];
+const SHIFT_DAY_SLOTS = [
+    { meal: 'breakfast', time: '10:00', share: 0.25, note: 'After waking' },
+    { meal: 'lunch', time: '13:00', share: 0.30, note: 'Before clocking in' },
+    { meal: 'dinner', time: '18:30', share: 0.30, note: 'Packed for the shift break' },
+    { meal: 'snack', time: '23:45', share: 0.15, note: 'After shift' }
+];
+const OFF_DAY_SLOTS = [
+    { meal: 'breakfast', time: '09:00', share: 0.25 },
+    { meal: 'lunch', time: '13:00', share: 0.30 },
+    { meal: 'dinner', time: '18:30', share: 0.35 },
+    { meal: 'snack', time: '21:00', share: 0.10 }
+];
+
+// Portion multipliers tried for every option, and how close a day has to
+// land before it gets an extra top-up snack
+const PORTION_STEPS = [0.5, 1, 1.5, 2, 2.5, 3];
+const MIN_DAY_PERCENT = 90;
+
+const GRAMS_PER_LB = 453.6;
+
+function round(value, places = 1) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+function scaleNutrients(nutrients, factor) {
+    const scaled = {};
+    PLAN_NUTRIENTS.forEach(field => {
+        scaled[field] = round((parseFloat(nutrients[field]) || 0) * factor);
+    });
+    return scaled;
+}
+
+function weekday(dateStr) {
+    return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+// Past food_log rows (newest first) → one option per food, using the most
+// recent portion. Rows logged from a recipe are covered by the recipe itself.
+function optionsFromFoodLog(rows) {
+    const options = {};
+
+    rows.forEach(row => {
+        if (row.recipe_id || !(row.calories > 0)) return;
+
+        const key = `food:${row.food_name.toLowerCase()}`;
+        if (!options[key]) {
+            options[key] = {
+                key,
+                type: 'food',
+                name: row.food_name,
+                recipe_id: null,
+                portion: row.serving_size || '1 serving',
+                grams: row.grams || null,
+                nutrients: scaleNutrients(row, 1),
+                ingredients: [{
+                    item: row.lookup_query || row.food_name,
+                    grams: row.grams || null,
+                    quantity: row.quantity || 1,
+                    unit: row.unit || null
+                }],
+                meals: [],
+                times_logged: 0
+            };
+        }
+
+        const option = options[key];
+        option.times_logged++;
+        if (row.meal && !option.meals.includes(row.meal)) option.meals.push(row.meal);
+    });
+
+    return Object.values(options);
+}
+
+// Saved recipes → one option per serving
+function optionsFromRecipes(recipes) {
+    return recipes
+        .filter(recipe => recipe.per_serving.calories > 0)
+        .map(recipe => ({
+            key: `recipe:${recipe.id}`,
+            type: 'recipe',
+            name: recipe.name,
+            recipe_id: recipe.id,
+            portion: '1 serving',
+            grams: recipe.total_grams ? round(recipe.total_grams / recipe.servings) : null,
+            nutrients: scaleNutrients(recipe.per_serving, 1),
+            ingredients: recipe.ingredients.map(ing => ({
+                item: parsePortion(ing.text || ing.food_name).food || ing.food_name,
+                grams: ing.grams ? ing.grams / recipe.servings : null,
+                quantity: (ing.quantity || 1) / recipe.servings,
+                unit: ing.unit || null
+            })),
+            meals: [],
+            times_logged: 0
+        }));
+}
+
+// Lower is better: distance from the slot's calories, missing protein, and
+// repetition (same food earlier in the week, yesterday, or already today)
+function scoreChoice(option, step, slotTarget, usage, recent) {
+    const calories = option.nutrients.calories * step;
+    const protein = option.nutrients.protein * step;
+
+    let score = Math.abs(calories - slotTarget.calories) / slotTarget.calories;
+    score += 1.5 * Math.max(0, slotTarget.protein - protein) / Math.max(slotTarget.protein, 1);
+    score += (usage[option.key] || 0) * 0.35;
+    if (recent.yesterday.includes(option.key)) score += 0.5;
+    if (recent.today.includes(option.key)) score += 1;
+    if (option.meals.length > 0 && !option.meals.includes(slotTarget.meal)) score += 0.3;
+    score += Math.abs(step - 1) * 0.05; // prefer the usual portion
+
+    return score;
+}
+
+function pickOption(options, slotTarget, usage, recent) {
+    let best = null;
+
+    options.forEach(option => {
+        PORTION_STEPS.forEach(step => {
+            const score = scoreChoice(option, step, slotTarget, usage, recent);
+            if (!best || score < best.score) best = { option, step, score };
+        });
+    });
+
+    return best;
+}
+
+function planItem(slot, choice, note) {
+    const { option, step } = choice;
+
+    return {
+        meal: slot.meal,
+        time: slot.time,
+        note: note || slot.note || null,
+        name: option.name,
+        type: option.type,
+        recipe_id: option.recipe_id,
+        key: option.key,
+        servings: step,
+        portion: step === 1 ? option.portion : `${step} × ${option.portion}`,
+        grams: option.grams ? round(option.grams * step) : null,
+        nutrients: scaleNutrients(option.nutrients, step),
+        ingredients: option.ingredients.map(ing => ({
+            ...ing,
+            grams: ing.grams ? round(ing.grams * step) : null,
+            quantity: round(ing.quantity * step, 2)
+        }))
+    };
+}
+
+function dayTotals(items) {
+    const totals = {};
+    PLAN_NUTRIENTS.forEach(field => {
+        totals[field] = round(items.reduce((sum, item) => sum + item.nutrients[field], 0));
+    });
+    return totals;
+}
+
+// options: known foods and recipes (see optionsFromFoodLog / optionsFromRecipes)
+// targets: daily targets with at least calories and protein
+function buildPlan(options, { start, targets, days = PLAN_DAYS, workDays = WORK_DAYS }) {
+    const sorted = [...options].sort((a, b) => b.times_logged - a.times_logged || a.name.localeCompare(b.name));
+    const usage = {};
+    let yesterday = [];
+
+    const planDays = [];
+    for (let i = 0; i < days; i++) {
+        const date = addDays(start, i);
+        const shift = workDays.includes(weekday(date));
+        const slots = shift ? SHIFT_DAY_SLOTS : OFF_DAY_SLOTS;
+        const items = [];
+
+        slots.forEach(slot => {
+            const slotTarget = {
+                meal: slot.meal,
+                calories: targets.calories * slot.share,
+                protein: targets.protein * slot.share
+            };
+            const choice = pickOption(sorted, slotTarget, usage, { yesterday, today: items.map(item => item.key) });
+            items.push(planItem(slot, choice));
+            usage[choice.option.key] = (usage[choice.option.key] || 0) + 1;
+        });
+
+        // Known foods rarely add up exactly - one extra snack closes a short day
+        let totals = dayTotals(items);
+        if (totals.calories < targets.calories * MIN_DAY_PERCENT / 100) {
+            const snackSlot = slots[slots.length - 1];
+            const choice = pickOption(sorted, {
+                meal: snackSlot.meal,
+                calories: targets.calories - totals.calories,
+                protein: Math.max(0, targets.protein - totals.protein)
+            }, usage, { yesterday, today: items.map(item => item.key) });
+            items.push(planItem(snackSlot, choice, 'Top-up to reach target'));
+            usage[choice.option.key] = (usage[choice.option.key] || 0) + 1;
+            totals = dayTotals(items);
+        }
+
+        planDays.push({
+            date,
+            shift,
+            items,
+            totals,
+            calorie_percent: round(totals.calories / targets.calories * 100),
+            protein_percent: round(totals.protein / targets.protein * 100)
+        });
+
+        yesterday = items.map(item => item.key);
+    }
+
+    return {
+        start_date: start,
+        end_date: addDays(start, days - 1),
+        targets: { calories: targets.calories, protein: targets.protein },
+        days: planDays,
+        daily_average: {
+            calories: round(planDays.reduce((sum, day) => sum + day.totals.calories, 0) / days),
+            protein: round(planDays.reduce((sum, day) => sum + day.totals.protein, 0) / days)
+        }
+    };
+}
+
+function describeAmount(entry) {
+    const parts = [];
+    if (entry.grams > 0) {
+        parts.push(entry.grams >= 1000
+            ? `${round(entry.grams / 1000, 2)} kg (${round(entry.grams / GRAMS_PER_LB)} lb)`
+            : `${Math.round(entry.grams)} g`);
+    }
+    Object.keys(entry.counts).forEach(unit => {
+        const quantity = round(entry.counts[unit], 2);
+        parts.push(unit === 'each' ? `${quantity}×` : `${quantity} ${unit}`);
+    });
+    return parts.join(' + ');
+}
+
+// Every ingredient across the week, summed by name. Weights are totalled in
+// grams; anything logged without a weight is counted in its own unit.
+function buildShoppingList(plan) {
+    const entries = {};
+
+    plan.days.forEach(day => {
+        day.items.forEach(item => {
+            item.ingredients.forEach(ing => {
+                const key = ing.item.toLowerCase().trim();
+                if (!entries[key]) {
+                    entries[key] = { item: ing.item, grams: 0, counts: {}, used_in: [] };
+                }
+
+                const entry = entries[key];
+                if (ing.grams) {
+                    entry.grams += ing.grams;
+                } else {
+                    const unit = ing.unit || 'each';
+                    entry.counts[unit] = (entry.counts[unit] || 0) + ing.quantity;
+                }
+                if (!entry.used_in.includes(item.name)) entry.used_in.push(item.name);
+            });
+        });
+    });
+
+    return Object.values(entries)
+        .sort((a, b) => a.item.localeCompare(b.item))
+        .map(entry => ({
+            item: entry.item,
+            grams: entry.grams > 0 ? Math.round(entry.grams) : null,
+            amount: describeAmount(entry),
+            used_in: entry.used_in
+        }));
+}
+
+function shoppingListToMarkdown(plan, list) {
+    const lines = [`# Shopping List: ${plan.start_date} to ${plan.end_date}`, ''];
+    list.forEach(entry => {
+        lines.push(`- [ ] **${entry.item}** - ${entry.amount} _(${entry.used_in.join(', ')})_`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+function shoppingListToCsv(list) {
+    return toCsv(
+        ['item', 'grams', 'pounds', 'amount', 'used_in'],
+        list.map(entry => [
+            entry.item,
+            entry.grams,
+            entry.grams ? round(entry.grams / GRAMS_PER_LB, 2) : '',
+            entry.amount,
+            entry.used_in.join('; ')
+        ])
+    );
+}
+
+class MealPlanner {
+    constructor(db, recipeBook) {
+        this.db = db;
+        this.recipeBook = recipeBook;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    async init() {
+        // plan: JSON from buildPlan. One plan per start date - regenerating replaces it.
+        await this.run(`CREATE TABLE IF NOT EXISTS meal_plans (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            start_date TEXT NOT NULL UNIQUE,
+            end_date TEXT NOT NULL,
+            plan TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+    }
+
+    hydrate(row) {
+        if (!row) return null;
+        return { id: row.id, created_at: row.created_at, ...JSON.parse(row.plan) };
+    }
+
+    // Foods logged in the last HISTORY_DAYS plus every saved recipe
+    async knownOptions(today) {
+        const rows = await this.all(
+            'SELECT * FROM food_log WHERE date >= ? ORDER BY timestamp DESC, id DESC',
+            [addDays(today, -HISTORY_DAYS)]
+        );
+        const recipes = await this.recipeBook.list();
+        return [...optionsFromRecipes(recipes), ...optionsFromFoodLog(rows)];
+    }
+
+    // Returns the saved plan, or null when there are no known foods to plan with
+    async generate({ start, today, targets, workDays }) {
+        const options = await this.knownOptions(today);
+        if (options.length === 0) return null;
+
+        const plan = buildPlan(options, { start, targets, workDays });
+
+        await this.run('DELETE FROM meal_plans WHERE start_date = ?', [plan.start_date]);
+        const result = await this.run(
+            'INSERT INTO meal_plans (start_date, end_date, plan) VALUES (?, ?, ?)',
+            [plan.start_date, plan.end_date, JSON.stringify(plan)]
+        );
+        return this.getById(result.lastID);
+    }
+
+    async getById(id) {
+        return this.hydrate(await this.get('SELECT * FROM meal_plans WHERE id = ?', [id]));
+    }
+
+    // The plan covering a date, or the most recent one
+    async current(date) {
+        const row = await this.get(
+            'SELECT * FROM meal_plans WHERE start_date <= ? AND end_date >= ? ORDER BY start_date DESC LIMIT 1',
+            [date, date]
+        ) || await this.get('SELECT * FROM meal_plans ORDER BY start_date DESC LIMIT 1');
+        return this.hydrate(row);
+    }
+
+    async list() {
+        const rows = await this.all('SELECT * FROM meal_plans ORDER BY start_date DESC');
+        return rows.map(row => {
+            const plan = this.hydrate(row);
+            return {
+                id: plan.id,
+                start_date: plan.start_date,
+                end_date: plan.end_date,
+                targets: plan.targets,
+                daily_average: plan.daily_average,
+                created_at: plan.created_at
+            };
+        });
+    }
+
+    async delete(id) {
+        const result = await this.run('DELETE FROM meal_plans WHERE id = ?', [id]);
+        return result.changes > 0;
+    }
+}
+
+module.exports = MealPlanner;
+module.exports.buildPlan = buildPlan;
+module.exports.buildShoppingList = buildShoppingList;
+module.exports.shoppingListToMarkdown = shoppingListToMarkdown;
+module.exports.shoppingListToCsv = shoppingListToCsv;
+module.exports.WORK_DAYS = WORK_DAYS;
@@ -0,0 +1,279 @@
+// ============ METRIC READINGS ============
+// Every logged value is a timestamped reading, so energy at 10am and again
+// after shift are both kept. The metrics table stays the one-row-per-day view
+// everything else reads: after each change the day's readings are rolled up
+// with the metric's aggregation rule (last, mean, max, min, sum) and written
+// back to it. Derived metrics (calories from food_log) skip readings.
+
+const { currentDate, logicalDate, localClock, atLocalTime } = require('./DateUtils');
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// Date → 'YYYY-MM-DD HH:MM:SS' (SQLite CURRENT_TIMESTAMP format, UTC)
+function toTimestamp(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// When a reading happened: local "HH:MM" on the given date, a full ISO time,
+// or now. A past date without a time gets the current time of day on that
+// date (like "energy 5 yesterday" from chat). Dates are the user's logical
+// day (DateUtils). Returns { date, recorded_at } or { error }.
+function readingTime(date, at, now = new Date()) {
+    if (at !== undefined && at !== null && at !== '') {
+        const clock = String(at).match(TIME_PATTERN);
+        if (clock) {
+            const day = date || currentDate(now);
+            return { date: day, recorded_at: toTimestamp(atLocalTime(day, `${clock[1].padStart(2, '0')}:${clock[2]}`)) };
+        }
+
+        const parsed = new Date(at);
+        if (isNaN(parsed.getTime())) return { error: 'at must be HH:MM or an ISO date-time' };
+        return { date: date || logicalDate(parsed), recorded_at: toTimestamp(parsed) };
+    }
+
+    const day = date || currentDate(now);
+    return {
+        date: day,
+        recorded_at: toTimestamp(day === currentDate(now) ? now : atLocalTime(day, localClock(now)))
+    };
+}
+
+// One day's readings for a metric (oldest first) → the daily value
+function aggregate(values, rule, type) {
+    const numbers = values.filter(value => typeof value === 'number');
+    if (type === 'text' || numbers.length === 0) return values[values.length - 1];
+
+    switch (rule) {
+        case 'mean': return Math.round(numbers.reduce((s, v) => s + v, 0) / numbers.length * 10) / 10;
+        case 'max': return Math.max(...numbers);
+        case 'min': return Math.min(...numbers);
+        case 'sum': return Math.round(numbers.reduce((s, v) => s + v, 0) * 10) / 10;
+        default: return values[values.length - 1];
+    }
+}
+
+class MetricReadings {
+    constructor(db, registry) {
+        this.db = db;
+        this.registry = registry;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    // Needs the registry initialized - the backfill reads its definitions
+    async init() {
+        await this.run(`CREATE TABLE IF NOT EXISTS metric_readings (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            date TEXT NOT NULL,
+            metric TEXT NOT NULL,
+            value NUMERIC,
+            recorded_at DATETIME NOT NULL,
+            source TEXT DEFAULT 'manual',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await this.run('CREATE INDEX IF NOT EXISTS idx_metric_readings_date ON metric_readings(date, metric)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_metric_readings_metric ON metric_readings(metric, recorded_at)');
+
+        const existing = await this.get('SELECT COUNT(*) AS count FROM metric_readings');
+        if (existing.count === 0) await this.backfill();
+    }
+
+    // First run: each day's existing values become one reading each, so later
+    // readings roll up with them instead of replacing them
+    async backfill() {
+        const definitions = (await this.registry.list({ includeInactive: true })).filter(d => !d.display.derived);
+        const rows = await this.all('SELECT * FROM metrics ORDER BY date, created_at, id');
+
+        // Latest row per date - that's the one every reader shows
+        const latest = {};
+        rows.forEach(row => { latest[row.date] = row; });
+
+        let count = 0;
+        for (const row of Object.values(latest)) {
+            for (const definition of definitions) {
+                const value = row[definition.name];
+                if (value === null || value === undefined) continue;
+                await this.run(
+                    'INSERT INTO metric_readings (date, metric, value, recorded_at, source) VALUES (?, ?, ?, ?, ?)',
+                    [row.date, definition.name, value, row.created_at || `${row.date} 12:00:00`, 'import']
+                );
+                count++;
+            }
+        }
+
+        if (count > 0) console.log(`✓ Backfilled ${count} metric readings from daily metrics`);
+    }
+
+    // Log { column: value } for a date at one time. Returns the new readings.
+    async record(date, values, { recordedAt, source = 'manual' } = {}) {
+        const readings = [];
+        const derived = {};
+
+        for (const [metric, value] of Object.entries(values)) {
+            if (value === null || value === undefined) continue;
+
+            const definition = await this.registry.find(metric);
+            if (definition && definition.display.derived) {
+                derived[metric] = value;
+                continue;
+            }
+
+            const result = await this.run(
+                'INSERT INTO metric_readings (date, metric, value, recorded_at, source) VALUES (?, ?, ?, ?, ?)',
+                [date, metric, value, recordedAt, source]
+            );
+            readings.push({ id: result.lastID, date, metric, value, recorded_at: recordedAt, source });
+        }
+
+        const daily = await this.rollupDay(date, readings.map(reading => reading.metric));
+        if (Object.keys(derived).length > 0) await this.writeDay(date, derived);
+
+        return { readings, daily: { ...daily, ...derived } };
+    }
+
+    // Set the day's value of each given metric outright: its readings for the
+    // date are replaced by this one (null clears the metric for the day).
+    // Metrics not given are left alone.
+    async setDay(date, values, { recordedAt, source = 'edit' } = {}) {
+        const metrics = Object.keys(values);
+        for (const metric of metrics) {
+            await this.run('DELETE FROM metric_readings WHERE date = ? AND metric = ?', [date, metric]);
+        }
+
+        const { readings, daily } = await this.record(date, values, { recordedAt, source });
+
+        // Cleared metrics have no readings left - roll them up to null
+        const cleared = metrics.filter(metric => values[metric] === null && !(metric in daily));
+        return { readings, daily: { ...daily, ...await this.rollupDay(date, cleared) } };
+    }
+
+    async remove(id) {
+        const reading = await this.get('SELECT * FROM metric_readings WHERE id = ?', [id]);
+        if (!reading) return null;
+
+        await this.run('DELETE FROM metric_readings WHERE id = ?', [id]);
+        await this.rollupDay(reading.date, [reading.metric]);
+        return reading;
+    }
+
+    // Recompute the daily values of the given metrics from their readings and
+    // store them on the day's metrics row (null once the last reading is gone)
+    async rollupDay(date, metrics) {
+        if (metrics.length === 0) return {};
+
+        const unique = [...new Set(metrics)];
+        const rows = await this.all(
+            `SELECT metric, value FROM metric_readings WHERE date = ? AND metric IN (${unique.map(() => '?').join(', ')})
+             ORDER BY recorded_at, id`,
+            [date, ...unique]
+        );
+
+        const daily = {};
+        for (const metric of unique) {
+            const definition = await this.registry.find(metric);
+            const values = rows.filter(row => row.metric === metric).map(row => row.value);
+            daily[metric] = values.length > 0
+                ? aggregate(values, definition ? definition.aggregation : 'last', definition ? definition.type : 'real')
+                : null;
+        }
+
+        await this.writeDay(date, daily);
+        return daily;
+    }
+
+    // Every day of one metric again - after its aggregation rule changes
+    async rollupMetric(metric) {
+        const dates = await this.all('SELECT DISTINCT date FROM metric_readings WHERE metric = ?', [metric]);
+        for (const { date } of dates) {
+            await this.rollupDay(date, [metric]);
+        }
+        return dates.length;
+    }
+
+    async writeDay(date, values) {
+        const columns = Object.keys(values);
+        const updated = await this.run(
+            `UPDATE metrics SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE date = ?`,
+            [...Object.values(values), date]
+        );
+        if (updated.changes === 0) {
+            await this.run(
+                `INSERT INTO metrics (date, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`,
+                [date, ...Object.values(values)]
+            );
+        }
+    }
+
+    // Raw readings, oldest first
+    async readings({ from, to, metric = null }) {
+        const params = [from, to];
+        let sql = 'SELECT id, date, metric, value, recorded_at, source FROM metric_readings WHERE date BETWEEN ? AND ?';
+        if (metric) {
+            sql += ' AND metric = ?';
+            params.push(metric);
+        }
+        return this.all(`${sql} ORDER BY recorded_at, id`, params);
+    }
+
+    // One entry per metric per day: the aggregated value plus how it was reached
+    async daily({ from, to, metric = null }) {
+        const readings = await this.readings({ from, to, metric });
+        const groups = {};
+        readings.forEach(reading => {
+            const key = `${reading.date}|${reading.metric}`;
+            (groups[key] = groups[key] || []).push(reading);
+        });
+
+        const days = [];
+        for (const group of Object.values(groups)) {
+            const definition = await this.registry.find(group[0].metric);
+            const rule = definition ? definition.aggregation : 'last';
+            const values = group.map(reading => reading.value);
+            const numbers = values.filter(value => typeof value === 'number');
+
+            days.push({
+                date: group[0].date,
+                metric: group[0].metric,
+                value: aggregate(values, rule, definition ? definition.type : 'real'),
+                aggregation: rule,
+                readings: group.length,
+                min: numbers.length ? Math.min(...numbers) : null,
+                max: numbers.length ? Math.max(...numbers) : null,
+                first_at: group[0].recorded_at,
+                last_at: group[group.length - 1].recorded_at
+            });
+        }
+
+        return days.sort((a, b) => a.date.localeCompare(b.date) || a.metric.localeCompare(b.metric));
+    }
+}
+
+module.exports = MetricReadings;
+module.exports.aggregate = aggregate;
+module.exports.readingTime = readingTime;
+module.exports.toTimestamp = toTimestamp;
@@ -0,0 +1,444 @@
+// ============ METRIC REGISTRY ============
+// One definition per daily metric (a column on the metrics table): label, type,
+// unit, range, how readings roll up into a day, the words chat uses for it and
+// display hints. Chat extraction, POST /api/metrics, coaching patterns and the
+// dashboard all read from here, so a tracker added through self-modification
+// works everywhere the built-in ones do.
+
+const TYPES = ['integer', 'real', 'boolean', 'text'];
+const AGGREGATIONS = ['last', 'mean', 'max', 'min', 'sum'];
+
+// Where the number sits relative to the metric's words in chat:
+// "energy 6" (after), "3 seltzers" (before), either, or none (never from chat)
+const CHAT_POSITIONS = ['after', 'before', 'either', 'none'];
+
+// Metrics table columns that aren't metrics
+const RESERVED_COLUMNS = ['id', 'date', 'created_at'];
+
+// POST /api/metrics fields that describe the request, not a metric
+const REQUEST_FIELDS = ['date', 'at', 'source'];
+
+const BUILTIN_METRICS = [
+    { name: 'sleep', label: 'Sleep Quality', type: 'integer', min: 1, max: 10, aggregation: 'last',
+        synonyms: ['sleep quality', 'sleep'], display: { icon: '😴', scale: true } },
+    { name: 'energy', label: 'Energy Level', type: 'integer', min: 1, max: 10, aggregation: 'mean',
+        synonyms: ['energy level', 'energy'], display: { icon: '⚡', scale: true } },
+    { name: 'knee_pain', label: 'Knee Pain', type: 'integer', min: 0, max: 10, aggregation: 'max',
+        synonyms: ['knee pain', 'knee'], display: { icon: '🦵', scale: true, higher_is_better: false } },
+    { name: 'seltzers', label: 'Seltzers', type: 'integer', min: 0, max: 50, aggregation: 'sum',
+        synonyms: ['seltzers', 'seltzer'], chat_position: 'before', display: { icon: '🥤', higher_is_better: false } },
+    { name: 'water_oz', label: 'Water', type: 'integer', unit: 'oz', min: 0, max: 400, aggregation: 'sum',
+        synonyms: ['water'], chat_position: 'before', display: { icon: '💧' } },
+    { name: 'workout_done', label: 'Workout', type: 'boolean', aggregation: 'max',
+        synonyms: ['worked out', 'workout done', 'did my workout'], display: { icon: '🏋️' } },
+    { name: 'weight', label: 'Weight', type: 'real', unit: 'lbs', min: 50, max: 700, aggregation: 'last',
+        synonyms: ['weight', 'weighed in at', 'weighed'], display: { icon: '⚖️', higher_is_better: false } },
+    { name: 'steps', label: 'Steps', type: 'integer', min: 0, max: 100000, aggregation: 'max',
+        synonyms: ['steps'], chat_position: 'either', display: { icon: '👟' } },
+    // Usually filled from Apple Health / Google Fit exports
+    { name: 'heart_rate', label: 'Heart Rate', type: 'integer', unit: 'bpm', min: 20, max: 250, aggregation: 'mean',
+        synonyms: ['heart rate'], display: { icon: '❤️' } },
+    { name: 'resting_heart_rate', label: 'Resting Heart Rate', type: 'integer', unit: 'bpm', min: 20, max: 200, aggregation: 'min',
+        synonyms: ['resting heart rate', 'resting hr'], display: { icon: '💓', higher_is_better: false } },
+    { name: 'sleep_hours', label: 'Sleep Duration', type: 'real', unit: 'h', min: 0, max: 24, aggregation: 'last',
+        synonyms: ['hours of sleep', 'hrs of sleep', 'slept'], chat_position: 'either', display: { icon: '🛌' } },
+    // Derived from food_log by the daily totals triggers; "calories" is the POST field name
+    { name: 'calories_consumed', label: 'Calories', type: 'integer', unit: 'cal', min: 0, max: 15000, aggregation: 'sum',
+        synonyms: ['calories'], chat_position: 'none', display: { icon: '🍽️', derived: true } }
+];
+
+// Filler allowed between the metric's words and its number: "sleep quality at a 5",
+// "energy level is 6", "weight: 212"
+const VALUE_AFTER = '\\s*[:=]?\\s*(?:(?:level|quality|score|is|was|at|of|in|around|about|a)\\s+)*(\\d[\\d,]*(?:\\.\\d+)?)\\b';
+const VALUE_BEFORE = '\\b(\\d[\\d,]*(?:\\.\\d+)?)\\s*(?:UNIT\\s*)?(?:of\\s+)?';
+
+const NEGATION = /\b(?:no|not|didn'?t|did not|skipped|missed)\b/i;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// SQLite column type → definition type
+function typeFromColumn(columnType) {
+    const upper = (columnType || '').toUpperCase();
+    if (upper.includes('INT')) return 'integer';
+    if (upper.includes('REAL') || upper.includes('FLOA') || upper.includes('DOUB')) return 'real';
+    if (upper.includes('BOOL')) return 'boolean';
+    return 'text';
+}
+
+// Definition type → SQLite column type for new metrics
+function columnType(type) {
+    return { integer: 'INTEGER', real: 'REAL', boolean: 'BOOLEAN', text: 'TEXT' }[type] || 'TEXT';
+}
+
+function labelFromName(name) {
+    return name.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+// Raw input → stored value for the definition's type, or { code, message }
+function coerceValue(definition, raw) {
+    if (raw === null || raw === undefined || raw === '') return { value: null };
+
+    switch (definition.type) {
+        case 'integer':
+        case 'real': {
+            const value = typeof raw === 'number' ? raw
+                : /^\s*-?[\d,]*\.?\d+\s*$/.test(String(raw)) ? parseFloat(String(raw).replace(/,/g, '')) : NaN;
+            if (!Number.isFinite(value)) return { code: 'invalid_type', message: 'must be a number' };
+            if (definition.type === 'integer' && !Number.isInteger(value)) {
+                return { code: 'invalid_type', message: 'must be a whole number' };
+            }
+            return { value };
+        }
+        case 'boolean':
+            if (raw === true || raw === 1 || /^(?:true|yes|1)$/i.test(String(raw))) return { value: 1 };
+            if (raw === false || raw === 0 || /^(?:false|no|0)$/i.test(String(raw))) return { value: 0 };
+            return { code: 'invalid_type', message: 'must be true or false' };
+        default:
+            return { value: String(raw) };
+    }
+}
+
+// Type and declared range check shared by the API and chat extraction.
+// Returns { value } or { code, message } (plus min/max for out_of_range).
+function validateValue(definition, raw) {
+    const coerced = coerceValue(definition, raw);
+    if (coerced.code || coerced.value === null || typeof coerced.value !== 'number') return coerced;
+
+    const { min, max } = definition;
+    if ((min !== null && coerced.value < min) || (max !== null && coerced.value > max)) {
+        const range = min !== null && max !== null ? `between ${min} and ${max}`
+            : min !== null ? `at least ${min}` : `at most ${max}`;
+        return { code: 'out_of_range', message: `must be ${range}`, min, max };
+    }
+    return coerced;
+}
+
+// Structured error for one field: { field, metric, value, code, message, min?, max? }
+function fieldError(field, definition, value, result) {
+    const { code, message, ...range } = result;
+    return { field, metric: definition ? definition.name : null, value, code, message, ...range };
+}
+
+// What a message gives for one metric: { value, match }, { rejected } when the only
+// numbers found fail validation ("sleep 70"), or undefined
+function extractValue(definition, message) {
+    if (definition.chat_position === 'none' || !definition.active || definition.type === 'text') return undefined;
+
+    // Longest synonym first so "knee pain 3" wins over "knee"
+    const synonyms = [...definition.synonyms].sort((a, b) => b.length - a.length);
+    let rejected;
+
+    for (const synonym of synonyms) {
+        const words = escapeRegex(synonym).replace(/\s+/g, '\\s+');
+
+        if (definition.type === 'boolean') {
+            const match = message.match(new RegExp(`(?:\\b\\w+\\s+){0,2}\\b${words}\\b`, 'i'));
+            if (match) return { value: NEGATION.test(match[0]) ? 0 : 1, match: match[0] };
+            continue;
+        }
+
+        const patterns = [];
+        if (definition.chat_position !== 'before') {
+            patterns.push(new RegExp(`\\b${words}${VALUE_AFTER}`, 'i'));
+        }
+        if (definition.chat_position === 'before' || definition.chat_position === 'either') {
+            const unit = definition.unit ? `(?:${escapeRegex(definition.unit)}|ounces?)` : '(?!)';
+            patterns.push(new RegExp(`${VALUE_BEFORE.replace('UNIT', unit)}${words}\\b`, 'i'));
+        }
+
+        for (const pattern of patterns) {
+            const match = message.match(pattern);
+            if (!match) continue;
+
+            const result = validateValue(definition, match[1]);
+            if (result.code === undefined) return { value: result.value, match: match[0] };
+            rejected = rejected || fieldError(match[0].trim(), definition, match[1], result);
+        }
+    }
+
+    return rejected ? { rejected } : undefined;
+}
+
+// "Sleep Quality: 5/10", "Water: 64 oz", "Workout: yes"
+function formatValue(definition, value) {
+    if (value === null || value === undefined) return null;
+    if (definition.type === 'boolean') return value ? 'yes' : 'no';
+    if (definition.display.scale && definition.max !== null) return `${value}/${definition.max}`;
+    return definition.unit ? `${value} ${definition.unit}` : String(value);
+}
+
+class MetricRegistry {
+    constructor(db) {
+        this.db = db;
+        this.cache = null;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    // activeColumns: metrics columns still in use (SchemaMigration.getActiveFields);
+    // other unregistered columns were soft-deleted trackers and start inactive
+    async init({ activeColumns = null } = {}) {
+        await this.run(`CREATE TABLE IF NOT EXISTS metric_definitions (
+            name TEXT PRIMARY KEY,
+            label TEXT NOT NULL,
+            type TEXT NOT NULL DEFAULT 'integer',
+            unit TEXT,
+            min_value REAL,
+            max_value REAL,
+            aggregation TEXT NOT NULL DEFAULT 'last',
+            synonyms TEXT DEFAULT '[]',
+            chat_position TEXT NOT NULL DEFAULT 'after',
+            display TEXT DEFAULT '{}',
+            builtin INTEGER DEFAULT 0,
+            active INTEGER DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        for (const metric of BUILTIN_METRICS) {
+            await this.run(
+                `INSERT OR IGNORE INTO metric_definitions
+                 (name, label, type, unit, min_value, max_value, aggregation, synonyms, chat_position, display, builtin)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)`,
+                [metric.name, metric.label, metric.type, metric.unit || null, metric.min ?? null, metric.max ?? null,
+                    metric.aggregation, JSON.stringify(metric.synonyms), metric.chat_position || 'after', JSON.stringify(metric.display || {})]
+            );
+        }
+
+        await this.syncColumns(activeColumns);
+    }
+
+    // Register metrics columns that have no definition yet (trackers added
+    // through SchemaMigration.addField before the registry existed)
+    async syncColumns(activeColumns = null) {
+        const columns = await this.all('PRAGMA table_info(metrics)');
+        const known = new Set((await this.all('SELECT name FROM metric_definitions')).map(row => row.name));
+
+        for (const column of columns) {
+            if (RESERVED_COLUMNS.includes(column.name) || known.has(column.name)) continue;
+
+            const active = !activeColumns || activeColumns.includes(column.name);
+            await this.run(
+                'INSERT OR IGNORE INTO metric_definitions (name, label, type, synonyms, active) VALUES (?, ?, ?, ?, ?)',
+                [column.name, labelFromName(column.name), typeFromColumn(column.type), JSON.stringify([column.name.replace(/_/g, ' ')]), active ? 1 : 0]
+            );
+            console.log(`✓ Registered metric: ${column.name}${active ? '' : ' (removed tracker)'}`);
+        }
+
+        this.cache = null;
+    }
+
+    describe(row) {
+        return {
+            name: row.name,
+            label: row.label,
+            type: row.type,
+            unit: row.unit,
+            min: row.min_value,
+            max: row.max_value,
+            aggregation: row.aggregation,
+            synonyms: JSON.parse(row.synonyms || '[]'),
+            chat_position: row.chat_position,
+            display: JSON.parse(row.display || '{}'),
+            builtin: !!row.builtin,
+            active: !!row.active
+        };
+    }
+
+    // Every definition (active first, built-ins in their seeded order). Cached
+    // until something changes - extraction reads this on every chat message.
+    async list({ includeInactive = false } = {}) {
+        if (!this.cache) {
+            const rows = await this.all('SELECT * FROM metric_definitions ORDER BY builtin DESC, rowid');
+            this.cache = rows.map(row => this.describe(row));
+        }
+        return includeInactive ? this.cache : this.cache.filter(definition => definition.active);
+    }
+
+    async find(name) {
+        return (await this.list({ includeInactive: true })).find(definition => definition.name === name) || null;
+    }
+
+    // Request field → definition: the column name or any synonym ("knee", "calories")
+    async resolve(field) {
+        const key = String(field).toLowerCase().replace(/_/g, ' ').trim();
+        const definitions = await this.list();
+        return definitions.find(definition => definition.name === field)
+            || definitions.find(definition => definition.synonyms.some(synonym => synonym.toLowerCase() === key))
+            || null;
+    }
+
+    // Request body → { values: { column: value }, unknown: [...], errors: [...] }.
+    // Unknown fields are listed separately so callers can ignore or reject them.
+    async resolveFields(body) {
+        const values = {};
+        const unknown = [];
+        const errors = [];
+
+        for (const field of Object.keys(body || {})) {
+            if (REQUEST_FIELDS.includes(field)) continue;
+
+            const definition = await this.resolve(field);
+            if (!definition) {
+                unknown.push(field);
+                continue;
+            }
+
+            const result = validateValue(definition, body[field]);
+            if (result.code) errors.push(fieldError(field, definition, body[field], result));
+            else values[definition.name] = result.value;
+        }
+
+        return { values, unknown, errors };
+    }
+
+    // Every metric value a chat message mentions → { values: { column: value }, rejected: [...] }.
+    // Values that fail the definition's type or range are rejected, not stored.
+    async extract(message) {
+        const values = {};
+        const rejected = [];
+
+        // Longest chat words first, and each match is blanked out so "resting
+        // heart rate 55" isn't also read as "heart rate 55"
+        const longest = definition => Math.max(0, ...definition.synonyms.map(synonym => synonym.length));
+        const definitions = [...await this.list()].sort((a, b) => longest(b) - longest(a));
+        let remaining = message;
+
+        for (const definition of definitions) {
+            const result = extractValue(definition, remaining);
+            if (!result) continue;
+            if (result.rejected) {
+                rejected.push(result.rejected);
+                continue;
+            }
+            values[definition.name] = result.value;
+            remaining = remaining.replace(result.match, ' '.repeat(result.match.length));
+        }
+        return { values, rejected };
+    }
+
+    // Add or update a definition. Only the provided fields change.
+    async define(name, fields) {
+        const existing = await this.find(name);
+        const merged = {
+            label: labelFromName(name),
+            type: 'integer',
+            unit: null,
+            min: null,
+            max: null,
+            aggregation: 'last',
+            synonyms: [name.replace(/_/g, ' ')],
+            chat_position: 'after',
+            display: {},
+            active: true,
+            ...(existing || {}),
+            ...fields
+        };
+
+        await this.run(
+            `INSERT INTO metric_definitions
+             (name, label, type, unit, min_value, max_value, aggregation, synonyms, chat_position, display, active)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT(name) DO UPDATE SET
+                label = excluded.label, type = excluded.type, unit = excluded.unit,
+                min_value = excluded.min_value, max_value = excluded.max_value,
+                aggregation = excluded.aggregation, synonyms = excluded.synonyms,
+                chat_position = excluded.chat_position, display = excluded.display,
+                active = excluded.active, updated_at = CURRENT_TIMESTAMP`,
+            [name, merged.label, merged.type, merged.unit, merged.min, merged.max, merged.aggregation,
+                JSON.stringify(merged.synonyms), merged.chat_position, JSON.stringify(merged.display), merged.active ? 1 : 0]
+        );
+
+        this.cache = null;
+        return this.find(name);
+    }
+
+    // Hidden everywhere but the data (and column) stays
+    async deactivate(name) {
+        const result = await this.run('UPDATE metric_definitions SET active = 0, updated_at = CURRENT_TIMESTAMP WHERE name = ?', [name]);
+        this.cache = null;
+        return result.changes > 0;
+    }
+}
+
+// Returns an error message for an invalid definition body, or null
+function validateDefinition(fields, { creating = false } = {}) {
+    if (creating && !(typeof fields.name === 'string' && /^[a-z][a-z0-9_]{0,49}$/.test(fields.name))) {
+        return 'name must be lowercase letters, digits and underscores (max 50)';
+    }
+    if (creating && (RESERVED_COLUMNS.includes(fields.name) || REQUEST_FIELDS.includes(fields.name))) {
+        return `"${fields.name}" is reserved`;
+    }
+    if (fields.label !== undefined && !(typeof fields.label === 'string' && fields.label.trim())) {
+        return 'label must be a non-empty string';
+    }
+    if (fields.type !== undefined && !TYPES.includes(fields.type)) {
+        return `type must be one of: ${TYPES.join(', ')}`;
+    }
+    if (fields.aggregation !== undefined && !AGGREGATIONS.includes(fields.aggregation)) {
+        return `aggregation must be one of: ${AGGREGATIONS.join(', ')}`;
+    }
+    if (fields.chat_position !== undefined && !CHAT_POSITIONS.includes(fields.chat_position)) {
+        return `chat_position must be one of: ${CHAT_POSITIONS.join(', ')}`;
+    }
+    for (const bound of ['min', 'max']) {
+        if (fields[bound] !== undefined && fields[bound] !== null && typeof fields[bound] !== 'number') {
+            return `${bound} must be a number or null`;
+        }
+    }
+    if (typeof fields.min === 'number' && typeof fields.max === 'number' && fields.min > fields.max) {
+        return 'min must not be greater than max';
+    }
+    if (fields.synonyms !== undefined && !(Array.isArray(fields.synonyms) && fields.synonyms.every(s => typeof s === 'string' && s.trim()))) {
+        return 'synonyms must be an array of strings';
+    }
+    if (fields.display !== undefined && (typeof fields.display !== 'object' || fields.display === null || Array.isArray(fields.display))) {
+        return 'display must be an object';
+    }
+    if (fields.active !== undefined && typeof fields.active !== 'boolean') {
+        return 'active must be true or false';
+    }
+    if (fields.unit !== undefined && fields.unit !== null && typeof fields.unit !== 'string') {
+        return 'unit must be a string or null';
+    }
+    return null;
+}
+
+module.exports = MetricRegistry;
+module.exports.BUILTIN_METRICS = BUILTIN_METRICS;
+module.exports.TYPES = TYPES;
+module.exports.AGGREGATIONS = AGGREGATIONS;
+module.exports.coerceValue = coerceValue;
+module.exports.validateValue = validateValue;
+module.exports.fieldError = fieldError;
+module.exports.extractValue = extractValue;
+module.exports.formatValue = formatValue;
+module.exports.columnType = columnType;
+module.exports.validateDefinition = validateDefinition;
@@ -0,0 +1,193 @@
+// ============ NUTRIENT GAPS ============
+// Finds vitamins, minerals and fiber that stay below target across the
+// trailing week of food_log totals, and ranks foods that close the gap by
+// nutrient density (percent of the daily target per 100 kcal).
+
+const { NUTRIENT_LABELS } = require('./Nutrients');
+
+const GAP_WINDOW_DAYS = 7;
+
+// Below this share of the target a nutrient counts as low
+const LOW_PERCENT = 70;
+
+// Fewer logged days than this is too little data to call a gap chronic
+const MIN_LOGGED_DAYS = 3;
+
+// A suggestion must cover at least this much of the target per 100g,
+// otherwise "eat more cucumber" wins on density alone
+const MIN_PERCENT_PER_100G = 10;
+
+// Nutrients checked for gaps and the words chat uses for them
+const GAP_ALIASES = {
+    fiber: ['fiber', 'fibre'],
+    vitamin_a: ['vitamin a', 'vit a', 'retinol'],
+    vitamin_c: ['vitamin c', 'vit c'],
+    vitamin_d: ['vitamin d', 'vit d'],
+    vitamin_e: ['vitamin e', 'vit e'],
+    vitamin_k: ['vitamin k', 'vit k'],
+    vitamin_b6: ['vitamin b6', 'vit b6', 'b6'],
+    vitamin_b12: ['vitamin b12', 'vit b12', 'b12'],
+    folate: ['folate', 'folic acid'],
+    calcium: ['calcium'],
+    iron: ['iron'],
+    magnesium: ['magnesium'],
+    potassium: ['potassium'],
+    zinc: ['zinc']
+};
+
+const GAP_NUTRIENTS = Object.fromEntries(Object.entries(GAP_ALIASES)
+    .map(([field, aliases]) => [field, { ...NUTRIENT_LABELS[field], aliases }]));
+
+// Everyday foods to look up through the provider chain when the local
+// database has nothing rich enough in a nutrient (e.g. no dump imported yet)
+const FOOD_IDEAS = {
+    fiber: ['lentils', 'black beans', 'chia seeds', 'raspberries', 'oats'],
+    vitamin_a: ['sweet potato', 'carrots', 'spinach', 'kale', 'cantaloupe'],
+    vitamin_c: ['red bell pepper', 'kiwi', 'broccoli', 'strawberries', 'orange'],
+    vitamin_d: ['salmon', 'sardines', 'egg', 'fortified milk', 'mushrooms'],
+    vitamin_e: ['sunflower seeds', 'almonds', 'spinach', 'avocado', 'peanut butter'],
+    vitamin_k: ['kale', 'spinach', 'broccoli', 'brussels sprouts', 'green beans'],
+    vitamin_b6: ['chickpeas', 'tuna', 'chicken breast', 'potato', 'banana'],
+    vitamin_b12: ['clams', 'beef liver', 'salmon', 'tuna', 'greek yogurt'],
+    folate: ['lentils', 'spinach', 'asparagus', 'black beans', 'avocado'],
+    calcium: ['greek yogurt', 'sardines', 'cheddar cheese', 'tofu', 'milk'],
+    iron: ['beef liver', 'lentils', 'spinach', 'tofu', 'ground beef'],
+    magnesium: ['pumpkin seeds', 'spinach', 'almonds', 'black beans', 'dark chocolate'],
+    potassium: ['potato', 'white beans', 'spinach', 'banana', 'avocado'],
+    zinc: ['oysters', 'ground beef', 'pumpkin seeds', 'chickpeas', 'cashews']
+};
+
+function round(value, places = 1) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "vitamin D", "b12", "fix my magnesium" → nutrient field, or null
+function findNutrientMention(text) {
+    const lower = (text || '').toLowerCase();
+    let found = null;
+
+    Object.keys(GAP_NUTRIENTS).forEach(field => {
+        if (found) return;
+        const matched = GAP_NUTRIENTS[field].aliases.some(alias =>
+            new RegExp(`\\b${escapeRegex(alias)}\\b`).test(lower));
+        if (matched) found = field;
+    });
+
+    return found;
+}
+
+// Accepts a field name ("vitamin_d") or anything findNutrientMention knows
+function resolveNutrient(name) {
+    const key = (name || '').toLowerCase().trim();
+    if (GAP_NUTRIENTS[key]) return key;
+    return findNutrientMention(key.replace(/[_-]/g, ' '));
+}
+
+// "what should I eat to fix my magnesium", "how do I get more vitamin D",
+// "I'm low on iron" → nutrient field; null when the message isn't asking
+function parseNutrientQuestion(text) {
+    const nutrient = findNutrientMention(text);
+    if (!nutrient) return null;
+
+    const asking = /\b(?:eat|foods?|sources?|get more|more of|boost|raise|increase|fix|improve|low on|low in|short on|deficien\w*|rich in|high in)\b/i;
+    if (!asking.test(text)) return null;
+
+    // "had spinach to boost my iron" is a food log, not a question
+    const logging = /\b(?:ate|had|drank|consumed)\b/i.test(text) && !/\?|\b(?:what|which|how|should|suggest|recommend)\b/i.test(text);
+    return logging ? null : nutrient;
+}
+
+// How one nutrient is doing over the window.
+// rows: food_log totals grouped by date (days with food logged), todayRow: the last day's row or null
+function assessNutrient(field, rows, todayRow, target) {
+    const values = rows.map(row => parseFloat(row[field]) || 0);
+    const weekAverage = values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+    const today = todayRow ? parseFloat(todayRow[field]) || 0 : 0;
+    const daysBelow = values.filter(v => v < target * LOW_PERCENT / 100).length;
+    const weekPercent = target ? (weekAverage / target) * 100 : null;
+
+    return {
+        nutrient: field,
+        label: GAP_NUTRIENTS[field].label,
+        unit: GAP_NUTRIENTS[field].unit,
+        target,
+        today: round(today, 2),
+        today_percent: target ? round((today / target) * 100) : null,
+        remaining_today: round(Math.max(0, target - today), 2),
+        week_average: round(weekAverage, 2),
+        week_percent: weekPercent !== null ? round(weekPercent) : null,
+        daily_gap: round(Math.max(0, target - weekAverage), 2),
+        days_below: daysBelow,
+        logged_days: rows.length,
+        low: weekPercent !== null && weekPercent < LOW_PERCENT,
+        chronic: rows.length >= MIN_LOGGED_DAYS && daysBelow / rows.length >= 0.5 && weekPercent < LOW_PERCENT
+    };
+}
+
+// Every tracked nutrient that averaged below LOW_PERCENT of target, lowest first.
+// dailyRows covers from..to; the row dated `to` is "today".
+function findGaps(dailyRows, { to, targets }) {
+    const todayRow = dailyRows.find(row => row.date === to) || null;
+
+    return Object.keys(GAP_NUTRIENTS)
+        .filter(field => targets[field])
+        .map(field => assessNutrient(field, dailyRows, todayRow, targets[field]))
+        .filter(assessment => assessment.low)
+        .sort((a, b) => a.week_percent - b.week_percent);
+}
+
+// "Seeds, pumpkin and squash seed kernels, dried" and "..., roasted" are one suggestion
+function varietyKey(name) {
+    return name.toLowerCase().split(',').slice(0, 2).map(part => part.trim()).join(',');
+}
+
+// Rank foods (nutrients per 100g: { food_name, source, calories, [field] }) by
+// percent of target per 100 kcal. gap: amount still missing per day, for portion sizing.
+function rankFoodsForNutrient(foods, field, { target, gap = 0, limit = 5 }) {
+    const seen = new Set();
+
+    return foods
+        .map(food => {
+            const amount = parseFloat(food[field]) || 0;
+            const calories = parseFloat(food.calories) || 0;
+            return { food, amount, calories, percent: (amount / target) * 100 };
+        })
+        .filter(entry => entry.calories > 0 && entry.percent >= MIN_PERCENT_PER_100G)
+        .map(entry => ({ ...entry, density: entry.percent / (entry.calories / 100) }))
+        .sort((a, b) => b.density - a.density)
+        .filter(entry => {
+            const key = varietyKey(entry.food.food_name);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, limit)
+        .map(entry => ({
+            food_name: entry.food.food_name,
+            source: entry.food.source || null,
+            per_100g: round(entry.amount, 2),
+            calories_per_100g: round(entry.calories),
+            percent_target_per_100g: round(entry.percent),
+            percent_target_per_100kcal: round(entry.density),
+            grams_to_close_gap: gap > 0 ? Math.round(gap / entry.amount * 100) : null
+        }));
+}
+
+module.exports = {
+    GAP_WINDOW_DAYS,
+    LOW_PERCENT,
+    MIN_PERCENT_PER_100G,
+    GAP_NUTRIENTS,
+    FOOD_IDEAS,
+    findNutrientMention,
+    resolveNutrient,
+    parseNutrientQuestion,
+    assessNutrient,
+    findGaps,
+    rankFoodsForNutrient
+};
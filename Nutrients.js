@@ -0,0 +1,201 @@
+// ============ NUTRIENT DEFINITIONS ============
+// Shared nutrient field list plus USDA FoodData Central and Open Food Facts mappings
+
+// Numeric nutrient columns on food_log (serving_size is stored alongside as text)
+const NUTRIENT_FIELDS = [
+    'calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar',
+    'sodium', 'cholesterol', 'saturated_fat', 'vitamin_a', 'vitamin_c',
+    'vitamin_d', 'vitamin_e', 'vitamin_k', 'vitamin_b6', 'vitamin_b12',
+    'folate', 'calcium', 'iron', 'magnesium', 'potassium', 'zinc'
+];
+
+// Display label and unit for every nutrient field
+const NUTRIENT_LABELS = {
+    calories: { label: 'Calories', unit: 'kcal' },
+    protein: { label: 'Protein', unit: 'g' },
+    carbs: { label: 'Carbs', unit: 'g' },
+    fat: { label: 'Fat', unit: 'g' },
+    fiber: { label: 'Fiber', unit: 'g' },
+    sugar: { label: 'Sugar', unit: 'g' },
+    sodium: { label: 'Sodium', unit: 'mg' },
+    cholesterol: { label: 'Cholesterol', unit: 'mg' },
+    saturated_fat: { label: 'Saturated fat', unit: 'g' },
+    vitamin_a: { label: 'Vitamin A', unit: 'mcg' },
+    vitamin_c: { label: 'Vitamin C', unit: 'mg' },
+    vitamin_d: { label: 'Vitamin D', unit: 'mcg' },
+    vitamin_e: { label: 'Vitamin E', unit: 'mg' },
+    vitamin_k: { label: 'Vitamin K', unit: 'mcg' },
+    vitamin_b6: { label: 'Vitamin B6', unit: 'mg' },
+    vitamin_b12: { label: 'Vitamin B12', unit: 'mcg' },
+    folate: { label: 'Folate', unit: 'mcg' },
+    calcium: { label: 'Calcium', unit: 'mg' },
+    iron: { label: 'Iron', unit: 'mg' },
+    magnesium: { label: 'Magnesium', unit: 'mg' },
+    potassium: { label: 'Potassium', unit: 'mg' },
+    zinc: { label: 'Zinc', unit: 'mg' }
+};
+
+// Daily targets for every nutrient field. sugar, cholesterol and saturated_fat
+// are upper limits rather than goals.
+const DEFAULT_RDAS = {
+    calories: 2200,
+    protein: 150,
+    carbs: 275,
+    fat: 73,
+    fiber: 30,
+    sugar: 50,           // g (limit)
+    sodium: 2300,        // mg (limit)
+    cholesterol: 300,    // mg (limit)
+    saturated_fat: 22,   // g (limit)
+    vitamin_a: 900,      // mcg
+    vitamin_c: 90,       // mg
+    vitamin_d: 20,       // mcg
+    vitamin_e: 15,       // mg
+    vitamin_k: 120,      // mcg
+    vitamin_b6: 1.7,     // mg
+    vitamin_b12: 2.4,    // mcg
+    folate: 400,         // mcg
+    calcium: 1000,       // mg
+    iron: 18,            // mg
+    magnesium: 420,      // mg
+    potassium: 3400,     // mg
+    zinc: 11             // mg
+};
+
+// Nutrients where staying under the target is the goal
+const RDA_LIMITS = ['sugar', 'sodium', 'cholesterol', 'saturated_fat'];
+
+// Map USDA nutrient IDs to our database fields
+const USDA_NUTRIENT_MAP = {
+    '1008': 'calories',      // Energy (kcal)
+    '1003': 'protein',       // Protein (g)
+    '1005': 'carbs',         // Carbohydrate (g)
+    '1004': 'fat',           // Total fat (g)
+    '1079': 'fiber',         // Fiber (g)
+    '2000': 'sugar',         // Sugars (g)
+    '1093': 'sodium',        // Sodium (mg)
+    '1253': 'cholesterol',   // Cholesterol (mg)
+    '1258': 'saturated_fat', // Saturated fat (g)
+    '1106': 'vitamin_a',     // Vitamin A (mcg)
+    '1162': 'vitamin_c',     // Vitamin C (mg)
+    '1114': 'vitamin_d',     // Vitamin D (mcg)
+    '1109': 'vitamin_e',     // Vitamin E (mg)
+    '1183': 'vitamin_k',     // Vitamin K (mcg)
+    '1175': 'vitamin_b6',    // Vitamin B6 (mg)
+    '1178': 'vitamin_b12',   // Vitamin B12 (mcg)
+    '1177': 'folate',        // Folate (mcg)
+    '1087': 'calcium',       // Calcium (mg)
+    '1089': 'iron',          // Iron (mg)
+    '1090': 'magnesium',     // Magnesium (mg)
+    '1092': 'potassium',     // Potassium (mg)
+    '1095': 'zinc'           // Zinc (mg)
+};
+
+// Foundation Foods often report energy only as Atwater factors instead of 1008
+const USDA_CALORIE_FALLBACKS = ['2047', '2048'];
+
+// Extract our nutrient fields from a USDA foodNutrients array.
+// Handles both the search API shape ({ nutrientId, value }) and the
+// bulk download shape ({ nutrient: { id }, amount }).
+function extractUsdaNutrients(foodNutrients) {
+    const nutrients = {};
+    const fallbackCalories = {};
+
+    (foodNutrients || []).forEach(nutrient => {
+        const nutrientId = (nutrient.nutrientId ?? nutrient.nutrient?.id)?.toString();
+        const value = nutrient.value ?? nutrient.amount;
+        if (!nutrientId || value === undefined || value === null) return;
+
+        const field = USDA_NUTRIENT_MAP[nutrientId];
+        if (field) {
+            nutrients[field] = parseFloat(value) || 0;
+        } else if (USDA_CALORIE_FALLBACKS.includes(nutrientId)) {
+            fallbackCalories[nutrientId] = parseFloat(value) || 0;
+        }
+    });
+
+    if (nutrients.calories === undefined) {
+        const fallbackId = USDA_CALORIE_FALLBACKS.find(id => fallbackCalories[id] !== undefined);
+        if (fallbackId) nutrients.calories = fallbackCalories[fallbackId];
+    }
+
+    return nutrients;
+}
+
+// Map Open Food Facts nutriment keys (per 100g) to our fields.
+// OFF stores everything except energy in grams, so scale to the USDA units above.
+const OFF_NUTRIENT_MAP = {
+    'energy-kcal_100g': { field: 'calories', factor: 1 },
+    'proteins_100g': { field: 'protein', factor: 1 },
+    'carbohydrates_100g': { field: 'carbs', factor: 1 },
+    'fat_100g': { field: 'fat', factor: 1 },
+    'fiber_100g': { field: 'fiber', factor: 1 },
+    'sugars_100g': { field: 'sugar', factor: 1 },
+    'sodium_100g': { field: 'sodium', factor: 1000 },
+    'cholesterol_100g': { field: 'cholesterol', factor: 1000 },
+    'saturated-fat_100g': { field: 'saturated_fat', factor: 1 },
+    'vitamin-a_100g': { field: 'vitamin_a', factor: 1000000 },
+    'vitamin-c_100g': { field: 'vitamin_c', factor: 1000 },
+    'vitamin-d_100g': { field: 'vitamin_d', factor: 1000000 },
+    'vitamin-e_100g': { field: 'vitamin_e', factor: 1000 },
+    'vitamin-k_100g': { field: 'vitamin_k', factor: 1000000 },
+    'vitamin-b6_100g': { field: 'vitamin_b6', factor: 1000 },
+    'vitamin-b12_100g': { field: 'vitamin_b12', factor: 1000000 },
+    'folates_100g': { field: 'folate', factor: 1000000 },
+    'calcium_100g': { field: 'calcium', factor: 1000 },
+    'iron_100g': { field: 'iron', factor: 1000 },
+    'magnesium_100g': { field: 'magnesium', factor: 1000 },
+    'potassium_100g': { field: 'potassium', factor: 1000 },
+    'zinc_100g': { field: 'zinc', factor: 1000 }
+};
+
+const KJ_PER_KCAL = 4.184;
+
+// Extract our nutrient fields from an Open Food Facts product's nutriments
+// (JSONL export) or a row of the tab-separated CSV export - both use the same keys.
+function extractOffNutrients(nutriments) {
+    const nutrients = {};
+
+    Object.keys(OFF_NUTRIENT_MAP).forEach(key => {
+        const value = parseFloat((nutriments || {})[key]);
+        if (!isNaN(value)) {
+            const { field, factor } = OFF_NUTRIENT_MAP[key];
+            nutrients[field] = Math.round(value * factor * 1000) / 1000;
+        }
+    });
+
+    // Older products only have energy in kJ
+    if (nutrients.calories === undefined) {
+        const kj = parseFloat((nutriments || {})['energy_100g']);
+        if (!isNaN(kj)) nutrients.calories = Math.round(kj / KJ_PER_KCAL * 10) / 10;
+    }
+
+    return nutrients;
+}
+
+// Sum every nutrient field across food_log rows (missing values count as 0)
+function sumNutrients(foods) {
+    const totals = {};
+    NUTRIENT_FIELDS.forEach(field => { totals[field] = 0; });
+
+    (foods || []).forEach(food => {
+        NUTRIENT_FIELDS.forEach(field => {
+            totals[field] += parseFloat(food[field]) || 0;
+        });
+    });
+
+    return totals;
+}
+
+module.exports = {
+    NUTRIENT_FIELDS,
+    NUTRIENT_LABELS,
+    DEFAULT_RDAS,
+    RDA_LIMITS,
+    USDA_NUTRIENT_MAP,
+    USDA_CALORIE_FALLBACKS,
+    OFF_NUTRIENT_MAP,
+    extractUsdaNutrients,
+    extractOffNutrients,
+    sumNutrients
+};
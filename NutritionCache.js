@@ -0,0 +1,283 @@
+// ============ NUTRITION CACHE ============
+// SQLite-backed food cache so repeat lookups never leave the machine.
+// Also holds foods bulk-imported from USDA FoodData Central and Open Food Facts downloads.
+
+const { NUTRIENT_FIELDS } = require('./Nutrients');
+
+function normalizeQuery(query) {
+    return (query || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s,%-]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function pickNutrients(source) {
+    const nutrients = {};
+    NUTRIENT_FIELDS.forEach(field => {
+        if (source[field] !== undefined && source[field] !== null) {
+            nutrients[field] = source[field];
+        }
+    });
+    return nutrients;
+}
+
+class NutritionCache {
+    constructor(db) {
+        this.db = db;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    async init() {
+        // Resolved lookups: one row per normalized query string
+        await this.run(`CREATE TABLE IF NOT EXISTS food_cache (
+            query TEXT PRIMARY KEY,
+            fdc_id TEXT,
+            description TEXT NOT NULL,
+            serving_size TEXT,
+            nutrients TEXT NOT NULL,
+            source TEXT,
+            candidates TEXT,
+            hits INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_used DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        // Ranked alternatives, added after the cache first shipped
+        const columns = await this.all('PRAGMA table_info(food_cache)');
+        if (!columns.some(col => col.name === 'candidates')) {
+            await this.run('ALTER TABLE food_cache ADD COLUMN candidates TEXT');
+        }
+
+        // Bulk-imported food items (per 100g nutrient values). Ids are only
+        // unique within a source - an OFF barcode can equal a USDA FDC id.
+        await this.run(`CREATE TABLE IF NOT EXISTS foods (
+            fdc_id TEXT NOT NULL,
+            description TEXT NOT NULL,
+            data_type TEXT,
+            serving_size TEXT,
+            nutrients TEXT NOT NULL,
+            source TEXT NOT NULL DEFAULT 'usda',
+            imported_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (source, fdc_id)
+        )`);
+
+        // Tables created before that were keyed on fdc_id alone
+        const foodColumns = await this.all('PRAGMA table_info(foods)');
+        if (foodColumns.some(col => col.name === 'fdc_id' && col.pk === 1) && !foodColumns.some(col => col.name === 'source' && col.pk > 0)) {
+            await this.run('BEGIN TRANSACTION');
+            try {
+                await this.run(`CREATE TABLE foods_by_source (
+                    fdc_id TEXT NOT NULL,
+                    description TEXT NOT NULL,
+                    data_type TEXT,
+                    serving_size TEXT,
+                    nutrients TEXT NOT NULL,
+                    source TEXT NOT NULL DEFAULT 'usda',
+                    imported_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (source, fdc_id)
+                )`);
+                await this.run(`INSERT INTO foods_by_source (fdc_id, description, data_type, serving_size, nutrients, source, imported_at)
+                    SELECT fdc_id, description, data_type, serving_size, nutrients, COALESCE(source, 'usda'), imported_at FROM foods`);
+                await this.run('DROP TABLE foods');
+                await this.run('ALTER TABLE foods_by_source RENAME TO foods');
+                await this.run('COMMIT');
+                console.log('✓ Keyed imported foods on source + id');
+            } catch (error) {
+                await this.run('ROLLBACK');
+                throw error;
+            }
+        }
+    }
+
+    // Return the cached lookup result for a query, or null.
+    // Cache failures are logged and treated as a miss so lookups keep working.
+    async lookup(query) {
+        const key = normalizeQuery(query);
+        if (!key) return null;
+
+        try {
+            const row = await this.get('SELECT * FROM food_cache WHERE query = ?', [key]);
+            if (!row) return null;
+
+            await this.run(
+                'UPDATE food_cache SET hits = hits + 1, last_used = CURRENT_TIMESTAMP WHERE query = ?',
+                [key]
+            );
+
+            return {
+                food_name: row.description,
+                serving_size: row.serving_size,
+                fdc_id: row.fdc_id,
+                source: row.source,
+                ...JSON.parse(row.nutrients),
+                candidates: row.candidates ? JSON.parse(row.candidates) : [],
+                cached: true
+            };
+        } catch (error) {
+            console.error(`⚠️ Nutrition cache read failed for "${key}":`, error.message);
+            return null;
+        }
+    }
+
+    // Store a resolved lookup result (as returned by lookupNutrition),
+    // including its ranked candidates so a wrong pick can be corrected later
+    async store(query, result, source = 'usda') {
+        const key = normalizeQuery(query);
+        if (!key || !result) return;
+
+        try {
+            await this.run(
+                `INSERT OR REPLACE INTO food_cache (query, fdc_id, description, serving_size, nutrients, source, candidates)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    key,
+                    result.fdc_id ? String(result.fdc_id) : null,
+                    result.food_name,
+                    result.serving_size || null,
+                    JSON.stringify(pickNutrients(result)),
+                    source,
+                    result.candidates && result.candidates.length > 0 ? JSON.stringify(result.candidates) : null
+                ]
+            );
+        } catch (error) {
+            console.error(`⚠️ Nutrition cache write failed for "${key}":`, error.message);
+        }
+    }
+
+    // Find imported foods whose description contains every word of the query.
+    // source limits the search to one dump ('usda' or 'off').
+    async searchFoods(query, limit = 25, source = null) {
+        const words = normalizeQuery(query)
+            .split(/[\s,]+/)
+            .filter(w => w.length > 2)
+            // "eggs" should still match "Egg, whole, raw"
+            .map(w => (w.length > 3 && w.endsWith('s') && !w.endsWith('ss')) ? w.slice(0, -1) : w);
+
+        if (words.length === 0) return [];
+
+        const conditions = words.map(() => 'description LIKE ?');
+        const params = words.map(w => `%${w}%`);
+        if (source) {
+            conditions.push('source = ?');
+            params.push(source);
+        }
+
+        const rows = await this.all(
+            `SELECT * FROM foods WHERE ${conditions.join(' AND ')} ORDER BY LENGTH(description) ASC LIMIT ?`,
+            [...params, limit]
+        );
+
+        return rows.map(row => ({
+            fdc_id: row.fdc_id,
+            description: row.description,
+            data_type: row.data_type,
+            serving_size: row.serving_size,
+            source: row.source,
+            nutrients: JSON.parse(row.nutrients)
+        }));
+    }
+
+    // Imported and cached foods richest in one nutrient per calorie, with at least
+    // minAmount per 100g. Shaped like provider candidates: { food_name, source, ...nutrients }
+    async richestFoods(field, { minAmount = 0, limit = 50 } = {}) {
+        if (!NUTRIENT_FIELDS.includes(field)) {
+            throw new Error(`Unknown nutrient "${field}"`);
+        }
+
+        const path = `$.${field}`;
+        const densest = (table, nameColumn) => this.all(
+            `SELECT ${nameColumn} AS description, source, nutrients FROM ${table}
+             WHERE json_extract(nutrients, ?) >= ? AND json_extract(nutrients, ?) > 0
+               AND json_extract(nutrients, '$.calories') > 0
+             ORDER BY json_extract(nutrients, ?) / json_extract(nutrients, '$.calories') DESC
+             LIMIT ?`,
+            [path, minAmount, path, path, limit]
+        );
+
+        const rows = [
+            ...await densest('foods', 'description'),
+            ...await densest('food_cache', 'description')
+        ];
+
+        return rows.map(row => ({
+            food_name: row.description,
+            source: row.source,
+            ...JSON.parse(row.nutrients)
+        }));
+    }
+
+    // Insert or replace imported foods in a single transaction.
+    // Each record: { fdc_id, description, data_type, serving_size, nutrients }
+    async importFoods(records, source = 'usda') {
+        if (!records || records.length === 0) return 0;
+
+        await this.run('BEGIN TRANSACTION');
+        try {
+            for (const record of records) {
+                await this.run(
+                    `INSERT OR REPLACE INTO foods (fdc_id, description, data_type, serving_size, nutrients, source)
+                     VALUES (?, ?, ?, ?, ?, ?)`,
+                    [
+                        String(record.fdc_id),
+                        record.description,
+                        record.data_type || null,
+                        record.serving_size || null,
+                        JSON.stringify(pickNutrients(record.nutrients || {})),
+                        source
+                    ]
+                );
+            }
+            await this.run('COMMIT');
+        } catch (error) {
+            await this.run('ROLLBACK');
+            throw error;
+        }
+
+        return records.length;
+    }
+
+    async stats() {
+        const cached = await this.get('SELECT COUNT(*) AS count, COALESCE(SUM(hits), 0) AS hits FROM food_cache');
+        const imported = await this.all('SELECT source, COUNT(*) AS count FROM foods GROUP BY source');
+
+        return {
+            cached_queries: cached.count,
+            cache_hits: cached.hits,
+            imported_foods: imported.reduce((acc, row) => ({ ...acc, [row.source]: row.count }), {})
+        };
+    }
+
+    async clear() {
+        await this.run('DELETE FROM food_cache');
+    }
+}
+
+module.exports = NutritionCache;
+module.exports.normalizeQuery = normalizeQuery;
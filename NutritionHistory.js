@@ -0,0 +1,117 @@
+// ============ NUTRITION HISTORY ============
+// Buckets daily food_log totals into days, ISO weeks (Monday start) or months,
+// with daily averages and percent-of-RDA for every tracked nutrient.
+
+const { NUTRIENT_FIELDS, RDA_LIMITS, sumNutrients } = require('./Nutrients');
+const { eachDate, startOfWeek } = require('./DateUtils');
+
+const GRANULARITIES = ['day', 'week', 'month'];
+
+function round(value, places = 2) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+function bucketKey(date, granularity) {
+    if (granularity === 'week') return startOfWeek(date);
+    if (granularity === 'month') return date.slice(0, 7);
+    return date;
+}
+
+function roundAll(values) {
+    const rounded = {};
+    NUTRIENT_FIELDS.forEach(field => { rounded[field] = round(values[field] || 0); });
+    return rounded;
+}
+
+// Averages are per day with food logged - an unlogged day is missing data, not a fast
+function dailyAverage(totals, loggedDays) {
+    const average = {};
+    NUTRIENT_FIELDS.forEach(field => {
+        average[field] = loggedDays > 0 ? round(totals[field] / loggedDays) : 0;
+    });
+    return average;
+}
+
+function rdaPercent(values, rdas) {
+    const percent = {};
+    NUTRIENT_FIELDS.forEach(field => {
+        percent[field] = rdas[field] ? round((values[field] / rdas[field]) * 100, 1) : null;
+    });
+    return percent;
+}
+
+// Logged days that hit each target (or stayed under it, for limits)
+function daysMeetingRda(rows, rdas) {
+    const counts = {};
+    NUTRIENT_FIELDS.forEach(field => {
+        if (!rdas[field]) {
+            counts[field] = null;
+            return;
+        }
+        counts[field] = rows.filter(row => {
+            const value = parseFloat(row[field]) || 0;
+            return RDA_LIMITS.includes(field) ? value <= rdas[field] : value >= rdas[field];
+        }).length;
+    });
+    return counts;
+}
+
+function summarize(rows, days, rdas) {
+    const totals = sumNutrients(rows);
+    const average = dailyAverage(totals, rows.length);
+
+    return {
+        days,
+        logged_days: rows.length,
+        entries: rows.reduce((sum, row) => sum + (row.entries || 0), 0),
+        totals: roundAll(totals),
+        daily_average: average,
+        rda_percent: rdaPercent(average, rdas),
+        days_meeting_rda: daysMeetingRda(rows, rdas)
+    };
+}
+
+// dailyRows: one row per date with summed nutrient columns and an `entries` count
+// (food_log grouped by date). Every bucket in the range is returned, even empty ones.
+function summarizeRange(dailyRows, { from, to, granularity = 'day', rdas }) {
+    const byDate = {};
+    dailyRows.forEach(row => { byDate[row.date] = row; });
+
+    const buckets = [];
+    const bucketsByKey = {};
+
+    eachDate(from, to).forEach(date => {
+        const key = bucketKey(date, granularity);
+        if (!bucketsByKey[key]) {
+            bucketsByKey[key] = { period: key, start: date, end: date, days: 0, rows: [] };
+            buckets.push(bucketsByKey[key]);
+        }
+
+        const bucket = bucketsByKey[key];
+        bucket.end = date;
+        bucket.days++;
+        if (byDate[date]) bucket.rows.push(byDate[date]);
+    });
+
+    const allRows = buckets.reduce((rows, bucket) => rows.concat(bucket.rows), []);
+
+    return {
+        from,
+        to,
+        granularity,
+        rdas,
+        summary: summarize(allRows, buckets.reduce((sum, bucket) => sum + bucket.days, 0), rdas),
+        buckets: buckets.map(bucket => ({
+            period: bucket.period,
+            start: bucket.start,
+            end: bucket.end,
+            ...summarize(bucket.rows, bucket.days, rdas)
+        }))
+    };
+}
+
+module.exports = {
+    GRANULARITIES,
+    summarizeRange
+};
@@ -0,0 +1,259 @@
+// ============ NUTRITION PROVIDERS ============
+// Pluggable food sources tried in order until one finds a match.
+// Every provider returns ranked candidates normalized to the same shape:
+//   { food_name, serving_size, fdc_id, source, score, ...NUTRIENT_FIELDS }
+// with nutrient values per 100g, ready for PortionParser.scaleNutrition.
+
+const fs = require('fs');
+const axios = require('axios');
+const { NUTRIENT_FIELDS, extractUsdaNutrients } = require('./Nutrients');
+const { parseCsv } = require('./CsvUtils');
+
+const USDA_API_URL = 'https://api.nal.usda.gov/fdc/v1/foods/search';
+const DEFAULT_PROVIDER_ORDER = ['csv', 'usda-local', 'off', 'usda'];
+
+// SMART FILTERING: Prefer whole foods over prepared/recipe items.
+// Tuned on USDA descriptions ("Egg, whole, raw, fresh").
+function scoreUsdaMatch(description, searchTerm) {
+    const desc = description.toLowerCase();
+    let score = 100; // Start with base score
+
+    // PENALTY for recipe/prepared indicators (strong indicators it's NOT a whole food)
+    if (desc.includes('prepared with')) score -= 50;
+    if (desc.includes('recipe')) score -= 40;
+    if (desc.includes('dry mix')) score -= 40;
+    if (desc.includes('frozen meal')) score -= 40;
+    if (desc.includes('custard')) score -= 35;
+    if (desc.includes('casserole')) score -= 35;
+    if (desc.includes('pudding')) score -= 35;
+    if (desc.includes('homemade')) score -= 30;
+    if (desc.includes('restaurant')) score -= 30;
+    if (desc.includes('fast food')) score -= 30;
+
+    // BONUS for whole food indicators
+    if (desc.includes('raw')) score += 20;
+    if (desc.includes('fresh')) score += 15;
+    if (desc.includes('whole')) score += 15;
+    if (desc.includes('cooked')) score += 10; // Simple cooking is OK
+    if (desc.includes('boiled')) score += 10;
+    if (desc.includes('fried')) score += 10;
+    if (desc.includes('scrambled')) score += 10;
+    if (desc.includes('poached')) score += 10;
+
+    return score + scoreWordOverlap(desc, searchTerm);
+}
+
+// Product names ("Organic Large Brown Eggs") have no USDA-style qualifiers,
+// so rank on how much of the name the query covers instead.
+function scoreProductMatch(description, searchTerm) {
+    const desc = description.toLowerCase();
+    const nameWords = desc.split(/[\s,]+/).filter(w => w.length > 2);
+    const overlap = scoreWordOverlap(desc, searchTerm);
+
+    // Shorter names that are mostly the searched words beat long marketing titles
+    return 100 + overlap * 2 - Math.max(0, nameWords.length - 3) * 3;
+}
+
+// BONUS for matching the exact search term closely
+function scoreWordOverlap(desc, searchTerm) {
+    let score = 0;
+    searchTerm.toLowerCase().split(' ').forEach(word => {
+        if (word.length > 2 && desc.includes(word)) {
+            score += 5;
+        }
+    });
+    return score;
+}
+
+function pickNutrients(source) {
+    const nutrients = {};
+    NUTRIENT_FIELDS.forEach(field => {
+        const value = parseFloat(source[field]);
+        if (!isNaN(value)) nutrients[field] = value;
+    });
+    return nutrients;
+}
+
+// Score and sort candidates best-first (stable for equal scores)
+function rankCandidates(candidates, searchTerm, scorer) {
+    return candidates
+        .map((candidate, index) => ({ ...candidate, score: scorer(candidate.food_name, searchTerm), index }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(({ index, ...candidate }) => candidate);
+}
+
+// USDA FoodData Central search API
+class UsdaApiProvider {
+    constructor(apiKey) {
+        this.name = 'usda';
+        this.apiKey = apiKey || 'DEMO_KEY';
+    }
+
+    async search(searchTerm) {
+        const response = await axios.get(USDA_API_URL, {
+            params: {
+                api_key: this.apiKey,
+                query: searchTerm,
+                pageSize: 5  // Get top 5 results for filtering
+            }
+        });
+
+        const candidates = (response.data.foods || []).map(food => ({
+            food_name: food.description,
+            serving_size: food.servingSize ? `${food.servingSize} ${food.servingSizeUnit || 'g'}` : '100g',
+            fdc_id: food.fdcId,
+            source: this.name,
+            ...extractUsdaNutrients(food.foodNutrients)
+        }));
+
+        return rankCandidates(candidates, searchTerm, scoreUsdaMatch);
+    }
+}
+
+// Foods bulk-imported into cherry.db by import-foods.js
+// (dumpSource 'usda' for FoodData Central, 'off' for Open Food Facts)
+class LocalFoodsProvider {
+    constructor(name, nutritionCache, dumpSource, scorer) {
+        this.name = name;
+        this.nutritionCache = nutritionCache;
+        this.dumpSource = dumpSource;
+        this.scorer = scorer;
+    }
+
+    async search(searchTerm) {
+        const rows = await this.nutritionCache.searchFoods(searchTerm, 25, this.dumpSource);
+
+        const candidates = rows.map(row => ({
+            food_name: row.description,
+            serving_size: row.serving_size || '100g',
+            fdc_id: row.fdc_id,
+            source: this.name,
+            ...row.nutrients
+        }));
+
+        return rankCandidates(candidates, searchTerm, this.scorer);
+    }
+}
+
+// Hand-maintained CSV of foods the other sources get wrong or don't have.
+// Columns: name, serving_size (optional, e.g. "60 g") and any nutrient field,
+// with values per 100g like every other provider. Re-read whenever the file changes.
+class CsvFoodProvider {
+    constructor(filePath) {
+        this.name = 'csv';
+        this.filePath = filePath;
+        this.foods = [];
+        this.loadedMtime = null;
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            this.foods = [];
+            this.loadedMtime = null;
+            return;
+        }
+
+        const mtime = fs.statSync(this.filePath).mtimeMs;
+        if (mtime === this.loadedMtime) return;
+
+        this.foods = parseCsv(fs.readFileSync(this.filePath, 'utf8'))
+            .filter(row => row.name && row.name.trim())
+            .map((row, i) => ({
+                food_name: row.name.trim(),
+                serving_size: (row.serving_size || '').trim() || '100g',
+                fdc_id: `csv:${i + 1}`,
+                source: this.name,
+                ...pickNutrients(row)
+            }));
+        this.loadedMtime = mtime;
+        console.log(`✓ Loaded ${this.foods.length} foods from ${this.filePath}`);
+    }
+
+    async search(searchTerm) {
+        this.load();
+
+        const words = searchTerm.toLowerCase().split(/[\s,]+/)
+            .filter(w => w.length > 2)
+            .map(w => (w.length > 3 && w.endsWith('s') && !w.endsWith('ss')) ? w.slice(0, -1) : w);
+        if (words.length === 0) return [];
+
+        const matches = this.foods.filter(food => {
+            const name = food.food_name.toLowerCase();
+            return words.every(word => name.includes(word));
+        });
+
+        return rankCandidates(matches, searchTerm, scoreProductMatch);
+    }
+}
+
+// Ordered fallback chain: the first provider with any candidates wins.
+// A provider that throws (offline, bad key, unreadable file) is skipped.
+class NutritionProviderChain {
+    constructor(providers) {
+        this.providers = providers;
+    }
+
+    get names() {
+        return this.providers.map(provider => provider.name);
+    }
+
+    // Returns { provider, best, candidates } or null when nobody matched
+    async lookup(searchTerm) {
+        for (const provider of this.providers) {
+            let candidates;
+            try {
+                candidates = await provider.search(searchTerm);
+            } catch (error) {
+                console.error(`❌ ${provider.name} lookup failed for "${searchTerm}":`, error.message);
+                if (error.response) {
+                    console.error(`   Status: ${error.response.status}`);
+                }
+                continue;
+            }
+
+            if (candidates.length > 0) {
+                console.log(`🔍 ${provider.name}: ${candidates.length} candidates for "${searchTerm}"`);
+                candidates.slice(0, 5).forEach(c => console.log(`   → "${c.food_name}" (score: ${c.score})`));
+                return { provider: provider.name, best: candidates[0], candidates };
+            }
+        }
+
+        return null;
+    }
+}
+
+// Build the chain from a comma-separated order such as "csv,usda-local,off,usda"
+function createProviderChain({ order, nutritionCache, usdaApiKey, csvPath }) {
+    const available = {
+        'csv': () => new CsvFoodProvider(csvPath),
+        'usda-local': () => new LocalFoodsProvider('usda-local', nutritionCache, 'usda', scoreUsdaMatch),
+        'off': () => new LocalFoodsProvider('off', nutritionCache, 'off', scoreProductMatch),
+        'usda': () => new UsdaApiProvider(usdaApiKey)
+    };
+
+    const names = order
+        ? order.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+        : DEFAULT_PROVIDER_ORDER;
+
+    const providers = [];
+    names.forEach(name => {
+        if (!available[name]) {
+            console.error(`⚠️ Unknown nutrition provider "${name}" (available: ${Object.keys(available).join(', ')})`);
+            return;
+        }
+        providers.push(available[name]());
+    });
+
+    return new NutritionProviderChain(providers);
+}
+
+module.exports = {
+    createProviderChain,
+    NutritionProviderChain,
+    UsdaApiProvider,
+    LocalFoodsProvider,
+    CsvFoodProvider,
+    scoreUsdaMatch,
+    scoreProductMatch,
+    DEFAULT_PROVIDER_ORDER
+};
@@ -0,0 +1,245 @@
+// ============ NUTRITION TARGETS ============
+// One stored profile (age, sex, weight, height, activity, goal) that daily
+// targets are derived from, plus manual overrides. Everything that mentions a
+// target - the Nutrition tab, coaching prompts, reminders - reads it from here.
+
+const { NUTRIENT_FIELDS, DEFAULT_RDAS } = require('./Nutrients');
+
+const ACTIVITY_LEVELS = {
+    sedentary: { factor: 1.2, proteinPerKg: 1.2 },
+    light: { factor: 1.375, proteinPerKg: 1.4 },
+    moderate: { factor: 1.55, proteinPerKg: 1.6 },
+    active: { factor: 1.725, proteinPerKg: 1.8 },
+    very_active: { factor: 1.9, proteinPerKg: 2.0 }
+};
+
+const GOAL_ADJUSTMENTS = { lose: -500, maintain: 0, gain: 300 };
+const SEXES = ['male', 'female'];
+
+// Not a food_log nutrient, but a daily limit the coach tracks all the same
+const DEFAULT_CAFFEINE_LIMIT = 400; // mg
+
+const TARGET_FIELDS = [...NUTRIENT_FIELDS, 'caffeine'];
+const PROFILE_FIELDS = ['age', 'sex', 'weight_lbs', 'height_in', 'activity', 'goal'];
+
+const LBS_PER_KG = 2.20462;
+const CM_PER_INCH = 2.54;
+
+function round(value, places = 0) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+// Dietary Reference Intakes for adults that depend on age and sex
+function micronutrientTargets(age, sex) {
+    const male = sex === 'male';
+    const over50 = age > 50;
+    const over70 = age > 70;
+
+    return {
+        vitamin_a: male ? 900 : 700,
+        vitamin_c: male ? 90 : 75,
+        vitamin_d: over70 ? 20 : 15,
+        vitamin_e: 15,
+        vitamin_k: male ? 120 : 90,
+        vitamin_b6: over50 ? (male ? 1.7 : 1.5) : 1.3,
+        vitamin_b12: 2.4,
+        folate: 400,
+        calcium: (over70 || (!male && over50)) ? 1200 : 1000,
+        iron: (!male && !over50) ? 18 : 8,
+        magnesium: male ? (age > 30 ? 420 : 400) : (age > 30 ? 320 : 310),
+        potassium: male ? 3400 : 2600,
+        zinc: male ? 11 : 8,
+        sodium: 2300,
+        cholesterol: 300
+    };
+}
+
+// Targets implied by the profile. Anything the profile can't support yet
+// (e.g. no weight known) is left out so the defaults apply.
+function deriveTargets(profile) {
+    const derived = {};
+    const { age, sex, height_in: heightIn } = profile;
+    const weightLbs = profile.weight_lbs;
+    const activity = ACTIVITY_LEVELS[profile.activity] || ACTIVITY_LEVELS.light;
+
+    if (age && SEXES.includes(sex)) {
+        Object.assign(derived, micronutrientTargets(age, sex));
+    }
+
+    if (age && SEXES.includes(sex) && weightLbs && heightIn) {
+        // Mifflin-St Jeor resting energy, scaled by activity
+        const kg = weightLbs / LBS_PER_KG;
+        const cm = heightIn * CM_PER_INCH;
+        const bmr = 10 * kg + 6.25 * cm - 5 * age + (sex === 'male' ? 5 : -161);
+        const calories = bmr * activity.factor + (GOAL_ADJUSTMENTS[profile.goal] || 0);
+
+        derived.calories = round(calories / 10) * 10;
+        derived.protein = round(kg * activity.proteinPerKg);
+        derived.fat = round(calories * 0.30 / 9);
+        derived.carbs = Math.max(0, round((calories - derived.protein * 4 - derived.fat * 9) / 4));
+        derived.fiber = round(calories / 1000 * 14);
+        derived.sugar = round(calories * 0.10 / 4);
+        derived.saturated_fat = round(calories * 0.10 / 9);
+    }
+
+    return derived;
+}
+
+class NutritionTargets {
+    constructor(db) {
+        this.db = db;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    async init() {
+        // Single row (id = 1); overrides is a JSON object of target → value
+        await this.run(`CREATE TABLE IF NOT EXISTS nutrition_profile (
+            id INTEGER PRIMARY KEY CHECK (id = 1),
+            age INTEGER,
+            sex TEXT,
+            weight_lbs REAL,
+            height_in REAL,
+            activity TEXT DEFAULT 'light',
+            goal TEXT DEFAULT 'maintain',
+            overrides TEXT DEFAULT '{}',
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        await this.run('INSERT OR IGNORE INTO nutrition_profile (id) VALUES (1)');
+    }
+
+    async getProfile() {
+        const row = await this.get('SELECT * FROM nutrition_profile WHERE id = 1') || {};
+        return {
+            age: row.age || null,
+            sex: row.sex || null,
+            weight_lbs: row.weight_lbs || null,
+            height_in: row.height_in || null,
+            activity: row.activity || 'light',
+            goal: row.goal || 'maintain',
+            overrides: row.overrides ? JSON.parse(row.overrides) : {},
+            updated_at: row.updated_at || null
+        };
+    }
+
+    // Latest weigh-in from daily metrics, used when the profile has no weight
+    async latestWeight() {
+        try {
+            const row = await this.get('SELECT weight FROM metrics WHERE weight IS NOT NULL AND weight > 0 ORDER BY date DESC LIMIT 1');
+            return row ? row.weight : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Full breakdown: profile, what it derives, overrides and the merged targets
+    async describe() {
+        const profile = await this.getProfile();
+        const weightLbs = profile.weight_lbs || await this.latestWeight();
+        const derived = deriveTargets({ ...profile, weight_lbs: weightLbs });
+
+        const targets = { ...DEFAULT_RDAS, caffeine: DEFAULT_CAFFEINE_LIMIT, ...derived };
+        Object.keys(profile.overrides).forEach(key => {
+            if (TARGET_FIELDS.includes(key)) targets[key] = profile.overrides[key];
+        });
+
+        return {
+            profile: { ...profile, weight_source: profile.weight_lbs ? 'profile' : (weightLbs ? 'metrics' : null), effective_weight_lbs: weightLbs },
+            derived,
+            targets
+        };
+    }
+
+    // Merged daily targets for every nutrient plus caffeine
+    async getTargets() {
+        return (await this.describe()).targets;
+    }
+
+    // Apply validated changes. overrides are merged; an override set to null is removed.
+    async updateProfile(changes) {
+        const current = await this.getProfile();
+        const updated = { ...current };
+
+        PROFILE_FIELDS.forEach(field => {
+            if (changes[field] !== undefined) updated[field] = changes[field];
+        });
+
+        if (changes.overrides) {
+            const overrides = { ...current.overrides };
+            Object.keys(changes.overrides).forEach(key => {
+                if (changes.overrides[key] === null) delete overrides[key];
+                else overrides[key] = changes.overrides[key];
+            });
+            updated.overrides = overrides;
+        }
+
+        await this.run(
+            `UPDATE nutrition_profile
+             SET age = ?, sex = ?, weight_lbs = ?, height_in = ?, activity = ?, goal = ?, overrides = ?,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = 1`,
+            [updated.age, updated.sex, updated.weight_lbs, updated.height_in, updated.activity, updated.goal, JSON.stringify(updated.overrides)]
+        );
+
+        return this.describe();
+    }
+}
+
+// Returns an error message for an invalid profile update, or null
+function validateProfileChanges(changes) {
+    const positive = (value) => value === null || (typeof value === 'number' && value > 0);
+
+    if (changes.age !== undefined && !(changes.age === null || (Number.isInteger(changes.age) && changes.age >= 14 && changes.age <= 120))) {
+        return 'age must be a whole number between 14 and 120';
+    }
+    if (changes.sex !== undefined && changes.sex !== null && !SEXES.includes(changes.sex)) {
+        return `sex must be one of: ${SEXES.join(', ')}`;
+    }
+    if (changes.weight_lbs !== undefined && !positive(changes.weight_lbs)) {
+        return 'weight_lbs must be a positive number';
+    }
+    if (changes.height_in !== undefined && !positive(changes.height_in)) {
+        return 'height_in must be a positive number';
+    }
+    if (changes.activity !== undefined && !ACTIVITY_LEVELS[changes.activity]) {
+        return `activity must be one of: ${Object.keys(ACTIVITY_LEVELS).join(', ')}`;
+    }
+    if (changes.goal !== undefined && GOAL_ADJUSTMENTS[changes.goal] === undefined) {
+        return `goal must be one of: ${Object.keys(GOAL_ADJUSTMENTS).join(', ')}`;
+    }
+    if (changes.overrides !== undefined) {
+        if (!changes.overrides || typeof changes.overrides !== 'object' || Array.isArray(changes.overrides)) {
+            return 'overrides must be an object of target → value';
+        }
+        for (const key of Object.keys(changes.overrides)) {
+            if (!TARGET_FIELDS.includes(key)) return `Unknown target "${key}"`;
+            if (!positive(changes.overrides[key])) return `Override for ${key} must be a positive number or null`;
+        }
+    }
+
+    return null;
+}
+
+module.exports = NutritionTargets;
+module.exports.deriveTargets = deriveTargets;
+module.exports.validateProfileChanges = validateProfileChanges;
+module.exports.ACTIVITY_LEVELS = ACTIVITY_LEVELS;
+module.exports.PROFILE_FIELDS = PROFILE_FIELDS;
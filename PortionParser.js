@@ -0,0 +1,275 @@
+// ============ PORTION PARSER ============
+// Understands "3 eggs", "6 oz chicken breast", "1/2 cup rice", "half a bagel"
+// and scales per-100g nutrition data to the amount actually eaten.
+
+const { NUTRIENT_FIELDS } = require('./Nutrients');
+
+const NUMBER_WORDS = {
+    'a': 1, 'an': 1, 'one': 1, 'single': 1,
+    'two': 2, 'three': 3, 'four': 4, 'five': 5, 'six': 6,
+    'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10, 'eleven': 11, 'twelve': 12,
+    'half': 0.5, 'quarter': 0.25,
+    'couple': 2, 'a couple': 2, 'a couple of': 2,
+    'few': 3, 'a few': 3,
+    'dozen': 12, 'a dozen': 12
+};
+
+const UNICODE_FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3 };
+
+// Canonical unit → accepted spellings
+const UNIT_ALIASES = {
+    g: ['g', 'gram', 'grams', 'gr'],
+    kg: ['kg', 'kilogram', 'kilograms'],
+    oz: ['oz', 'ounce', 'ounces'],
+    lb: ['lb', 'lbs', 'pound', 'pounds'],
+    ml: ['ml', 'milliliter', 'milliliters'],
+    cup: ['cup', 'cups'],
+    tbsp: ['tbsp', 'tbs', 'tablespoon', 'tablespoons'],
+    tsp: ['tsp', 'teaspoon', 'teaspoons'],
+    slice: ['slice', 'slices'],
+    piece: ['piece', 'pieces', 'pc', 'pcs'],
+    serving: ['serving', 'servings', 'portion', 'portions'],
+    strip: ['strip', 'strips'],
+    scoop: ['scoop', 'scoops']
+};
+
+// Grams per unit for weight and volume units. Volumes assume water density,
+// which is close enough for most foods people measure by the cup or spoon.
+const UNIT_GRAMS = {
+    g: 1,
+    kg: 1000,
+    oz: 28.35,
+    lb: 453.6,
+    ml: 1,
+    cup: 240,
+    tbsp: 15,
+    tsp: 5,
+    scoop: 30
+};
+
+// Typical weight (g) of one item when counted ("3 eggs", "a banana")
+const ITEM_WEIGHTS = [
+    { pattern: /egg/, grams: 50 },
+    { pattern: /banana/, grams: 118 },
+    { pattern: /apple/, grams: 182 },
+    { pattern: /orange/, grams: 131 },
+    { pattern: /avocado/, grams: 150 },
+    { pattern: /potato/, grams: 173 },
+    { pattern: /bagel/, grams: 105 },
+    { pattern: /muffin/, grams: 113 },
+    { pattern: /donut|doughnut/, grams: 60 },
+    { pattern: /tortilla|wrap/, grams: 45 },
+    { pattern: /pancake/, grams: 40 },
+    { pattern: /waffle/, grams: 35 },
+    { pattern: /cookie/, grams: 15 },
+    { pattern: /bacon/, grams: 8 },
+    { pattern: /sausage/, grams: 25 },
+    { pattern: /hot dog/, grams: 45 },
+    { pattern: /patty|burger/, grams: 113 },
+    { pattern: /chicken breast/, grams: 170 },
+    { pattern: /string cheese/, grams: 28 },
+    { pattern: /protein bar|granola bar/, grams: 60 },
+    { pattern: /pizza/, grams: 107 },
+    { pattern: /bread|toast/, grams: 28 },
+    { pattern: /almond|cashew|peanut/, grams: 1.2 },
+    { pattern: /grape|cherry tomato/, grams: 5 },
+    { pattern: /strawberr/, grams: 12 },
+    { pattern: /shrimp/, grams: 7 },
+    { pattern: /nugget/, grams: 16 },
+    { pattern: /cracker|chip/, grams: 3 }
+];
+
+const SLICE_GRAMS = 28;
+const DEFAULT_ITEM_GRAMS = 100;
+
+// Names that start with a number ("100 grand bar", "5 guys burger", "7up")
+const NUMBERED_FOODS = /^(?:100\s+grand|5\s+guys|five\s+guys|3\s+musketeers|7\s*-?\s*up|7\s*-?\s*eleven|(?:7|9|12)\s*-?\s*(?:grain|layer))\b/i;
+
+// More items than this with no unit is read as part of the name, not a
+// count - unless they're small things with a known weight ("30 almonds")
+const MAX_ITEM_COUNT = 24;
+const MAX_COUNTED_GRAMS = 1000;
+
+function resolveUnit(word) {
+    if (!word) return null;
+    const lower = word.toLowerCase().replace(/\.$/, '');
+    return Object.keys(UNIT_ALIASES).find(unit => UNIT_ALIASES[unit].includes(lower)) || null;
+}
+
+function parseNumber(token) {
+    if (!token) return null;
+    const str = token.trim().toLowerCase();
+
+    if (NUMBER_WORDS[str] !== undefined) return NUMBER_WORDS[str];
+    if (UNICODE_FRACTIONS[str] !== undefined) return UNICODE_FRACTIONS[str];
+
+    // "1 1/2"
+    let match = str.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+    if (match) return parseInt(match[1]) + parseInt(match[2]) / parseInt(match[3]);
+
+    // "1/2"
+    match = str.match(/^(\d+)\/(\d+)$/);
+    if (match) return parseInt(match[1]) / parseInt(match[2]);
+
+    // "1½"
+    match = str.match(/^(\d+)([½¼¾⅓⅔])$/);
+    if (match) return parseInt(match[1]) + UNICODE_FRACTIONS[match[2]];
+
+    const value = parseFloat(str);
+    return isNaN(value) ? null : value;
+}
+
+// Parse a food mention into { quantity, unit, food }.
+// quantity defaults to 1 and unit to null (one item/serving) when not given.
+function parsePortion(text) {
+    let remaining = (text || '').trim().replace(/\s+/g, ' ');
+    let quantity = null;
+    let unit = null;
+
+    // "half a", "half an", "a half" → 0.5
+    let match = remaining.match(/^(?:a\s+)?half(?:\s+(?:a|an|of|of\s+a|of\s+an))?\s+(.+)$/i);
+    if (match) {
+        quantity = 0.5;
+        remaining = match[1];
+    }
+
+    if (quantity === null && !NUMBERED_FOODS.test(remaining)) {
+        // Digits run straight into a unit ("6oz") or are followed by a space -
+        // "2% milk" keeps its number. Number words always need a space.
+        const digitPattern = /^(\d+\s+\d+\/\d+|\d+\/\d+|\d+[½¼¾⅓⅔]|[½¼¾⅓⅔]|\d*\.?\d+)(\s*)(.+)$/i;
+        const wordPattern = /^(a couple(?: of)?|a few|a dozen|couple|few|dozen|an?|one|single|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|quarter)\s+(.+)$/i;
+        match = remaining.match(digitPattern);
+        if (match) {
+            const unitWord = match[3].match(/^[a-z]+\.?/i);
+            const isQuantity = match[2]
+                ? !match[3].startsWith('%')
+                : Boolean(unitWord && resolveUnit(unitWord[0]));
+            if (isQuantity) {
+                quantity = parseNumber(match[1]);
+                remaining = match[3];
+            }
+        } else if ((match = remaining.match(wordPattern))) {
+            quantity = parseNumber(match[1]);
+            remaining = match[2];
+        }
+    }
+
+    // Unit directly after the number: "6 oz", "6oz", "2 tbsp of"
+    match = remaining.match(/^([a-z]+\.?)\s+(?:of\s+)?(.+)$/i);
+    if (match && resolveUnit(match[1])) {
+        unit = resolveUnit(match[1]);
+        remaining = match[2];
+    }
+
+    // "dozen eggs" after a number ("2 dozen eggs")
+    match = remaining.match(/^dozen\s+(.+)$/i);
+    if (match && quantity !== null) {
+        quantity *= 12;
+        remaining = match[1];
+    }
+
+    const food = remaining.replace(/^(?:of\s+)?(?:the\s+)?/i, '').trim();
+
+    // "100 grand bar" isn't a hundred of anything - keep the number in the
+    // name and log one, flagged, rather than scale nutrition by it
+    const perItem = itemWeight(food);
+    if (!unit && quantity > MAX_ITEM_COUNT && !(perItem && perItem * quantity <= MAX_COUNTED_GRAMS)) {
+        return {
+            quantity: 1,
+            unit: null,
+            food: (text || '').trim().replace(/\s+/g, ' '),
+            explicit: false,
+            ignored_count: quantity
+        };
+    }
+
+    return {
+        quantity: quantity === null ? 1 : quantity,
+        unit,
+        food: food || (text || '').trim(),
+        explicit: quantity !== null || unit !== null
+    };
+}
+
+function itemWeight(foodText) {
+    const lower = (foodText || '').toLowerCase();
+    const item = ITEM_WEIGHTS.find(w => w.pattern.test(lower));
+    return item ? item.grams : null;
+}
+
+// Grams from a serving_size string like "28 g" or "240 ml" (ignores the 100g default)
+function servingSizeGrams(servingSize) {
+    const match = (servingSize || '').match(/^([\d.]+)\s*(g|grm|ml)$/i);
+    if (!match) return null;
+    const grams = parseFloat(match[1]);
+    return grams > 0 && grams !== 100 ? grams : null;
+}
+
+// Work out how many grams a parsed portion represents for a given food record
+function portionToGrams(portion, record = {}) {
+    const quantity = portion.quantity || 1;
+
+    if (portion.unit && UNIT_GRAMS[portion.unit]) {
+        return quantity * UNIT_GRAMS[portion.unit];
+    }
+
+    const foodText = `${portion.food || ''} ${record.food_name || ''}`;
+
+    if (portion.unit === 'slice') {
+        return quantity * (itemWeight(portion.food) || SLICE_GRAMS);
+    }
+
+    const perItem = itemWeight(portion.food)
+        || servingSizeGrams(record.serving_size)
+        || itemWeight(foodText)
+        || DEFAULT_ITEM_GRAMS;
+
+    return quantity * perItem;
+}
+
+function round(value, places = 2) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+function formatQuantity(quantity) {
+    return Number.isInteger(quantity) ? String(quantity) : String(round(quantity, 2));
+}
+
+// Human-readable serving text stored in food_log.serving_size
+function describePortion(portion, grams) {
+    const qty = formatQuantity(portion.quantity || 1);
+    if (portion.unit === 'g') return `${round(grams, 0)}g`;
+    if (portion.unit) return `${qty} ${portion.unit} (${round(grams, 0)}g)`;
+    return `${qty} × ${portion.food} (${round(grams, 0)}g)`;
+}
+
+// Scale a per-100g nutrition record to the portion eaten.
+// Returns a new record with every nutrient scaled plus quantity/unit/grams.
+function scaleNutrition(record, portion, grams = null) {
+    const portionGrams = grams !== null ? grams : portionToGrams(portion, record);
+    const factor = portionGrams / 100;
+    const scaled = { ...record };
+
+    NUTRIENT_FIELDS.forEach(field => {
+        const value = parseFloat(record[field]);
+        if (!isNaN(value)) {
+            scaled[field] = round(value * factor);
+        }
+    });
+
+    scaled.quantity = portion.quantity || 1;
+    scaled.unit = portion.unit || null;
+    scaled.grams = round(portionGrams, 1);
+    scaled.serving_size = describePortion(portion, portionGrams);
+
+    return scaled;
+}
+
+module.exports = {
+    parsePortion,
+    portionToGrams,
+    scaleNutrition,
+    resolveUnit,
+    UNIT_GRAMS
+};
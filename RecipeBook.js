@@ -0,0 +1,201 @@
+// ============ RECIPE BOOK ============
+// Named composite foods ("my turkey wrap") and custom foods. Ingredients are
+// resolved to nutrients once when saved, so logging a recipe by name needs
+// no further lookups.
+
+const { NUTRIENT_FIELDS, sumNutrients } = require('./Nutrients');
+const { UNIT_GRAMS } = require('./PortionParser');
+
+// "My usual turkey wrap" and "turkey wrap" are the same recipe
+function normalizeName(name) {
+    let key = (name || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s'-]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    while (/^(my|the|usual|regular|normal|homemade|favorite|favourite)\s+/.test(key)) {
+        key = key.replace(/^(my|the|usual|regular|normal|homemade|favorite|favourite)\s+/, '');
+    }
+
+    return key;
+}
+
+function round(value, places = 2) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+function scaleTotals(totals, factor) {
+    const scaled = {};
+    NUTRIENT_FIELDS.forEach(field => {
+        scaled[field] = round((totals[field] || 0) * factor);
+    });
+    return scaled;
+}
+
+class RecipeBook {
+    constructor(db) {
+        this.db = db;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    async init() {
+        // ingredients: JSON array of resolved ingredients (text, quantity, unit,
+        // grams and nutrients for the amount used in the whole recipe)
+        // nutrients: JSON totals for the whole recipe, i.e. all servings
+        await this.run(`CREATE TABLE IF NOT EXISTS recipes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            name_key TEXT NOT NULL UNIQUE,
+            ingredients TEXT NOT NULL,
+            servings REAL DEFAULT 1,
+            total_grams REAL,
+            nutrients TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+    }
+
+    hydrate(row) {
+        if (!row) return null;
+
+        const totals = JSON.parse(row.nutrients);
+        const servings = row.servings || 1;
+
+        return {
+            id: row.id,
+            name: row.name,
+            servings,
+            total_grams: row.total_grams,
+            ingredients: JSON.parse(row.ingredients),
+            totals,
+            per_serving: scaleTotals(totals, 1 / servings),
+            created_at: row.created_at,
+            updated_at: row.updated_at
+        };
+    }
+
+    async list() {
+        const rows = await this.all('SELECT * FROM recipes ORDER BY name COLLATE NOCASE');
+        return rows.map(row => this.hydrate(row));
+    }
+
+    async getById(id) {
+        return this.hydrate(await this.get('SELECT * FROM recipes WHERE id = ?', [id]));
+    }
+
+    // Match a food mention against saved recipe names ("my usual turkey wrap",
+    // "turkey wraps"). Returns null when nothing matches.
+    async findByName(text) {
+        const key = normalizeName(text);
+        if (!key) return null;
+
+        const candidates = [key];
+        if (key.length > 3 && key.endsWith('s') && !key.endsWith('ss')) {
+            candidates.push(key.slice(0, -1));
+        }
+
+        const placeholders = candidates.map(() => '?').join(', ');
+        const row = await this.get(`SELECT * FROM recipes WHERE name_key IN (${placeholders}) LIMIT 1`, candidates);
+        return this.hydrate(row);
+    }
+
+    // Save a recipe from already-resolved ingredients.
+    // Each ingredient: { text, food_name, quantity, unit, grams, ...nutrients }
+    async create({ name, ingredients, servings = 1 }) {
+        const result = await this.run(
+            `INSERT INTO recipes (name, name_key, ingredients, servings, total_grams, nutrients)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [name.trim(), normalizeName(name), ...this.serialize(ingredients, servings)]
+        );
+        return this.getById(result.lastID);
+    }
+
+    async update(id, { name, ingredients, servings }) {
+        const existing = await this.getById(id);
+        if (!existing) return null;
+
+        const newName = name !== undefined ? name.trim() : existing.name;
+        const newIngredients = ingredients !== undefined ? ingredients : existing.ingredients;
+        const newServings = servings !== undefined ? servings : existing.servings;
+
+        await this.run(
+            `UPDATE recipes
+             SET name = ?, name_key = ?, ingredients = ?, servings = ?, total_grams = ?, nutrients = ?,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [newName, normalizeName(newName), ...this.serialize(newIngredients, newServings), id]
+        );
+        return this.getById(id);
+    }
+
+    async delete(id) {
+        const result = await this.run('DELETE FROM recipes WHERE id = ?', [id]);
+        return result.changes > 0;
+    }
+
+    serialize(ingredients, servings) {
+        const totalGrams = ingredients.reduce((sum, ing) => sum + (parseFloat(ing.grams) || 0), 0);
+        return [
+            JSON.stringify(ingredients),
+            servings,
+            totalGrams > 0 ? round(totalGrams, 1) : null,
+            JSON.stringify(sumNutrients(ingredients))
+        ];
+    }
+
+    // Nutrition for eating part of a recipe, shaped like a food_log row.
+    // Counts ("2 turkey wraps", "1 serving") are servings; weights scale by the
+    // recipe's total weight when it is known.
+    portionNutrition(recipe, portion) {
+        const quantity = portion.quantity || 1;
+        let factor = quantity / recipe.servings;
+
+        if (portion.unit && UNIT_GRAMS[portion.unit] && recipe.total_grams) {
+            factor = (quantity * UNIT_GRAMS[portion.unit]) / recipe.total_grams;
+        }
+
+        const grams = recipe.total_grams ? round(recipe.total_grams * factor, 1) : null;
+        const servingsEaten = round(factor * recipe.servings, 2);
+
+        return {
+            food_name: recipe.name,
+            serving_size: `${servingsEaten} serving${servingsEaten === 1 ? '' : 's'}${grams ? ` (${Math.round(grams)}g)` : ''}`,
+            ...scaleTotals(recipe.totals, factor),
+            quantity,
+            unit: portion.unit || null,
+            grams,
+            recipe_id: recipe.id
+        };
+    }
+}
+
+module.exports = RecipeBook;
+module.exports.normalizeName = normalizeName;
@@ -0,0 +1,146 @@
+// ============ RELATIVE TIME ============
+// Works out when something mentioned in chat happened: "yesterday",
+// "last night", "Tuesday", "2 days ago", "at 9am". Clock times and day
+// words are in the user's timezone, and the resulting date is the logical
+// day the moment belongs to (see DateUtils), so "at 1am" after a late shift
+// lands on the shift's day.
+
+const { addDays, weekday, currentDate, logicalDate, localClock, atLocalTime } = require('./DateUtils');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const COUNT_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7 };
+
+// Clock time assumed for a part of the day when no time is given
+const PART_OF_DAY_HOURS = { morning: 8, afternoon: 14, evening: 19, night: 21 };
+
+// Backdating further than this is almost certainly a misread
+const MAX_DAYS_BACK = 14;
+
+const PART = '(?:\\s+(morning|afternoon|evening|night))?';
+
+// "at 9am", "around 7:30 pm", "9pm", "at 21:15", "at noon" → { hours, minutes, phrase }
+function parseClockTime(text) {
+    let match = text.match(/\b(?:(?:at|around|about|by)\s+)?(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\.?(?![a-z])/i);
+    if (match) {
+        let hours = parseInt(match[1]);
+        const minutes = match[2] ? parseInt(match[2]) : 0;
+        if (hours < 1 || hours > 12 || minutes > 59) return null;
+        if (hours === 12) hours = 0;
+        if (match[3].toLowerCase() === 'p') hours += 12;
+        return { hours, minutes, phrase: match[0].trim() };
+    }
+
+    match = text.match(/\b(?:at|around|about|by)\s+([01]?\d|2[0-3]):([0-5]\d)\b/i);
+    if (match) {
+        return { hours: parseInt(match[1]), minutes: parseInt(match[2]), phrase: match[0].trim() };
+    }
+
+    match = text.match(/\b(?:at|around|about|by)\s+(noon|midnight)\b/i);
+    if (match) {
+        return { hours: match[1].toLowerCase() === 'noon' ? 12 : 0, minutes: 0, phrase: match[0].trim() };
+    }
+
+    return null;
+}
+
+// Day words → { days (back from today), partOfDay, phrase }, or null for "now"
+function parseDayReference(text, now) {
+    const lower = text.toLowerCase();
+    let match;
+
+    if ((match = lower.match(new RegExp(`\\b(?:the\\s+)?day before yesterday${PART}\\b`)))) {
+        return { days: 2, partOfDay: match[1] || null, phrase: match[0] };
+    }
+
+    if ((match = lower.match(/\b(\d+|one|two|three|four|five|six|seven)\s+days?\s+ago\b/))) {
+        const days = COUNT_WORDS[match[1]] || parseInt(match[1]);
+        return days <= MAX_DAYS_BACK ? { days, partOfDay: null, phrase: match[0] } : null;
+    }
+
+    if ((match = lower.match(new RegExp(`\\byesterday${PART}\\b`)))) {
+        return { days: 1, partOfDay: match[1] || null, phrase: match[0] };
+    }
+
+    if ((match = lower.match(/\blast\s+night\b/))) {
+        return { days: 1, partOfDay: 'night', phrase: match[0] };
+    }
+
+    if ((match = lower.match(new RegExp(`\\b(?:(last|this past|on)\\s+)?(${WEEKDAYS.join('|')})${PART}\\b`)))) {
+        let days = (weekday(currentDate(now)) - WEEKDAYS.indexOf(match[2]) + 7) % 7;
+        if (days === 0 && match[1] && match[1] !== 'on') days = 7;
+        return { days, partOfDay: match[3] || null, phrase: match[0] };
+    }
+
+    if ((match = lower.match(/\bthis\s+(morning|afternoon|evening)\b/))) {
+        return { days: 0, partOfDay: match[1], phrase: match[0] };
+    }
+
+    if ((match = lower.match(/\btonight\b/))) {
+        return { days: 0, partOfDay: 'night', phrase: match[0] };
+    }
+
+    return null;
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+// Resolve a message to the moment it refers to.
+// Returns { date, time, timestamp, when, backdated, phrase }:
+//   date       YYYY-MM-DD the entry belongs to
+//   time       local HH:MM when a time was given or implied, else null
+//   timestamp  UTC "YYYY-MM-DD HH:MM:SS" for DATETIME columns (null when it's just now)
+//   backdated  true when anything other than "now" was resolved
+function resolveMessageTime(message, now = new Date()) {
+    const text = message || '';
+    const day = parseDayReference(text, now);
+    const clock = parseClockTime(text);
+
+    const date = day ? addDays(currentDate(now), -day.days) : currentDate(now);
+    const hours = clock ? clock.hours : (day && day.partOfDay ? PART_OF_DAY_HOURS[day.partOfDay] : null);
+    const time = hours !== null ? `${pad(hours)}:${pad(clock ? clock.minutes : 0)}` : null;
+
+    // A day with no time keeps the current time of day
+    let when = time ? atLocalTime(date, time) : (day ? atLocalTime(date, localClock(now)) : new Date(now));
+
+    // "had eggs at 9pm" said the next morning means last night
+    if (!day && clock && when > now) when = atLocalTime(addDays(date, -1), time);
+
+    // "tonight" said at 5pm hasn't happened yet - it's now
+    if (when > now) when = new Date(now);
+
+    const backdated = !!(day || clock);
+    const iso = when.toISOString();
+
+    return {
+        date: logicalDate(when),
+        time: hours !== null ? localClock(when) : null,
+        timestamp: backdated ? iso.replace('T', ' ').slice(0, 19) : null,
+        when,
+        backdated,
+        phrase: [day && day.phrase, clock && clock.phrase].filter(Boolean).join(' ') || null
+    };
+}
+
+// "had pizza last night at 11pm" → "had pizza", so the food name stays clean
+function stripTimeReferences(message, now = new Date()) {
+    let text = message || '';
+    const day = parseDayReference(text, now);
+    const clock = parseClockTime(text);
+
+    [day, clock].filter(Boolean).forEach(found => {
+        const escaped = found.phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        text = text.replace(new RegExp(`\\s*${escaped}`, 'i'), '');
+    });
+
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+    resolveMessageTime,
+    stripTimeReferences,
+    parseClockTime,
+    parseDayReference
+};
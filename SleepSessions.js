@@ -0,0 +1,556 @@
+// ============ SLEEP ============
+// Sleep as sessions - bedtime, wake time, duration, quality, naps - instead
+// of a single 1-10 score. A night counts toward the day it ends on (the wake
+// day); a nap toward the day it's taken. Each day's night sleep is mirrored
+// into the sleep_hours and sleep metrics so charts, patterns and correlations
+// keep reading the metrics table. Sleep debt is a running balance against the
+// target over a trailing window: short nights add to it, long nights and naps
+// pay it back, but it never goes below zero.
+
+const { parseDayReference } = require('./RelativeTime');
+const {
+    isValidDate, addDays, eachDate, calendarDate, currentDate, logicalDate, localClock,
+    fromLocal, startOfLogicalDay, normalizeClock, parseTimestamp, toDbTimestamp
+} = require('./DateUtils');
+
+const DEFAULT_TARGET_HOURS = 8;
+const DEFAULT_DEBT_WINDOW_DAYS = 7;
+const MAX_SESSION_HOURS = 16;    // a longer "night" is a misread range
+const METRIC_SOURCE = 'sleep';   // metric_readings written from sessions
+
+// "1", "1am", "8:30", "11:45 pm", "midnight"
+const CLOCK = '(?:\\d{1,2}(?::\\d{2})?(?:\\s*[ap]\\.?m\\.?)?|midnight|noon)';
+// "7 hours", "7.5 hrs", "6h 30m", "6 and a half hours", "45 min"
+const DURATION = '(?:\\d{1,2}(?:\\.\\d+)?\\s*(?:and\\s+a\\s+half\\s+)?(?:h|hrs?|hours?)\\b(?:\\s*(?:and\\s*)?\\d{1,2}\\s*(?:m|mins?|minutes?)\\b)?|\\d{1,3}\\s*-?\\s*(?:m|mins?|minutes?)\\b)';
+const ABOUT = '(?:(?:about|around|like|only|maybe|roughly|almost|nearly|a solid)\\s+)?';
+const NOT_A_DURATION = '(?!\\s*(?:h|hrs?|hours?|m|mins?|minutes?)\\b)(?![\\d:])';
+
+// Bed → wake ranges; group 1 is the verb (nap or not), 2 bedtime, 3 wake time
+const RANGE_PATTERNS = [
+    new RegExp(`\\b(slept|sleeping|asleep|in bed|nap(?:ped|ping)?)\\s+(?:from\\s+)?${ABOUT}(${CLOCK})\\s*(?:to|till|til|until|-|–)\\s*(${CLOCK})${NOT_A_DURATION}`, 'i'),
+    new RegExp(`\\b(went to (?:bed|sleep)|got (?:in|to) bed|fell asleep|bed(?:time)?|asleep|lights out)\\s+(?:at\\s+|around\\s+|about\\s+|by\\s+)?(${CLOCK})\\b[^.;!?]*?\\b(?:woke(?: up)?|wake(?: up)?|got up|up|awake)\\s+(?:at\\s+|around\\s+|about\\s+|by\\s+)?(${CLOCK})${NOT_A_DURATION}`, 'i')
+];
+
+// Durations; the whole match is consumed except where a lookahead leaves
+// "sleep" for the quality score ("7 hrs sleep at 5")
+const DURATION_PATTERNS = [
+    { nap: true, pattern: new RegExp(`\\b(?:took\\s+an?\\s+)?(${DURATION})\\s*(?:-\\s*)?(?:long\\s+)?nap\\b`, 'i') },
+    { nap: true, pattern: new RegExp(`\\bnap(?:ped|ping)?\\s+(?:for\\s+)?${ABOUT}(${DURATION})`, 'i') },
+    { nap: false, pattern: new RegExp(`\\b(?:slept|sleeping)\\s+(?:for\\s+)?${ABOUT}(${DURATION})`, 'i') },
+    { nap: false, pattern: new RegExp(`\\bsleep\\s+(?:for\\s+)?${ABOUT}(${DURATION})`, 'i') },
+    { nap: false, pattern: new RegExp(`\\b(?:got\\s+)?${ABOUT}(${DURATION})\\s+(?:of\\s+)?(?=sleep\\b)`, 'i') }
+];
+
+function round(value, places = 2) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+// "7 hours", "6h 30m", "6 and a half hours", "45 min" → hours
+function parseDuration(text) {
+    const hours = text.match(/(\d{1,2}(?:\.\d+)?)\s*(and\s+a\s+half\s+)?(?:h|hrs?|hours?)\b/i);
+    const minutes = text.match(/(\d{1,3})\s*-?\s*(?:m|mins?|minutes?)\b/i);
+
+    let total = 0;
+    if (hours) total += parseFloat(hours[1]) + (hours[2] ? 0.5 : 0);
+    if (minutes) total += parseInt(minutes[1]) / 60;
+    return total > 0 ? round(total) : null;
+}
+
+// Clock text → every 24h "HH:MM" it could mean ("1" is 01:00 or 13:00)
+function clockCandidates(text) {
+    const lower = text.toLowerCase().replace(/\./g, '').trim();
+    if (lower === 'midnight') return ['00:00'];
+    if (lower === 'noon') return ['12:00'];
+
+    const match = lower.match(/^(\d{1,2})(?::(\d{2}))?\s*([ap]m)?$/);
+    if (!match) return [];
+    const hours = parseInt(match[1]);
+    const minutes = match[2] ? parseInt(match[2]) : 0;
+    if (hours > 23 || minutes > 59) return [];
+
+    if (match[3]) {
+        if (hours < 1 || hours > 12) return [];
+        return [`${pad((hours % 12) + (match[3] === 'pm' ? 12 : 0))}:${pad(minutes)}`];
+    }
+    if (hours === 0 || hours > 12) return [`${pad(hours)}:${pad(minutes)}`];
+    return [`${pad(hours % 12)}:${pad(minutes)}`, `${pad((hours % 12) + 12)}:${pad(minutes)}`];
+}
+
+// Latest moment at or before `reference` showing a local "HH:MM"
+function latestAt(clock, reference) {
+    const date = calendarDate(reference);
+    const at = fromLocal(date, clock);
+    return at <= reference ? at : fromLocal(addDays(date, -1), clock);
+}
+
+// "1am" to "8:30" before `reference` → { bedtime, wake }: the wake time is the
+// most recent one, the bedtime the closest before it. Ambiguous hours read as
+// a morning wake-up for a night ("11 to 7") and as the afternoon for a nap
+// ("nap 2 to 3").
+function resolveRange(bedText, wakeText, reference, nap) {
+    const daytime = clock => clock >= '08:00' && clock <= '22:00';
+    const morning = clock => clock < '14:00';
+    const prefer = (clocks, test) => (clocks.some(test) ? clocks.filter(test) : clocks);
+
+    const wakes = prefer(clockCandidates(wakeText), nap ? daytime : morning).map(clock => latestAt(clock, reference));
+    if (wakes.length === 0) return null;
+    const wake = new Date(Math.max(...wakes));
+
+    const beds = prefer(clockCandidates(bedText), nap ? daytime : () => true)
+        .map(clock => latestAt(clock, new Date(wake.getTime() - 60000)))
+        .filter(bedtime => (wake - bedtime) / 3600000 <= MAX_SESSION_HOURS);
+    if (beds.length === 0) return null;
+
+    return { bedtime: new Date(Math.max(...beds)), wake };
+}
+
+// Sleep mentioned in a chat message → { sessions, rest }, or null.
+// "slept 1am to 8:30", "bed at 1, up at 8:30", "7 hrs sleep at 5",
+// "slept 6 and a half hours yesterday", "napped 30 min", "nap 2 to 3:30".
+// `rest` is the message with the sleep phrases blanked out, so their numbers
+// and clock times aren't read again as metrics or as when the message happened.
+// A named night ("last night", "saturday night") is when they went to bed, so
+// the sleep counts toward the next day; a named day is the day they woke up.
+function parseSleepMessage(message, now = new Date()) {
+    let rest = message || '';
+    const sessions = [];
+
+    const today = currentDate(now);
+    const day = parseDayReference(rest, now);
+    const night = !!day && day.partOfDay === 'night';
+    const named = day ? addDays(today, -day.days) : today;
+    const date = night && named < today ? addDays(named, 1) : named;
+    const latest = night ? fromLocal(date, '14:00') : startOfLogicalDay(addDays(date, 1));
+    const reference = date < today ? new Date(Math.min(now.getTime(), latest.getTime())) : now;
+
+    const consume = match => {
+        rest = rest.slice(0, match.index) + ' '.repeat(match[0].length) + rest.slice(match.index + match[0].length);
+    };
+
+    for (const pattern of RANGE_PATTERNS) {
+        const match = rest.match(pattern);
+        if (!match) continue;
+
+        const nap = /^nap/i.test(match[1]);
+        const range = resolveRange(match[2], match[3], reference, nap);
+        if (!range) continue;
+
+        consume(match);
+        sessions.push({
+            date: nap ? logicalDate(range.bedtime) : logicalDate(range.wake),
+            bedtime: range.bedtime,
+            wake: range.wake,
+            duration_hours: round((range.wake - range.bedtime) / 3600000),
+            nap,
+            phrase: match[0].trim()
+        });
+    }
+
+    for (const { nap, pattern } of DURATION_PATTERNS) {
+        if (sessions.some(session => session.nap === nap)) continue;
+        const match = rest.match(pattern);
+        if (!match) continue;
+
+        const hours = parseDuration(match[1]);
+        if (!hours || hours > MAX_SESSION_HOURS) continue;
+
+        consume(match);
+        sessions.push({ date, bedtime: null, wake: null, duration_hours: hours, nap, phrase: match[0].trim() });
+    }
+
+    return sessions.length > 0 ? { sessions, rest } : null;
+}
+
+// "HH:MM" on a date or a full ISO time → Date, or null
+function parseMoment(value, date) {
+    const clock = normalizeClock(value);
+    if (clock) return fromLocal(date, clock);
+    const parsed = new Date(value);
+    return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+// POST/PATCH body → session fields, or { error }. Times are ISO or local
+// "HH:MM" (the wake time on `date`, bedtime the closest before it).
+function validateSessionInput(body, { existing = null, now = new Date() } = {}) {
+    const fields = {};
+
+    if (body.date !== undefined && !isValidDate(body.date)) {
+        return { error: 'date must be in YYYY-MM-DD format' };
+    }
+    if (body.quality !== undefined && body.quality !== null
+        && (!Number.isInteger(body.quality) || body.quality < 1 || body.quality > 10)) {
+        return { error: 'quality must be a whole number from 1 to 10' };
+    }
+    if (body.nap !== undefined && typeof body.nap !== 'boolean') {
+        return { error: 'nap must be true or false' };
+    }
+    if (body.duration_hours !== undefined && body.duration_hours !== null
+        && (typeof body.duration_hours !== 'number' || body.duration_hours <= 0 || body.duration_hours > 24)) {
+        return { error: 'duration_hours must be a number of hours between 0 and 24' };
+    }
+
+    // A new duration on its own replaces the session's times
+    const keepTimes = existing && body.duration_hours === undefined;
+    const date = body.date || (existing ? existing.date : currentDate(now));
+    const wakeInput = body.wake_time !== undefined ? body.wake_time : (keepTimes ? existing.wake_time : null);
+    const bedInput = body.bedtime !== undefined ? body.bedtime : (keepTimes ? existing.bedtime : null);
+
+    let wake = null;
+    let bedtime = null;
+    if (wakeInput) {
+        wake = parseMoment(wakeInput, date);
+        if (!wake) return { error: 'wake_time must be HH:MM or an ISO date-time' };
+    }
+    if (bedInput) {
+        const clock = normalizeClock(bedInput);
+        bedtime = clock && wake ? latestAt(clock, new Date(wake.getTime() - 60000)) : parseMoment(bedInput, date);
+        if (!bedtime) return { error: 'bedtime must be HH:MM or an ISO date-time' };
+    }
+    if (wake && wake > now) return { error: 'wake_time is in the future' };
+    if (bedtime && wake && (bedtime >= wake || (wake - bedtime) / 3600000 > 24)) {
+        return { error: 'bedtime must be before wake_time and within 24 hours of it' };
+    }
+
+    const nap = body.nap !== undefined ? body.nap : (existing ? existing.nap : false);
+    const duration = bedtime && wake
+        ? round((wake - bedtime) / 3600000)
+        : (body.duration_hours !== undefined ? body.duration_hours : (existing ? existing.duration_hours : null));
+    if (!duration) return { error: 'Send bedtime and wake_time, or duration_hours' };
+
+    fields.bedtime = bedtime;
+    fields.wake = wake;
+    fields.duration_hours = duration;
+    fields.nap = nap;
+    fields.quality = body.quality !== undefined ? body.quality : (existing ? existing.quality : null);
+    fields.date = body.date || (wake && !nap ? logicalDate(wake) : bedtime ? logicalDate(bedtime) : date);
+    return { fields };
+}
+
+// Returns an error message, or null when the settings changes are valid
+function validateSettingsChanges(changes) {
+    if (changes.target_hours !== undefined
+        && (typeof changes.target_hours !== 'number' || changes.target_hours < 4 || changes.target_hours > 12)) {
+        return 'target_hours must be a number between 4 and 12';
+    }
+    if (changes.debt_window_days !== undefined
+        && (!Number.isInteger(changes.debt_window_days) || changes.debt_window_days < 3 || changes.debt_window_days > 30)) {
+        return 'debt_window_days must be a whole number between 3 and 30';
+    }
+    return null;
+}
+
+// Running debt over a list of { total_hours } days (null = nothing logged)
+function runningDebt(days, targetHours) {
+    return days.reduce((debt, day) =>
+        day.total_hours === null ? debt : Math.max(0, debt + targetHours - day.total_hours), 0);
+}
+
+class SleepTracker {
+    constructor(db, { readings = null } = {}) {
+        this.db = db;
+        this.readings = readings;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    async init() {
+        // Single row (id = 1)
+        await this.run(`CREATE TABLE IF NOT EXISTS sleep_profile (
+            id INTEGER PRIMARY KEY CHECK (id = 1),
+            target_hours REAL DEFAULT ${DEFAULT_TARGET_HOURS},
+            debt_window_days INTEGER DEFAULT ${DEFAULT_DEBT_WINDOW_DAYS},
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await this.run('INSERT OR IGNORE INTO sleep_profile (id) VALUES (1)');
+
+        // date is the logical day the session counts toward (wake day, or the nap's day)
+        await this.run(`CREATE TABLE IF NOT EXISTS sleep_sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            date TEXT NOT NULL,
+            bedtime DATETIME,
+            wake_time DATETIME,
+            duration_hours REAL NOT NULL,
+            quality INTEGER,
+            nap BOOLEAN DEFAULT 0,
+            source TEXT DEFAULT 'manual',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await this.run('CREATE INDEX IF NOT EXISTS idx_sleep_sessions_date ON sleep_sessions(date)');
+    }
+
+    async getSettings() {
+        const row = await this.get('SELECT * FROM sleep_profile WHERE id = 1') || {};
+        return {
+            target_hours: row.target_hours || DEFAULT_TARGET_HOURS,
+            debt_window_days: row.debt_window_days || DEFAULT_DEBT_WINDOW_DAYS,
+            updated_at: row.updated_at || null
+        };
+    }
+
+    async updateSettings(changes) {
+        const current = await this.getSettings();
+        await this.run(
+            'UPDATE sleep_profile SET target_hours = ?, debt_window_days = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1',
+            [
+                changes.target_hours !== undefined ? changes.target_hours : current.target_hours,
+                changes.debt_window_days !== undefined ? changes.debt_window_days : current.debt_window_days
+            ]
+        );
+        return this.getSettings();
+    }
+
+    describe(row) {
+        const bedtime = row.bedtime ? parseTimestamp(row.bedtime) : null;
+        const wake = row.wake_time ? parseTimestamp(row.wake_time) : null;
+
+        return {
+            id: row.id,
+            date: row.date,
+            nap: !!row.nap,
+            bedtime: bedtime ? bedtime.toISOString() : null,
+            bedtime_local: bedtime ? localClock(bedtime) : null,
+            wake_time: wake ? wake.toISOString() : null,
+            wake_local: wake ? localClock(wake) : null,
+            duration_hours: row.duration_hours,
+            quality: row.quality,
+            source: row.source
+        };
+    }
+
+    async find(id) {
+        const row = await this.get('SELECT * FROM sleep_sessions WHERE id = ?', [id]);
+        return row ? this.describe(row) : null;
+    }
+
+    // fields: { date, bedtime, wake, duration_hours, quality, nap } (Dates or null)
+    async add(fields, { source = 'manual' } = {}) {
+        const result = await this.run(
+            `INSERT INTO sleep_sessions (date, bedtime, wake_time, duration_hours, quality, nap, source)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                fields.date,
+                fields.bedtime ? toDbTimestamp(fields.bedtime) : null,
+                fields.wake ? toDbTimestamp(fields.wake) : null,
+                fields.duration_hours,
+                fields.quality !== undefined ? fields.quality : null,
+                fields.nap ? 1 : 0,
+                source
+            ]
+        );
+
+        await this.syncMetrics(fields.date);
+        return this.find(result.lastID);
+    }
+
+    // Chat restating a night ("7 hrs sleep at 5" after "slept 1am to 8:30")
+    // updates the night it overlaps, or one without times, instead of adding a
+    // second night; non-overlapping nights (woke at 3, back to sleep at 4) and
+    // naps are added.
+    async record(fields, { source = 'chat' } = {}) {
+        if (fields.nap) return this.add(fields, { source });
+
+        const nights = await this.all('SELECT * FROM sleep_sessions WHERE date = ? AND nap = 0 ORDER BY id DESC', [fields.date]);
+        const same = nights.find(night => {
+            if (!night.bedtime || !night.wake_time || !fields.bedtime || !fields.wake) return true;
+            return fields.bedtime < parseTimestamp(night.wake_time) && fields.wake > parseTimestamp(night.bedtime);
+        });
+        if (!same) return this.add(fields, { source });
+
+        // The same duration without times just rates or confirms the night
+        const keepTimes = !fields.bedtime && same.bedtime && fields.duration_hours === same.duration_hours;
+        return this.update(same.id, {
+            ...fields,
+            bedtime: keepTimes ? parseTimestamp(same.bedtime) : fields.bedtime,
+            wake: keepTimes ? parseTimestamp(same.wake_time) : fields.wake,
+            quality: fields.quality !== null && fields.quality !== undefined ? fields.quality : same.quality
+        });
+    }
+
+    async update(id, fields) {
+        const existing = await this.get('SELECT * FROM sleep_sessions WHERE id = ?', [id]);
+        if (!existing) return null;
+
+        await this.run(
+            `UPDATE sleep_sessions SET date = ?, bedtime = ?, wake_time = ?, duration_hours = ?, quality = ?, nap = ?
+             WHERE id = ?`,
+            [
+                fields.date,
+                fields.bedtime ? toDbTimestamp(fields.bedtime) : null,
+                fields.wake ? toDbTimestamp(fields.wake) : null,
+                fields.duration_hours,
+                fields.quality,
+                fields.nap ? 1 : 0,
+                id
+            ]
+        );
+
+        await this.syncMetrics(fields.date);
+        if (existing.date !== fields.date) await this.syncMetrics(existing.date);
+        return this.find(id);
+    }
+
+    async remove(id) {
+        const existing = await this.find(id);
+        if (!existing) return null;
+
+        await this.run('DELETE FROM sleep_sessions WHERE id = ?', [id]);
+        await this.syncMetrics(existing.date);
+        return existing;
+    }
+
+    // The day's night sleep (naps excluded) becomes one sleep_hours reading and
+    // the last rated night one sleep quality reading, replacing earlier ones
+    // from sessions - readings from chat, Quick Entry or a wearable stay.
+    async syncMetrics(date) {
+        if (!this.readings) return;
+
+        const nights = await this.all(
+            'SELECT * FROM sleep_sessions WHERE date = ? AND nap = 0 ORDER BY COALESCE(wake_time, created_at), id',
+            [date]
+        );
+        await this.run(
+            "DELETE FROM metric_readings WHERE date = ? AND metric IN ('sleep_hours', 'sleep') AND source = ?",
+            [date, METRIC_SOURCE]
+        );
+
+        const values = {};
+        if (nights.length > 0) values.sleep_hours = round(nights.reduce((sum, night) => sum + night.duration_hours, 0), 1);
+        const rated = nights.filter(night => night.quality !== null).pop();
+        if (rated) values.sleep = rated.quality;
+
+        if (Object.keys(values).length > 0) {
+            const last = nights[nights.length - 1];
+            await this.readings.record(date, values, {
+                recordedAt: last.wake_time || last.created_at || toDbTimestamp(new Date()),
+                source: METRIC_SOURCE
+            });
+        }
+        await this.readings.rollupDay(date, ['sleep_hours', 'sleep']);
+    }
+
+    async sessions({ from, to }) {
+        const rows = await this.all(
+            'SELECT * FROM sleep_sessions WHERE date BETWEEN ? AND ? ORDER BY date, COALESCE(bedtime, wake_time, created_at), id',
+            [from, to]
+        );
+        return rows.map(row => this.describe(row));
+    }
+
+    // Per-day sleep from `from` to `to` with the debt as of each day, plus
+    // averages over days with sleep logged. Days without sessions fall back to
+    // the sleep_hours metric (wearable imports, Quick Entry).
+    async summary({ from, to }) {
+        const settings = await this.getSettings();
+        const windowStart = addDays(from, -(settings.debt_window_days - 1));
+
+        const sessions = await this.sessions({ from: windowStart, to });
+        const metricRows = await this.all(
+            'SELECT date, sleep_hours, sleep FROM metrics WHERE date BETWEEN ? AND ? ORDER BY date, created_at, id',
+            [windowStart, to]
+        );
+        const metricsByDate = {};
+        metricRows.forEach(row => { metricsByDate[row.date] = row; });
+
+        const allDays = eachDate(windowStart, to).map(date => {
+            const daySessions = sessions.filter(session => session.date === date);
+            const nights = daySessions.filter(session => !session.nap);
+            const naps = daySessions.filter(session => session.nap);
+            const metric = metricsByDate[date] || {};
+
+            const sleepHours = nights.length > 0
+                ? round(nights.reduce((sum, session) => sum + session.duration_hours, 0), 1)
+                : (typeof metric.sleep_hours === 'number' ? metric.sleep_hours : null);
+            const napHours = round(naps.reduce((sum, session) => sum + session.duration_hours, 0), 1);
+            const logged = sleepHours !== null || naps.length > 0;
+
+            return {
+                date,
+                sleep_hours: sleepHours,
+                nap_hours: napHours,
+                total_hours: logged ? round((sleepHours || 0) + napHours, 1) : null,
+                quality: typeof metric.sleep === 'number' ? metric.sleep : null,
+                bedtime_local: nights.length > 0 ? nights[0].bedtime_local : null,
+                wake_local: nights.length > 0 ? nights[nights.length - 1].wake_local : null,
+                sessions: daySessions.length
+            };
+        });
+
+        const days = allDays
+            .map((day, i) => ({
+                ...day,
+                debt_hours: round(runningDebt(allDays.slice(Math.max(0, i - settings.debt_window_days + 1), i + 1), settings.target_hours), 1)
+            }))
+            .filter(day => day.date >= from);
+
+        const logged = days.filter(day => day.sleep_hours !== null);
+        const rated = days.filter(day => day.quality !== null);
+        const average = (list, key) => list.length > 0 ? round(list.reduce((sum, day) => sum + day[key], 0) / list.length, 1) : null;
+
+        return {
+            from,
+            to,
+            target_hours: settings.target_hours,
+            debt_window_days: settings.debt_window_days,
+            debt_hours: days.length > 0 ? days[days.length - 1].debt_hours : 0,
+            averages: {
+                sleep_hours: average(logged, 'sleep_hours'),
+                nap_hours: average(days.filter(day => day.nap_hours > 0), 'nap_hours'),
+                quality: average(rated, 'quality'),
+                logged_days: logged.length
+            },
+            days,
+            sessions: sessions.filter(session => session.date >= from)
+        };
+    }
+
+    // Last night plus the debt as of today, for chat and coaching context
+    async today(now = new Date()) {
+        const date = currentDate(now);
+        const summary = await this.summary({ from: date, to: date });
+        return {
+            date,
+            ...summary.days[0],
+            debt_hours: summary.debt_hours,
+            target_hours: summary.target_hours,
+            debt_window_days: summary.debt_window_days
+        };
+    }
+}
+
+module.exports = SleepTracker;
+module.exports.parseSleepMessage = parseSleepMessage;
+module.exports.parseDuration = parseDuration;
+module.exports.validateSessionInput = validateSessionInput;
+module.exports.validateSettingsChanges = validateSettingsChanges;
+module.exports.runningDebt = runningDebt;
+module.exports.DEFAULT_TARGET_HOURS = DEFAULT_TARGET_HOURS;
@@ -0,0 +1,587 @@
+// ============ SYMPTOMS ============
+// A journal of pain and other symptoms: where (body site and side), what kind
+// (pain, fatigue, headache...), how bad (0-10), what they think set it off and
+// notes. Logged from chat ("lower back at 4 after lifting", "headache 6/10")
+// or the API. Knee pain entries also feed the knee_pain metric, so the
+// dashboard and correlations keep working.
+//
+// Trigger analysis looks at each symptom's bad days next to what happened the
+// same day or the day before - foods eaten, short sleep or sleep debt,
+// workouts and high knee-load exercises - and compares how often the symptom
+// follows each one against how often it shows up otherwise.
+
+const { addDays, eachDate, logicalDate, localClock, parseTimestamp, toDbTimestamp } = require('./DateUtils');
+
+// Body sites; "back" alone is too vague in chat ("got back at 4") unless a
+// symptom word comes with it
+const SITES = [
+    { name: 'lower_back', label: 'Lower back', synonyms: ['lower back', 'low back', 'lumbar'] },
+    { name: 'upper_back', label: 'Upper back', synonyms: ['upper back', 'mid back', 'between my shoulder blades'] },
+    { name: 'back', label: 'Back', synonyms: ['back'], vague: true },
+    { name: 'neck', label: 'Neck', synonyms: ['neck'] },
+    { name: 'shoulder', label: 'Shoulder', synonyms: ['shoulders', 'shoulder'] },
+    { name: 'elbow', label: 'Elbow', synonyms: ['elbows', 'elbow'] },
+    { name: 'wrist', label: 'Wrist', synonyms: ['wrists', 'wrist'] },
+    { name: 'hand', label: 'Hand', synonyms: ['hands', 'hand', 'fingers'], vague: true },
+    { name: 'hip', label: 'Hip', synonyms: ['hips', 'hip'] },
+    { name: 'glute', label: 'Glute', synonyms: ['glutes', 'glute'] },
+    { name: 'hamstring', label: 'Hamstring', synonyms: ['hamstrings', 'hamstring'] },
+    { name: 'quad', label: 'Quad', synonyms: ['quads', 'quad', 'thigh'] },
+    { name: 'knee', label: 'Knee', synonyms: ['knees', 'knee'] },
+    { name: 'shin', label: 'Shin', synonyms: ['shins', 'shin'] },
+    { name: 'calf', label: 'Calf', synonyms: ['calves', 'calf'] },
+    { name: 'ankle', label: 'Ankle', synonyms: ['ankles', 'ankle'] },
+    { name: 'foot', label: 'Foot', synonyms: ['feet', 'foot', 'heel'], vague: true },
+    { name: 'head', label: 'Head', synonyms: ['head'], vague: true },
+    { name: 'jaw', label: 'Jaw', synonyms: ['jaw'] },
+    { name: 'chest', label: 'Chest', synonyms: ['chest'], vague: true },
+    { name: 'stomach', label: 'Stomach', synonyms: ['stomach', 'gut', 'belly', 'abdomen'], vague: true },
+    // Whole-body symptoms (fatigue, brain fog) have no site
+    { name: 'general', label: 'General', synonyms: [] }
+];
+
+// Symptom types; standalone ones log without a site ("fatigue at 7") and
+// some imply one ("headache" is the head)
+const TYPES = [
+    { name: 'pain', label: 'pain', synonyms: ['pain', 'ache', 'aches', 'aching', 'achy', 'hurts', 'hurting', 'sharp', 'throbbing'] },
+    { name: 'soreness', label: 'soreness', synonyms: ['soreness', 'sore', 'doms'] },
+    { name: 'stiffness', label: 'stiffness', synonyms: ['stiffness', 'stiff', 'tight', 'tightness'] },
+    { name: 'swelling', label: 'swelling', synonyms: ['swelling', 'swollen'] },
+    { name: 'numbness', label: 'numbness', synonyms: ['numbness', 'numb', 'tingling', 'pins and needles'] },
+    { name: 'cramp', label: 'cramp', synonyms: ['cramping', 'cramps', 'cramp'] },
+    { name: 'headache', label: 'headache', synonyms: ['headache', 'migraine', 'head ache'], standalone: true, site: 'head' },
+    { name: 'fatigue', label: 'fatigue', synonyms: ['fatigue', 'fatigued', 'exhaustion', 'exhausted', 'wiped out', 'drained'], standalone: true },
+    { name: 'brain_fog', label: 'brain fog', synonyms: ['brain fog', 'foggy', 'brain fogged'], standalone: true },
+    { name: 'nausea', label: 'nausea', synonyms: ['nausea', 'nauseous', 'queasy'], standalone: true, site: 'stomach' },
+    { name: 'dizziness', label: 'dizziness', synonyms: ['dizziness', 'dizzy', 'lightheaded', 'light-headed'], standalone: true, site: 'head' },
+    { name: 'other', label: 'symptom', synonyms: [] }
+];
+
+const SIDES = ['left', 'right', 'both'];
+
+const TRIGGER_WINDOW_DAYS = 90;
+const MIN_SEVERITY = 4;          // a "bad day" for trigger analysis
+const MIN_EXPOSED_DAYS = 3;      // a trigger seen fewer times says nothing
+const MIN_SHARED_DAYS = 2;
+
+function round(value, places = 1) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function words(synonyms) {
+    return [...synonyms]
+        .sort((a, b) => b.length - a.length)
+        .map(synonym => escapeRegex(synonym).replace(/\s+/g, '\\s+'))
+        .join('|');
+}
+
+function findSite(text) {
+    const lower = (text || '').toLowerCase().trim().replace(/\s+/g, ' ');
+    return SITES.find(site => site.name === lower.replace(/ /g, '_') || site.label.toLowerCase() === lower
+        || site.synonyms.includes(lower)) || null;
+}
+
+function findType(text) {
+    const lower = (text || '').toLowerCase().trim();
+    return TYPES.find(type => type.name === lower.replace(/ /g, '_') || type.label === lower
+        || type.synonyms.includes(lower)) || null;
+}
+
+// "lower back pain", "left knee soreness", "fatigue"
+function describeSymptom(entry) {
+    const site = SITES.find(candidate => candidate.name === entry.site);
+    const type = TYPES.find(candidate => candidate.name === entry.type);
+    const where = site && site.name !== 'general' && !(type && type.site === site.name)
+        ? `${entry.side && entry.side !== 'both' ? `${entry.side} ` : ''}${site.label.toLowerCase()} `
+        : '';
+    return `${where}${type ? type.label : entry.type}`;
+}
+
+// "after lifting" → "lifting"; "from sitting all day" → "sitting all day"
+function cleanTrigger(text) {
+    return text.toLowerCase()
+        .replace(/^(?:(?:my|the|a|an|some|all|that|this|too much)\s+)+/, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .split(' ')
+        .slice(0, 6)
+        .join(' ');
+}
+
+const SITE_WORDS = words(SITES.flatMap(site => site.synonyms));
+const TYPE_WORDS = words(TYPES.flatMap(type => type.synonyms));
+const STANDALONE_WORDS = words(TYPES.filter(type => type.standalone).flatMap(type => type.synonyms));
+const FILLER = '(?:\\s+(?:is|was|been|at|around|about|like|a|an|of|level|pain|ache|really|pretty|maybe)|\\s*[:\\-–—])';
+const SEVERITY = '(\\d{1,2})(?:\\s*(?:\\/|out\\s+of)\\s*10)?\\b(?!\\s*(?::|[ap]\\.?m\\b|x\\b|lbs?\\b|kg\\b|mins?\\b|minutes?\\b|hours?\\b|hrs?\\b|miles?\\b|reps?\\b|sets?\\b|days?\\b|weeks?\\b))';
+
+// Site mention with a severity: "lower back at 4", "left knee pain 5/10", "my shoulder is sore, like a 3"
+const SITE_PATTERN = new RegExp(`\\b(?:(left|right|both)\\s+)?(${SITE_WORDS})\\b((?:\\s+(?:${TYPE_WORDS}))?(?:${FILLER}|\\s*,|\\s+(?:${TYPE_WORDS})){0,5})\\s*${SEVERITY}`, 'i');
+// Standalone symptom with a severity: "fatigue at 7", "headache 6/10", "6/10 headache"
+const STANDALONE_PATTERNS = [
+    new RegExp(`\\b(${STANDALONE_WORDS})\\b((?:${FILLER}|\\s*,){0,5})\\s*${SEVERITY}`, 'i'),
+    new RegExp(`\\b(\\d{1,2})\\s*(?:\\/|out\\s+of)\\s*10\\s+(${STANDALONE_WORDS})\\b`, 'i')
+];
+const TRIGGER_PATTERN = /\b(?:after|from|since|because of|due to|following|triggered by)\s+([^,.;!?]+?)(?=\s+(?:and|but|so)\b|[,.;!?]|$)/i;
+
+// Symptoms in a chat message → { entries: [{ site, side, type, severity, triggers, phrase }], rest },
+// or null. `rest` has the symptom phrases blanked so "knee 3" isn't also read
+// as the knee_pain metric. Each symptom takes the "after/from/since ..." that
+// follows it as a suspected trigger.
+function parseSymptoms(message) {
+    let rest = message || '';
+    const found = [];
+
+    const consume = match => {
+        const start = match.index;
+        rest = rest.slice(0, start) + ' '.repeat(match[0].length) + rest.slice(start + match[0].length);
+        return start;
+    };
+
+    // Out-of-range severities ("knee 12") are left in for the knee_pain metric to reject
+    for (const match of [...rest.matchAll(new RegExp(SITE_PATTERN.source, 'gi'))]) {
+        const site = findSite(match[2].replace(/\s+/g, ' '));
+        const typeWord = (match[3] || '').match(new RegExp(`\\b(${TYPE_WORDS})\\b`, 'i'));
+        const severity = parseInt(match[4]);
+        if (site.vague && !typeWord && !/\/|out\s+of/i.test(match[0])) continue;
+        if (severity > 10) continue;
+
+        const start = consume(match);
+        const type = typeWord ? findType(typeWord[1].replace(/\s+/g, ' ')) : TYPES[0];
+        found.push({
+            site: site.name,
+            side: match[1] ? match[1].toLowerCase() : null,
+            type: type.name,
+            severity,
+            phrase: match[0].trim(),
+            end: start + match[0].length
+        });
+    }
+
+    for (const pattern of STANDALONE_PATTERNS) {
+        for (const match of [...rest.matchAll(new RegExp(pattern.source, 'gi'))]) {
+            const numberFirst = /^\d/.test(match[1]);
+            const type = findType((numberFirst ? match[2] : match[1]).replace(/\s+/g, ' '));
+            const severity = parseInt(numberFirst ? match[1] : match[3]);
+            if (severity > 10) continue;
+
+            const start = consume(match);
+            found.push({
+                site: type.site || 'general',
+                side: null,
+                type: type.name,
+                severity,
+                phrase: match[0].trim(),
+                end: start + match[0].length
+            });
+        }
+    }
+
+    if (found.length === 0) return null;
+
+    // Each symptom's trigger is the first "after ..." between it and the next symptom
+    found.sort((a, b) => a.end - b.end);
+    const entries = found.map((entry, i) => {
+        const next = found[i + 1] ? found[i + 1].end - found[i + 1].phrase.length : message.length;
+        const trigger = message.slice(entry.end, Math.max(entry.end, next)).match(TRIGGER_PATTERN);
+        const { end, ...symptom } = entry;
+        return { ...symptom, triggers: trigger ? [cleanTrigger(trigger[1])] : [] };
+    });
+
+    return { entries, rest };
+}
+
+// POST/PATCH body → fields, or { error }
+function validateSymptom(body, { partial = false } = {}) {
+    const fields = {};
+
+    if (body.site !== undefined) {
+        const site = body.site === null ? findSite('general') : findSite(body.site);
+        if (!site) return { error: `site must be one of: ${SITES.map(candidate => candidate.name).join(', ')}` };
+        fields.site = site.name;
+    }
+    if (body.type !== undefined) {
+        const type = findType(body.type);
+        if (!type) return { error: `type must be one of: ${TYPES.map(candidate => candidate.name).join(', ')}` };
+        fields.type = type.name;
+        if (!fields.site && !partial && body.site === undefined) fields.site = type.site || 'general';
+    }
+    if (body.side !== undefined) {
+        if (body.side !== null && !SIDES.includes(body.side)) return { error: `side must be one of: ${SIDES.join(', ')}` };
+        fields.side = body.side;
+    }
+    if (body.severity !== undefined) {
+        if (!Number.isInteger(body.severity) || body.severity < 0 || body.severity > 10) {
+            return { error: 'severity must be a whole number from 0 to 10' };
+        }
+        fields.severity = body.severity;
+    }
+    if (body.triggers !== undefined) {
+        if (!Array.isArray(body.triggers) || body.triggers.some(trigger => typeof trigger !== 'string' || !trigger.trim())) {
+            return { error: 'triggers must be a list of short descriptions' };
+        }
+        fields.triggers = body.triggers.map(cleanTrigger);
+    }
+    if (body.notes !== undefined) {
+        if (body.notes !== null && typeof body.notes !== 'string') return { error: 'notes must be text' };
+        fields.notes = body.notes;
+    }
+    if (body.at !== undefined) {
+        const at = new Date(body.at);
+        if (isNaN(at.getTime()) || at > new Date()) return { error: 'at must be a past ISO timestamp' };
+        fields.at = at;
+    }
+
+    if (!partial) {
+        if (fields.severity === undefined) return { error: 'severity is required (0-10)' };
+        if (!fields.site && !fields.type) return { error: 'Send a site, a type, or both' };
+        fields.site = fields.site || 'general';
+        fields.type = fields.type || 'pain';
+    }
+    return { fields };
+}
+
+class SymptomJournal {
+    constructor(db, { readings = null, sleep = null, workouts = null } = {}) {
+        this.db = db;
+        this.readings = readings;
+        this.sleep = sleep;
+        this.workouts = workouts;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    async init() {
+        await this.run(`CREATE TABLE IF NOT EXISTS symptoms (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            date TEXT NOT NULL,
+            recorded_at DATETIME NOT NULL,
+            site TEXT NOT NULL DEFAULT 'general',
+            side TEXT,
+            type TEXT NOT NULL DEFAULT 'pain',
+            severity INTEGER NOT NULL,
+            triggers TEXT,
+            notes TEXT,
+            source TEXT DEFAULT 'manual',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await this.run('CREATE INDEX IF NOT EXISTS idx_symptoms_date ON symptoms(date)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_symptoms_site ON symptoms(site, date)');
+    }
+
+    describe(row) {
+        const triggers = row.triggers ? JSON.parse(row.triggers) : [];
+        return {
+            id: row.id,
+            date: row.date,
+            time: localClock(parseTimestamp(row.recorded_at)),
+            recorded_at: parseTimestamp(row.recorded_at).toISOString(),
+            site: row.site,
+            side: row.side,
+            type: row.type,
+            severity: row.severity,
+            triggers,
+            notes: row.notes,
+            source: row.source,
+            summary: `${describeSymptom(row)} ${row.severity}/10${triggers.length > 0 ? ` (after ${triggers.join(', ')})` : ''}`
+        };
+    }
+
+    async find(id) {
+        const row = await this.get('SELECT * FROM symptoms WHERE id = ?', [id]);
+        return row ? this.describe(row) : null;
+    }
+
+    // fields: { site, side, type, severity, triggers, notes, at }
+    async add(fields, { source = 'manual' } = {}) {
+        const at = fields.at || new Date();
+        const date = fields.date || logicalDate(at);
+        const result = await this.run(
+            `INSERT INTO symptoms (date, recorded_at, site, side, type, severity, triggers, notes, source)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [date, toDbTimestamp(at), fields.site, fields.side || null, fields.type, fields.severity,
+                JSON.stringify(fields.triggers || []), fields.notes || null, source]
+        );
+
+        await this.syncKneePain(date);
+        return this.find(result.lastID);
+    }
+
+    async update(id, fields) {
+        const row = await this.get('SELECT * FROM symptoms WHERE id = ?', [id]);
+        if (!row) return null;
+
+        const at = fields.at || parseTimestamp(row.recorded_at);
+        const date = fields.at ? logicalDate(fields.at) : row.date;
+        await this.run(
+            `UPDATE symptoms SET date = ?, recorded_at = ?, site = ?, side = ?, type = ?, severity = ?, triggers = ?, notes = ?
+             WHERE id = ?`,
+            [
+                date,
+                toDbTimestamp(at),
+                fields.site !== undefined ? fields.site : row.site,
+                fields.side !== undefined ? fields.side : row.side,
+                fields.type !== undefined ? fields.type : row.type,
+                fields.severity !== undefined ? fields.severity : row.severity,
+                fields.triggers !== undefined ? JSON.stringify(fields.triggers) : row.triggers,
+                fields.notes !== undefined ? fields.notes : row.notes,
+                id
+            ]
+        );
+
+        await this.syncKneePain(date);
+        if (date !== row.date) await this.syncKneePain(row.date);
+        return this.find(id);
+    }
+
+    async remove(id) {
+        const entry = await this.find(id);
+        if (!entry) return null;
+
+        await this.run('DELETE FROM symptoms WHERE id = ?', [id]);
+        await this.syncKneePain(entry.date);
+        return entry;
+    }
+
+    // The day's worst knee pain from the journal becomes one knee_pain reading
+    async syncKneePain(date) {
+        if (!this.readings) return;
+
+        const worst = await this.get(
+            "SELECT MAX(severity) AS severity, MAX(recorded_at) AS recorded_at FROM symptoms WHERE date = ? AND site = 'knee' AND type = 'pain'",
+            [date]
+        );
+        await this.run("DELETE FROM metric_readings WHERE date = ? AND metric = 'knee_pain' AND source = 'symptom'", [date]);
+        if (worst && worst.severity !== null) {
+            await this.readings.record(date, { knee_pain: worst.severity }, { recordedAt: worst.recorded_at, source: 'symptom' });
+        }
+        await this.readings.rollupDay(date, ['knee_pain']);
+    }
+
+    async entries({ from, to, site = null, type = null }) {
+        const conditions = ['date BETWEEN ? AND ?'];
+        const params = [from, to];
+        if (site) { conditions.push('site = ?'); params.push(site); }
+        if (type) { conditions.push('type = ?'); params.push(type); }
+
+        const rows = await this.all(`SELECT * FROM symptoms WHERE ${conditions.join(' AND ')} ORDER BY recorded_at, id`, params);
+        return rows.map(row => this.describe(row));
+    }
+
+    // Every site logged in the range with counts, average and worst severity
+    async sites({ from, to }) {
+        const rows = await this.all(
+            `SELECT site, COUNT(*) AS entries, AVG(severity) AS average, MAX(severity) AS worst, MAX(date) AS last_date
+             FROM symptoms WHERE date BETWEEN ? AND ? GROUP BY site ORDER BY entries DESC`,
+            [from, to]
+        );
+        return rows.map(row => ({
+            site: row.site,
+            label: (SITES.find(site => site.name === row.site) || { label: row.site }).label,
+            entries: row.entries,
+            average: round(row.average),
+            worst: row.worst,
+            last_date: row.last_date
+        }));
+    }
+
+    // One site day by day: worst severity per day, types, reported triggers and
+    // the last 7 days against the 7 before
+    async siteHistory({ site, from, to }) {
+        const entries = await this.entries({ from, to, site });
+        const days = eachDate(from, to).map(date => {
+            const dayEntries = entries.filter(entry => entry.date === date);
+            return {
+                date,
+                worst: dayEntries.length > 0 ? Math.max(...dayEntries.map(entry => entry.severity)) : null,
+                entries: dayEntries.length,
+                types: [...new Set(dayEntries.map(entry => entry.type))]
+            };
+        });
+
+        const average = list => {
+            const logged = list.filter(day => day.worst !== null);
+            return logged.length > 0 ? round(logged.reduce((sum, day) => sum + day.worst, 0) / logged.length) : null;
+        };
+        const recent = average(days.slice(-7));
+        const previous = average(days.slice(-14, -7));
+
+        const triggerCounts = {};
+        entries.forEach(entry => entry.triggers.forEach(trigger => {
+            triggerCounts[trigger] = (triggerCounts[trigger] || 0) + 1;
+        }));
+
+        return {
+            site,
+            label: (SITES.find(candidate => candidate.name === site) || { label: site }).label,
+            from,
+            to,
+            entries: entries.length,
+            days_logged: days.filter(day => day.worst !== null).length,
+            average: average(days),
+            worst: entries.length > 0 ? Math.max(...entries.map(entry => entry.severity)) : null,
+            last_7_days: recent,
+            previous_7_days: previous,
+            trend: recent === null || previous === null ? null
+                : recent < previous - 0.5 ? 'improving' : recent > previous + 0.5 ? 'worsening' : 'stable',
+            reported_triggers: Object.entries(triggerCounts)
+                .map(([trigger, count]) => ({ trigger, count }))
+                .sort((a, b) => b.count - a.count),
+            days,
+            history: entries
+        };
+    }
+
+    // What each date "had": foods eaten, short sleep or sleep debt, workouts,
+    // high knee-load work and each exercise done → { date: Set(trigger) }
+    async exposures(from, to) {
+        const byDate = {};
+        eachDate(from, to).forEach(date => { byDate[date] = new Set(); });
+        const add = (date, trigger) => { if (byDate[date]) byDate[date].add(trigger); };
+
+        const foods = await this.all('SELECT date, food_name FROM food_log WHERE date BETWEEN ? AND ?', [from, to]);
+        foods.forEach(food => add(food.date, `food: ${food.food_name.toLowerCase().trim()}`));
+
+        if (this.sleep) {
+            const sleep = await this.sleep.summary({ from, to });
+            sleep.days.forEach(day => {
+                if (day.total_hours !== null && day.total_hours < sleep.target_hours - 1) add(day.date, `sleep: under ${sleep.target_hours - 1}h`);
+                if (day.debt_hours >= 5) add(day.date, 'sleep: debt 5h+');
+            });
+        }
+
+        if (this.workouts) {
+            const sessions = await this.workouts.sessions({ from, to });
+            sessions.forEach(session => {
+                add(session.date, 'workout: any exercise');
+                session.exercises.forEach(entry => {
+                    add(session.date, `workout: ${entry.label}`);
+                    if (entry.knee_load === 'high') add(session.date, 'workout: high knee-load');
+                });
+            });
+        }
+
+        return byDate;
+    }
+
+    // Per symptom (type + site): bad days (severity >= minSeverity) against
+    // exposures the same day or the day before. Only days that were tracked -
+    // a symptom or a metrics check-in logged - count, so gaps in logging
+    // aren't read as symptom-free days. lift = rate after the trigger / rate without it.
+    async triggers({ to, days = TRIGGER_WINDOW_DAYS, site = null, type = null, minSeverity = MIN_SEVERITY }) {
+        const from = addDays(to, -(days - 1));
+        const entries = await this.entries({ from, to, site, type });
+        const checkIns = await this.all('SELECT DISTINCT date FROM metrics WHERE date BETWEEN ? AND ?', [from, to]);
+        const allSymptomDates = await this.all('SELECT DISTINCT date FROM symptoms WHERE date BETWEEN ? AND ?', [from, to]);
+        const tracked = new Set([...checkIns, ...allSymptomDates].map(row => row.date));
+        const exposures = await this.exposures(addDays(from, -1), to);
+
+        const groups = {};
+        entries.forEach(entry => {
+            const key = `${entry.type}:${entry.site}`;
+            const group = groups[key] = groups[key] || { type: entry.type, site: entry.site, label: describeSymptom(entry), entries: [] };
+            group.entries.push(entry);
+        });
+
+        return {
+            from,
+            to,
+            days,
+            min_severity: minSeverity,
+            tracked_days: tracked.size,
+            symptoms: Object.values(groups).map(group => {
+                const badDays = new Set(group.entries.filter(entry => entry.severity >= minSeverity).map(entry => entry.date));
+                const reported = {};
+                group.entries.forEach(entry => entry.triggers.forEach(trigger => {
+                    reported[trigger] = (reported[trigger] || 0) + 1;
+                }));
+
+                // Trigger → tracked days it was present (that day or the day before)
+                const exposedDays = {};
+                [...tracked].forEach(date => {
+                    const present = new Set([...(exposures[date] || []), ...(exposures[addDays(date, -1)] || [])]);
+                    present.forEach(trigger => {
+                        exposedDays[trigger] = exposedDays[trigger] || [];
+                        exposedDays[trigger].push(date);
+                    });
+                });
+
+                const associations = Object.entries(exposedDays)
+                    .map(([trigger, dates]) => {
+                        const shared = dates.filter(date => badDays.has(date)).length;
+                        const unexposed = tracked.size - dates.length;
+                        const rate = shared / dates.length;
+                        const baseline = unexposed > 0 ? (badDays.size - shared) / unexposed : null;
+                        const [source, name] = trigger.split(': ');
+                        return {
+                            trigger: name,
+                            source,
+                            exposed_days: dates.length,
+                            symptom_days: shared,
+                            rate: round(rate * 100, 0),
+                            baseline_rate: baseline === null ? null : round(baseline * 100, 0),
+                            lift: baseline ? round(rate / baseline, 2) : null
+                        };
+                    })
+                    .filter(association => association.exposed_days >= MIN_EXPOSED_DAYS && association.symptom_days >= MIN_SHARED_DAYS
+                        && (association.lift === null || association.lift > 1))
+                    .sort((a, b) => (b.lift || Infinity) - (a.lift || Infinity) || b.symptom_days - a.symptom_days)
+                    .slice(0, 10);
+
+                return {
+                    type: group.type,
+                    site: group.site,
+                    label: group.label,
+                    entries: group.entries.length,
+                    average: round(group.entries.reduce((sum, entry) => sum + entry.severity, 0) / group.entries.length),
+                    bad_days: badDays.size,
+                    reported_triggers: Object.entries(reported)
+                        .map(([trigger, count]) => ({ trigger, count, share: round((count / group.entries.length) * 100, 0) }))
+                        .sort((a, b) => b.count - a.count),
+                    associations
+                };
+            }).sort((a, b) => b.entries - a.entries)
+        };
+    }
+
+    // Today's entries, for chat and coaching context
+    async today(date) {
+        return this.entries({ from: date, to: date });
+    }
+}
+
+module.exports = SymptomJournal;
+module.exports.SITES = SITES;
+module.exports.TYPES = TYPES;
+module.exports.parseSymptoms = parseSymptoms;
+module.exports.describeSymptom = describeSymptom;
+module.exports.validateSymptom = validateSymptom;
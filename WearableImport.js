@@ -0,0 +1,517 @@
+// ============ WEARABLE IMPORT ============
+// Reads an Apple Health export.xml or a Google Takeout Fit folder and turns
+// steps, weight, heart rate and sleep into one metric reading per day. Files
+// are streamed (line by line for XML, one data point at a time for JSON), so
+// multi-GB exports never sit in memory - only the per-day totals do.
+//
+// Re-importing is safe: each day's reading from a source replaces the one the
+// last import of that source wrote, and hand-logged readings are left alone.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { StringDecoder } = require('string_decoder');
+const { readLines } = require('./CsvUtils');
+const { validateValue } = require('./MetricRegistry');
+const { toTimestamp } = require('./MetricReadings');
+const { withImportTransaction } = require('./ImportTransaction');
+const { logicalDate } = require('./DateUtils');
+
+const LBS_PER_KG = 2.20462;
+
+// Sleep intervals closer together than this (getting up in the night) are
+// the same night
+const NIGHT_GAP_MS = 60 * 60000;
+
+// Apple Health record types → metric
+const APPLE_TYPES = {
+    HKQuantityTypeIdentifierStepCount: 'steps',
+    HKQuantityTypeIdentifierBodyMass: 'weight',
+    HKQuantityTypeIdentifierHeartRate: 'heart_rate',
+    HKQuantityTypeIdentifierRestingHeartRate: 'resting_heart_rate',
+    HKCategoryTypeIdentifierSleepAnalysis: 'sleep_hours'
+};
+
+// Google Fit data types → metric
+const GOOGLE_TYPES = {
+    'com.google.step_count.delta': 'steps',
+    'com.google.weight': 'weight',
+    'com.google.heart_rate.bpm': 'heart_rate',
+    'com.google.sleep.segment': 'sleep_hours'
+};
+
+// Google Fit sleep stages that count as asleep (1 awake, 3 out of bed)
+const GOOGLE_ASLEEP_STAGES = [2, 4, 5, 6];
+
+// metrics columns for wearable values that databases from before wearable
+// import don't have (steps and weight were always there)
+const WEARABLE_COLUMNS = {
+    heart_rate: 'INTEGER',
+    resting_heart_rate: 'INTEGER',
+    sleep_hours: 'REAL'
+};
+
+// "2025-01-14 07:45:12 -0500" → Date
+function parseAppleDate(text) {
+    const match = String(text || '').match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/);
+    return match ? new Date(`${match[1]}T${match[2]}${match[3]}:${match[4]}`) : null;
+}
+
+function decodeXml(text) {
+    return text.replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+function parseAttributes(tag) {
+    const attributes = {};
+    for (const match of tag.matchAll(/(\w+)="([^"]*)"/g)) {
+        attributes[match[1]] = decodeXml(match[2]);
+    }
+    return attributes;
+}
+
+// Total length of possibly overlapping [start, end] ms intervals (a watch and
+// a phone often record the same night)
+function unionDuration(intervals) {
+    const sorted = [...intervals].sort((a, b) => a[0] - b[0]);
+    let total = 0;
+    let current = null;
+
+    for (const [start, end] of sorted) {
+        if (!current || start > current[1]) {
+            if (current) total += current[1] - current[0];
+            current = [start, end];
+        } else if (end > current[1]) {
+            current[1] = end;
+        }
+    }
+
+    return current ? total + current[1] - current[0] : total;
+}
+
+// Calls onItem(object) for each element of the first array under `key`
+// ("Data Points" in Takeout files) without parsing the whole document
+async function streamJsonArray(filePath, key, onItem) {
+    const input = filePath.endsWith('.gz')
+        ? fs.createReadStream(filePath).pipe(zlib.createGunzip())
+        : fs.createReadStream(filePath);
+    const decoder = new StringDecoder('utf8');
+
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let stringValue = '';
+    let lastKey = null;
+    let arrayDepth = null;
+    let item = null;
+    let count = 0;
+
+    for await (const chunk of input) {
+        const text = decoder.write(chunk);
+        let itemStart = item !== null ? 0 : -1;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (char === '\\') escaped = true;
+                else if (char === '"') inString = false;
+                else if (item === null) stringValue += char;
+                if (!inString && item === null) lastKey = stringValue;
+                continue;
+            }
+
+            if (char === '"') {
+                inString = true;
+                stringValue = '';
+            } else if (char === '{' || char === '[') {
+                depth++;
+                if (char === '[' && arrayDepth === null && lastKey === key) {
+                    arrayDepth = depth;
+                } else if (char === '{' && arrayDepth !== null && item === null && depth === arrayDepth + 1) {
+                    item = '';
+                    itemStart = i;
+                }
+            } else if (char === '}' || char === ']') {
+                depth--;
+                if (item !== null && depth === arrayDepth) {
+                    onItem(JSON.parse(item + text.slice(itemStart, i + 1)));
+                    count++;
+                    item = null;
+                    itemStart = -1;
+                } else if (arrayDepth !== null && depth < arrayDepth) {
+                    input.destroy();
+                    return count;
+                }
+            } else if (char === ',' && item === null) {
+                lastKey = null;
+            }
+        }
+
+        if (item !== null) item += text.slice(itemStart);
+    }
+
+    return count;
+}
+
+// Every file under a Takeout folder (or just the file given)
+function listFiles(target) {
+    if (!fs.statSync(target).isDirectory()) return [target];
+    return fs.readdirSync(target, { withFileTypes: true })
+        .flatMap(entry => listFiles(path.join(target, entry.name)));
+}
+
+// Per-day accumulation. Steps are summed per source and the busiest source
+// wins (phone and watch both count the same walk); weight keeps the latest
+// weigh-in; heart rate averages every sample; sleep unions asleep intervals
+// per night and falls back to time in bed when no stages were recorded.
+class WearableDays {
+    constructor({ since = null } = {}) {
+        this.since = since;
+        this.days = {};
+        this.sleep = [];
+        this.used = 0;
+    }
+
+    day(date) {
+        if (!this.days[date]) {
+            this.days[date] = { steps: {}, weight: null, heart: { sum: 0, count: 0, at: null }, resting: null, lastAt: {} };
+        }
+        return this.days[date];
+    }
+
+    accepts(date) {
+        return !this.since || date >= this.since;
+    }
+
+    addSteps(date, source, count, at) {
+        if (!this.accepts(date)) return;
+        const day = this.day(date);
+        day.steps[source] = (day.steps[source] || 0) + count;
+        day.lastAt.steps = !day.lastAt.steps || at > day.lastAt.steps ? at : day.lastAt.steps;
+        this.used++;
+    }
+
+    addWeight(date, lbs, at) {
+        if (!this.accepts(date)) return;
+        const day = this.day(date);
+        if (!day.weight || at >= day.weight.at) day.weight = { value: lbs, at };
+        this.used++;
+    }
+
+    addHeartRate(date, bpm, at) {
+        if (!this.accepts(date)) return;
+        const heart = this.day(date).heart;
+        heart.sum += bpm;
+        heart.count++;
+        heart.at = !heart.at || at > heart.at ? at : heart.at;
+        this.used++;
+    }
+
+    addRestingHeartRate(date, bpm, at) {
+        if (!this.accepts(date)) return;
+        const day = this.day(date);
+        if (!day.resting || at >= day.resting.at) day.resting = { value: bpm, at };
+        this.used++;
+    }
+
+    // Sleep is dated by night, not by record: one night's stages can end on
+    // both sides of the day boundary
+    addSleep(start, end, asleep) {
+        if (end <= start || !this.accepts(logicalDate(end))) return;
+        this.sleep.push({ start: start.getTime(), end: end.getTime(), asleep });
+        this.used++;
+    }
+
+    // Overlapping or nearly touching intervals → nights, each belonging to the
+    // day you wake up on: [{ date, ms, wokeAt }]
+    nights() {
+        const nights = [];
+
+        for (const interval of [...this.sleep].sort((a, b) => a.start - b.start)) {
+            const night = nights[nights.length - 1];
+            if (night && interval.start <= night.end + NIGHT_GAP_MS) {
+                night.intervals.push(interval);
+                night.end = Math.max(night.end, interval.end);
+            } else {
+                nights.push({ end: interval.end, intervals: [interval] });
+            }
+        }
+
+        return nights.map(night => {
+            const asleep = night.intervals.filter(interval => interval.asleep);
+            const counted = asleep.length > 0 ? asleep : night.intervals;
+            const wokeAt = Math.max(...counted.map(interval => interval.end));
+            return {
+                date: logicalDate(new Date(wokeAt)),
+                ms: unionDuration(counted.map(interval => [interval.start, interval.end])),
+                wokeAt
+            };
+        });
+    }
+
+    // { date: { metric: { value, at } } }
+    totals() {
+        const totals = {};
+
+        const sleep = {};
+        for (const night of this.nights()) {
+            const total = sleep[night.date] || { ms: 0, wokeAt: 0 };
+            sleep[night.date] = { ms: total.ms + night.ms, wokeAt: Math.max(total.wokeAt, night.wokeAt) };
+            this.day(night.date);
+        }
+
+        for (const [date, day] of Object.entries(this.days)) {
+            const metrics = {};
+
+            const stepCounts = Object.values(day.steps);
+            if (stepCounts.length > 0) metrics.steps = { value: Math.round(Math.max(...stepCounts)), at: day.lastAt.steps };
+            if (day.weight) metrics.weight = { value: Math.round(day.weight.value * 10) / 10, at: day.weight.at };
+            if (day.heart.count > 0) metrics.heart_rate = { value: Math.round(day.heart.sum / day.heart.count), at: day.heart.at };
+            if (day.resting) metrics.resting_heart_rate = { value: Math.round(day.resting.value), at: day.resting.at };
+
+            if (sleep[date]) {
+                metrics.sleep_hours = { value: Math.round(sleep[date].ms / 360000) / 10, at: new Date(sleep[date].wokeAt) };
+            }
+
+            if (Object.keys(metrics).length > 0) totals[date] = metrics;
+        }
+
+        return totals;
+    }
+}
+
+// Apple Health export.xml (or .xml.gz). Records are one start tag per line.
+// Each is dated by its start in the user's timezone and logical day, so steps
+// after midnight on a late shift count toward the shift's day.
+async function readAppleHealth(filePath, days) {
+    let records = 0;
+
+    for await (const line of readLines(filePath)) {
+        const start = line.indexOf('<Record ');
+        if (start === -1) continue;
+        records++;
+
+        const record = parseAttributes(line.slice(start));
+        const metric = APPLE_TYPES[record.type];
+        if (!metric) continue;
+
+        const startDate = parseAppleDate(record.startDate);
+        const endDate = parseAppleDate(record.endDate);
+        if (!startDate || !endDate) continue;
+
+        const date = logicalDate(startDate);
+        const value = parseFloat(record.value);
+
+        if (metric === 'steps' && Number.isFinite(value)) {
+            days.addSteps(date, record.sourceName || 'unknown', value, endDate);
+        } else if (metric === 'weight' && Number.isFinite(value)) {
+            days.addWeight(date, record.unit === 'kg' ? value * LBS_PER_KG : value, endDate);
+        } else if (metric === 'heart_rate' && Number.isFinite(value)) {
+            days.addHeartRate(date, value, endDate);
+        } else if (metric === 'resting_heart_rate' && Number.isFinite(value)) {
+            days.addRestingHeartRate(date, value, endDate);
+        } else if (metric === 'sleep_hours') {
+            const asleep = /Asleep/.test(record.value || '');
+            const inBed = /InBed/.test(record.value || '');
+            if (asleep || inBed) days.addSleep(startDate, endDate, asleep);
+        }
+    }
+
+    return records;
+}
+
+// Google Fit values are { intVal } or { fpVal }
+function fitValue(point) {
+    const value = point.fitValue && point.fitValue[0] && point.fitValue[0].value;
+    if (!value) return NaN;
+    return value.intVal !== undefined ? value.intVal : value.fpVal;
+}
+
+function nanosToDate(nanos) {
+    return new Date(Number(nanos) / 1e6);
+}
+
+// Google Takeout Fit folder (or one of its JSON files). "All data" files hold
+// data points; "All Sessions" files are single sessions, where sleep sessions
+// give time in bed. Takeout times are UTC; dates are the logical day in the
+// user's timezone, same as Apple Health.
+async function readGoogleFit(target, days) {
+    let records = 0;
+
+    for (const file of listFiles(target)) {
+        if (!/\.json(\.gz)?$/.test(file)) continue;
+        const source = path.basename(file);
+
+        if (/All Sessions/i.test(file)) {
+            const session = JSON.parse(fs.readFileSync(file, 'utf8'));
+            records++;
+            if (session.fitnessActivity === 'sleep' && session.startTime && session.endTime) {
+                const start = new Date(session.startTime);
+                const end = new Date(session.endTime);
+                days.addSleep(start, end, false);
+            }
+            continue;
+        }
+
+        records += await streamJsonArray(file, 'Data Points', point => {
+            const metric = GOOGLE_TYPES[point.dataTypeName];
+            if (!metric) return;
+
+            const start = nanosToDate(point.startTimeNanos);
+            const end = nanosToDate(point.endTimeNanos);
+            const value = fitValue(point);
+            if (!Number.isFinite(value) || isNaN(end.getTime())) return;
+            const date = logicalDate(start);
+
+            if (metric === 'steps') days.addSteps(date, source, value, end);
+            else if (metric === 'weight') days.addWeight(date, value * LBS_PER_KG, end);
+            else if (metric === 'heart_rate') days.addHeartRate(date, value, end);
+            else if (metric === 'sleep_hours') {
+                days.addSleep(start, end, GOOGLE_ASLEEP_STAGES.includes(value));
+            }
+        });
+    }
+
+    return records;
+}
+
+// export.xml → apple_health, a folder or .json → google_fit
+function detectSource(target) {
+    if (fs.statSync(target).isDirectory() || /\.json(\.gz)?$/.test(target)) return 'google_fit';
+    if (/\.xml(\.gz)?$/.test(target)) return 'apple_health';
+    return null;
+}
+
+class WearableImporter {
+    constructor(db, { registry, readings }) {
+        this.db = db;
+        this.registry = registry;
+        this.readings = readings;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    // target: export.xml path or Takeout Fit folder. Returns a report;
+    // nothing is written on a dry run.
+    async import(target, { source = null, since = null, dryRun = false } = {}) {
+        const kind = source || detectSource(target);
+        if (!['apple_health', 'google_fit'].includes(kind)) {
+            throw new Error('Expected an Apple Health export.xml or a Google Takeout Fit folder');
+        }
+
+        const days = new WearableDays({ since });
+        const records = kind === 'apple_health'
+            ? await readAppleHealth(target, days)
+            : await readGoogleFit(target, days);
+        const totals = days.totals();
+        const dates = Object.keys(totals).sort();
+
+        const report = {
+            source: kind,
+            dry_run: dryRun,
+            records,
+            used: days.used,
+            dates: dates.length,
+            from: dates[0] || null,
+            to: dates[dates.length - 1] || null,
+            metrics: {},
+            written: 0,
+            unchanged: 0,
+            replaced: 0,
+            rejected: []
+        };
+
+        if (dryRun) {
+            await this.writeTotals(kind, totals, report, dryRun);
+        } else {
+            await withImportTransaction(this.db, this.registry, (db, readings) =>
+                new WearableImporter(db, { registry: this.registry, readings }).writeTotals(kind, totals, report, dryRun));
+        }
+
+        return report;
+    }
+
+    // One reading per day and metric from this source, replacing the one a
+    // previous import of the same export wrote
+    async writeTotals(kind, totals, report, dryRun) {
+        for (const date of Object.keys(totals).sort()) {
+            for (const [metric, total] of Object.entries(totals[date])) {
+                const definition = await this.registry.find(metric);
+                if (!definition) continue;
+
+                const result = validateValue(definition, total.value);
+                if (result.code) {
+                    report.rejected.push({ date, metric, value: total.value, code: result.code, message: result.message });
+                    continue;
+                }
+                report.metrics[metric] = (report.metrics[metric] || 0) + 1;
+
+                const previous = await this.get(
+                    'SELECT id, value FROM metric_readings WHERE date = ? AND metric = ? AND source = ?',
+                    [date, metric, kind]
+                );
+                if (previous && previous.value === result.value) {
+                    report.unchanged++;
+                    continue;
+                }
+
+                if (previous) report.replaced++;
+                else report.written++;
+                if (dryRun) continue;
+
+                if (previous) await this.run('DELETE FROM metric_readings WHERE date = ? AND metric = ? AND source = ?', [date, metric, kind]);
+                await this.readings.record(date, { [metric]: result.value }, {
+                    recordedAt: toTimestamp(total.at),
+                    source: kind
+                });
+            }
+        }
+    }
+}
+
+// Adds any missing wearable column to metrics. Resolves false when there is
+// no metrics table yet (CREATE TABLE adds the columns itself).
+function ensureWearableColumns(db) {
+    return new Promise((resolve, reject) => {
+        db.all('PRAGMA table_info(metrics)', (err, columns) => {
+            if (err) return reject(err);
+            if (columns.length === 0) return resolve(false);
+
+            const missing = Object.keys(WEARABLE_COLUMNS).filter(column => !columns.some(col => col.name === column));
+            let pending = missing.length;
+            if (pending === 0) return resolve(true);
+
+            missing.forEach(column => {
+                db.run(`ALTER TABLE metrics ADD COLUMN ${column} ${WEARABLE_COLUMNS[column]}`, err => {
+                    if (err) return reject(err);
+                    console.log(`✓ Added column metrics.${column}`);
+                    if (--pending === 0) resolve(true);
+                });
+            });
+        });
+    });
+}
+
+module.exports = WearableImporter;
+module.exports.ensureWearableColumns = ensureWearableColumns;
+module.exports.WearableDays = WearableDays;
+module.exports.streamJsonArray = streamJsonArray;
+module.exports.detectSource = detectSource;
+module.exports.unionDuration = unionDuration;
@@ -0,0 +1,775 @@
+// ============ WORKOUTS ============
+// Workout sessions made of exercises and sets (reps, weight, duration,
+// distance), logged from chat ("did 3x10 goblet squats at 35") or the API.
+// Every exercise carries a knee-load tag - how much it loads the knee through
+// deep flexion or impact - so coaching can keep plans knee-safe and volume can
+// be split by knee load. Logging a workout also sets the day's workout_done.
+
+const { addDays, eachDate, startOfWeek, currentDate, localClock, parseTimestamp, toDbTimestamp } = require('./DateUtils');
+
+const KNEE_LOADS = ['none', 'low', 'moderate', 'high', 'unknown'];
+const CATEGORIES = ['strength', 'cardio', 'mobility'];
+
+const KG_TO_LBS = 2.20462;
+const KM_TO_MILES = 0.621371;
+const SESSION_GAP_HOURS = 3;    // chat sets closer than this join the same session
+
+// Knee load: none (upper body, floor core work), low (hip hinge, bridges,
+// cycling), moderate (partial-depth squats, leg press), high (deep or
+// single-leg knee flexion under load, jumping, running)
+const BUILTIN_EXERCISES = [
+    // Lower body
+    { name: 'goblet_squat', label: 'Goblet Squat', category: 'strength', knee_load: 'moderate', synonyms: ['goblet squat'] },
+    { name: 'box_squat', label: 'Box Squat', category: 'strength', knee_load: 'moderate', synonyms: ['box squat', 'squat to box', 'squat to bench'] },
+    { name: 'squat', label: 'Back Squat', category: 'strength', knee_load: 'high', synonyms: ['back squat', 'front squat', 'squat'] },
+    { name: 'split_squat', label: 'Split Squat', category: 'strength', knee_load: 'high', synonyms: ['bulgarian split squat', 'split squat'] },
+    { name: 'lunge', label: 'Lunge', category: 'strength', knee_load: 'high', synonyms: ['walking lunge', 'reverse lunge', 'lunge'] },
+    { name: 'step_up', label: 'Step-Up', category: 'strength', knee_load: 'moderate', synonyms: ['step-up', 'step up'] },
+    { name: 'leg_press', label: 'Leg Press', category: 'strength', knee_load: 'moderate', synonyms: ['leg press'] },
+    { name: 'leg_extension', label: 'Leg Extension', category: 'strength', knee_load: 'high', synonyms: ['leg extension'] },
+    { name: 'wall_sit', label: 'Wall Sit', category: 'strength', knee_load: 'moderate', synonyms: ['wall sit'] },
+    { name: 'deadlift', label: 'Deadlift', category: 'strength', knee_load: 'moderate', synonyms: ['deadlift'] },
+    { name: 'romanian_deadlift', label: 'Romanian Deadlift', category: 'strength', knee_load: 'low', synonyms: ['romanian deadlift', 'rdl'] },
+    { name: 'glute_bridge', label: 'Glute Bridge', category: 'strength', knee_load: 'low', synonyms: ['glute bridge'] },
+    { name: 'hip_thrust', label: 'Hip Thrust', category: 'strength', knee_load: 'low', synonyms: ['hip thrust'] },
+    { name: 'hamstring_curl', label: 'Hamstring Curl', category: 'strength', knee_load: 'low', synonyms: ['hamstring curl', 'leg curl'] },
+    { name: 'calf_raise', label: 'Calf Raise', category: 'strength', knee_load: 'low', synonyms: ['calf raise'] },
+    { name: 'straight_leg_raise', label: 'Straight-Leg Raise', category: 'strength', knee_load: 'low', synonyms: ['straight-leg raise', 'straight leg raise'] },
+    { name: 'clamshell', label: 'Clamshell', category: 'strength', knee_load: 'none', synonyms: ['clamshell'] },
+    // Upper body + core
+    { name: 'bench_press', label: 'Bench Press', category: 'strength', knee_load: 'none', synonyms: ['bench press', 'bench'] },
+    { name: 'push_up', label: 'Push-Up', category: 'strength', knee_load: 'none', synonyms: ['push-up', 'push up', 'pushup'] },
+    { name: 'pull_up', label: 'Pull-Up', category: 'strength', knee_load: 'none', synonyms: ['pull-up', 'pull up', 'pullup', 'chin-up', 'chin up'] },
+    { name: 'row', label: 'Row', category: 'strength', knee_load: 'none', synonyms: ['dumbbell row', 'cable row', 'bent over row', 'row'] },
+    { name: 'overhead_press', label: 'Overhead Press', category: 'strength', knee_load: 'none', synonyms: ['overhead press', 'shoulder press', 'ohp'] },
+    { name: 'curl', label: 'Biceps Curl', category: 'strength', knee_load: 'none', synonyms: ['bicep curl', 'biceps curl', 'curl'] },
+    { name: 'dip', label: 'Dip', category: 'strength', knee_load: 'none', synonyms: ['tricep dip', 'bench dip', 'dips'] },
+    { name: 'plank', label: 'Plank', category: 'strength', knee_load: 'none', synonyms: ['side plank', 'plank'] },
+    { name: 'dead_bug', label: 'Dead Bug', category: 'strength', knee_load: 'none', synonyms: ['dead bug'] },
+    { name: 'bird_dog', label: 'Bird Dog', category: 'strength', knee_load: 'none', synonyms: ['bird dog'] },
+    { name: 'burpee', label: 'Burpee', category: 'strength', knee_load: 'high', synonyms: ['burpee'] },
+    { name: 'box_jump', label: 'Box Jump', category: 'strength', knee_load: 'high', synonyms: ['box jump'] },
+    { name: 'jumping_jack', label: 'Jumping Jack', category: 'cardio', knee_load: 'moderate', synonyms: ['jumping jack'] },
+    // Cardio
+    { name: 'walk', label: 'Walk', category: 'cardio', knee_load: 'low', synonyms: ['walked', 'walking', 'walk'] },
+    { name: 'run', label: 'Run', category: 'cardio', knee_load: 'high', synonyms: ['running', 'ran', 'run', 'jogging', 'jogged', 'jog'] },
+    { name: 'cycling', label: 'Cycling', category: 'cardio', knee_load: 'low', synonyms: ['stationary bike', 'cycling', 'cycled', 'biked', 'bike', 'spin class', 'spin'] },
+    { name: 'swim', label: 'Swim', category: 'cardio', knee_load: 'none', synonyms: ['swimming', 'swam', 'swim'] },
+    { name: 'elliptical', label: 'Elliptical', category: 'cardio', knee_load: 'low', synonyms: ['elliptical'] },
+    { name: 'rowing_machine', label: 'Rowing Machine', category: 'cardio', knee_load: 'low', synonyms: ['rowing machine', 'rowing', 'rowed', 'rower', 'erg'] },
+    { name: 'stair_climber', label: 'Stair Climber', category: 'cardio', knee_load: 'high', synonyms: ['stair climber', 'stairmaster', 'stairs'] },
+    { name: 'jump_rope', label: 'Jump Rope', category: 'cardio', knee_load: 'high', synonyms: ['jump rope', 'jumped rope'] },
+    // Mobility
+    { name: 'yoga', label: 'Yoga', category: 'mobility', knee_load: 'low', synonyms: ['yoga'] },
+    { name: 'stretching', label: 'Stretching', category: 'mobility', knee_load: 'none', synonyms: ['stretching', 'stretched', 'stretch'] },
+    { name: 'foam_rolling', label: 'Foam Rolling', category: 'mobility', knee_load: 'none', synonyms: ['foam rolling', 'foam rolled', 'foam roll'] }
+];
+
+// A clause with one of these is a plan, a negation or a question, not a
+// workout done ("going to do 3x10 squats tomorrow", "I don't feel like doing
+// squats", "skipped lunges", "Plan: 3x10 goblet squats")
+const NOT_DONE = /\b(?:will|going to|gonna|plan(?:ning)? to|want to|should i|can i|tomorrow|next time|do not|did not|cannot|never|(?:don|didn|won|can|couldn)['’]?t|skip(?:ped|ping)?|feel like)\b|\bplan(?:ned)?\s*:/i;
+
+// A phrase not in the library only becomes a new exercise after one of these
+const DONE_VERBS = /\b(?:did|done|finished|completed|knocked out|got in|hit|lifted|trained|worked out|ran|jogged|walked|biked|cycled|swam|rowed|hiked|stretched)\b/i;
+
+// "ate 3 x 4 oz chicken" is food, not sets
+const FOOD_VERBS = /\b(?:ate|eaten|eating|drank|drinking|snacked)\b/i;
+
+// When, not what: "3x10 squats today" is squats
+const TIME_WORDS = /\b(?:today|tonight|yesterday|earlier|just now|last night|this (?:morning|afternoon|evening))\b/gi;
+
+// Equipment words dropped before naming an exercise ("dumbbell goblet squats")
+const EQUIPMENT = /^(?:(?:dumbbell|db|barbell|bb|kettlebell|kb|cable|machine|weighted|bodyweight|banded)\s+)+/i;
+
+function round(value, places = 1) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function nameFromLabel(label) {
+    return label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+function labelFromPhrase(phrase) {
+    return phrase.split(/\s+/).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+// "squats" → "squat", "lunges" → "lunge", "presses" → "press"
+function singular(phrase) {
+    return phrase.replace(/(ss)es$/i, '$1').replace(/([^s])s$/i, '$1');
+}
+
+// "goblet squat 3x10 @ 35 lb", "run 2.5 mi in 25 min", "plank 3x45s"
+function describeEntry(entry) {
+    const parts = [entry.label || entry.exercise];
+    const sets = entry.sets || [];
+    const first = sets[0] || {};
+    const same = sets.every(set => set.reps === first.reps && set.weight === first.weight && set.duration_seconds === first.duration_seconds);
+
+    if (first.reps) {
+        parts.push(same ? `${sets.length}x${first.reps}` : sets.map(set => set.reps).join('/'));
+    } else if (first.duration_seconds && sets.length > 1 && same) {
+        parts.push(`${sets.length}x${first.duration_seconds}s`);
+    }
+    if (first.weight) parts.push(`@ ${same ? first.weight : sets.map(set => set.weight).join('/')} lb`);
+    const distance = sets.reduce((sum, set) => sum + (set.distance_miles || 0), 0);
+    if (distance > 0) parts.push(`${round(distance, 2)} mi`);
+    if (!first.reps && !(sets.length > 1 && same)) {
+        const seconds = sets.reduce((sum, set) => sum + (set.duration_seconds || 0), 0);
+        if (seconds > 0) parts.push(seconds >= 120 ? `${round(seconds / 60)} min` : `${seconds}s`);
+    }
+    return parts.join(' ');
+}
+
+// Epley estimate of a one-rep max, for comparing sets of different reps
+function estimatedMax(weight, reps) {
+    if (!weight || !reps) return null;
+    return round(reps === 1 ? weight : weight * (1 + reps / 30));
+}
+
+function parseWeight(text) {
+    let match = text.match(/(?:\bat|@|\bwith|\busing)\s*(\d+(?:\.\d+)?)\s*(lbs?|pounds?|kgs?|kilos?)?\b(?!\s*(?::|[ap]\.?m\b|x\b|×))/i);
+    if (!match) match = text.match(/\b(\d+(?:\.\d+)?)\s*(lbs?|pounds?|kgs?|kilos?)\b/i);
+    if (!match) return null;
+    const value = parseFloat(match[1]);
+    return /^k/i.test(match[2] || '') ? round(value * KG_TO_LBS) : value;
+}
+
+function parseDistance(text) {
+    const match = text.match(/\b(\d+(?:\.\d+)?)\s*(miles?|mi|km|kilometers?|k)\b/i);
+    if (!match) return null;
+    const value = parseFloat(match[1]);
+    return /^k/i.test(match[2]) ? round(value * KM_TO_MILES, 2) : value;
+}
+
+function parseDurationSeconds(text) {
+    const hours = text.match(/\b(\d+(?:\.\d+)?)\s*(?:hours?|hrs?|h)\b/i);
+    const minutes = text.match(/\b(\d+(?:\.\d+)?)\s*(?:minutes?|mins?|m)\b/i);
+    const seconds = text.match(/\b(\d+)\s*(?:seconds?|secs?|s)\b/i);
+    if (!hours && !minutes && !seconds) return null;
+    return Math.round((hours ? parseFloat(hours[1]) * 3600 : 0) + (minutes ? parseFloat(minutes[1]) * 60 : 0) + (seconds ? parseInt(seconds[1]) : 0));
+}
+
+// One clause of a message → { name (library phrase or new), sets: [...] }, or null.
+// "3x10 goblet squats at 35", "goblet squats 3 sets of 10 @ 35lb", "20 push-ups",
+// "plank 3x45s", "ran 2 miles in 18 min", "walked 30 min".
+function parseClause(text, matchExercise) {
+    const clause = text.replace(TIME_WORDS, ' ').replace(/\s+/g, ' ').trim();
+    const setsReps = clause.match(/\b(\d{1,2})\s*(?:x|×|\*|sets?\s+(?:of\s+)?)\s*(\d{1,3})\s*(s|secs?|seconds?)?\b(?!\s*(?:lbs?|pounds?|kgs?|kilos?)\b)/i);
+
+    // The words right after "3x10" ("reps of goblet squats") or before it name the exercise
+    let phrase = null;
+    if (setsReps) {
+        const after = clause.slice(setsReps.index + setsReps[0].length)
+            .match(/^\s*(?:reps?\s+)?(?:of\s+)?(?!(?:at|with|using|for|in|on)\b)([a-z][a-z' -]*?)(?=\s+(?:at|with|using|for|in|on)\b|\s*[@\d]|\s*$)/i);
+        const before = clause.slice(0, setsReps.index)
+            .replace(/\b(?:i|did|do|doing|done|got|some|then|also|today|finished|knocked out)\b/gi, ' ')
+            .match(/([a-z][a-z' -]*?)\s*:?\s*$/i);
+        phrase = (after && after[1].trim()) || (before && before[1].trim()) || null;
+    }
+
+    const exercise = matchExercise(phrase || clause, { exact: !!phrase });
+    if (!exercise) return null;
+
+    // "bench 135 5x5" - a bare number right before the sets is the weight
+    const bare = setsReps && clause.slice(0, setsReps.index).match(/\b(\d{2,4}(?:\.\d+)?)\s*$/);
+    const weight = parseWeight(clause) || (bare ? parseFloat(bare[1]) : null);
+    if (setsReps) {
+        const count = parseInt(setsReps[1]);
+        const amount = parseInt(setsReps[2]);
+        if (count < 1 || count > 20 || amount < 1) return null;
+        const set = setsReps[3] ? { duration_seconds: amount } : { reps: amount, weight };
+        return { ...exercise, sets: Array.from({ length: count }, () => ({ ...set })) };
+    }
+
+    const distance = parseDistance(clause);
+    const durationText = distance ? clause.replace(/\b\d+(?:\.\d+)?\s*(?:miles?|mi|km|kilometers?|k)\b/i, ' ') : clause;
+    const duration = parseDurationSeconds(durationText);
+    if (distance || duration) {
+        return { ...exercise, sets: [{ duration_seconds: duration, distance_miles: distance }] };
+    }
+
+    // "20 push-ups", "push-ups 20" - a single set of reps, strength only
+    if (exercise.category === 'strength') {
+        const words = escapeRegex(exercise.matched).replace(/\s+/g, '\\s+');
+        const count = clause.match(new RegExp(`\\b(\\d{1,3})\\s+(?:reps?\\s+(?:of\\s+)?)?${words}`, 'i'))
+            || clause.match(new RegExp(`${words}(?:e?s)?\\s+(?:x\\s*)?(\\d{1,3})\\b(?!\\s*(?:lbs?|pounds?|kgs?|kilos?)\\b)`, 'i'));
+        if (count && parseInt(count[1]) > 0) {
+            return { ...exercise, sets: [{ reps: parseInt(count[1]), weight }] };
+        }
+    }
+
+    return null;
+}
+
+// Returns an error message, or null when the exercise definition is valid
+function validateExercise(exercise, { partial = false } = {}) {
+    if (!partial && (typeof exercise.label !== 'string' || !exercise.label.trim())) {
+        return 'label is required';
+    }
+    if (exercise.knee_load !== undefined && !KNEE_LOADS.includes(exercise.knee_load)) {
+        return `knee_load must be one of: ${KNEE_LOADS.join(', ')}`;
+    }
+    if (exercise.category !== undefined && !CATEGORIES.includes(exercise.category)) {
+        return `category must be one of: ${CATEGORIES.join(', ')}`;
+    }
+    if (exercise.synonyms !== undefined
+        && (!Array.isArray(exercise.synonyms) || exercise.synonyms.some(synonym => typeof synonym !== 'string' || !synonym.trim()))) {
+        return 'synonyms must be a list of words';
+    }
+    return null;
+}
+
+// One set from the API: { reps, weight, duration_seconds, distance_miles }
+function validateSet(set) {
+    const checks = [
+        ['reps', 1, 1000, true],
+        ['weight', 0, 2000, false],
+        ['duration_seconds', 1, 86400, true],
+        ['distance_miles', 0, 200, false]
+    ];
+    for (const [field, min, max, integer] of checks) {
+        const value = set[field];
+        if (value === undefined || value === null) continue;
+        if (typeof value !== 'number' || (integer && !Number.isInteger(value)) || value < min || value > max) {
+            return `${field} must be ${integer ? 'a whole number' : 'a number'} between ${min} and ${max}`;
+        }
+    }
+    if (!set.reps && !set.duration_seconds && !set.distance_miles) {
+        return 'each set needs reps, duration_seconds or distance_miles';
+    }
+    return null;
+}
+
+// POST /api/workouts body → error message or null. Exercises are
+// { exercise, sets: [{ reps, weight }] } or the shorthand { exercise, sets: 3, reps: 10, weight: 35 }.
+function validateWorkout(body) {
+    if (!Array.isArray(body.exercises) || body.exercises.length === 0) {
+        return 'exercises must be a non-empty list';
+    }
+    if (body.duration_minutes !== undefined && body.duration_minutes !== null
+        && (typeof body.duration_minutes !== 'number' || body.duration_minutes <= 0 || body.duration_minutes > 600)) {
+        return 'duration_minutes must be a number between 0 and 600';
+    }
+    for (const entry of body.exercises) {
+        if (!entry || typeof entry.exercise !== 'string' || !entry.exercise.trim()) {
+            return 'each exercise needs an "exercise" name';
+        }
+        const sets = expandSets(entry);
+        if (!sets) return `${entry.exercise}: sets must be a list of sets or a number from 1 to 20`;
+        for (const set of sets) {
+            const error = validateSet(set);
+            if (error) return `${entry.exercise}: ${error}`;
+        }
+    }
+    return null;
+}
+
+// { sets: 3, reps: 10, weight: 35 } → three set objects; a list passes through
+function expandSets(entry) {
+    if (Array.isArray(entry.sets)) return entry.sets.length > 0 ? entry.sets : null;
+    const count = entry.sets === undefined ? 1 : entry.sets;
+    if (!Number.isInteger(count) || count < 1 || count > 20) return null;
+    const set = {};
+    ['reps', 'weight', 'duration_seconds', 'distance_miles'].forEach(field => {
+        if (entry[field] !== undefined) set[field] = entry[field];
+    });
+    return Array.from({ length: count }, () => ({ ...set }));
+}
+
+class WorkoutLog {
+    constructor(db, { readings = null } = {}) {
+        this.db = db;
+        this.readings = readings;
+        this.library = null;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    async init() {
+        await this.run(`CREATE TABLE IF NOT EXISTS exercises (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT UNIQUE NOT NULL,
+            label TEXT NOT NULL,
+            category TEXT DEFAULT 'strength',
+            knee_load TEXT DEFAULT 'unknown',
+            synonyms TEXT,
+            builtin BOOLEAN DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        await this.run(`CREATE TABLE IF NOT EXISTS workout_sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            date TEXT NOT NULL,
+            started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            duration_minutes REAL,
+            notes TEXT,
+            source TEXT DEFAULT 'manual',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await this.run('CREATE INDEX IF NOT EXISTS idx_workout_sessions_date ON workout_sessions(date)');
+
+        await this.run(`CREATE TABLE IF NOT EXISTS workout_sets (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id INTEGER NOT NULL,
+            exercise_id INTEGER NOT NULL,
+            set_number INTEGER NOT NULL,
+            reps INTEGER,
+            weight REAL,
+            duration_seconds INTEGER,
+            distance_miles REAL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (session_id) REFERENCES workout_sessions(id),
+            FOREIGN KEY (exercise_id) REFERENCES exercises(id)
+        )`);
+        await this.run('CREATE INDEX IF NOT EXISTS idx_workout_sets_session ON workout_sets(session_id)');
+
+        // Built-ins are only inserted once, so edited knee-load tags stick
+        for (const exercise of BUILTIN_EXERCISES) {
+            await this.run(
+                'INSERT OR IGNORE INTO exercises (name, label, category, knee_load, synonyms, builtin) VALUES (?, ?, ?, ?, ?, 1)',
+                [exercise.name, exercise.label, exercise.category, exercise.knee_load, JSON.stringify(exercise.synonyms)]
+            );
+        }
+
+        await this.exercises();
+    }
+
+    // ============ EXERCISE LIBRARY ============
+
+    async exercises() {
+        const rows = await this.all('SELECT * FROM exercises ORDER BY label');
+        this.library = rows.map(row => ({
+            id: row.id,
+            name: row.name,
+            label: row.label,
+            category: row.category,
+            knee_load: row.knee_load,
+            synonyms: row.synonyms ? JSON.parse(row.synonyms) : [row.label.toLowerCase()],
+            builtin: !!row.builtin
+        }));
+        return this.library;
+    }
+
+    // Name, label or synonym → exercise
+    findExercise(text) {
+        const key = singular((text || '').toLowerCase().replace(EQUIPMENT, '').trim());
+        return (this.library || []).find(exercise =>
+            exercise.name === nameFromLabel(key) || exercise.label.toLowerCase() === key
+            || exercise.synonyms.some(synonym => singular(synonym.toLowerCase()) === key)) || null;
+    }
+
+    // Exercise named in text: the longest synonym found ("goblet squats" before
+    // "squat"). With exact, text is a phrase that names the exercise - one not in
+    // the library becomes a new exercise, taking its tags from any known one it
+    // contains ("cossack squat" → high like squat) or "unknown".
+    matchExercise(text, { exact = false } = {}) {
+        const library = this.library || [];
+        const lower = text.toLowerCase();
+
+        if (exact) {
+            const known = this.findExercise(text);
+            if (known) return { ...known, matched: text };
+        }
+
+        const synonyms = library
+            .flatMap(exercise => exercise.synonyms.map(synonym => ({ exercise, synonym })))
+            .sort((a, b) => b.synonym.length - a.synonym.length);
+        const found = synonyms.find(({ synonym }) =>
+            new RegExp(`\\b${escapeRegex(synonym.toLowerCase()).replace(/\s+/g, '[\\s-]+')}(?:e?s)?\\b`).test(lower));
+
+        if (!exact) return found ? { ...found.exercise, matched: found.synonym } : null;
+
+        const phrase = singular(lower.replace(EQUIPMENT, '').replace(/\s+/g, ' ').trim());
+        if (!phrase || phrase.split(' ').length > 4) return null;
+        return {
+            id: null,
+            name: nameFromLabel(phrase),
+            label: labelFromPhrase(phrase),
+            category: found ? found.exercise.category : 'strength',
+            knee_load: found ? found.exercise.knee_load : 'unknown',
+            synonyms: [phrase],
+            builtin: false,
+            matched: text
+        };
+    }
+
+    async addExercise({ label, name, category = 'strength', knee_load: kneeLoad = 'unknown', synonyms }) {
+        const key = name || nameFromLabel(label);
+        const existing = await this.get('SELECT id FROM exercises WHERE name = ?', [key]);
+        if (!existing) {
+            await this.run(
+                'INSERT INTO exercises (name, label, category, knee_load, synonyms, builtin) VALUES (?, ?, ?, ?, ?, 0)',
+                [key, label, category, kneeLoad, JSON.stringify(synonyms || [label.toLowerCase()])]
+            );
+            console.log(`✓ Added exercise: ${label} (knee load: ${kneeLoad})`);
+        }
+        await this.exercises();
+        return this.library.find(exercise => exercise.name === key);
+    }
+
+    async updateExercise(name, changes) {
+        const exercise = (this.library || []).find(candidate => candidate.name === name);
+        if (!exercise) return null;
+
+        await this.run(
+            'UPDATE exercises SET label = ?, category = ?, knee_load = ?, synonyms = ? WHERE id = ?',
+            [
+                changes.label !== undefined ? changes.label : exercise.label,
+                changes.category !== undefined ? changes.category : exercise.category,
+                changes.knee_load !== undefined ? changes.knee_load : exercise.knee_load,
+                JSON.stringify(changes.synonyms !== undefined ? changes.synonyms : exercise.synonyms),
+                exercise.id
+            ]
+        );
+        await this.exercises();
+        return this.library.find(candidate => candidate.id === exercise.id);
+    }
+
+    // ============ PARSING ============
+
+    // Workout in a chat message → [{ exercise, label, knee_load, sets }], or [].
+    // Clauses are split on commas, "and", "then": "did 3x10 goblet squats at 35
+    // and 3x12 push-ups, then walked 20 min". Library exercises count on their
+    // own; anything else needs a done verb earlier in the message ("did 3x10
+    // cossack squats and 3x10 pistol squats"), and a food clause ends that.
+    // A plan or negation covers the clauses after it until a done verb
+    // ("going to do 3x10 squats and 20 push-ups", "skipped lunges but did 3x10 squats").
+    parseMessage(message) {
+        let explicit = false;
+        let notDone = false;
+        const entries = [];
+        (message || '')
+            .split(/[,;]|\.\s|\b(?:and|but|then|plus|followed by)\b/i)
+            .map(clause => clause.trim())
+            .filter(Boolean)
+            .forEach(clause => {
+                if (FOOD_VERBS.test(clause)) {
+                    explicit = false;
+                    return;
+                }
+                if (NOT_DONE.test(clause)) {
+                    notDone = true;
+                    return;
+                }
+                if (DONE_VERBS.test(clause)) {
+                    explicit = true;
+                    notDone = false;
+                }
+                if (notDone) return;
+                const entry = parseClause(clause, (text, options) => this.matchExercise(text, options));
+                if (entry && (entry.id || explicit)) entries.push(entry);
+            });
+        return entries
+            .map(entry => ({
+                exercise: entry.name,
+                label: entry.label,
+                category: entry.category,
+                knee_load: entry.knee_load,
+                known: !!entry.id,
+                sets: entry.sets
+            }));
+    }
+
+    // ============ SESSIONS ============
+
+    // entries: [{ exercise (name/label/synonym), sets: [...] }]. Exercises not in the
+    // library are added (tags from the parse, or unknown knee load). Chat appends to
+    // the day's last chat session when it was active in the last few hours.
+    async log({ date, at = new Date(), entries, durationMinutes = null, notes = null }, { source = 'manual' } = {}) {
+        let session = null;
+        if (source === 'chat') {
+            const latest = await this.get(
+                `SELECT s.*, MAX(ws.created_at) AS last_set_at FROM workout_sessions s
+                 LEFT JOIN workout_sets ws ON ws.session_id = s.id
+                 WHERE s.date = ? AND s.source = 'chat' GROUP BY s.id ORDER BY s.id DESC LIMIT 1`,
+                [date]
+            );
+            const lastActive = latest ? parseTimestamp(latest.last_set_at || latest.started_at) : null;
+            if (lastActive && (at - lastActive) / 3600000 <= SESSION_GAP_HOURS) session = latest;
+        }
+
+        if (!session) {
+            const result = await this.run(
+                'INSERT INTO workout_sessions (date, started_at, duration_minutes, notes, source) VALUES (?, ?, ?, ?, ?)',
+                [date, toDbTimestamp(at), durationMinutes, notes, source]
+            );
+            session = { id: result.lastID };
+        }
+
+        for (const entry of entries) {
+            let exercise = this.findExercise(entry.exercise);
+            if (!exercise) {
+                const guess = entry.label ? entry : this.matchExercise(entry.exercise, { exact: true }) || {};
+                exercise = await this.addExercise({
+                    label: guess.label || labelFromPhrase(singular(entry.exercise.toLowerCase())),
+                    category: guess.category || 'strength',
+                    knee_load: guess.knee_load || 'unknown'
+                });
+            }
+            const done = await this.get('SELECT COUNT(*) AS count FROM workout_sets WHERE session_id = ? AND exercise_id = ?', [session.id, exercise.id]);
+
+            let setNumber = done.count;
+            for (const set of entry.sets) {
+                setNumber++;
+                await this.run(
+                    `INSERT INTO workout_sets (session_id, exercise_id, set_number, reps, weight, duration_seconds, distance_miles, created_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [session.id, exercise.id, setNumber, set.reps || null, set.weight || null,
+                        set.duration_seconds || null, set.distance_miles || null, toDbTimestamp(at)]
+                );
+            }
+        }
+
+        if (this.readings) {
+            await this.readings.record(date, { workout_done: 1 }, { recordedAt: toDbTimestamp(at), source: 'workout' });
+        }
+        return this.session(session.id);
+    }
+
+    async session(id) {
+        const session = await this.get('SELECT * FROM workout_sessions WHERE id = ?', [id]);
+        if (!session) return null;
+        return (await this.describeSessions([session]))[0];
+    }
+
+    async sessions({ from, to }) {
+        const sessions = await this.all('SELECT * FROM workout_sessions WHERE date BETWEEN ? AND ? ORDER BY date, started_at, id', [from, to]);
+        return this.describeSessions(sessions);
+    }
+
+    // Sessions with their exercises in the order done, sets grouped per exercise
+    async describeSessions(sessions) {
+        if (sessions.length === 0) return [];
+        const ids = sessions.map(session => session.id);
+        const sets = await this.all(
+            `SELECT ws.*, e.name AS exercise, e.label, e.category, e.knee_load FROM workout_sets ws
+             JOIN exercises e ON e.id = ws.exercise_id
+             WHERE ws.session_id IN (${ids.map(() => '?').join(',')}) ORDER BY ws.id`,
+            ids
+        );
+
+        return sessions.map(session => {
+            const exercises = [];
+            sets.filter(set => set.session_id === session.id).forEach(set => {
+                let entry = exercises.find(candidate => candidate.exercise === set.exercise);
+                if (!entry) {
+                    entry = { exercise: set.exercise, label: set.label, category: set.category, knee_load: set.knee_load, sets: [] };
+                    exercises.push(entry);
+                }
+                entry.sets.push({
+                    id: set.id,
+                    set_number: set.set_number,
+                    reps: set.reps,
+                    weight: set.weight,
+                    duration_seconds: set.duration_seconds,
+                    distance_miles: set.distance_miles
+                });
+            });
+            exercises.forEach(entry => { entry.summary = describeEntry(entry); });
+
+            return {
+                id: session.id,
+                date: session.date,
+                started_local: session.started_at ? localClock(parseTimestamp(session.started_at)) : null,
+                duration_minutes: session.duration_minutes,
+                notes: session.notes,
+                source: session.source,
+                exercises
+            };
+        });
+    }
+
+    async removeSession(id) {
+        const session = await this.session(id);
+        if (!session) return null;
+
+        await this.run('DELETE FROM workout_sets WHERE session_id = ?', [id]);
+        await this.run('DELETE FROM workout_sessions WHERE id = ?', [id]);
+        await this.syncWorkoutDone(session.date);
+        return session;
+    }
+
+    async removeSet(id) {
+        const set = await this.get('SELECT ws.*, s.date FROM workout_sets ws JOIN workout_sessions s ON s.id = ws.session_id WHERE ws.id = ?', [id]);
+        if (!set) return null;
+
+        await this.run('DELETE FROM workout_sets WHERE id = ?', [id]);
+        const left = await this.get('SELECT COUNT(*) AS count FROM workout_sets WHERE session_id = ?', [set.session_id]);
+        if (left.count === 0) await this.run('DELETE FROM workout_sessions WHERE id = ?', [set.session_id]);
+        await this.syncWorkoutDone(set.date);
+        return set;
+    }
+
+    // A day with no sessions left loses the workout_done reading logging set
+    async syncWorkoutDone(date) {
+        if (!this.readings) return;
+        const left = await this.get('SELECT COUNT(*) AS count FROM workout_sessions WHERE date = ?', [date]);
+        if (left.count > 0) return;
+
+        await this.run("DELETE FROM metric_readings WHERE date = ? AND metric = 'workout_done' AND source = 'workout'", [date]);
+        await this.readings.rollupDay(date, ['workout_done']);
+    }
+
+    // ============ SUMMARIES ============
+
+    // Per exercise: each session's top set, reps, volume (reps x weight) and
+    // estimated max, with the change from the first session to the latest
+    async progression({ from, to, exercise = null }) {
+        const sets = await this.all(
+            `SELECT ws.*, s.date, e.name AS exercise, e.label, e.category, e.knee_load FROM workout_sets ws
+             JOIN workout_sessions s ON s.id = ws.session_id
+             JOIN exercises e ON e.id = ws.exercise_id
+             WHERE s.date BETWEEN ? AND ? ${exercise ? 'AND e.name = ?' : ''}
+             ORDER BY s.date, ws.id`,
+            exercise ? [from, to, exercise] : [from, to]
+        );
+
+        const byExercise = {};
+        sets.forEach(set => {
+            const entry = byExercise[set.exercise] = byExercise[set.exercise]
+                || { exercise: set.exercise, label: set.label, category: set.category, knee_load: set.knee_load, sessions: [] };
+            let day = entry.sessions.find(candidate => candidate.date === set.date);
+            if (!day) {
+                day = { date: set.date, sets: 0, reps: 0, top_weight: null, top_reps: null, volume: 0, est_max: null, minutes: 0, distance_miles: 0 };
+                entry.sessions.push(day);
+            }
+            day.sets++;
+            day.reps += set.reps || 0;
+            day.volume += (set.reps || 0) * (set.weight || 0);
+            day.minutes += (set.duration_seconds || 0) / 60;
+            day.distance_miles += set.distance_miles || 0;
+            if (set.weight && (day.top_weight === null || set.weight > day.top_weight
+                || (set.weight === day.top_weight && set.reps > day.top_reps))) {
+                day.top_weight = set.weight;
+                day.top_reps = set.reps;
+            }
+            const max = estimatedMax(set.weight, set.reps);
+            if (max && (day.est_max === null || max > day.est_max)) day.est_max = max;
+        });
+
+        return Object.values(byExercise).map(entry => {
+            entry.sessions.forEach(day => {
+                day.volume = round(day.volume);
+                day.minutes = round(day.minutes);
+                day.distance_miles = round(day.distance_miles, 2);
+            });
+            const first = entry.sessions[0];
+            const last = entry.sessions[entry.sessions.length - 1];
+            // Weighted lifts progress by estimated max, bodyweight work by reps,
+            // cardio by distance or time
+            const measure = first.est_max !== null && last.est_max !== null ? 'est_max'
+                : first.reps > 0 ? 'reps'
+                : first.distance_miles > 0 ? 'distance_miles' : 'minutes';
+            const change = round(last[measure] - first[measure]);
+
+            return {
+                ...entry,
+                session_count: entry.sessions.length,
+                measure,
+                first: first[measure],
+                latest: last[measure],
+                change,
+                trend: entry.sessions.length < 2 ? 'new' : change > 0 ? 'up' : change < 0 ? 'down' : 'flat'
+            };
+        });
+    }
+
+    // Totals, sets by knee load and a weekly breakdown, plus per-exercise progression
+    async summary({ from, to }) {
+        const sessions = await this.sessions({ from, to });
+        const knee = {};
+        KNEE_LOADS.forEach(load => { knee[load] = 0; });
+
+        const weeks = {};
+        eachDate(from, to).forEach(date => {
+            const week = startOfWeek(date);
+            weeks[week] = weeks[week] || { week_start: week, sessions: 0, sets: 0, volume: 0, minutes: 0, high_knee_sets: 0 };
+        });
+
+        const totals = { session_count: sessions.length, days_trained: new Set(sessions.map(session => session.date)).size, sets: 0, reps: 0, volume: 0, minutes: 0, distance_miles: 0 };
+        sessions.forEach(session => {
+            const week = weeks[startOfWeek(session.date)];
+            week.sessions++;
+            session.exercises.forEach(entry => {
+                entry.sets.forEach(set => {
+                    const volume = (set.reps || 0) * (set.weight || 0);
+                    const minutes = (set.duration_seconds || 0) / 60;
+                    totals.sets++;
+                    totals.reps += set.reps || 0;
+                    totals.volume += volume;
+                    totals.minutes += minutes;
+                    totals.distance_miles += set.distance_miles || 0;
+                    knee[entry.knee_load] = (knee[entry.knee_load] || 0) + 1;
+                    week.sets++;
+                    week.volume += volume;
+                    week.minutes += minutes;
+                    if (entry.knee_load === 'high') week.high_knee_sets++;
+                });
+            });
+        });
+
+        return {
+            from,
+            to,
+            ...totals,
+            volume: round(totals.volume),
+            minutes: round(totals.minutes),
+            distance_miles: round(totals.distance_miles, 2),
+            knee_load_sets: knee,
+            weeks: Object.values(weeks).map(week => ({ ...week, volume: round(week.volume), minutes: round(week.minutes) })),
+            exercises: await this.progression({ from, to }),
+            sessions
+        };
+    }
+
+    // Last 7 days for chat and coaching context
+    async recent(now = new Date()) {
+        const to = currentDate(now);
+        const summary = await this.summary({ from: addDays(to, -6), to });
+        const todays = summary.sessions.filter(session => session.date === to);
+        return {
+            ...summary,
+            today: todays.flatMap(session => session.exercises.map(entry => entry.summary))
+        };
+    }
+}
+
+module.exports = WorkoutLog;
+module.exports.KNEE_LOADS = KNEE_LOADS;
+module.exports.CATEGORIES = CATEGORIES;
+module.exports.BUILTIN_EXERCISES = BUILTIN_EXERCISES;
+module.exports.describeEntry = describeEntry;
+module.exports.expandSets = expandSets;
+module.exports.validateExercise = validateExercise;
+module.exports.validateWorkout = validateWorkout;
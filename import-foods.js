@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+// ============ BULK FOOD IMPORT ============
+// Loads a downloaded USDA FoodData Central or Open Food Facts dump into
+// cherry.db so nutrition lookups resolve common foods without any network access.
+//
+// Usage:
+//   npm run import-foods -- <path> [--include-branded] [--country <name>] [--db ./cherry.db]
+//
+//   <path> is one of:
+//     - a FoodData Central JSON download (Foundation, SR Legacy, Survey or Branded)
+//     - an extracted FoodData Central CSV directory (food.csv + food_nutrient.csv)
+//     - an Open Food Facts JSONL export (openfoodfacts-products.jsonl[.gz])
+//     - an Open Food Facts CSV export (en.openfoodfacts.org.products.csv[.gz], tab-separated)
+//
+//   --country keeps only Open Food Facts products sold in that country
+//   (e.g. --country united-states); the full export has millions of products.
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const NutritionCache = require('./NutritionCache');
+const { USDA_NUTRIENT_MAP, USDA_CALORIE_FALLBACKS, extractUsdaNutrients, extractOffNutrients } = require('./Nutrients');
+const { streamCsv, readLines } = require('./CsvUtils');
+
+const BATCH_SIZE = 1000;
+const DEFAULT_DATA_TYPES = ['foundation_food', 'sr_legacy_food', 'survey_fndds_food'];
+
+function parseArgs(argv) {
+    const args = { source: null, includeBranded: false, country: null, dbPath: './cherry.db' };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--include-branded') args.includeBranded = true;
+        else if (argv[i] === '--country') args.country = (argv[++i] || '').toLowerCase().replace(/\s+/g, '-');
+        else if (argv[i] === '--db') args.dbPath = argv[++i];
+        else if (!args.source) args.source = argv[i];
+    }
+
+    return args;
+}
+
+function normalizeDataType(dataType) {
+    const lower = (dataType || '').toLowerCase();
+    if (lower.includes('foundation')) return 'foundation_food';
+    if (lower.includes('sr legacy') || lower.includes('sr_legacy')) return 'sr_legacy_food';
+    if (lower.includes('survey')) return 'survey_fndds_food';
+    if (lower.includes('branded')) return 'branded_food';
+    return lower || null;
+}
+
+async function importJson(filePath, cache, options) {
+    console.log(`📦 Reading JSON dump: ${filePath}`);
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    // Downloads wrap the list as { FoundationFoods: [...] }, { SRLegacyFoods: [...] }, etc.
+    const foods = Array.isArray(data)
+        ? data
+        : Object.values(data).find(value => Array.isArray(value)) || [];
+
+    const records = [];
+    let imported = 0;
+
+    for (const food of foods) {
+        const dataType = normalizeDataType(food.dataType);
+        if (dataType === 'branded_food' && !options.includeBranded) continue;
+
+        const nutrients = extractUsdaNutrients(food.foodNutrients);
+        if (!food.description || Object.keys(nutrients).length === 0) continue;
+
+        records.push({
+            fdc_id: food.fdcId,
+            description: food.description,
+            data_type: dataType,
+            serving_size: food.servingSize ? `${food.servingSize} ${food.servingSizeUnit || 'g'}` : '100g',
+            nutrients
+        });
+
+        if (records.length >= BATCH_SIZE) {
+            imported += await cache.importFoods(records.splice(0));
+        }
+    }
+
+    imported += await cache.importFoods(records);
+    return imported;
+}
+
+async function importCsvDirectory(dirPath, cache, options) {
+    const foodFile = path.join(dirPath, 'food.csv');
+    const nutrientFile = path.join(dirPath, 'food_nutrient.csv');
+    const brandedFile = path.join(dirPath, 'branded_food.csv');
+
+    if (!fs.existsSync(foodFile) || !fs.existsSync(nutrientFile)) {
+        throw new Error(`Expected food.csv and food_nutrient.csv in ${dirPath}`);
+    }
+
+    const allowedTypes = options.includeBranded
+        ? [...DEFAULT_DATA_TYPES, 'branded_food']
+        : DEFAULT_DATA_TYPES;
+
+    // Pass 1: food descriptions for the data types we keep
+    console.log(`📦 Reading ${foodFile}`);
+    const foods = new Map();
+    await streamCsv(foodFile, row => {
+        const dataType = normalizeDataType(row.data_type);
+        if (allowedTypes.includes(dataType) && row.description) {
+            foods.set(row.fdc_id, {
+                fdc_id: row.fdc_id,
+                description: row.description,
+                data_type: dataType,
+                serving_size: '100g',
+                nutrients: {},
+                fallbackCalories: null
+            });
+        }
+    });
+    console.log(`   → ${foods.size} foods selected`);
+
+    // Optional: branded serving sizes
+    if (options.includeBranded && fs.existsSync(brandedFile)) {
+        await streamCsv(brandedFile, row => {
+            const food = foods.get(row.fdc_id);
+            if (food && row.serving_size) {
+                food.serving_size = `${row.serving_size} ${row.serving_size_unit || 'g'}`;
+            }
+        });
+    }
+
+    // Pass 2: nutrient amounts (this file is large - streamed line by line)
+    console.log(`📦 Reading ${nutrientFile}`);
+    await streamCsv(nutrientFile, row => {
+        const food = foods.get(row.fdc_id);
+        if (!food || row.amount === '') return;
+
+        const field = USDA_NUTRIENT_MAP[row.nutrient_id];
+        if (field) {
+            food.nutrients[field] = parseFloat(row.amount) || 0;
+        } else if (USDA_CALORIE_FALLBACKS.includes(row.nutrient_id) && food.fallbackCalories === null) {
+            food.fallbackCalories = parseFloat(row.amount) || 0;
+        }
+    });
+
+    const records = [];
+    let imported = 0;
+
+    for (const food of foods.values()) {
+        if (food.nutrients.calories === undefined && food.fallbackCalories !== null) {
+            food.nutrients.calories = food.fallbackCalories;
+        }
+        if (Object.keys(food.nutrients).length === 0) continue;
+
+        records.push(food);
+        if (records.length >= BATCH_SIZE) {
+            imported += await cache.importFoods(records.splice(0));
+        }
+    }
+
+    imported += await cache.importFoods(records);
+    return imported;
+}
+
+// Normalize one OFF product (JSONL object or CSV row - same field names)
+function offRecord(product, options) {
+    const name = (product.product_name_en || product.product_name || '').trim();
+    if (!name || !product.code) return null;
+
+    if (options.country) {
+        const countries = Array.isArray(product.countries_tags)
+            ? product.countries_tags.join(',')
+            : (product.countries_tags || product.countries_en || '');
+        if (!countries.toLowerCase().includes(options.country)) return null;
+    }
+
+    const nutrients = extractOffNutrients(product.nutriments || product);
+    if (nutrients.calories === undefined) return null;
+
+    const brand = (product.brands || '').split(',')[0].trim();
+    const servingGrams = parseFloat(product.serving_quantity);
+
+    return {
+        fdc_id: `off:${product.code}`,
+        description: brand && !name.toLowerCase().includes(brand.toLowerCase()) ? `${name}, ${brand}` : name,
+        data_type: 'off_product',
+        serving_size: servingGrams > 0 ? `${servingGrams} g` : '100g',
+        nutrients
+    };
+}
+
+// JSONL export: one product per line
+async function importOffJsonl(filePath, cache, options) {
+    console.log(`📦 Reading Open Food Facts JSONL: ${filePath}`);
+    const records = [];
+    let imported = 0;
+    let skipped = 0;
+
+    for await (const line of readLines(filePath)) {
+        if (!line.trim()) continue;
+
+        let product;
+        try {
+            product = JSON.parse(line);
+        } catch (error) {
+            skipped++;
+            continue;
+        }
+
+        const record = offRecord(product, options);
+        if (!record) continue;
+
+        records.push(record);
+        if (records.length >= BATCH_SIZE) {
+            imported += await cache.importFoods(records.splice(0), 'off');
+        }
+    }
+
+    imported += await cache.importFoods(records, 'off');
+    if (skipped > 0) console.log(`   ⚠️ Skipped ${skipped} unreadable lines`);
+    return imported;
+}
+
+// CSV export: tab-separated and unquoted, so split on tabs directly
+async function importOffCsv(filePath, cache, options) {
+    console.log(`📦 Reading Open Food Facts CSV: ${filePath}`);
+    const records = [];
+    let headers = null;
+    let imported = 0;
+
+    for await (const rawLine of readLines(filePath)) {
+        if (!rawLine.trim()) continue;
+
+        const fields = rawLine.split('\t');
+        if (!headers) {
+            headers = fields.map(h => h.replace(/^\uFEFF/, '').trim());
+            if (!headers.includes('code') || !headers.includes('product_name')) {
+                throw new Error(`${filePath} does not look like an Open Food Facts export (missing code/product_name columns)`);
+            }
+            continue;
+        }
+
+        const row = {};
+        headers.forEach((h, i) => { row[h] = fields[i] !== undefined ? fields[i] : ''; });
+
+        const record = offRecord(row, options);
+        if (!record) continue;
+
+        records.push(record);
+        if (records.length >= BATCH_SIZE) {
+            imported += await cache.importFoods(records.splice(0), 'off');
+        }
+    }
+
+    imported += await cache.importFoods(records, 'off');
+    return imported;
+}
+
+function detectFormat(source) {
+    if (fs.statSync(source).isDirectory()) return 'fdc-csv';
+
+    const name = path.basename(source).toLowerCase();
+    if (/\.jsonl(\.gz)?$/.test(name)) return 'off-jsonl';
+    if (/\.(csv|tsv)(\.gz)?$/.test(name)) return 'off-csv';
+    return 'fdc-json';
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (!options.source) {
+        console.error('Usage: npm run import-foods -- <FoodData Central JSON/CSV directory or Open Food Facts JSONL/CSV> [--include-branded] [--country <name>] [--db ./cherry.db]');
+        process.exit(1);
+    }
+
+    if (!fs.existsSync(options.source)) {
+        console.error(`❌ Not found: ${options.source}`);
+        process.exit(1);
+    }
+
+    const db = new sqlite3.Database(options.dbPath);
+    const cache = new NutritionCache(db);
+
+    try {
+        await cache.init();
+
+        const started = Date.now();
+        const importers = {
+            'fdc-json': importJson,
+            'fdc-csv': importCsvDirectory,
+            'off-jsonl': importOffJsonl,
+            'off-csv': importOffCsv
+        };
+        const imported = await importers[detectFormat(options.source)](options.source, cache, options);
+
+        const stats = await cache.stats();
+        console.log(`✓ Imported ${imported} foods in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+        console.log(`   Local food database:`, stats.imported_foods);
+    } catch (error) {
+        console.error('❌ Import failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        db.close();
+    }
+}
+
+main();
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+// ============ HISTORY IMPORT ============
+// Loads a CSV or JSON export of past tracking into cherry.db so coaching
+// starts with a real baseline instead of an empty one.
+//
+// Usage:
+//   npm run import-history -- <file> --target metrics|food_log|supplement_log
+//       [--map "Sleep Score=sleep"]... [--policy merge|overwrite]
+//       [--overwrite-date 2025-01-14]... [--dry-run] [--db ./cherry.db]
+//
+//   --map             source column → field (repeatable; "Notes=" drops a column)
+//   --policy          merge (default) keeps what's already logged on a date,
+//                     overwrite replaces it with the imported rows
+//   --overwrite-date  overwrite just this date, merge the rest (repeatable)
+//   --dry-run         report conflicts and invalid rows without writing anything
+//
+// Start the server against the database once first - it adds the newer
+// food_log columns (meal, quantity, ...) this writes to.
+
+const fs = require('fs');
+const sqlite3 = require('sqlite3').verbose();
+const MetricRegistry = require('./MetricRegistry');
+const MetricReadings = require('./MetricReadings');
+const SchemaMigration = require('./SchemaMigration');
+const DaySettings = require('./DaySettings');
+const HistoryImporter = require('./HistoryImport');
+const { parseImportData, validateImportOptions } = HistoryImporter;
+
+function parseArgs(argv) {
+    const args = { file: null, target: null, mapping: {}, policy: 'merge', datePolicies: {}, dryRun: false, dbPath: './cherry.db' };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--target') args.target = argv[++i];
+        else if (argv[i] === '--policy') args.policy = argv[++i];
+        else if (argv[i] === '--overwrite-date') args.datePolicies[argv[++i]] = 'overwrite';
+        else if (argv[i] === '--dry-run') args.dryRun = true;
+        else if (argv[i] === '--db') args.dbPath = argv[++i];
+        else if (argv[i] === '--map') {
+            const [column, ...field] = (argv[++i] || '').split('=');
+            args.mapping[column] = field.join('=');
+        } else if (!args.file) args.file = argv[i];
+    }
+
+    return args;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.file) {
+        console.error('Usage: npm run import-history -- <file> --target metrics|food_log|supplement_log [--map "Column=field"] [--policy merge|overwrite] [--dry-run]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const validationError = validateImportOptions(options);
+    if (validationError) {
+        console.error(`❌ ${validationError}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const db = new sqlite3.Database(options.dbPath);
+    const registry = new MetricRegistry(db);
+    const readings = new MetricReadings(db, registry);
+    const importer = new HistoryImporter(db, { registry, readings });
+
+    try {
+        // Dates follow the timezone and day boundary set in the app
+        await new DaySettings(db).init();
+        const rows = parseImportData(fs.readFileSync(options.file, 'utf8'), options.file.endsWith('.json') ? 'json' : null);
+
+        if (options.target === 'metrics') {
+            const activeColumns = await new SchemaMigration(db).getActiveFields('metrics');
+            await registry.init({ activeColumns });
+            await readings.init();
+        }
+
+        const report = await importer.import({ ...options, rows });
+
+        report.invalid.forEach(({ row, errors }) => {
+            console.log(`   ✗ row ${row}: ${errors.map(error => `${error.field || 'row'} ${error.message}`).join(', ')}`);
+        });
+        report.conflicts.forEach(conflict => {
+            console.log(`   ↔ ${conflict.date} ${conflict.field}: ${conflict.existing} → ${conflict.incoming} (${conflict.resolution})`);
+        });
+        if (report.ignored_columns.length > 0) {
+            console.log(`   Ignored columns: ${report.ignored_columns.join(', ')} (use --map "Column=field")`);
+        }
+
+        const verb = options.dryRun ? 'Would add' : 'Added';
+        console.log(`✓ ${verb} ${report.inserted} ${options.target} value(s) across ${report.dates} date(s) (${report.from || '—'} to ${report.to || '—'}): ${report.skipped} kept, ${report.replaced} replaced, ${report.invalid.length} invalid row(s)`);
+    } catch (error) {
+        console.error('❌ Import failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        db.close();
+    }
+}
+
+main();
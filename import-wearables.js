@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+// ============ WEARABLE IMPORT ============
+// Brings steps, weight, heart rate and sleep from a phone export into
+// cherry.db instead of typing them in.
+//
+// Usage:
+//   npm run import-wearables -- <path> [--since 2025-01-01] [--dry-run] [--db ./cherry.db]
+//
+//   <path> is one of:
+//     - Apple Health: export.xml from the unzipped "Export All Health Data" (or export.xml.gz)
+//     - Google Fit: the Takeout "Fit" folder (or a single "All data" JSON file)
+//
+//   --since    skip days before this date (exports go back years)
+//   --dry-run  report what would be written without writing anything
+//
+// Safe to re-run with a newer export: each day's value from the same source
+// is replaced, not added twice. Heart rate and sleep duration columns are
+// added to older databases on the way in.
+
+const sqlite3 = require('sqlite3').verbose();
+const MetricRegistry = require('./MetricRegistry');
+const MetricReadings = require('./MetricReadings');
+const SchemaMigration = require('./SchemaMigration');
+const DaySettings = require('./DaySettings');
+const WearableImporter = require('./WearableImport');
+const { ensureWearableColumns } = WearableImporter;
+const { isValidDate } = require('./DateUtils');
+
+function parseArgs(argv) {
+    const args = { target: null, since: null, dryRun: false, dbPath: './cherry.db' };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--since') args.since = argv[++i];
+        else if (argv[i] === '--dry-run') args.dryRun = true;
+        else if (argv[i] === '--db') args.dbPath = argv[++i];
+        else if (!args.target) args.target = argv[i];
+    }
+
+    return args;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.target) {
+        console.error('Usage: npm run import-wearables -- <export.xml | Takeout/Fit> [--since YYYY-MM-DD] [--dry-run]');
+        process.exitCode = 1;
+        return;
+    }
+    if (options.since && !isValidDate(options.since)) {
+        console.error('❌ --since must be a YYYY-MM-DD date');
+        process.exitCode = 1;
+        return;
+    }
+
+    const db = new sqlite3.Database(options.dbPath);
+    const registry = new MetricRegistry(db);
+    const readings = new MetricReadings(db, registry);
+    const importer = new WearableImporter(db, { registry, readings });
+
+    try {
+        // Dates follow the timezone and day boundary set in the app
+        await new DaySettings(db).init();
+        if (!await ensureWearableColumns(db)) {
+            throw new Error(`${options.dbPath} has no metrics table - start the server against it once first`);
+        }
+        const activeColumns = await new SchemaMigration(db).getActiveFields('metrics');
+        await registry.init({ activeColumns });
+        await readings.init();
+
+        console.log(`📥 Reading ${options.target}...`);
+        const report = await importer.import(options.target, options);
+
+        report.rejected.forEach(rejected => {
+            console.log(`   ✗ ${rejected.date} ${rejected.metric} ${rejected.value}: ${rejected.message}`);
+        });
+        Object.entries(report.metrics).forEach(([metric, count]) => {
+            console.log(`   ${metric}: ${count} day(s)`);
+        });
+
+        const verb = options.dryRun ? 'Would write' : 'Wrote';
+        console.log(`✓ ${report.source}: ${report.used} of ${report.records} records used, ${report.dates} day(s) (${report.from || '—'} to ${report.to || '—'})`);
+        console.log(`✓ ${verb} ${report.written} new and ${report.replaced} updated day value(s), ${report.unchanged} unchanged`);
+    } catch (error) {
+        console.error('❌ Import failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        db.close();
+    }
+}
+
+main();
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+// ============ DAILY TOTALS REPAIR ============
+// Rebuilds metrics.calories_consumed from food_log for every day with food
+// logged. Databases from before the totals were derived drifted whenever an
+// entry was edited or deleted; run this once after upgrading.
+//
+// Usage:
+//   npm run repair-totals -- [--dry-run] [--clear-unlogged] [--db ./cherry.db]
+//
+//   --dry-run         list what would change without writing anything
+//   --clear-unlogged  also blank calories on days that have no food entries
+
+const sqlite3 = require('sqlite3').verbose();
+const DailyTotals = require('./DailyTotals');
+
+function parseArgs(argv) {
+    const args = { dryRun: false, clearUnlogged: false, dbPath: './cherry.db' };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dry-run') args.dryRun = true;
+        else if (argv[i] === '--clear-unlogged') args.clearUnlogged = true;
+        else if (argv[i] === '--db') args.dbPath = argv[++i];
+    }
+
+    return args;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const db = new sqlite3.Database(options.dbPath);
+    const totals = new DailyTotals(db);
+
+    try {
+        await totals.init();
+        const result = await totals.rebuild(options);
+
+        result.corrected.forEach(day => {
+            console.log(`   ${day.date}: ${day.from === null || day.from === undefined ? '—' : day.from} → ${day.to} cal`);
+        });
+        result.cleared.forEach(day => {
+            console.log(`   ${day.date}: ${day.from} → — (no food logged)`);
+        });
+
+        const verb = options.dryRun ? 'Would fix' : 'Fixed';
+        console.log(`✓ ${verb} ${result.corrected.length} day(s)${options.clearUnlogged ? `, ${options.dryRun ? 'would clear' : 'cleared'} ${result.cleared.length}` : ''}`);
+    } catch (error) {
+        console.error('❌ Repair failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        db.close();
+    }
+}
+
+main();
@@ -1,7 +1,6 @@
 const express = require('express');
 const cors = require('cors');
 const sqlite3 = require('sqlite3').verbose();
-const axios = require('axios');
 const Anthropic = require('@anthropic-ai/sdk');
 const { google } = require('googleapis');
 const session = require('express-session');
@@ -20,12 +19,52 @@ const {
     metricToComponentName,
     inferDataType 
 } = require('./ModificationDetector');
+const NutritionCache = require('./NutritionCache');
+const { createProviderChain } = require('./NutritionProviders');
+const RecipeBook = require('./RecipeBook');
+const NutritionTargets = require('./NutritionTargets');
+const MealPlanner = require('./MealPlanner');
+const DailyTotals = require('./DailyTotals');
+const CaffeineTracker = require('./Caffeine');
+const { caffeineFromFood, caffeineInText, isCaffeineQuestion } = CaffeineTracker;
+const FastingTracker = require('./Fasting');
+const { parseFastingCommand } = FastingTracker;
+const MetricRegistry = require('./MetricRegistry');
+const { formatValue, columnType, validateDefinition } = MetricRegistry;
+const MetricReadings = require('./MetricReadings');
+const { readingTime } = MetricReadings;
+const HistoryImporter = require('./HistoryImport');
+const { parseImportData, validateImportOptions } = HistoryImporter;
+const { BUSY_TIMEOUT_MS } = require('./ImportTransaction');
+const { ensureWearableColumns } = require('./WearableImport');
+const SleepTracker = require('./SleepSessions');
+const { parseSleepMessage, validateSessionInput } = SleepTracker;
+const WorkoutLog = require('./Workouts');
+const { describeEntry, expandSets, validateExercise, validateWorkout } = WorkoutLog;
+const SymptomJournal = require('./Symptoms');
+const { parseSymptoms, validateSymptom, SITES } = SymptomJournal;
+const DailyJournal = require('./Journal');
+const { parseJournalMessage, validateEntry, HIGH_STRESS } = DailyJournal;
+const CorrelationEngine = require('./Correlations');
+const { parsePortion, portionToGrams, scaleNutrition, resolveUnit, UNIT_GRAMS } = require('./PortionParser');
+const { NUTRIENT_FIELDS, sumNutrients } = require('./Nutrients');
+const { GRANULARITIES, summarizeRange } = require('./NutritionHistory');
+const {
+    isValidDate, addDays, daysBetween, weekday, currentDate, localClock, atLocalTime, dayConfig, parseTimestamp
+} = require('./DateUtils');
+const DaySettings = require('./DaySettings');
+const { resolveMessageTime, stripTimeReferences } = require('./RelativeTime');
+const {
+    GAP_WINDOW_DAYS, LOW_PERCENT, MIN_PERCENT_PER_100G, GAP_NUTRIENTS, FOOD_IDEAS,
+    resolveNutrient, parseNutrientQuestion, assessNutrient, findGaps, rankFoodsForNutrient
+} = require('./NutrientGaps');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 app.use(cors());
-app.use(express.json());
+// History imports post months of rows at once
+app.use(express.json({ limit: '10mb' }));
 app.use(express.static('public'));
 app.use(session({
     secret: 'cherry-health-assistant-secret',
@@ -82,9 +121,35 @@ const db = new sqlite3.Database('./cherry.db', (err) => {
     }
 });
 
+// Imports write through a connection of their own - wait for their
+// transaction to commit instead of failing with SQLITE_BUSY
+db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+
 // Initialize v11.0 Self-Evolution System
 const componentManager = new ComponentManager();
 const schemaMigration = new SchemaMigration(db);
+const nutritionCache = new NutritionCache(db);
+const recipeBook = new RecipeBook(db);
+const nutritionTargets = new NutritionTargets(db);
+const mealPlanner = new MealPlanner(db, recipeBook);
+const dailyTotals = new DailyTotals(db);
+const caffeineTracker = new CaffeineTracker(db);
+const fastingTracker = new FastingTracker(db);
+const daySettings = new DaySettings(db);
+const metricRegistry = new MetricRegistry(db);
+const metricReadings = new MetricReadings(db, metricRegistry);
+const historyImporter = new HistoryImporter(db, { registry: metricRegistry, readings: metricReadings });
+const sleepTracker = new SleepTracker(db, { readings: metricReadings });
+const workoutLog = new WorkoutLog(db, { readings: metricReadings });
+const symptomJournal = new SymptomJournal(db, { readings: metricReadings, sleep: sleepTracker, workouts: workoutLog });
+const dailyJournal = new DailyJournal(db);
+const correlationEngine = new CorrelationEngine(db, { registry: metricRegistry });
+const nutritionProviders = createProviderChain({
+    order: process.env.NUTRITION_PROVIDERS,
+    nutritionCache,
+    usdaApiKey: process.env.USDA_API_KEY,
+    csvPath: process.env.NUTRITION_CSV || './custom-foods.csv'
+});
 
 console.log('✓ Self-evolution system initialized');
 
@@ -114,8 +179,21 @@ function initDatabase() {
         weight REAL,
         steps INTEGER,
         calories_consumed INTEGER,
+        heart_rate INTEGER,
+        resting_heart_rate INTEGER,
+        sleep_hours REAL,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
+    )`, () => {
+        // Metric definitions read the metrics columns, so wait for the table;
+        // readings backfill from both
+        schemaMigration.getActiveFields('metrics')
+            .then(activeColumns => metricRegistry.init({ activeColumns }))
+            .then(() => metricReadings.init())
+            .catch(err => console.error('❌ Metric registry init error:', err));
+    });
+
+    // Wearable metrics for databases created before Apple Health / Google Fit import
+    ensureWearableColumns(db).catch(err => console.error('❌ Failed to add wearable columns:', err.message));
 
     db.run(`CREATE TABLE IF NOT EXISTS supplement_log (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -150,10 +228,26 @@ function initDatabase() {
         magnesium REAL,
         potassium REAL,
         zinc REAL,
+        quantity REAL,
+        unit TEXT,
+        grams REAL,
+        meal TEXT,
+        recipe_id INTEGER,
+        candidates TEXT,
+        lookup_query TEXT,
         timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
         date TEXT NOT NULL
     )`);
 
+    // Portion columns for databases created before portion scaling
+    ensureColumn('food_log', 'quantity', 'REAL');
+    ensureColumn('food_log', 'unit', 'TEXT');
+    ensureColumn('food_log', 'grams', 'REAL');
+    ensureColumn('food_log', 'meal', 'TEXT');
+    ensureColumn('food_log', 'recipe_id', 'INTEGER');
+    ensureColumn('food_log', 'candidates', 'TEXT');
+    ensureColumn('food_log', 'lookup_query', 'TEXT');
+
     db.run(`CREATE TABLE IF NOT EXISTS conversations (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         user_message TEXT NOT NULL,
@@ -224,6 +318,41 @@ function initDatabase() {
         FOREIGN KEY (goal_id) REFERENCES goals(id)
     )`);
 
+    // Timezone + when the logical day ends - every date below depends on it
+    daySettings.init()
+        .then(settings => console.log(`✓ Day: ${settings.timezone}, ends at ${settings.day_ends_at} (today is ${settings.today})`))
+        .catch(err => console.error('❌ Day settings init error:', err));
+    
+    // Local nutrition cache + imported USDA foods
+    nutritionCache.init().catch(err => console.error('❌ Nutrition cache init error:', err));
+    
+    // Saved recipes and custom foods
+    recipeBook.init().catch(err => console.error('❌ Recipe book init error:', err));
+    
+    // Personal nutrition targets (profile + overrides)
+    nutritionTargets.init().catch(err => console.error('❌ Nutrition targets init error:', err));
+    
+    // Weekly meal plans
+    mealPlanner.init().catch(err => console.error('❌ Meal planner init error:', err));
+    
+    // Daily nutrition view + triggers that derive metrics.calories_consumed from food_log
+    dailyTotals.init().catch(err => console.error('❌ Daily totals init error:', err));
+
+    // Fasting protocol settings + started/ended fasts
+    fastingTracker.init().catch(err => console.error('❌ Fasting tracker init error:', err));
+
+    // Sleep target + bed/wake sessions and naps
+    sleepTracker.init().catch(err => console.error('❌ Sleep tracker init error:', err));
+
+    // Exercise library (knee-load tags) + workout sessions and sets
+    workoutLog.init().catch(err => console.error('❌ Workout log init error:', err));
+
+    // Pain and symptom journal (body site, type, severity, triggers)
+    symptomJournal.init().catch(err => console.error('❌ Symptom journal init error:', err));
+
+    // Daily journal entries with sentiment + stress scores
+    dailyJournal.init().catch(err => console.error('❌ Journal init error:', err));
+
     // Pre-load supplements
     const defaultSupplements = [
         {
@@ -279,7 +408,7 @@ function initDatabase() {
             const defaultReminders = [
                 { type: 'morning_checkin', time: '10:00', message: 'Morning Timothy. Time for your daily check-in.' },
                 { type: 'mountain_ops', time: '10:00', message: 'Take Mountain Ops Ignite (350mg caffeine)' },
-                { type: 'lunch', time: '13:00', message: 'Lunch time. Hit that calorie target - 2200/day.' },
+                { type: 'lunch', time: '13:00', message: 'Lunch time. Hit that calorie target - {calories}/day.' },
                 { type: 'evening_checkin', time: '23:00', message: 'Evening check-in. How was today?' }
             ];
             
@@ -288,12 +417,32 @@ function initDatabase() {
                 stmt.run([r.type, r.time, r.message]);
             });
             stmt.finalize();
+        } else if (!err) {
+            // Older databases have the calorie target baked into the lunch reminder
+            db.run(`UPDATE reminders SET message = REPLACE(message, '2200/day', '{calories}/day')
+                    WHERE type = 'lunch' AND message LIKE '%2200/day%'`);
         }
     });
 
     console.log('✓ Database initialized');
 }
 
+// Add a column to an existing table when an older cherry.db doesn't have it yet
+function ensureColumn(table, column, definition) {
+    db.all(`PRAGMA table_info(${table})`, (err, columns) => {
+        // No columns yet means CREATE TABLE hasn't run - it already has the column
+        if (err || !columns || columns.length === 0 || columns.some(col => col.name === column)) return;
+        
+        db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+            if (err) {
+                console.error(`❌ Failed to add ${table}.${column}:`, err.message);
+            } else {
+                console.log(`✓ Added column ${table}.${column}`);
+            }
+        });
+    });
+}
+
 // ============ GOOGLE CALENDAR FUNCTIONS ============
 
 app.get('/auth/google', (req, res) => {
@@ -339,11 +488,11 @@ async function createGoogleCalendarEvent(title, dateTime, duration = 60, descrip
         description: description,
         start: {
             dateTime: startTime.toISOString(),
-            timeZone: 'America/Los_Angeles',
+            timeZone: dayConfig().timezone,
         },
         end: {
             dateTime: endTime.toISOString(),
-            timeZone: 'America/Los_Angeles',
+            timeZone: dayConfig().timezone,
         },
         reminders: {
             useDefault: false,
@@ -437,206 +586,110 @@ async function deleteGoogleCalendarEvent(searchTerm, req) {
 
 // ============ NUTRITION LOOKUP FUNCTIONS ============
 
+const MAX_STORED_CANDIDATES = 5;
+
+// foodName is the food alone - the portion parser has already taken off any
+// quantity, so a leading number here is part of the name ("100 grand bar")
 async function lookupNutrition(foodName) {
-    const USDA_API_KEY = process.env.USDA_API_KEY || 'DEMO_KEY';
-    const USDA_API_URL = 'https://api.nal.usda.gov/fdc/v1/foods/search';
+    // Repeat lookups are served from the local cache
+    const cached = await nutritionCache.lookup(foodName);
+    if (cached) {
+        console.log(`💾 Cache hit for "${foodName}": ${cached.food_name}`);
+        return cached;
+    }
     
-    try {
-        // Strip leading numbers (e.g., "2 eggs" → "eggs")
-        let cleanedFoodName = foodName.replace(/^\d+\s+/, '');
-        if (cleanedFoodName.length < 3) cleanedFoodName = foodName; // Keep original if too short
-        
-        console.log(`🔍 Looking up nutrition for: "${foodName}"${cleanedFoodName !== foodName ? ` (searching: "${cleanedFoodName}")` : ''}`);
-        
-        const response = await axios.get(USDA_API_URL, {
-            params: {
-                api_key: USDA_API_KEY,
-                query: cleanedFoodName,  // Use cleaned version
-                pageSize: 5  // Get top 5 results for filtering
-            }
-        });
-        
-        if (!response.data.foods || response.data.foods.length === 0) {
-            console.log(`⚠️ No nutrition data found for: ${foodName}`);
-            
-            // Try with just the last 2-3 words (often the actual food)
-            const words = cleanedFoodName.split(' ');
-            if (words.length > 2) {
-                const simplified = words.slice(-2).join(' ');
-                console.log(`🔄 Retrying with simplified term: "${simplified}"`);
-                return await lookupNutrition(simplified);
-            }
-            
-            return null;
-        }
-        
-        // SMART FILTERING: Prefer whole foods over prepared/recipe items
-        let food = response.data.foods[0]; // Default to first result
-        let bestScore = 0;
-        
-        console.log(`🔍 Filtering ${response.data.foods.length} results for best match...`);
-        
-        for (const item of response.data.foods) {
-            const desc = item.description.toLowerCase();
-            let score = 100; // Start with base score
-            
-            // PENALTY for recipe/prepared indicators (strong indicators it's NOT a whole food)
-            if (desc.includes('prepared with')) score -= 50;
-            if (desc.includes('recipe')) score -= 40;
-            if (desc.includes('dry mix')) score -= 40;
-            if (desc.includes('frozen meal')) score -= 40;
-            if (desc.includes('custard')) score -= 35;
-            if (desc.includes('casserole')) score -= 35;
-            if (desc.includes('pudding')) score -= 35;
-            if (desc.includes('homemade')) score -= 30;
-            if (desc.includes('restaurant')) score -= 30;
-            if (desc.includes('fast food')) score -= 30;
-            
-            // BONUS for whole food indicators
-            if (desc.includes('raw')) score += 20;
-            if (desc.includes('fresh')) score += 15;
-            if (desc.includes('whole')) score += 15;
-            if (desc.includes('cooked')) score += 10; // Simple cooking is OK
-            if (desc.includes('boiled')) score += 10;
-            if (desc.includes('fried')) score += 10;
-            if (desc.includes('scrambled')) score += 10;
-            if (desc.includes('poached')) score += 10;
-            
-            // BONUS for matching the exact search term closely
-            const searchWords = cleanedFoodName.toLowerCase().split(' ');
-            searchWords.forEach(word => {
-                if (word.length > 2 && desc.includes(word)) {
-                    score += 5;
-                }
-            });
-            
-            console.log(`   → "${item.description}" (score: ${score})`);
-            
-            if (score > bestScore) {
-                bestScore = score;
-                food = item;
-            }
-        }
-        
-        console.log(`✓ Selected: "${food.description}" (score: ${bestScore})`);
-        
-        const nutrients = {};
-        
-        // Map USDA nutrient IDs to our database fields
-        const nutrientMap = {
-            '1008': 'calories',      // Energy (kcal)
-            '1003': 'protein',       // Protein (g)
-            '1005': 'carbs',         // Carbohydrate (g)
-            '1004': 'fat',           // Total fat (g)
-            '1079': 'fiber',         // Fiber (g)
-            '2000': 'sugar',         // Sugars (g)
-            '1093': 'sodium',        // Sodium (mg)
-            '1253': 'cholesterol',   // Cholesterol (mg)
-            '1258': 'saturated_fat', // Saturated fat (g)
-            '1106': 'vitamin_a',     // Vitamin A (mcg)
-            '1162': 'vitamin_c',     // Vitamin C (mg)
-            '1114': 'vitamin_d',     // Vitamin D (mcg)
-            '1109': 'vitamin_e',     // Vitamin E (mg)
-            '1183': 'vitamin_k',     // Vitamin K (mcg)
-            '1175': 'vitamin_b6',    // Vitamin B6 (mg)
-            '1178': 'vitamin_b12',   // Vitamin B12 (mcg)
-            '1177': 'folate',        // Folate (mcg)
-            '1087': 'calcium',       // Calcium (mg)
-            '1089': 'iron',          // Iron (mg)
-            '1090': 'magnesium',     // Magnesium (mg)
-            '1092': 'potassium',     // Potassium (mg)
-            '1095': 'zinc'           // Zinc (mg)
-        };
-        
-        // Extract nutrients
-        if (food.foodNutrients) {
-            food.foodNutrients.forEach(nutrient => {
-                const nutrientId = nutrient.nutrientId?.toString();
-                const field = nutrientMap[nutrientId];
-                if (field && nutrient.value !== undefined) {
-                    nutrients[field] = parseFloat(nutrient.value) || 0;
-                }
-            });
-        }
-        
-        const result = {
-            food_name: food.description || foodName,
-            serving_size: food.servingSize ? `${food.servingSize} ${food.servingSizeUnit || 'g'}` : '100g',
-            ...nutrients
-        };
-        
-        console.log(`✓ Found nutrition for "${result.food_name}": ${nutrients.calories || 0} cal, ${nutrients.protein || 0}g protein`);
-        
-        return result;
-        
-    } catch (error) {
-        console.error(`❌ USDA API error for "${foodName}":`, error.message);
-        if (error.response) {
-            console.error(`   Status: ${error.response.status}`);
-            console.error(`   Data:`, error.response.data);
-        }
+    console.log(`🔍 Looking up nutrition for: "${foodName}"`);
+    
+    const match = await nutritionProviders.lookup(foodName);
+    
+    if (!match) {
+        console.log(`⚠️ No nutrition data found for: ${foodName}`);
         
-        // If it's a 500 error or too complex, try with simplified search
+        // Try with just the last 2 words (often the actual food)
         const words = foodName.split(' ');
         if (words.length > 2) {
-            const simplified = words.slice(-2).join(' ');  // Last 2 words
-            console.log(`🔄 Retrying with last 2 words: "${simplified}"`);
-            
-            try {
-                const response = await axios.get(USDA_API_URL, {
-                    params: {
-                        api_key: USDA_API_KEY,
-                        query: simplified,
-                        pageSize: 5  // Removed dataType
-                    }
-                });
-                
-                if (response.data.foods && response.data.foods.length > 0) {
-                    const food = response.data.foods[0];
-                    const nutrients = {};
-                    
-                    const nutrientMap = {
-                        '1008': 'calories', '1003': 'protein', '1005': 'carbs', '1004': 'fat',
-                        '1079': 'fiber', '2000': 'sugar', '1093': 'sodium', '1253': 'cholesterol',
-                        '1258': 'saturated_fat', '1106': 'vitamin_a', '1162': 'vitamin_c',
-                        '1114': 'vitamin_d', '1109': 'vitamin_e', '1183': 'vitamin_k',
-                        '1175': 'vitamin_b6', '1178': 'vitamin_b12', '1177': 'folate',
-                        '1087': 'calcium', '1089': 'iron', '1090': 'magnesium',
-                        '1092': 'potassium', '1095': 'zinc'
-                    };
-                    
-                    if (food.foodNutrients) {
-                        food.foodNutrients.forEach(nutrient => {
-                            const nutrientId = nutrient.nutrientId?.toString();
-                            const field = nutrientMap[nutrientId];
-                            if (field && nutrient.value !== undefined) {
-                                nutrients[field] = parseFloat(nutrient.value) || 0;
-                            }
-                        });
-                    }
-                    
-                    console.log(`✓ Retry successful: ${nutrients.calories || 0} cal`);
-                    
-                    return {
-                        food_name: food.description || foodName,
-                        serving_size: food.servingSize ? `${food.servingSize} ${food.servingSizeUnit || 'g'}` : '100g',
-                        ...nutrients
-                    };
-                }
-            } catch (retryError) {
-                console.log(`⚠️ Retry also failed`);
+            const simplified = words.slice(-2).join(' ');
+            console.log(`🔄 Retrying with simplified term: "${simplified}"`);
+            const simplifiedResult = await lookupNutrition(simplified);
+            if (simplifiedResult) {
+                await nutritionCache.store(foodName, simplifiedResult, simplifiedResult.source);
             }
+            return simplifiedResult;
         }
         
         return null;
     }
+    
+    const { score, ...best } = match.best;
+    console.log(`✓ Selected from ${match.provider}: "${best.food_name}" (${best.calories || 0} cal, ${best.protein || 0}g protein per 100g)`);
+    
+    // Keep the runners-up so a wrong pick can be swapped later
+    const result = { ...best, candidates: match.candidates.slice(0, MAX_STORED_CANDIDATES) };
+    
+    await nutritionCache.store(foodName, result, match.provider);
+    
+    return result;
 }
 
-async function parseComplexMeal(mealDescription) {
-    console.log(`🍽️ Parsing complex meal: "${mealDescription}"`);
+// ============ MEAL SLOTS ============
+
+const MEAL_SLOTS = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+// Time-of-day rules built around the 2pm-11:30pm shift:
+// late breakfast after waking, lunch before clocking in, dinner on the
+// mid-shift break, and everything else (on the line / after shift) is a snack.
+function mealSlotForTime(when = new Date()) {
+    const [hours, mins] = localClock(when).split(':').map(Number);
+    const minutes = hours * 60 + mins;
+    
+    if (minutes >= 4 * 60 && minutes < 11 * 60) return 'breakfast';
+    if (minutes >= 11 * 60 && minutes < 14 * 60 + 30) return 'lunch';
+    if (minutes >= 17 * 60 + 30 && minutes < 20 * 60 + 30) return 'dinner';
+    return 'snack';
+}
+
+// "for breakfast", "at lunch", "dinner was", "snacked on" → slot, else time of day
+function detectMealSlot(message, when = new Date()) {
+    const lower = message.toLowerCase();
+    
+    const phraseMatch = lower.match(/\b(?:for|at|during|my|with)\s+(?:a\s+|my\s+)?(breakfast|brunch|lunch|dinner|supper|snack)\b/)
+        || lower.match(/\b(breakfast|brunch|lunch|dinner|supper)\s+(?:was|is)\b/)
+        || lower.match(/\b(snack)(?:ed|ing)?\b/);
+    
+    if (phraseMatch) {
+        const slot = phraseMatch[1];
+        if (slot === 'brunch') return 'breakfast';
+        if (slot === 'supper') return 'dinner';
+        return slot;
+    }
+    
+    return mealSlotForTime(when);
+}
+
+// Rows logged before meal slots existed fall back to their timestamp
+function withMealSlot(food) {
+    const at = food.timestamp ? parseTimestamp(food.timestamp) : new Date();
+    return { ...food, meal: food.meal || mealSlotForTime(at) };
+}
+
+// Per-meal subtotals for the Nutrition tab
+function groupFoodsByMeal(foods) {
+    const meals = {};
+    
+    MEAL_SLOTS.forEach(slot => {
+        const mealFoods = foods.filter(food => food.meal === slot);
+        meals[slot] = {
+            count: mealFoods.length,
+            food_ids: mealFoods.map(food => food.id),
+            totals: sumNutrients(mealFoods)
+        };
+    });
     
-    // Extract individual ingredients
-    // Patterns: "wrap with turkey, ham, bell peppers", "chicken and rice", etc.
+    return meals;
+}
+
+// Split "wrap with turkey, ham, bell peppers" / "chicken and rice" into ingredients
+function splitMealIngredients(mealDescription) {
     const ingredients = [];
     
     // Split on common separators
@@ -660,17 +713,37 @@ async function parseComplexMeal(mealDescription) {
         }
     });
     
-    console.log(`📋 Extracted ${ingredients.length} ingredients:`, ingredients);
+    return ingredients;
+}
+
+// Look up nutrition for each ingredient, scaled to its portion.
+// Ingredients nobody could find are returned in `missing`.
+async function resolveIngredients(ingredients) {
+    const resolved = [];
+    const missing = [];
     
-    // Look up nutrition for each ingredient
-    const nutritionData = [];
     for (const ingredient of ingredients) {
-        const data = await lookupNutrition(ingredient);
+        const portion = parsePortion(ingredient);
+        const data = await lookupNutrition(portion.food);
         if (data) {
-            nutritionData.push(data);
+            const { candidates, ...scaled } = scaleNutrition(data, portion);
+            resolved.push({ text: ingredient, ...scaled });
+        } else {
+            missing.push(ingredient);
         }
     }
     
+    return { resolved, missing };
+}
+
+async function parseComplexMeal(mealDescription) {
+    console.log(`🍽️ Parsing complex meal: "${mealDescription}"`);
+    
+    const ingredients = splitMealIngredients(mealDescription);
+    console.log(`📋 Extracted ${ingredients.length} ingredients:`, ingredients);
+    
+    const { resolved: nutritionData } = await resolveIngredients(ingredients);
+    
     if (nutritionData.length === 0) {
         console.log('⚠️ No nutrition data found for any ingredients');
         return null;
@@ -701,13 +774,16 @@ async function parseComplexMeal(mealDescription) {
         iron: 0,
         magnesium: 0,
         potassium: 0,
-        zinc: 0
+        zinc: 0,
+        quantity: 1,
+        unit: null,
+        grams: 0
     };
     
     // Sum up all nutrients
     nutritionData.forEach(data => {
-        Object.keys(combined).forEach(key => {
-            if (key !== 'food_name' && key !== 'serving_size' && data[key] !== undefined) {
+        [...NUTRIENT_FIELDS, 'grams'].forEach(key => {
+            if (data[key] !== undefined) {
                 combined[key] += parseFloat(data[key]) || 0;
             }
         });
@@ -718,6 +794,436 @@ async function parseComplexMeal(mealDescription) {
     return combined;
 }
 
+// ============ RECIPES ============
+
+// Resolve recipe ingredients from the API or chat.
+// Strings ("2 slices turkey") are looked up like any food. Objects that carry
+// nutrient values are custom foods and are stored exactly as given.
+async function buildRecipeIngredients(ingredients) {
+    const resolved = [];
+    const missing = [];
+    
+    for (let ingredient of ingredients) {
+        if (ingredient && typeof ingredient === 'object') {
+            const name = ingredient.food || ingredient.food_name || ingredient.name;
+            const hasNutrients = NUTRIENT_FIELDS.some(field => ingredient[field] !== undefined);
+            
+            if (hasNutrients) {
+                const custom = {
+                    text: name,
+                    food_name: name,
+                    quantity: parseFloat(ingredient.quantity) || 1,
+                    unit: ingredient.unit || null,
+                    grams: parseFloat(ingredient.grams) || null
+                };
+                NUTRIENT_FIELDS.forEach(field => {
+                    const value = parseFloat(ingredient[field]);
+                    if (!isNaN(value)) custom[field] = value;
+                });
+                resolved.push(custom);
+                continue;
+            }
+            
+            ingredient = [ingredient.quantity, ingredient.unit, name].filter(Boolean).join(' ');
+        }
+        
+        if (typeof ingredient !== 'string' || !ingredient.trim()) {
+            missing.push(String(ingredient));
+            continue;
+        }
+        
+        const result = await resolveIngredients([ingredient.trim()]);
+        resolved.push(...result.resolved);
+        missing.push(...result.missing);
+    }
+    
+    return { resolved, missing };
+}
+
+// Create the recipe, or replace the one already saved under that name
+async function saveRecipe(name, ingredients, servings = 1) {
+    const existing = await recipeBook.findByName(name);
+    return existing
+        ? recipeBook.update(existing.id, { name, ingredients, servings })
+        : recipeBook.create({ name, ingredients, servings });
+}
+
+// "save this as my turkey wrap" - the most recent food entry becomes a recipe.
+// Combined meals keep their individual ingredients; single foods are saved as logged.
+async function saveRecipeFromLastFood(name, date) {
+    const lastFood = await new Promise((resolve) => {
+        db.get('SELECT * FROM food_log WHERE date = ? ORDER BY timestamp DESC, id DESC LIMIT 1',
+            [date], (err, row) => resolve(row || null));
+    });
+    
+    if (!lastFood) return null;
+    
+    let ingredients = [];
+    if (lastFood.serving_size === 'combined') {
+        ({ resolved: ingredients } = await resolveIngredients(splitMealIngredients(lastFood.food_name)));
+    }
+    
+    if (ingredients.length === 0) {
+        const ingredient = {
+            text: lastFood.food_name,
+            food_name: lastFood.food_name,
+            quantity: lastFood.quantity || 1,
+            unit: lastFood.unit,
+            grams: lastFood.grams
+        };
+        NUTRIENT_FIELDS.forEach(field => {
+            if (lastFood[field] !== null && lastFood[field] !== undefined) {
+                ingredient[field] = lastFood[field];
+            }
+        });
+        ingredients = [ingredient];
+    }
+    
+    const recipe = await saveRecipe(name, ingredients);
+    
+    await new Promise((resolve) => {
+        db.run('UPDATE food_log SET recipe_id = ? WHERE id = ?', [recipe.id, lastFood.id], () => resolve());
+    });
+    
+    return recipe;
+}
+
+// ============ MEAL PLANS ============
+
+// Plan 7 days from `start` out of known foods and recipes, sized to today's targets.
+// Returns null when nothing has been logged or saved yet.
+async function generateMealPlan(start, workDays) {
+    const today = currentDate();
+    const targets = await nutritionTargets.getTargets();
+    
+    const plan = await mealPlanner.generate({ start: start || today, today, targets, workDays });
+    if (plan) {
+        console.log(`🍽️ Meal plan ${plan.start_date} → ${plan.end_date}: ~${plan.daily_average.calories} cal, ${plan.daily_average.protein}g protein/day`);
+    }
+    return plan;
+}
+
+// ============ CAFFEINE ============
+
+// Today's caffeine from supplements and drinks against the caffeine target,
+// with what's still active now and at bedtime after the shift
+async function getCaffeineStatus(options = {}) {
+    const targets = await nutritionTargets.getTargets();
+    return caffeineTracker.status({ ...options, limit: targets.caffeine });
+}
+
+// What `mg` more right now would do - over the daily limit or bedtime threshold?
+async function checkCaffeineDose(mg, options = {}) {
+    const targets = await nutritionTargets.getTargets();
+    return caffeineTracker.check(mg, { ...options, limit: targets.caffeine });
+}
+
+async function getCaffeinatedSupplements() {
+    return new Promise((resolve) => {
+        db.all('SELECT name, caffeine_content FROM supplements WHERE caffeine_content > 0', (err, rows) => resolve(rows || []));
+    });
+}
+
+// ============ FASTING ============
+
+// One line for the coach: time into a running fast, or since the last meal
+function describeFasting(current) {
+    if (!current) return 'Unknown';
+    if (current.fasting) {
+        const session = current.session;
+        return `${session.hours}h into a ${session.target_hours}h fast (started ${session.started_local}, goal ${session.goal_local}${session.remaining_hours > 0 ? `, ${session.remaining_hours}h to go` : ' - reached'})`;
+    }
+    return current.last_meal ? `Not fasting, last meal ${current.hours_since_last_meal}h ago (${current.last_meal_local})` : 'No meals logged yet';
+}
+
+// "7.5h (01:00-08:30) + 0.5h nap, debt 3.5h vs 8h target over 7 days"
+function describeSleep(sleep) {
+    if (!sleep) return 'Unknown';
+    const debt = `debt ${sleep.debt_hours}h vs ${sleep.target_hours}h target over ${sleep.debt_window_days} days`;
+    if (sleep.total_hours === null) return `Not logged, ${debt}`;
+
+    const night = sleep.sleep_hours !== null
+        ? `${sleep.sleep_hours}h${sleep.bedtime_local && sleep.wake_local ? ` (${sleep.bedtime_local}-${sleep.wake_local})` : ''}`
+        : 'no night logged';
+    return `${night}${sleep.nap_hours > 0 ? ` + ${sleep.nap_hours}h nap` : ''}, ${debt}`;
+}
+
+// "Goblet Squat 3x10 @ 35 lb; 7 days: 3 sessions, 42 sets (6 high knee-load)"
+function describeWorkouts(recent) {
+    if (!recent) return 'Unknown';
+    const today = recent.today.length > 0 ? recent.today.join(', ') : 'None today';
+    if (recent.session_count === 0) return `${today}; none in the last 7 days`;
+    return `${today}; 7 days: ${recent.session_count} session(s), ${recent.sets} sets (${recent.knee_load_sets.high} high knee-load)`;
+}
+
+// "Goblet Squat: est max 47 → 58 lb ↑ over 6 sessions"
+function describeProgression(progression) {
+    const units = { est_max: ['est max ', ' lb'], reps: ['', ' reps'], distance_miles: ['', ' mi'], minutes: ['', ' min'] };
+    const [prefix, unit] = units[progression.measure];
+    const arrow = { up: '↑', down: '↓', flat: '→', new: '(new)' }[progression.trend];
+    return progression.session_count < 2
+        ? `${progression.label}: ${prefix}${progression.latest}${unit} ${arrow}`
+        : `${progression.label}: ${prefix}${progression.first} → ${progression.latest}${unit} ${arrow} over ${progression.session_count} sessions`;
+}
+
+// "lower back pain 4/10 (after lifting)" for each journal entry today
+function describeSymptoms(entries) {
+    if (!entries) return 'Unknown';
+    return entries.length > 0 ? entries.map(entry => entry.summary).join(', ') : 'None logged';
+}
+
+// "lower back pain: 12 entries, 5 bad days; after Deadlift (workout) 60% vs 15% (5 days); reported: lifting x4"
+function describeSymptomTriggers(symptom) {
+    const associations = symptom.associations.slice(0, 3)
+        .map(association => `after ${association.trigger} (${association.source}) ${association.rate}% vs ${association.baseline_rate === null ? '—' : `${association.baseline_rate}%`} (${association.exposed_days} days)`);
+    const reported = symptom.reported_triggers.slice(0, 3).map(reported => `${reported.trigger} x${reported.count}`);
+    return [
+        `${symptom.label}: ${symptom.entries} entries, ${symptom.bad_days} bad days`,
+        ...associations,
+        ...(reported.length > 0 ? [`reported: ${reported.join(', ')}`] : [])
+    ].join('; ');
+}
+
+// "2 entries, negative (sentiment -0.46), stress 3/10" for today's journal
+function describeJournal(entries) {
+    if (!entries) return 'Unknown';
+    if (entries.length === 0) return 'No entry today';
+    const sentiment = Math.round((entries.reduce((sum, entry) => sum + entry.sentiment, 0) / entries.length) * 100) / 100;
+    const stress = Math.max(...entries.map(entry => entry.stress));
+    const moods = [...new Set(entries.map(entry => entry.mood))].join('/');
+    return `${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}, ${moods} (sentiment ${sentiment}), stress ${stress}/10`;
+}
+
+// Goals in the fitness domain get workout progress linked to them
+function isFitnessGoal(goal) {
+    return detectGoalDomain(`${goal.title} ${goal.description || ''}`) === 'fitness';
+}
+
+// One completed goal_progress row per training day (value unchanged), so
+// workouts count toward the goal's streak. Returns false if already marked.
+function markGoalDay(goal, date, notes) {
+    return new Promise((resolve, reject) => {
+        db.get('SELECT id FROM goal_progress WHERE goal_id = ? AND date = ? AND completed = 1', [goal.id, date], (err, row) => {
+            if (err) return reject(err);
+            if (row) return resolve(false);
+            db.run(
+                'INSERT INTO goal_progress (goal_id, date, value, notes, completed) VALUES (?, ?, ?, ?, 1)',
+                [goal.id, date, goal.current_value, notes],
+                err => (err ? reject(err) : resolve(true))
+            );
+        });
+    });
+}
+
+// Marks the day on every active fitness goal; returns the titles newly marked
+async function linkWorkoutToGoals(date, summaries) {
+    const goals = await new Promise((resolve) => {
+        db.all('SELECT * FROM goals WHERE status = "active"', (err, goals) => resolve((goals || []).filter(isFitnessGoal)));
+    });
+
+    const linked = [];
+    for (const goal of goals) {
+        if (await markGoalDay(goal, date, `Workout: ${summaries.join(', ')}`)) linked.push(goal.title);
+    }
+    return linked;
+}
+
+// Workout volume + progression since the goal started
+async function goalWorkouts(goal) {
+    if (!isFitnessGoal(goal)) return null;
+    const { sessions, ...summary } = await workoutLog.summary({ from: goal.start_date, to: currentDate() });
+    return summary;
+}
+
+// ============ METRICS ============
+
+// "Sleep Quality: 5/10, Energy Level: 7/10, Mood: 4/5" from today's metrics row.
+// Calories are left out - the food line already covers them.
+function describeMetrics(definitions, row) {
+    if (!row) return 'No check-in yet';
+    const parts = definitions
+        .filter(definition => !definition.display.derived)
+        .map(definition => {
+            const value = formatValue(definition, row[definition.name]);
+            return value === null ? null : `${definition.label}: ${value}`;
+        })
+        .filter(Boolean);
+    return parts.join(', ') || 'No check-in yet';
+}
+
+// ============ FOOD MATCH CORRECTIONS ============
+
+const ORDINALS = { first: 0, second: 1, third: 2, fourth: 3, fifth: 4 };
+
+function parseStoredCandidates(food) {
+    try {
+        return food.candidates ? JSON.parse(food.candidates) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// food_log row for API responses: the candidate JSON is replaced by a count
+function withCandidateCount(food) {
+    const { candidates, ...rest } = food;
+    return { ...rest, candidate_count: parseStoredCandidates(food).length };
+}
+
+// Which stored candidate does a correction mean? "the second one", "2", or
+// words from its name ("scrambled eggs" → "Egg, whole, cooked, scrambled")
+function findCandidate(candidates, choice) {
+    const text = String(choice).trim().toLowerCase();
+    
+    const ordinal = text.match(/^(?:the\s+|option\s+|number\s+|#)?(first|second|third|fourth|fifth|\d)(?:\s+one)?$/);
+    if (ordinal) {
+        const index = ORDINALS[ordinal[1]] !== undefined ? ORDINALS[ordinal[1]] : parseInt(ordinal[1]) - 1;
+        return candidates[index] || null;
+    }
+    
+    const words = text
+        .split(/[\s,]+/)
+        .filter(w => w.length > 2)
+        .map(w => (w.length > 3 && w.endsWith('s') && !w.endsWith('ss')) ? w.slice(0, -1) : w);
+    if (words.length === 0) return null;
+    
+    return candidates.find(c => words.every(w => c.food_name.toLowerCase().includes(w))) || null;
+}
+
+// Swap a logged food to a different match and recompute every nutrient column
+// for the same amount eaten. choice is { index } (0-based) or { query }; a query
+// that matches none of the stored candidates runs a fresh lookup instead.
+async function rematchFood(food, choice) {
+    let candidates = parseStoredCandidates(food);
+    let candidate = null;
+    
+    if (choice.index !== undefined) {
+        candidate = candidates[choice.index] || null;
+    } else if (choice.query) {
+        candidate = findCandidate(candidates, choice.query);
+        
+        if (!candidate && !/^\W*(?:the\s+)?(?:first|second|third|fourth|fifth|\d)\b/i.test(choice.query)) {
+            const fresh = await lookupNutrition(choice.query);
+            if (fresh) {
+                const { candidates: freshCandidates, cached, ...record } = fresh;
+                candidate = record;
+                candidates = freshCandidates && freshCandidates.length > 0 ? freshCandidates : [record];
+            }
+        }
+    }
+    
+    if (!candidate) return null;
+    
+    const grams = food.grams || portionToGrams({ quantity: food.quantity || 1, unit: food.unit, food: food.food_name }, food);
+    const updates = { food_name: candidate.food_name };
+    
+    NUTRIENT_FIELDS.forEach(field => {
+        const value = parseFloat(candidate[field]);
+        updates[field] = isNaN(value) ? null : Math.round(value * grams) / 100;
+    });
+    updates.grams = Math.round(grams * 10) / 10;
+    
+    const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+    await new Promise((resolve, reject) => {
+        db.run(`UPDATE food_log SET ${setClause}, candidates = ? WHERE id = ?`,
+            [...Object.values(updates), JSON.stringify(candidates), food.id],
+            (err) => err ? reject(err) : resolve());
+    });
+    
+    // Remember the correction so the same search picks it next time
+    if (food.lookup_query) {
+        const { score, ...record } = candidate;
+        await nutritionCache.store(food.lookup_query, { ...record, candidates }, candidate.source);
+    }
+    
+    console.log(`🔄 Rematched food ${food.id}: "${food.food_name}" → "${candidate.food_name}"`);
+    
+    return { id: food.id, from: food.food_name, to: candidate.food_name, source: candidate.source, updates };
+}
+
+// ============ MICRONUTRIENT GAPS ============
+
+// Foods that close a gap, best first. Local foods and past lookups are searched
+// first; if they can't fill the list, everyday sources go through the provider
+// chain (and land in the cache for next time).
+async function suggestFoodsFor(nutrient, target, gap, limit = 5) {
+    const minAmount = target * MIN_PERCENT_PER_100G / 100;
+    let foods = await nutritionCache.richestFoods(nutrient, { minAmount });
+    let suggestions = rankFoodsForNutrient(foods, nutrient, { target, gap, limit });
+
+    if (suggestions.length < limit) {
+        for (const idea of FOOD_IDEAS[nutrient] || []) {
+            try {
+                const result = await lookupNutrition(idea);
+                if (result) foods.push(result);
+            } catch (error) {
+                console.error(`⚠️ Lookup for "${idea}" failed:`, error.message);
+            }
+        }
+        suggestions = rankFoodsForNutrient(foods, nutrient, { target, gap, limit });
+    }
+
+    return suggestions;
+}
+
+// "~1450 cal/day over 5 logged days" - the week before today (today isn't
+// over yet), from days with food logged only
+async function describeRecentIntake(date = currentDate(), days = 7) {
+    const rows = await dailyTotals.range(addDays(date, -days), addDays(date, -1)).catch(() => []);
+    if (rows.length === 0) return 'intake not logged in the last week';
+    const average = Math.round(rows.reduce((sum, row) => sum + (row.calories || 0), 0) / rows.length);
+    return `~${average} cal/day over ${rows.length} logged day${rows.length === 1 ? '' : 's'}`;
+}
+
+// Low nutrients over the trailing window ending on `date`
+async function getNutrientGaps(date, days = GAP_WINDOW_DAYS) {
+    const from = addDays(date, -(days - 1));
+    const rows = await dailyTotals.range(from, date);
+    const targets = await nutritionTargets.getTargets();
+
+    return {
+        date,
+        from,
+        days,
+        logged_days: rows.length,
+        low_threshold_percent: LOW_PERCENT,
+        gaps: findGaps(rows, { to: date, targets })
+    };
+}
+
+// One nutrient's status plus foods to fix it - "what should I eat to fix my magnesium"
+async function getNutrientAdvice(nutrient, date, days = GAP_WINDOW_DAYS, limit = 5) {
+    const from = addDays(date, -(days - 1));
+    const rows = await dailyTotals.range(from, date);
+    const targets = await nutritionTargets.getTargets();
+    const status = assessNutrient(nutrient, rows, rows.find(row => row.date === date) || null, targets[nutrient]);
+
+    // Size portions to today's shortfall, or the typical daily one if today is covered
+    const gap = status.remaining_today || status.daily_gap;
+
+    return {
+        ...status,
+        from,
+        date,
+        suggestions: await suggestFoodsFor(nutrient, status.target, gap, limit)
+    };
+}
+
+function describeNutrientAdvice(advice) {
+    const lines = [
+        `${advice.label}: ${advice.week_average}${advice.unit}/day average over ${advice.logged_days} logged days (${advice.week_percent}% of ${advice.target}${advice.unit} target${advice.chronic ? ', chronically low' : ''}); today ${advice.today}${advice.unit}, ${advice.remaining_today}${advice.unit} to go`
+    ];
+
+    advice.suggestions.forEach(food => {
+        lines.push(`- ${food.food_name}: ${food.per_100g}${advice.unit} per 100g (${food.percent_target_per_100g}% of target, ${food.calories_per_100g} cal)${food.grams_to_close_gap ? `, ~${food.grams_to_close_gap}g closes the gap` : ''}`);
+    });
+
+    if (advice.suggestions.length === 0) {
+        lines.push('- No foods in the database are rich in it yet');
+    }
+
+    return lines.join('\n');
+}
+
 // ============ UNIVERSAL GOAL SYSTEM - v10.0 ============
 
 function detectGoalDomain(subject) {
@@ -805,24 +1311,51 @@ function getDomainIcon(domain) {
 
 async function analyzeUserPatterns(userId = 1) {
     // Analyze last 30 days of data to find patterns
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    const startDate = thirtyDaysAgo.toISOString().split('T')[0];
+    const startDate = addDays(currentDate(), -30);
+    const targets = await nutritionTargets.getTargets();
+    const customMetrics = (await metricRegistry.list())
+        .filter(definition => !definition.builtin && ['integer', 'real', 'boolean'].includes(definition.type));
+    const sleep = await sleepTracker.summary({ from: startDate, to: currentDate() });
+    const journal = await dailyJournal.summary({ from: startDate, to: currentDate() });
     
     return new Promise((resolve) => {
         const patterns = {
             sleep_avg: 0,
+            sleep_hours_avg: sleep.averages.sleep_hours,
+            sleep_debt: sleep.debt_hours,
+            sleep_target: sleep.target_hours,
             energy_avg: 0,
             knee_pain_avg: 0,
             calories_avg: 0,
+            journal_entries: journal.entries,
+            journal_sentiment_avg: journal.sentiment_avg,
+            journal_stress_avg: journal.stress_avg,
+            journal_trend: journal.trend,
+            metric_averages: [],
             best_day: null,
             worst_day: null,
             consistency_score: 0,
             trends: [],
             insights: []
         };
-        
-        // Get metrics history
+
+        // Debt is a trailing-window balance, so it's worth flagging on its own
+        if (sleep.debt_hours >= 5) {
+            patterns.insights.push(`Sleep debt at ${sleep.debt_hours}h over the last ${sleep.debt_window_days} days - prioritize an early night`);
+        }
+
+        // Journal scores come from their own table, not the metrics rows
+        if (journal.stressful_days >= 3) {
+            const words = journal.stress_words.map(word => word.word).join(', ');
+            patterns.insights.push(`Journal stress ${HIGH_STRESS}+/10 on ${journal.stressful_days} days${words ? ` - mostly ${words}` : ''}`);
+        }
+        if (journal.trend === 'declining') {
+            patterns.insights.push('Journal mood declining over the last week - check in on stress');
+        } else if (journal.trend === 'improving') {
+            patterns.insights.push('Journal mood improving over the last week');
+        }
+        
+        // Get metrics history
         db.all(
             'SELECT * FROM metrics WHERE date >= ? ORDER BY date ASC',
             [startDate],
@@ -861,6 +1394,19 @@ async function analyzeUserPatterns(userId = 1) {
                     patterns.consistency_score = Math.round((count / 30) * 100);
                 }
                 
+                // Trackers added after launch, averaged over the days they were logged
+                customMetrics.forEach(definition => {
+                    const logged = metrics.filter(m => typeof m[definition.name] === 'number');
+                    if (logged.length === 0) return;
+                    const avg = logged.reduce((s, m) => s + m[definition.name], 0) / logged.length;
+                    patterns.metric_averages.push({
+                        name: definition.name,
+                        label: definition.label,
+                        avg: definition.type === 'boolean' ? `${Math.round(avg * 100)}% of days` : formatValue(definition, +avg.toFixed(1)),
+                        days: new Set(logged.map(m => m.date)).size
+                    });
+                });
+                
                 // Detect trends
                 if (metrics.length >= 7) {
                     const recent = metrics.slice(-7);
@@ -878,7 +1424,8 @@ async function analyzeUserPatterns(userId = 1) {
                     }
                     
                     const recentCals = recent.reduce((s, m) => s + (m.calories_consumed || 0), 0) / 7;
-                    if (recentCals < 1500) {
+                    // Well below the daily target (about 1500 for a 2200 kcal target)
+                    if (recentCals < targets.calories * 0.7) {
                         patterns.insights.push('Severe calorie deficit - energy and recovery impacted');
                     }
                 }
@@ -912,8 +1459,11 @@ async function generateAdaptiveCoachingMessage(patterns, context) {
 
 PATTERNS:
 - Sleep avg: ${patterns.sleep_avg}/10
+- Sleep duration avg: ${patterns.sleep_hours_avg !== null ? `${patterns.sleep_hours_avg}h` : 'not logged'} (target ${patterns.sleep_target}h)
+- Sleep debt: ${patterns.sleep_debt}h
 - Energy avg: ${patterns.energy_avg}/10  
 - Knee pain avg: ${patterns.knee_pain_avg}/10
+- Journal: ${patterns.journal_entries > 0 ? `sentiment ${patterns.journal_sentiment_avg} (-1 to 1), stress ${patterns.journal_stress_avg}/10` : 'no entries'}
 - Calories avg: ${patterns.calories_avg}/day
 - Consistency: ${patterns.consistency_score}%
 - Trends: ${patterns.trends.join(', ')}
@@ -990,7 +1540,16 @@ async function checkMilestones(goalId) {
 
 // ============ EXISTING AI PLAN GENERATION CONTINUES ============
 
+// "- none/low: Glute Bridge, Walk, ...\n- moderate: ...\n- high: ..."
+function describeExerciseLibrary(library) {
+    const groups = [['none/low', ['none', 'low']], ['moderate', ['moderate']], ['high', ['high']]];
+    return groups
+        .map(([title, loads]) => `- ${title}: ${library.filter(exercise => loads.includes(exercise.knee_load)).map(exercise => exercise.label).join(', ')}`)
+        .join('\n');
+}
+
 async function generateGoalPlan(goalType, subject, domain, userContext) {
+    const targets = await nutritionTargets.getTargets();
     const domainGuidance = {
         'career': `Career transition requires: skills assessment, learning roadmap, portfolio building, networking strategy, job search plan. Consider Timothy's work schedule (2pm-11:30pm) for study time.`,
         
@@ -1002,7 +1561,10 @@ async function generateGoalPlan(goalType, subject, domain, userContext) {
         
         'creative': `Creative project needs: scope definition, production schedule, skill development, milestone deliverables, review/iteration cycles. Timothy has game dev experience (Unity/C#).`,
         
-        'fitness': `Fitness plan needs: progression from current level, knee-safe exercises (Osgood-Schlatter's), recovery days, form tips, intensity scaling. Consider low energy and knee limitations.`,
+        'fitness': `Fitness plan needs: progression from current level, knee-safe exercises (Osgood-Schlatter's), recovery days, form tips, intensity scaling. Consider low energy and knee limitations.
+Exercise library by knee load - build from the first two, use moderate sparingly, avoid high:
+${describeExerciseLibrary(workoutLog.library || [])}
+Write daily actions the way they're logged, e.g. "Goblet Squat 3x10 @ 25 lb", "Walk 20 min".`,
         
         'health': `Health improvement needs: baseline measurement, incremental changes, symptom tracking, environmental factors, sleep/nutrition integration. Address chronic fatigue.`,
         
@@ -1025,7 +1587,7 @@ TIMOTHY'S FULL CONTEXT:
 - Game development hobby (Unity, C#, 2D pixel art)
 - Chronic fatigue, knee issues (Osgood-Schlatter's from military)
 - Going through divorce (high stress, limited bandwidth)
-- Current health: ~1000 cal/day (target 2200), inconsistent sleep
+- Current health: ${await describeRecentIntake()} (target ${targets.calories}), inconsistent sleep
 
 AVAILABLE TIME:
 - Mornings: 10am-1pm (best energy, before work)
@@ -1117,7 +1679,7 @@ Return ONLY valid JSON in this format:
 }
 
 async function createGoalWithPlan(goalData, req) {
-    const date = new Date().toISOString().split('T')[0];
+    const date = currentDate();
     
     // Determine goal details from detected data
     let title, description, targetValue, targetDate, icon, goalType;
@@ -1137,9 +1699,7 @@ async function createGoalWithPlan(goalData, req) {
             targetValue = 0;
             goalType = 'habit_reduction';
             
-            const quitDate = new Date();
-            quitDate.setDate(quitDate.getDate() + 30);
-            targetDate = quitDate.toISOString().split('T')[0];
+            targetDate = addDays(date, 30);
             break;
             
         case 'start':
@@ -1149,9 +1709,7 @@ async function createGoalWithPlan(goalData, req) {
             targetValue = 100;
             goalType = 'habit_building';
             
-            const startDate = new Date();
-            startDate.setDate(startDate.getDate() + (domain === 'education' || domain === 'career' ? 90 : 30));
-            targetDate = startDate.toISOString().split('T')[0];
+            targetDate = addDays(date, domain === 'education' || domain === 'career' ? 90 : 30);
             break;
             
         case 'learn':
@@ -1160,9 +1718,7 @@ async function createGoalWithPlan(goalData, req) {
             targetValue = 100;
             goalType = 'learning';
             
-            const learnDate = new Date();
-            learnDate.setDate(learnDate.getDate() + 90);  // 90 days for learning goals
-            targetDate = learnDate.toISOString().split('T')[0];
+            targetDate = addDays(date, 90);  // 90 days for learning goals
             break;
             
         case 'build':
@@ -1173,9 +1729,7 @@ async function createGoalWithPlan(goalData, req) {
             targetValue = 100;
             goalType = 'project';
             
-            const buildDate = new Date();
-            buildDate.setDate(buildDate.getDate() + 90);
-            targetDate = buildDate.toISOString().split('T')[0];
+            targetDate = addDays(date, 90);
             break;
             
         case 'grow':
@@ -1184,9 +1738,7 @@ async function createGoalWithPlan(goalData, req) {
             targetValue = 100;
             goalType = 'business_growth';
             
-            const growDate = new Date();
-            growDate.setDate(growDate.getDate() + 90);
-            targetDate = growDate.toISOString().split('T')[0];
+            targetDate = addDays(date, 90);
             break;
             
         case 'career':
@@ -1196,9 +1748,7 @@ async function createGoalWithPlan(goalData, req) {
             targetValue = 100;
             goalType = 'career_change';
             
-            const careerDate = new Date();
-            careerDate.setDate(careerDate.getDate() + 180);  // 6 months for career goals
-            targetDate = careerDate.toISOString().split('T')[0];
+            targetDate = addDays(date, 180);  // 6 months for career goals
             break;
             
         case 'save':
@@ -1210,9 +1760,7 @@ async function createGoalWithPlan(goalData, req) {
             targetValue = moneyMatch ? parseFloat(moneyMatch[1].replace(',', '')) : 10000;
             goalType = 'financial';
             
-            const saveDate = new Date();
-            saveDate.setDate(saveDate.getDate() + 365);  // 1 year for financial goals
-            targetDate = saveDate.toISOString().split('T')[0];
+            targetDate = addDays(date, 365);  // 1 year for financial goals
             break;
             
         case 'target':
@@ -1225,9 +1773,7 @@ async function createGoalWithPlan(goalData, req) {
             targetValue = numMatch ? parseInt(numMatch[1]) : 100;
             goalType = 'target_tracking';
             
-            const targetEnd = new Date();
-            targetEnd.setDate(targetEnd.getDate() + 30);
-            targetDate = targetEnd.toISOString().split('T')[0];
+            targetDate = addDays(date, 30);
             break;
             
         case 'improve':
@@ -1236,9 +1782,7 @@ async function createGoalWithPlan(goalData, req) {
             targetValue = 100;
             goalType = 'improvement';
             
-            const improveDate = new Date();
-            improveDate.setDate(improveDate.getDate() + 30);
-            targetDate = improveDate.toISOString().split('T')[0];
+            targetDate = addDays(date, 30);
             break;
             
         case 'finish':
@@ -1248,9 +1792,7 @@ async function createGoalWithPlan(goalData, req) {
             targetValue = 100;
             goalType = 'completion';
             
-            const finishDate = new Date();
-            finishDate.setDate(finishDate.getDate() + 60);
-            targetDate = finishDate.toISOString().split('T')[0];
+            targetDate = addDays(date, 60);
             break;
             
         default:
@@ -1259,9 +1801,7 @@ async function createGoalWithPlan(goalData, req) {
             targetValue = 100;
             goalType = 'general';
             
-            const defaultDate = new Date();
-            defaultDate.setDate(defaultDate.getDate() + 30);
-            targetDate = defaultDate.toISOString().split('T')[0];
+            targetDate = addDays(date, 30);
     }
     
     // Generate AI plan with domain context
@@ -1362,21 +1902,39 @@ async function addMetricTracker(metricName, componentType, templateName) {
     
     console.log(`   Field: ${fieldName}, Component: ${componentName}, Type: ${dataType}`);
     
-    // Step 3: Add database field
+    // Step 3: Add database field (a removed tracker's column is still there - reuse it)
+    const existing = await metricRegistry.find(fieldName);
     const dbResult = await schemaMigration.addField('metrics', fieldName, dataType);
     if (!dbResult.success) {
-        if (dbResult.reason === 'already_exists') {
+        if (dbResult.reason === 'already_exists' && (!existing || existing.active)) {
             return {
                 success: false,
                 message: `Metric "${metricName}" already exists`,
                 reason: 'already_exists'
             };
         }
-        throw new Error(`Database migration failed: ${dbResult.error}`);
+        if (dbResult.reason !== 'already_exists') {
+            throw new Error(`Database migration failed: ${dbResult.error}`);
+        }
     }
     
-    // Step 4: Generate component
+    // Step 4: Register the metric definition so chat, the API and coaching know it
     const template = templateName ? getTemplate(templateName) : null;
+    const templateOptions = (template && template.options) || {};
+    // Range from the template: min/max inputs, or the values of an emoji picker
+    const templateValues = Array.isArray(templateOptions.values) ? templateOptions.values : [];
+    const templateMin = typeof templateOptions.min === 'number' ? templateOptions.min : templateValues.length ? Math.min(...templateValues) : null;
+    const templateMax = typeof templateOptions.max === 'number' ? templateOptions.max : templateValues.length ? Math.max(...templateValues) : null;
+    await metricRegistry.define(fieldName, {
+        label: existing ? existing.label : templateOptions.label || metricName.replace(/\b\w/g, c => c.toUpperCase()),
+        type: existing ? existing.type : { INTEGER: 'integer', REAL: 'real', BOOLEAN: 'boolean', TEXT: 'text' }[dataType] || 'integer',
+        min: templateMin !== null ? templateMin : existing ? existing.min : null,
+        max: templateMax !== null ? templateMax : existing ? existing.max : null,
+        synonyms: existing ? existing.synonyms : [...new Set([metricName.toLowerCase(), fieldName.replace(/_/g, ' ')])],
+        active: true
+    });
+    
+    // Step 5: Generate component
     
     const componentRequest = template || {
         type: componentType,
@@ -1390,14 +1948,14 @@ async function addMetricTracker(metricName, componentType, templateName) {
         throw new Error(`Component generation failed: ${genResult.error}`);
     }
     
-    // Step 5: Save component
+    // Step 6: Save component
     const componentPath = await componentManager.saveComponent(
         componentName,
         genResult.code,
         genResult.metadata
     );
     
-    // Step 6: Register component
+    // Step 7: Register component
     await componentManager.registerComponent({
         name: componentName,
         type: componentType,
@@ -1408,7 +1966,7 @@ async function addMetricTracker(metricName, componentType, templateName) {
         active: true
     });
     
-    // Step 7: Send notification
+    // Step 8: Send notification
     await sendPushNotification(
         `✓ Added ${metricName} tracking! Check Dashboard to use it.`,
         'modification'
@@ -1444,6 +2002,7 @@ async function removeMetricTracker(metricName) {
     
     // Step 3: Soft-delete from database (preserves data)
     const dbResult = await schemaMigration.removeField('metrics', fieldName, true);
+    await metricRegistry.deactivate(fieldName);
     
     // Step 4: Delete component
     await componentManager.deleteComponent(component.name);
@@ -1548,6 +2107,7 @@ async function undoLastModification() {
         // Undo migration (soft delete the field)
         if (lastMigration.type === 'add_field') {
             await schemaMigration.removeField(lastMigration.table, lastMigration.field, true);
+            if (lastMigration.table === 'metrics') await metricRegistry.deactivate(lastMigration.field);
             return {
                 success: true,
                 message: `Undid addition of ${lastMigration.field} field`,
@@ -1567,19 +2127,27 @@ async function undoLastModification() {
 
 function scheduleReminders() {
     setInterval(async () => {
-        const now = new Date();
-        const currentTime = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
+        const currentTime = localClock(new Date());
         
         db.all('SELECT * FROM reminders WHERE enabled = 1 AND time = ?', [currentTime], async (err, reminders) => {
             if (err || !reminders || reminders.length === 0) return;
             
             for (const reminder of reminders) {
-                await sendPushNotification(reminder.message, reminder.type);
+                await sendPushNotification(await renderReminderMessage(reminder.message), reminder.type);
             }
         });
     }, 60000); // Check every minute
 }
 
+// Fill {calories}, {protein}, {caffeine}... placeholders from the nutrition targets
+async function renderReminderMessage(message) {
+    if (!message || !message.includes('{')) return message;
+    
+    const targets = await nutritionTargets.getTargets();
+    return message.replace(/\{(\w+)\}/g, (placeholder, key) =>
+        targets[key] !== undefined ? String(Math.round(targets[key] * 10) / 10) : placeholder);
+}
+
 async function sendPushNotification(message, type = 'reminder') {
     return new Promise((resolve) => {
         db.all('SELECT * FROM push_subscriptions', async (err, subscriptions) => {
@@ -1624,9 +2192,9 @@ scheduleReminders();
 // ============ CLAUDE AI CONVERSATION (same as before) ============
 
 async function getTodayContext() {
-    const date = new Date().toISOString().split('T')[0];
+    const date = currentDate();
     
-    return new Promise((resolve) => {
+    const context = await new Promise((resolve) => {
         const context = {
             supplements: [],
             food: [],
@@ -1660,12 +2228,48 @@ async function getTodayContext() {
             }
         );
     });
+    
+    // Coffee and energy drinks logged as food count too, not just supplements
+    const caffeine = await getCaffeineStatus().catch(() => null);
+    if (caffeine) {
+        context.caffeine = caffeine;
+        context.todayCaffeine = caffeine.total_today;
+    }
+    
+    return context;
 }
 
 async function chatWithClaude(userMessage, conversationHistory = []) {
     const context = await getTodayContext();
     const patterns = await analyzeUserPatterns();
-    const date = new Date().toISOString().split('T')[0];
+    const targets = await nutritionTargets.getTargets();
+    const date = currentDate();
+    
+    // Chronic micronutrient gaps are always worth knowing; a direct question
+    // ("what should I eat to fix my magnesium") also gets ranked foods
+    const nutrientGaps = await getNutrientGaps(date).catch(() => ({ gaps: [] }));
+    const chronicGaps = nutrientGaps.gaps.filter(gap => gap.chronic);
+    const askedNutrient = parseNutrientQuestion(userMessage);
+    const nutrientAdvice = askedNutrient ? await getNutrientAdvice(askedNutrient, date).catch(() => null) : null;
+    
+    // "can I have another coffee?" gets the projected daily total and bedtime level
+    const askedCaffeine = isCaffeineQuestion(userMessage)
+        ? caffeineInText(userMessage, await getCaffeinatedSupplements()) || (/caffeine/i.test(userMessage) ? { name: 'coffee', mg: 95 } : null)
+        : null;
+    const caffeineCheck = askedCaffeine ? await checkCaffeineDose(askedCaffeine.mg).catch(() => null) : null;
+    
+    const fastingSettings = await fastingTracker.getSettings().catch(() => null);
+    const fasting = await fastingTracker.current().catch(() => null);
+    const sleep = await sleepTracker.today().catch(() => null);
+    const workouts = await workoutLog.recent().catch(() => null);
+    const training = await workoutLog.progression({ from: addDays(date, -29), to: date }).catch(() => []);
+    const symptoms = await symptomJournal.today(date).catch(() => null);
+    const journal = await dailyJournal.today(date).catch(() => null);
+    const symptomTriggers = await symptomJournal.triggers({ to: date }).catch(() => ({ symptoms: [] }));
+    const recurringSymptoms = symptomTriggers.symptoms.filter(symptom => symptom.entries >= 3);
+    
+    const metricDefinitions = await metricRegistry.list().catch(() => []);
+    const correlations = await correlationEngine.analyze({ to: date }).catch(() => ({ findings: [] }));
     
     const systemPrompt = `You are CHERRY, Timothy's complete AI life coach and assistant. Direct, supportive, military-style communication.
 
@@ -1675,22 +2279,45 @@ USER PROFILE:
 - Game dev hobby (Unity, C#, 2D pixel art)
 - Business background + entrepreneurial mindset
 - Chronic fatigue, knee issues (Osgood-Schlatter's), going through divorce
-- Health: Target 2200 cal/day, Currently ~1000 cal/day, Caffeine limit 400mg/day
+- Health: Target ${targets.calories} cal/day and ${targets.protein}g protein, Currently ${await describeRecentIntake(date)}, Caffeine limit ${targets.caffeine}mg/day
 
 TODAY'S DATA (${date}):
-${context.metrics ? `Sleep: ${context.metrics.sleep}/10, Energy: ${context.metrics.energy}/10, Knee: ${context.metrics.knee_pain}/10, Seltzers: ${context.metrics.seltzers}` : 'No check-in yet'}
-- Caffeine: ${context.todayCaffeine}mg / 400mg
+${describeMetrics(metricDefinitions, context.metrics)}
+- Caffeine: ${context.todayCaffeine}mg / ${targets.caffeine}mg${context.caffeine ? `, ~${context.caffeine.current_mg}mg active now, ~${context.caffeine.bedtime_mg}mg at bedtime (${context.caffeine.bedtime_local}, keep under ${context.caffeine.bedtime_limit}mg)` : ''}
 - Supplements: ${context.supplements.map(s => s.name).join(', ') || 'None'}
 - Food: ${context.food.length} items (${context.food.reduce((s, f) => s + (f.calories || 0), 0)} cal)
-
+- Fasting (${fasting && fasting.fasting ? fasting.session.protocol : fastingSettings ? fastingSettings.protocol : '16:8'}): ${describeFasting(fasting)}
+- Sleep last night: ${describeSleep(sleep)}
+- Workouts: ${describeWorkouts(workouts)}
+- Symptoms: ${describeSymptoms(symptoms)}
+- Journal: ${describeJournal(journal)}${journal && journal.length > 0 ? `\n  Latest: "${journal[journal.length - 1].text.slice(0, 300)}"` : ''}
+- Chronically low (7-day): ${chronicGaps.map(gap => `${gap.label} ${gap.week_percent}%`).join(', ') || 'None'}
+${nutrientAdvice ? `
+NUTRIENT QUESTION - answer with these foods and amounts (from the food database, ranked by nutrient density):
+${describeNutrientAdvice(nutrientAdvice)}
+` : ''}${caffeineCheck ? `
+CAFFEINE QUESTION - ${askedCaffeine.name} (~${askedCaffeine.mg}mg) now would mean ${caffeineCheck.projected_total}mg today and ~${caffeineCheck.projected_bedtime_mg}mg at bedtime (${caffeineCheck.bedtime_local}).
+${caffeineCheck.ok ? 'Within limits - fine to have it.' : `Advise against it: ${caffeineCheck.warnings.map(w => w.message).join('; ')}`}
+` : ''}
 30-DAY PATTERNS (Your Intelligence):
 - Sleep avg: ${patterns.sleep_avg}/10 (${patterns.trends.includes('sleep_improving') ? 'improving ↑' : patterns.trends.includes('sleep_declining') ? 'declining ↓' : 'stable'})
+- Sleep duration avg: ${patterns.sleep_hours_avg !== null ? `${patterns.sleep_hours_avg}h/night` : 'not logged'} (target ${patterns.sleep_target}h), debt ${patterns.sleep_debt}h
 - Energy avg: ${patterns.energy_avg}/10
 - Knee pain avg: ${patterns.knee_pain_avg}/10
+- Journal: ${patterns.journal_entries > 0 ? `sentiment ${patterns.journal_sentiment_avg} (-1 to 1), stress ${patterns.journal_stress_avg}/10 over ${patterns.journal_entries} entries${patterns.journal_trend ? `, ${patterns.journal_trend}` : ''}` : 'no entries'}
 - Calories avg: ${patterns.calories_avg}/day
-- Consistency: ${patterns.consistency_score}% (tracking ${patterns.consistency_score}% of days)
+${patterns.metric_averages.map(metric => `- ${metric.label} avg: ${metric.avg} (${metric.days} days logged)\n`).join('')}- Consistency: ${patterns.consistency_score}% (tracking ${patterns.consistency_score}% of days)
 - Key insights: ${patterns.insights.join('; ') || 'Building baseline'}
-
+${training.length > 0 ? `
+TRAINING PROGRESSION (last 30 days - knee load in brackets; favor none/low/moderate):
+${training.sort((a, b) => b.session_count - a.session_count).slice(0, 6).map(progression => `- ${describeProgression(progression)} [${progression.knee_load}]`).join('\n')}
+` : ''}${recurringSymptoms.length > 0 ? `
+SYMPTOM TRIGGERS (last ${symptomTriggers.days} days - bad day = ${symptomTriggers.min_severity}+/10; % of days with vs without, same or day before; patterns, not proof):
+${recurringSymptoms.slice(0, 5).map(symptom => `- ${describeSymptomTriggers(symptom)}`).join('\n')}
+` : ''}${correlations.findings.length > 0 ? `
+WHAT PREDICTS WHAT (last ${correlations.days} days - correlations, not proof of cause; mention when relevant):
+${correlations.findings.slice(0, 5).map(finding => `- ${finding.summary} [r=${finding.r}, ${finding.n} days]`).join('\n')}
+` : ''}
 CAPABILITIES AS COMPLETE LIFE COACH:
 You can create goals and plans for ANY area of life:
 
@@ -1699,7 +2326,12 @@ HEALTH & FITNESS:
 - Start fitness routines (gym, running, strength training)
 - Improve health metrics (sleep, energy, pain management)
 - Hit nutrition targets (calories, protein, macros)
+- BUILD a 7-day meal plan + shopping list from foods he already eats ("make me a meal plan for the week")
 - DELETE incorrect food entries ("delete the veggie burger entry")
+- START/END fasts ("start my fast", "starting an 18:6 fast", "broke my fast") - logging food also ends a running fast
+- LOG workouts ("did 3x10 goblet squats at 35", "20 push-ups", "walked 30 min") - every exercise is tagged with its knee load
+- LOG symptoms ("lower back at 4 after lifting", "headache 6/10", "left knee pain 5 from the stairs") - site, severity and suspected triggers go in the symptom journal
+- JOURNAL ("journal: rough day at the plant", "dear diary, ...") - the whole message is saved as a dated entry with a sentiment and stress score; acknowledge it briefly and supportively, don't log food or metrics from it
 - EDIT food logs when user reports mistakes
 
 SELF-MODIFICATION (NEW v11.0):
@@ -1771,7 +2403,7 @@ When someone has multiple goals across domains:
 - Identify time conflicts
 - Suggest priority ordering
 - Recommend integration (e.g., "Listen to Python tutorials during factory breaks")
-- Balance health with ambition (can't crush career goals while ignoring 1000 cal/day)
+- Balance health with ambition (can't crush career goals while under-eating)
 - Leverage synergies (business skills → career transition)
 
 MILESTONE CELEBRATIONS:
@@ -1840,9 +2472,51 @@ NEVER:
     }
 }
 
+// A journal note is kept whole: nothing else (food, metrics, symptoms) is read
+// out of it. "journal: yesterday was rough" is dated yesterday.
+async function logJournalFromChat(text) {
+    const loggedAt = resolveMessageTime(text);
+    const extracted = {
+        loggedAt: { date: loggedAt.date, time: loggedAt.time, phrase: loggedAt.phrase, backdated: loggedAt.backdated },
+        supplements: [],
+        metrics: {},
+        calendar: null,
+        goal: null,
+        modification: null
+    };
+
+    try {
+        const entry = await dailyJournal.add({ text, date: loggedAt.date }, { source: 'chat' });
+        extracted.journal = entry;
+        console.log(`📓 Journal entry for ${entry.date}: ${entry.mood} (sentiment ${entry.sentiment}, stress ${entry.stress}/10)`);
+    } catch (error) {
+        console.error('❌ Journal entry error:', error.message);
+    }
+    return extracted;
+}
+
 async function extractDataFromConversation(userMessage, assistantMessage, req) {
-    const date = new Date().toISOString().split('T')[0];
+    // "journal: rough day at the plant", "dear diary, ..."
+    const journalText = parseJournalMessage(userMessage);
+    if (journalText) {
+        return logJournalFromChat(journalText);
+    }
+
+    // "slept 1am to 8:30", "7 hrs sleep at 5", "napped 30 min" - the sleep's
+    // own numbers and clock times are taken out before anything else reads them
+    const sleepLog = parseSleepMessage(userMessage);
+    const sleepText = sleepLog ? sleepLog.rest : userMessage;
+
+    // "lower back at 4 after lifting", "headache 6/10" - journal entries, so
+    // "knee 4" isn't read a second time by the knee_pain metric
+    const symptomLog = parseSymptoms(sleepText);
+    const messageText = symptomLog ? symptomLog.rest : sleepText;
+
+    // "had pizza last night", "took magnesium yesterday", "ate eggs at 9am" land on that day
+    const loggedAt = resolveMessageTime(messageText);
+    const date = loggedAt.date;
     const extracted = {
+        loggedAt: { date, time: loggedAt.time, phrase: loggedAt.phrase, backdated: loggedAt.backdated },
         supplements: [],
         metrics: {},
         calendar: null,
@@ -1925,33 +2599,14 @@ async function extractDataFromConversation(userMessage, assistantMessage, req) {
         }
     });
 
-    // Extract metrics - IMPROVED LOGIC
-    // Handle patterns like "sleep at 5", "7 hrs sleep at 5", "knee pain 3", etc.
-    
-    // Sleep quality (look for "at X" pattern first, fallback to standalone number)
-    let sleepMatch = userMessage.match(/sleep\s+(?:quality\s+)?(?:at\s+)?(?:a\s+)?(\d+)/i);
-    if (!sleepMatch) sleepMatch = userMessage.match(/(\d+)\s+(?:hrs?|hours?)\s+sleep\s+at\s+(?:a\s+)?(\d+)/i);
-    if (sleepMatch) {
-        // If pattern is "7 hrs sleep at 5", use the second number (5)
-        extracted.metrics.sleep = parseInt(sleepMatch[sleepMatch.length > 2 ? 2 : 1]);
-    }
-    
-    // Energy level
-    let energyMatch = userMessage.match(/energy\s+(?:level\s+)?(?:at\s+)?(?:a\s+)?(\d+)/i);
-    if (energyMatch) {
-        extracted.metrics.energy = parseInt(energyMatch[1]);
-    }
-    
-    // Knee pain
-    let kneeMatch = userMessage.match(/knee\s+(?:pain\s+)?(?:at\s+)?(?:a\s+)?(\d+)/i);
-    if (kneeMatch) {
-        extracted.metrics.knee_pain = parseInt(kneeMatch[1]);
-    }
-    
-    // Seltzers
-    let seltzerMatch = userMessage.match(/(\d+)\s+seltzer/i);
-    if (seltzerMatch) {
-        extracted.metrics.seltzers = parseInt(seltzerMatch[1]);
+    // Extract metrics - every active definition's chat words, e.g. "sleep at 5",
+    // "7 hrs sleep at 5", "knee pain 3", "2 seltzers", "mood 4" for a custom tracker
+    // Values outside a metric's type or range ("sleep 70") are reported, not stored
+    const metricResult = await metricRegistry.extract(messageText);
+    Object.assign(extracted.metrics, metricResult.values);
+    if (metricResult.rejected.length > 0) {
+        extracted.rejectedMetrics = metricResult.rejected;
+        metricResult.rejected.forEach(error => console.log(`⚠️ Ignored "${error.field}": ${error.metric} ${error.message}`));
     }
     
     console.log('📊 Extracted metrics:', extracted.metrics);
@@ -1959,7 +2614,7 @@ async function extractDataFromConversation(userMessage, assistantMessage, req) {
     // Extract food/nutrition - INTELLIGENT NUTRITION LOOKUP
     // Detects food mentions and looks up complete nutrition data from USDA API
     
-    const foodTriggers = ['ate', 'had', 'consumed', 'eating', 'drank', 'breakfast', 'lunch', 'dinner'];
+    const foodTriggers = ['ate', 'had', 'consumed', 'eating', 'drank', 'breakfast', 'lunch', 'dinner', 'snack'];
     const hasFoodMention = foodTriggers.some(trigger => lowerUser.includes(trigger));
     
     // DELETE FOOD DETECTION - NEW
@@ -1983,8 +2638,9 @@ async function extractDataFromConversation(userMessage, assistantMessage, req) {
             /(?:veggie burger|cereal|chicken|burger|pizza|sandwich|salad|wrap)/i
         ];
         
+        const deleteText = stripTimeReferences(userMessage);
         for (const pattern of deletePatterns) {
-            const match = userMessage.match(pattern);
+            const match = deleteText.match(pattern);
             if (match) {
                 foodToDelete = match[1] ? match[1].trim() : match[0];
                 foodToDelete = foodToDelete
@@ -1998,14 +2654,13 @@ async function extractDataFromConversation(userMessage, assistantMessage, req) {
         if (foodToDelete && foodToDelete.length > 2) {
             console.log(`🔍 Looking for food to delete: "${foodToDelete}"`);
             
-            // Find matching food entries from today
-            const today = new Date().toISOString().split('T')[0];
+            // Find matching food entries from that day ("delete the pizza from last night")
             const matchingFoods = await new Promise((resolve) => {
                 db.all(
                     `SELECT * FROM food_log 
                      WHERE date = ? AND LOWER(food_name) LIKE ?
                      ORDER BY timestamp DESC`,
-                    [today, `%${foodToDelete.toLowerCase()}%`],
+                    [date, `%${foodToDelete.toLowerCase()}%`],
                     (err, rows) => {
                         resolve(rows || []);
                     }
@@ -2040,10 +2695,113 @@ async function extractDataFromConversation(userMessage, assistantMessage, req) {
         }
     }
     
-    if (hasFoodMention && !hasDeleteRequest) {
+    // Save recipes - "save this as my turkey wrap",
+    // "save recipe chili: 1 lb ground beef, 2 cups beans, makes 6 servings"
+    const saveThisMatch = userMessage.match(/\bsave (?:this|that|it)(?: meal| one)? as (?:a |my |the )?["']?([a-z0-9][a-z0-9\s'-]*?)["']?(?:\s+recipe)?[.!]*$/i);
+    const recipeDefMatch = userMessage.match(/\bsave (?:a |my |the )?recipe (?:for |called |named )?["']?([a-z0-9][a-z0-9\s'-]*?)["']?\s*[:=]\s*(.+)$/i);
+    const hasRecipeSave = !!(saveThisMatch || recipeDefMatch);
+    
+    if (hasRecipeSave) {
+        try {
+            let recipe = null;
+            let missing = [];
+            
+            if (recipeDefMatch) {
+                let ingredientText = recipeDefMatch[2];
+                let servings = 1;
+                
+                const servingsMatch = ingredientText.match(/[,;]?\s*(?:makes|serves|yields?)\s+(\d+(?:\.\d+)?)(?:\s+servings?)?[.!]*$/i);
+                if (servingsMatch) {
+                    servings = parseFloat(servingsMatch[1]) || 1;
+                    ingredientText = ingredientText.slice(0, servingsMatch.index);
+                }
+                
+                const result = await buildRecipeIngredients(splitMealIngredients(ingredientText));
+                missing = result.missing;
+                if (result.resolved.length > 0) {
+                    recipe = await saveRecipe(recipeDefMatch[1].trim(), result.resolved, servings);
+                }
+            } else {
+                recipe = await saveRecipeFromLastFood(saveThisMatch[1].trim(), date);
+            }
+            
+            if (recipe) {
+                console.log(`📖 Recipe saved: ${recipe.name} (${recipe.per_serving.calories.toFixed(0)} cal/serving)`);
+                extracted.recipeSaved = {
+                    id: recipe.id,
+                    name: recipe.name,
+                    servings: recipe.servings,
+                    ingredients: recipe.ingredients.map(ing => ing.text),
+                    per_serving: recipe.per_serving,
+                    missing
+                };
+            } else {
+                extracted.recipeSaved = { error: 'Nothing to save - log a food first or list the ingredients', missing };
+            }
+        } catch (error) {
+            console.error('❌ Recipe save error:', error.message);
+            extracted.recipeSaved = { error: error.message };
+        }
+    }
+    
+    // Correct a bad auto-lookup - "that's wrong, use scrambled eggs", "wrong match, the second one"
+    const rematchMatch = userMessage.match(/\b(?:that'?s|that is|thats|wrong|not right|incorrect)\b.*?\b(?:use|it was|i meant|should be|make it|switch (?:it )?to|change (?:it )?to|pick)\s+(.+?)[.!]*$/i)
+        || userMessage.match(/\b(?:wrong|not right|incorrect)\b.*?\b((?:the\s+)?(?:first|second|third|fourth|fifth)(?:\s+one)?|(?:option|number)\s+\d|#\d)[.!]*$/i);
+    const hasRematch = !!rematchMatch && !hasDeleteRequest && !hasRecipeSave;
+    
+    if (hasRematch) {
+        const lastFood = await new Promise((resolve) => {
+            db.get('SELECT * FROM food_log WHERE date = ? ORDER BY timestamp DESC, id DESC LIMIT 1',
+                [date], (err, row) => resolve(row || null));
+        });
+        
+        if (lastFood) {
+            try {
+                const result = await rematchFood(lastFood, { query: rematchMatch[1].trim() });
+                extracted.foodRematched = result
+                    ? { ...result, success: true }
+                    : { from: lastFood.food_name, query: rematchMatch[1].trim(), success: false };
+            } catch (error) {
+                console.error('❌ Rematch error:', error.message);
+                extracted.foodRematched = { error: error.message, success: false };
+            }
+        }
+    }
+    
+    // Nutrient questions ("what should I eat to fix my magnesium") are answered, not logged
+    const nutrientQuestion = parseNutrientQuestion(userMessage);
+    
+    if (nutrientQuestion) {
+        try {
+            extracted.nutrientAdvice = await getNutrientAdvice(nutrientQuestion, date);
+        } catch (error) {
+            console.error('❌ Nutrient advice error:', error.message);
+        }
+    }
+    
+    // "make me a meal plan for the week", "plan my meals"
+    const mealPlanRequest = /\b(?:meal\s*plan|plan (?:out )?(?:my|the|this week'?s|next week'?s) meals)\b/i.test(userMessage)
+        && !/\b(?:delete|remove)\b/i.test(userMessage);
+    
+    if (mealPlanRequest) {
+        try {
+            const plan = await generateMealPlan();
+            extracted.mealPlan = plan
+                ? { id: plan.id, start_date: plan.start_date, end_date: plan.end_date, daily_average: plan.daily_average, targets: plan.targets }
+                : { error: 'No known foods yet - log some meals or save recipes first' };
+        } catch (error) {
+            console.error('❌ Meal plan error:', error.message);
+            extracted.mealPlan = { error: error.message };
+        }
+    }
+    
+    if (hasFoodMention && !hasDeleteRequest && !hasRecipeSave && !hasRematch && !nutrientQuestion && !mealPlanRequest) {
+        // When it was eaten is already resolved - keep it out of the food name
+        const foodText = stripTimeReferences(userMessage);
+        
         // Check if calories are explicitly mentioned (manual entry)
         const manualCalPattern = /(?:ate|had|consumed|eating)\s+([a-z\s]+?)\s*[,\s]*(\d+)\s*(?:cal|calories)/i;
-        const manualMatch = userMessage.match(manualCalPattern);
+        const manualMatch = foodText.match(manualCalPattern);
         
         if (manualMatch) {
             // User provided calories manually - use simple extraction
@@ -2062,8 +2820,8 @@ async function extractDataFromConversation(userMessage, assistantMessage, req) {
             }
         } else {
             // No calories mentioned - look up nutrition automatically
-            const foodNamePattern = /(?:ate|had|consumed|eating|for\s+(?:breakfast|lunch|dinner))\s+([a-z][a-z\s,]+?)(?:\s+for|\s+today|\s+yesterday|$)/i;
-            const foodMatch = userMessage.match(foodNamePattern);
+            const foodNamePattern = /(?:ate|had|consumed|eating|snacked on|for\s+(?:breakfast|lunch|dinner|a\s+snack|snack))\s+([a-z0-9½¼¾][a-z0-9½¼¾\s,./]+?)(?:\s+for|\s+today|\s+yesterday|$)/i;
+            const foodMatch = foodText.match(foodNamePattern);
             
             if (foodMatch) {
                 let foodDescription = foodMatch[1].trim();
@@ -2087,11 +2845,27 @@ async function extractDataFromConversation(userMessage, assistantMessage, req) {
                     // Check if it's a complex meal (has "with", "and", commas, etc.)
                     const isComplexMeal = /\swith\s|,|\sand\s/.test(foodDescription);
                     
+                    // Portion ("3 eggs", "6 oz chicken") - lookups are per 100g
+                    const portion = parsePortion(foodDescription);
+                    if (portion.ignored_count) {
+                        console.log(`⚠️ Not a count of ${portion.ignored_count} - logging one "${portion.food}"`);
+                    }
+                    
+                    // Saved recipes win over USDA ("my usual turkey wrap", "2 servings of chili")
+                    const recipe = await recipeBook.findByName(foodDescription)
+                        || await recipeBook.findByName(portion.food);
+                    
                     let nutritionData;
-                    if (isComplexMeal) {
+                    if (recipe) {
+                        console.log(`📖 Matched saved recipe: ${recipe.name}`);
+                        nutritionData = recipeBook.portionNutrition(recipe, portion);
+                    } else if (isComplexMeal) {
                         nutritionData = await parseComplexMeal(foodDescription);
                     } else {
-                        nutritionData = await lookupNutrition(foodDescription);
+                        const baseData = await lookupNutrition(portion.food);
+                        nutritionData = baseData
+                            ? { ...scaleNutrition(baseData, portion), lookup_query: portion.food }
+                            : null;
                     }
                     
                     if (nutritionData) {
@@ -2115,12 +2889,19 @@ async function extractDataFromConversation(userMessage, assistantMessage, req) {
                         else if (lower.includes('breakfast')) estimatedCalories = 450;
                         else if (lower.includes('lunch') || lower.includes('dinner')) estimatedCalories = 600;
                         
+                        // Estimates are per item, so only counts scale them
+                        if (!portion.unit && !isComplexMeal) {
+                            estimatedCalories = Math.round(estimatedCalories * portion.quantity);
+                        }
+                        
                         extracted.food = {
                             food_name: foodDescription,
                             calories: estimatedCalories,
                             protein: Math.round(estimatedCalories * 0.15 / 4),  // ~15% of cals from protein
                             carbs: Math.round(estimatedCalories * 0.45 / 4),    // ~45% from carbs
                             fat: Math.round(estimatedCalories * 0.40 / 9),      // ~40% from fat
+                            quantity: isComplexMeal ? 1 : portion.quantity,
+                            unit: isComplexMeal ? null : portion.unit,
                             estimated: true  // Mark as estimated
                         };
                         
@@ -2230,31 +3011,39 @@ async function extractDataFromConversation(userMessage, assistantMessage, req) {
     // Log supplements
     for (const suppName of extracted.supplements) {
         await new Promise((resolve) => {
-            db.run('INSERT INTO supplement_log (supplement_name, date) VALUES (?, ?)', 
-                [suppName, date], () => resolve());
+            db.run('INSERT INTO supplement_log (supplement_name, date, timestamp) VALUES (?, ?, COALESCE(?, CURRENT_TIMESTAMP))', 
+                [suppName, date, loggedAt.timestamp], () => resolve());
         });
     }
 
     // Log food with complete nutrition - ENHANCED
     if (extracted.food) {
         const food = extracted.food;
+        food.meal = food.meal || detectMealSlot(userMessage, loggedAt.when);
+        food.date = date;
         
         // Build SQL for all nutrition fields
         const fields = ['food_name', 'date'];
         const values = [food.food_name || food.name, date];
         
+        if (loggedAt.timestamp) {
+            fields.push('timestamp');
+            values.push(loggedAt.timestamp);
+        }
+        
         // Add all available nutrition fields
         const nutritionFields = [
             'serving_size', 'calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar',
             'sodium', 'cholesterol', 'saturated_fat', 'vitamin_a', 'vitamin_c',
             'vitamin_d', 'vitamin_e', 'vitamin_k', 'vitamin_b6', 'vitamin_b12',
-            'folate', 'calcium', 'iron', 'magnesium', 'potassium', 'zinc'
+            'folate', 'calcium', 'iron', 'magnesium', 'potassium', 'zinc',
+            'quantity', 'unit', 'grams', 'meal', 'recipe_id', 'candidates', 'lookup_query'
         ];
         
         nutritionFields.forEach(field => {
             if (food[field] !== undefined && food[field] !== null) {
                 fields.push(field);
-                values.push(food[field]);
+                values.push(field === 'candidates' ? JSON.stringify(food[field]) : food[field]);
             }
         });
         
@@ -2268,54 +3057,141 @@ async function extractDataFromConversation(userMessage, assistantMessage, req) {
                 } else {
                     const cals = food.calories || 0;
                     const prots = food.protein || 0;
-                    console.log(`✓ Food logged: ${food.food_name || food.name} (${cals.toFixed(0)} cal, ${prots.toFixed(1)}g protein)`);
+                    console.log(`✓ Food logged: ${food.food_name || food.name} (${cals.toFixed(0)} cal, ${prots.toFixed(1)}g protein) [${food.meal}, ${date}]`);
                 }
                 resolve();
             });
         });
         
-        // Update today's calorie total in metrics
-        const currentCalories = await new Promise((resolve) => {
-            db.get('SELECT calories_consumed FROM metrics WHERE date = ?', [date], (err, row) => {
-                resolve(row ? (row.calories_consumed || 0) : 0);
-            });
-        });
-        
-        const newTotal = currentCalories + (food.calories || 0);
-        extracted.metrics.calories_consumed = newTotal;
-        console.log(`📊 Total calories today: ${newTotal.toFixed(0)}`);
+        // metrics.calories_consumed follows food_log through the daily totals triggers
+        const totalCalories = await dailyTotals.caloriesFor(date).catch(() => 0);
+        console.log(`📊 Total calories for ${date}: ${totalCalories.toFixed(0)}`);
     }
 
-    // Update metrics
-    if (Object.keys(extracted.metrics).length > 0) {
-        // First check if a row exists for today
-        const existingMetrics = await new Promise((resolve) => {
-            db.get('SELECT * FROM metrics WHERE date = ?', [date], (err, row) => {
-                resolve(row || null);
-            });
-        });
-        
-        if (existingMetrics) {
-            // UPDATE existing row - only update the fields we have
-            const updates = Object.keys(extracted.metrics).map(key => `${key} = ?`).join(', ');
-            const values = [...Object.values(extracted.metrics), date];
+    // "start my fast" / "broke my fast" / "how long have I been fasting". A fast
+    // still running when food is logged ends at that meal.
+    const fastingCommand = parseFastingCommand(userMessage);
+    const fastingAt = loggedAt.backdated ? loggedAt.when : new Date();
+    
+    try {
+        if (fastingCommand && fastingCommand.action === 'start') {
+            const session = await fastingTracker.start({ at: fastingAt, protocol: fastingCommand.protocol, targetHours: fastingCommand.targetHours });
+            extracted.fasting = { action: 'started', session };
+            console.log(`⏳ Fast started ${session.started_local} (${session.target_hours}h goal, ends ${session.goal_local})`);
+        } else if ((fastingCommand && fastingCommand.action === 'end') || extracted.food) {
+            const session = await fastingTracker.end({ at: fastingAt, endedBy: fastingCommand ? 'chat' : 'food' });
+            if (session) {
+                extracted.fasting = { action: 'ended', session };
+                console.log(`⏳ Fast ended: ${session.hours}h of ${session.target_hours}h${session.met ? ' ✓' : ''}`);
+            } else if (fastingCommand) {
+                extracted.fasting = { action: 'ended', session: null, current: await fastingTracker.current() };
+            }
+        } else if (fastingCommand && fastingCommand.action === 'status') {
+            extracted.fasting = { action: 'status', current: await fastingTracker.current() };
+        }
+    } catch (error) {
+        console.error('❌ Fasting error:', error.message);
+    }
+
+    // Anything caffeinated just logged - report where the day and bedtime stand
+    const caffeinatedSupplements = await getCaffeinatedSupplements();
+    const loggedCaffeine = extracted.supplements.some(name =>
+            caffeinatedSupplements.some(supp => supp.name.toLowerCase() === name.toLowerCase()))
+        || (extracted.food && caffeineFromFood(extracted.food) > 0);
+    
+    if (loggedCaffeine) {
+        try {
+            const caffeine = await getCaffeineStatus();
+            extracted.caffeine = {
+                total_today: caffeine.total_today,
+                limit: caffeine.limit,
+                current_mg: caffeine.current_mg,
+                bedtime_local: caffeine.bedtime_local,
+                bedtime_mg: caffeine.bedtime_mg,
+                warnings: caffeine.warnings
+            };
+            caffeine.warnings.forEach(warning => console.log(`☕ ${warning.message}`));
+        } catch (error) {
+            console.error('❌ Caffeine status error:', error.message);
+        }
+    }
+
+    // Sleep sessions; a quality score in the same message ("sleep at 5") rates the
+    // night. A bare sleep_hours value ("hours of sleep 7") becomes a session too,
+    // so the debt sees it. Sessions write their own sleep metric readings.
+    const sleepSessions = sleepLog ? sleepLog.sessions : [];
+    if (!sleepSessions.some(session => !session.nap) && typeof extracted.metrics.sleep_hours === 'number') {
+        sleepSessions.push({ date, bedtime: null, wake: null, duration_hours: extracted.metrics.sleep_hours, nap: false });
+    }
+    
+    if (sleepSessions.length > 0) {
+        try {
+            const logged = [];
+            for (const session of sleepSessions) {
+                const quality = !session.nap && extracted.metrics.sleep !== undefined ? extracted.metrics.sleep : null;
+                logged.push(await sleepTracker.record({ ...session, quality }, { source: 'chat' }));
+            }
+            if (sleepSessions.some(session => !session.nap)) {
+                delete extracted.metrics.sleep;
+                delete extracted.metrics.sleep_hours;
+            }
             
-            await new Promise((resolve) => {
-                db.run(`UPDATE metrics SET ${updates} WHERE date = ?`,
-                    values, () => resolve());
-            });
-            console.log(`📊 Updated metrics for today`);
-        } else {
-            // INSERT new row
-            const fields = Object.keys(extracted.metrics).join(', ');
-            const placeholders = Object.keys(extracted.metrics).map(() => '?').join(', ');
-            const values = Object.values(extracted.metrics);
-            
-            await new Promise((resolve) => {
-                db.run(`INSERT INTO metrics (date, ${fields}) VALUES (?, ${placeholders})`,
-                    [date, ...values], () => resolve());
-            });
-            console.log(`📊 Created new metrics row for today`);
+            const sleep = await sleepTracker.today();
+            extracted.sleep = { sessions: logged, debt_hours: sleep.debt_hours, target_hours: sleep.target_hours };
+            logged.forEach(session => console.log(`🛌 ${session.nap ? 'Nap' : 'Sleep'} logged for ${session.date}: ${session.duration_hours}h${session.bedtime_local ? ` (${session.bedtime_local}-${session.wake_local})` : ''}`));
+        } catch (error) {
+            console.error('❌ Sleep log error:', error.message);
+        }
+    }
+
+    // Workouts: "did 3x10 goblet squats at 35 and 3x12 push-ups", "walked 30 min".
+    // Active fitness goals get the day marked done, which feeds their streaks.
+    const workoutEntries = workoutLog.parseMessage(messageText);
+    if (workoutEntries.length > 0) {
+        try {
+            const at = loggedAt.backdated ? loggedAt.when : new Date();
+            const session = await workoutLog.log({ date, at, entries: workoutEntries }, { source: 'chat' });
+            const logged = workoutEntries.map(entry => ({ ...entry, summary: describeEntry(entry) }));
+            const linkedGoals = await linkWorkoutToGoals(date, logged.map(entry => entry.summary));
+
+            extracted.workout = {
+                session_id: session.id,
+                date,
+                exercises: logged.map(({ exercise, label, knee_load, known, summary }) => ({ exercise, label, knee_load, new: !known, summary })),
+                high_knee_load: logged.filter(entry => entry.knee_load === 'high').map(entry => entry.label),
+                goals: linkedGoals
+            };
+            logged.forEach(entry => console.log(`🏋️ ${entry.summary} (knee load: ${entry.knee_load})${entry.known ? '' : ' - new exercise'}`));
+        } catch (error) {
+            console.error('❌ Workout log error:', error.message);
+        }
+    }
+
+    // Symptoms: body site, type, severity and any "after ..." triggers. Knee pain
+    // entries feed the knee_pain metric through the journal.
+    if (symptomLog) {
+        try {
+            const at = loggedAt.backdated ? loggedAt.when : new Date();
+            const logged = [];
+            for (const entry of symptomLog.entries) {
+                logged.push(await symptomJournal.add({ ...entry, at, date }, { source: 'chat' }));
+            }
+
+            extracted.symptoms = logged;
+            logged.forEach(entry => console.log(`🩹 Symptom logged for ${entry.date}: ${entry.summary}`));
+        } catch (error) {
+            console.error('❌ Symptom log error:', error.message);
+        }
+    }
+
+    // Log metrics as readings at the message's time; the day's values roll up from them
+    if (Object.keys(extracted.metrics).length > 0) {
+        try {
+            const recordedAt = loggedAt.timestamp || readingTime(date).recorded_at;
+            const { daily } = await metricReadings.record(date, extracted.metrics, { recordedAt, source: 'chat' });
+            console.log(`📊 Logged metric readings for ${date}:`, daily);
+        } catch (error) {
+            console.error('❌ Metric readings error:', error.message);
         }
     }
 
@@ -2420,7 +3296,6 @@ function extractEventTitle(message) {
 }
 
 function extractDateTime(message) {
-    const now = new Date();
     const lower = message.toLowerCase();
     
     // Time extraction
@@ -2435,42 +3310,41 @@ function extractDateTime(message) {
         if (timeMatch[2] && timeMatch[2].startsWith(':')) minute = parseInt(timeMatch[2].substring(1));
     }
     
-    // Date extraction
-    let targetDate = new Date(now);
+    // Date extraction (the user's day, in their timezone)
+    let targetDate = currentDate();
     
     if (lower.includes('today')) {
         // today
     } else if (lower.includes('tomorrow')) {
-        targetDate.setDate(targetDate.getDate() + 1);
+        targetDate = addDays(targetDate, 1);
     } else if (lower.includes('monday')) {
         const day = 1;
-        const currentDay = targetDate.getDay();
+        const currentDay = weekday(targetDate);
         const diff = day - currentDay;
-        targetDate.setDate(targetDate.getDate() + (diff >= 0 ? diff : diff + 7));
+        targetDate = addDays(targetDate, diff >= 0 ? diff : diff + 7);
     } else if (lower.includes('tuesday')) {
         const day = 2;
-        const currentDay = targetDate.getDay();
+        const currentDay = weekday(targetDate);
         const diff = day - currentDay;
-        targetDate.setDate(targetDate.getDate() + (diff >= 0 ? diff : diff + 7));
+        targetDate = addDays(targetDate, diff >= 0 ? diff : diff + 7);
     } else if (lower.includes('wednesday')) {
         const day = 3;
-        const currentDay = targetDate.getDay();
+        const currentDay = weekday(targetDate);
         const diff = day - currentDay;
-        targetDate.setDate(targetDate.getDate() + (diff >= 0 ? diff : diff + 7));
+        targetDate = addDays(targetDate, diff >= 0 ? diff : diff + 7);
     } else if (lower.includes('thursday')) {
         const day = 4;
-        const currentDay = targetDate.getDay();
+        const currentDay = weekday(targetDate);
         const diff = day - currentDay;
-        targetDate.setDate(targetDate.getDate() + (diff >= 0 ? diff : diff + 7));
+        targetDate = addDays(targetDate, diff >= 0 ? diff : diff + 7);
     } else if (lower.includes('friday')) {
         const day = 5;
-        const currentDay = targetDate.getDay();
+        const currentDay = weekday(targetDate);
         const diff = day - currentDay;
-        targetDate.setDate(targetDate.getDate() + (diff >= 0 ? diff : diff + 7));
+        targetDate = addDays(targetDate, diff >= 0 ? diff : diff + 7);
     }
     
-    targetDate.setHours(hour, minute, 0, 0);
-    return targetDate;
+    return atLocalTime(targetDate, `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`);
 }
 
 // ============ API ROUTES ============
@@ -2524,75 +3398,181 @@ app.get('/api/context/today', async (req, res) => {
 });
 
 // Get today's complete nutrition totals
-app.get('/api/nutrition/today', (req, res) => {
-    const date = new Date().toISOString().split('T')[0];
+app.get('/api/nutrition/today', async (req, res) => {
+    const date = currentDate();
+    
+    let rdas;
+    try {
+        rdas = await nutritionTargets.getTargets();
+    } catch (error) {
+        return res.status(500).json({ error: error.message });
+    }
     
-    db.all('SELECT * FROM food_log WHERE date = ?', [date], (err, foods) => {
+    db.all('SELECT * FROM food_log WHERE date = ? ORDER BY timestamp ASC', [date], (err, rows) => {
         if (err) {
             return res.status(500).json({ error: err.message });
         }
         
-        // Calculate totals
-        const totals = {
-            calories: 0,
-            protein: 0,
-            carbs: 0,
-            fat: 0,
-            fiber: 0,
-            sugar: 0,
-            sodium: 0,
-            cholesterol: 0,
-            saturated_fat: 0,
-            vitamin_a: 0,
-            vitamin_c: 0,
-            vitamin_d: 0,
-            vitamin_e: 0,
-            vitamin_k: 0,
-            vitamin_b6: 0,
-            vitamin_b12: 0,
-            folate: 0,
-            calcium: 0,
-            iron: 0,
-            magnesium: 0,
-            potassium: 0,
-            zinc: 0
-        };
+        const foods = (rows || []).map(row => withCandidateCount(withMealSlot(row)));
         
-        (foods || []).forEach(food => {
-            Object.keys(totals).forEach(key => {
-                totals[key] += parseFloat(food[key]) || 0;
-            });
-        });
+        // Calculate totals (overall and per meal)
+        const totals = sumNutrients(foods);
+        const meals = groupFoodsByMeal(foods);
         
         res.json({
             date,
-            foods: foods || [],
+            foods,
             totals,
-            rdas: {
-                calories: 2200,
-                protein: 150,
-                carbs: 275,
-                fat: 73,
-                fiber: 30,
-                sodium: 2300,
-                vitamin_a: 900,      // mcg
-                vitamin_c: 90,       // mg
-                vitamin_d: 20,       // mcg
-                vitamin_e: 15,       // mg
-                vitamin_k: 120,      // mcg
-                vitamin_b6: 1.7,     // mg
-                vitamin_b12: 2.4,    // mcg
-                folate: 400,         // mcg
-                calcium: 1000,       // mg
-                iron: 18,            // mg
-                magnesium: 420,      // mg
-                potassium: 3400,     // mg
-                zinc: 11             // mg
-            }
+            meals,
+            rdas
         });
     });
 });
 
+// ?from=&to= → { from, to } or { error }. to defaults to today and from to the
+// start of the defaultDays ending on it; a range may span at most maxDays.
+function parseDateRange(query, { defaultDays, maxDays }) {
+    const to = query.to || currentDate();
+    const from = query.from || addDays(to, 1 - defaultDays);
+
+    if (!isValidDate(from) || !isValidDate(to)) return { error: 'from and to must be in YYYY-MM-DD format' };
+    if (from > to) return { error: 'from must be on or before to' };
+    if (daysBetween(from, to) >= maxDays) return { error: `Range is limited to ${maxDays} days` };
+    return { from, to };
+}
+
+// Nutrition history: totals, daily averages and % of RDA per day/week/month
+// GET /api/nutrition/range?from=2025-01-01&to=2025-01-31&granularity=week
+// Defaults to the last 7 days by day.
+const MAX_RANGE_DAYS = 1096;
+
+app.get('/api/nutrition/range', async (req, res) => {
+    const { from, to, error } = parseDateRange(req.query, { defaultDays: 7, maxDays: MAX_RANGE_DAYS });
+    const granularity = req.query.granularity || 'day';
+    
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (!GRANULARITIES.includes(granularity)) {
+        return res.status(400).json({ error: `granularity must be one of: ${GRANULARITIES.join(', ')}` });
+    }
+    
+    try {
+        const rows = await dailyTotals.range(from, to);
+        const rdas = await nutritionTargets.getTargets();
+        res.json(summarizeRange(rows, { from, to, granularity, rdas }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+const MAX_GAP_WINDOW_DAYS = 90;
+
+function parseGapQuery(query) {
+    const date = query.date || currentDate();
+    const days = query.days !== undefined ? parseInt(query.days) : GAP_WINDOW_DAYS;
+    const limit = query.limit !== undefined ? parseInt(query.limit) : 5;
+
+    if (!isValidDate(date)) {
+        return { error: 'date must be in YYYY-MM-DD format' };
+    }
+    if (!(days >= 1 && days <= MAX_GAP_WINDOW_DAYS)) {
+        return { error: `days must be between 1 and ${MAX_GAP_WINDOW_DAYS}` };
+    }
+    if (!(limit >= 1 && limit <= 20)) {
+        return { error: 'limit must be between 1 and 20' };
+    }
+
+    return { date, days, limit };
+}
+
+// Nutrients below target over the trailing window (default 7 days), each with foods
+// that close the gap: GET /api/nutrition/gaps?date=2025-01-31&days=7&limit=5
+app.get('/api/nutrition/gaps', async (req, res) => {
+    const params = parseGapQuery(req.query);
+    if (params.error) {
+        return res.status(400).json({ error: params.error });
+    }
+
+    try {
+        const result = await getNutrientGaps(params.date, params.days);
+        for (const gap of result.gaps) {
+            gap.suggestions = await suggestFoodsFor(gap.nutrient, gap.target, gap.remaining_today || gap.daily_gap, params.limit);
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('❌ Nutrient gaps error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// One nutrient, low or not: GET /api/nutrition/gaps/magnesium
+app.get('/api/nutrition/gaps/:nutrient', async (req, res) => {
+    const nutrient = resolveNutrient(req.params.nutrient);
+    if (!nutrient) {
+        return res.status(400).json({ error: `Unknown nutrient "${req.params.nutrient}" (use one of: ${Object.keys(GAP_NUTRIENTS).join(', ')})` });
+    }
+
+    const params = parseGapQuery(req.query);
+    if (params.error) {
+        return res.status(400).json({ error: params.error });
+    }
+
+    try {
+        res.json(await getNutrientAdvice(nutrient, params.date, params.days, params.limit));
+    } catch (error) {
+        console.error('❌ Nutrient advice error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Personal nutrition targets: profile, derived values, overrides and merged targets
+app.get('/api/nutrition/targets', async (req, res) => {
+    try {
+        res.json(await nutritionTargets.describe());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Update the profile and/or overrides:
+// { "age": 37, "sex": "male", "weight_lbs": 175, "height_in": 70, "activity": "moderate",
+//   "goal": "gain", "overrides": { "protein": 180, "iron": null } }  (null removes an override)
+app.patch('/api/nutrition/targets', async (req, res) => {
+    const validationError = NutritionTargets.validateProfileChanges(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
+    try {
+        const result = await nutritionTargets.updateProfile(req.body);
+        console.log(`✓ Nutrition targets updated: ${result.targets.calories} cal, ${result.targets.protein}g protein`);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Local nutrition cache stats (cached queries + imported USDA foods)
+app.get('/api/nutrition/cache', async (req, res) => {
+    try {
+        const stats = await nutritionCache.stats();
+        res.json({ ...stats, providers: nutritionProviders.names });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Clear cached lookups (imported foods are kept)
+app.delete('/api/nutrition/cache', async (req, res) => {
+    try {
+        await nutritionCache.clear();
+        res.json({ success: true, message: 'Nutrition cache cleared' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // DELETE food log entry
 app.delete('/api/nutrition/:id', (req, res) => {
     const { id } = req.params;
@@ -2611,101 +3591,1140 @@ app.delete('/api/nutrition/:id', (req, res) => {
     });
 });
 
-// UPDATE food log entry
-app.patch('/api/nutrition/:id', (req, res) => {
-    const { id } = req.params;
-    const { food_name, calories, protein, carbs, fat } = req.body;
-    
-    db.run(
-        `UPDATE food_log 
-         SET food_name = ?, calories = ?, protein = ?, carbs = ?, fat = ?
-         WHERE id = ?`,
-        [food_name, calories, protein, carbs, fat, id],
-        function(err) {
-            if (err) {
-                return res.status(500).json({ error: err.message });
-            }
-            
-            if (this.changes === 0) {
-                return res.status(404).json({ error: 'Food entry not found' });
-            }
-            
-            console.log(`✓ Updated food log entry: ID ${id}`);
-            res.json({ success: true, message: 'Food entry updated' });
+// Ranked alternatives stored when the food was auto-looked-up
+app.get('/api/nutrition/:id/candidates', (req, res) => {
+    db.get('SELECT * FROM food_log WHERE id = ?', [req.params.id], (err, food) => {
+        if (err) {
+            return res.status(500).json({ error: err.message });
         }
-    );
+        
+        if (!food) {
+            return res.status(404).json({ error: 'Food entry not found' });
+        }
+        
+        const candidates = parseStoredCandidates(food).map((candidate, index) => ({
+            index,
+            food_name: candidate.food_name,
+            source: candidate.source,
+            serving_size: candidate.serving_size,
+            score: candidate.score,
+            per_100g: {
+                calories: candidate.calories,
+                protein: candidate.protein,
+                carbs: candidate.carbs,
+                fat: candidate.fat
+            },
+            selected: candidate.food_name === food.food_name
+        }));
+        
+        res.json({ id: food.id, food_name: food.food_name, grams: food.grams, candidates });
+    });
 });
 
-// Test USDA API connection
-app.get('/api/nutrition/test', async (req, res) => {
-    const testFood = req.query.food || 'chicken breast';
-    console.log(`🧪 Testing USDA API with: "${testFood}"`);
+// Swap to another match: { "index": 2 } or { "query": "scrambled eggs" }
+app.post('/api/nutrition/:id/rematch', (req, res) => {
+    const { index, query } = req.body;
     
-    try {
-        const result = await lookupNutrition(testFood);
-        if (result) {
-            res.json({
-                success: true,
-                message: 'USDA API is working!',
-                testFood,
-                result
-            });
+    if (index === undefined && !query) {
+        return res.status(400).json({ error: 'Send an index or a query' });
+    }
+    if (index !== undefined && !(Number.isInteger(index) && index >= 0)) {
+        return res.status(400).json({ error: 'index must be a non-negative integer' });
+    }
+    
+    db.get('SELECT * FROM food_log WHERE id = ?', [req.params.id], async (err, food) => {
+        if (err) {
+            return res.status(500).json({ error: err.message });
+        }
+        
+        if (!food) {
+            return res.status(404).json({ error: 'Food entry not found' });
+        }
+        
+        try {
+            const result = await rematchFood(food, index !== undefined ? { index } : { query });
+            if (!result) {
+                return res.status(400).json({ error: index !== undefined ? `No candidate at index ${index}` : `No match found for "${query}"` });
+            }
+            res.json({ success: true, ...result });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+});
+
+// UPDATE food log entry
+// Only the fields sent are changed. Sending quantity and/or unit rescales
+// every nutrient column from the portion that was originally logged.
+app.patch('/api/nutrition/:id', (req, res) => {
+    const { id } = req.params;
+    const { food_name, calories, protein, carbs, fat, quantity, unit, meal } = req.body;
+    
+    db.get('SELECT * FROM food_log WHERE id = ?', [id], (err, food) => {
+        if (err) {
+            return res.status(500).json({ error: err.message });
+        }
+        
+        if (!food) {
+            return res.status(404).json({ error: 'Food entry not found' });
+        }
+        
+        const updates = {};
+        
+        if (quantity !== undefined || unit !== undefined) {
+            const newUnit = unit !== undefined ? (unit ? resolveUnit(unit) || unit : null) : food.unit;
+            const newQuantity = quantity !== undefined ? parseFloat(quantity) : (food.quantity || 1);
+            
+            if (!(newQuantity > 0)) {
+                return res.status(400).json({ error: 'quantity must be a positive number' });
+            }
+            
+            const oldQuantity = food.quantity || 1;
+            const oldGrams = food.grams || portionToGrams({ quantity: oldQuantity, unit: food.unit, food: food.food_name }, food);
+            
+            // Same counted unit: keep the per-item weight that was logged
+            const newGrams = newUnit === food.unit && !UNIT_GRAMS[newUnit]
+                ? (oldGrams / oldQuantity) * newQuantity
+                : portionToGrams({ quantity: newQuantity, unit: newUnit, food: food.food_name }, food);
+            
+            const factor = oldGrams > 0 ? newGrams / oldGrams : 1;
+            NUTRIENT_FIELDS.forEach(field => {
+                if (food[field] !== null && food[field] !== undefined) {
+                    updates[field] = Math.round(food[field] * factor * 100) / 100;
+                }
+            });
+            
+            updates.quantity = newQuantity;
+            updates.unit = newUnit;
+            updates.grams = Math.round(newGrams * 10) / 10;
+        }
+        
+        // Explicit values win over rescaled ones
+        if (food_name !== undefined) updates.food_name = food_name;
+        if (calories !== undefined) updates.calories = calories;
+        if (protein !== undefined) updates.protein = protein;
+        if (carbs !== undefined) updates.carbs = carbs;
+        if (fat !== undefined) updates.fat = fat;
+        
+        if (meal !== undefined) {
+            if (!MEAL_SLOTS.includes(meal)) {
+                return res.status(400).json({ error: `meal must be one of: ${MEAL_SLOTS.join(', ')}` });
+            }
+            updates.meal = meal;
+        }
+        
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'No fields to update' });
+        }
+        
+        const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+        
+        db.run(
+            `UPDATE food_log SET ${setClause} WHERE id = ?`,
+            [...Object.values(updates), id],
+            function(err) {
+                if (err) {
+                    return res.status(500).json({ error: err.message });
+                }
+                
+                console.log(`✓ Updated food log entry: ID ${id}`);
+                res.json({ success: true, message: 'Food entry updated', updates });
+            }
+        );
+    });
+});
+
+// Test nutrition lookup through the provider chain
+app.get('/api/nutrition/test', async (req, res) => {
+    const testFood = req.query.food || 'chicken breast';
+    console.log(`🧪 Testing nutrition lookup with: "${testFood}"`);
+    
+    try {
+        const result = await lookupNutrition(testFood);
+        if (result) {
+            res.json({
+                success: true,
+                message: 'Nutrition lookup is working!',
+                testFood,
+                source: result.source,
+                providers: nutritionProviders.names,
+                result
+            });
         } else {
             res.json({
                 success: false,
-                message: 'USDA API returned no results',
-                testFood
+                message: 'No nutrition provider returned results',
+                testFood,
+                providers: nutritionProviders.names
             });
         }
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            message: 'USDA API error',
-            error: error.message
-        });
+        res.status(500).json({
+            success: false,
+            message: 'Nutrition lookup error',
+            error: error.message
+        });
+    }
+});
+
+// ============ RECIPES API ============
+
+// Validate a recipe body; with partial = true every field is optional (PATCH)
+function validateRecipeInput(body, partial = false) {
+    const { name, ingredients, servings } = body;
+    
+    if (!partial || name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) return 'name is required';
+    }
+    if (!partial || ingredients !== undefined) {
+        if (!Array.isArray(ingredients) || ingredients.length === 0) return 'ingredients must be a non-empty array';
+    }
+    if (servings !== undefined && !(parseFloat(servings) > 0)) {
+        return 'servings must be a positive number';
+    }
+    
+    return null;
+}
+
+app.get('/api/recipes', async (req, res) => {
+    try {
+        res.json({ recipes: await recipeBook.list() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/recipes/:id', async (req, res) => {
+    try {
+        const recipe = await recipeBook.getById(req.params.id);
+        if (!recipe) {
+            return res.status(404).json({ error: 'Recipe not found' });
+        }
+        res.json(recipe);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Create a recipe. ingredients: ["2 slices turkey", "1 tortilla"] or custom
+// foods like { food: "protein shake", calories: 160, protein: 30 }
+app.post('/api/recipes', async (req, res) => {
+    const validationError = validateRecipeInput(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
+    try {
+        if (await recipeBook.findByName(req.body.name)) {
+            return res.status(409).json({ error: `A recipe named "${req.body.name.trim()}" already exists` });
+        }
+        
+        const { resolved, missing } = await buildRecipeIngredients(req.body.ingredients);
+        if (missing.length > 0) {
+            return res.status(400).json({ error: `No nutrition found for: ${missing.join(', ')}`, missing });
+        }
+        
+        const recipe = await recipeBook.create({
+            name: req.body.name,
+            ingredients: resolved,
+            servings: parseFloat(req.body.servings) || 1
+        });
+        
+        console.log(`📖 Recipe created: ${recipe.name}`);
+        res.status(201).json(recipe);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Update name, servings and/or ingredients (ingredients are re-resolved)
+app.patch('/api/recipes/:id', async (req, res) => {
+    const validationError = validateRecipeInput(req.body, true);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
+    const { name, ingredients, servings } = req.body;
+    if (name === undefined && ingredients === undefined && servings === undefined) {
+        return res.status(400).json({ error: 'No fields to update' });
+    }
+    
+    try {
+        const existing = await recipeBook.getById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Recipe not found' });
+        }
+        
+        if (name !== undefined) {
+            const clash = await recipeBook.findByName(name);
+            if (clash && clash.id !== existing.id) {
+                return res.status(409).json({ error: `A recipe named "${name.trim()}" already exists` });
+            }
+        }
+        
+        const updates = { name };
+        if (servings !== undefined) updates.servings = parseFloat(servings);
+        
+        if (ingredients !== undefined) {
+            const { resolved, missing } = await buildRecipeIngredients(ingredients);
+            if (missing.length > 0) {
+                return res.status(400).json({ error: `No nutrition found for: ${missing.join(', ')}`, missing });
+            }
+            updates.ingredients = resolved;
+        }
+        
+        const recipe = await recipeBook.update(existing.id, updates);
+        console.log(`✓ Updated recipe: ${recipe.name}`);
+        res.json(recipe);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/recipes/:id', async (req, res) => {
+    try {
+        const deleted = await recipeBook.delete(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Recipe not found' });
+        }
+        
+        console.log(`✓ Deleted recipe: ID ${req.params.id}`);
+        res.json({ success: true, message: 'Recipe deleted' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============ MEAL PLANS API ============
+
+// Generate (or regenerate) a 7-day plan: { "start": "2025-01-06", "work_days": [1, 2, 3, 4, 5] }
+// Both optional - defaults are today and the Mon-Fri shift.
+app.post('/api/meal-plans', async (req, res) => {
+    const { start, work_days: workDays } = req.body || {};
+
+    if (start !== undefined && !isValidDate(start)) {
+        return res.status(400).json({ error: 'start must be a date in YYYY-MM-DD format' });
+    }
+    if (workDays !== undefined && !(Array.isArray(workDays) && workDays.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+        return res.status(400).json({ error: 'work_days must be an array of weekday numbers (0 = Sunday ... 6 = Saturday)' });
+    }
+
+    try {
+        const plan = await generateMealPlan(start, workDays);
+        if (!plan) {
+            return res.status(400).json({ error: 'No known foods yet - log some meals or save recipes first' });
+        }
+        res.status(201).json(plan);
+    } catch (error) {
+        console.error('❌ Meal plan error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/meal-plans', async (req, res) => {
+    try {
+        res.json(await mealPlanner.list());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// The plan covering today, or the latest one
+app.get('/api/meal-plans/current', async (req, res) => {
+    try {
+        const plan = await mealPlanner.current(currentDate());
+        if (!plan) {
+            return res.status(404).json({ error: 'No meal plan yet' });
+        }
+        res.json(plan);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/meal-plans/:id', async (req, res) => {
+    try {
+        const plan = await mealPlanner.getById(req.params.id);
+        if (!plan) {
+            return res.status(404).json({ error: 'Meal plan not found' });
+        }
+        res.json(plan);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Aggregated ingredients for the whole plan: ?format=json (default), md or csv
+app.get('/api/meal-plans/:id/shopping-list', async (req, res) => {
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!['json', 'md', 'markdown', 'csv'].includes(format)) {
+        return res.status(400).json({ error: 'format must be json, md or csv' });
+    }
+
+    try {
+        const plan = await mealPlanner.getById(req.params.id);
+        if (!plan) {
+            return res.status(404).json({ error: 'Meal plan not found' });
+        }
+
+        const list = MealPlanner.buildShoppingList(plan);
+        const filename = `shopping-list-${plan.start_date}`;
+
+        if (format === 'csv') {
+            res.type('text/csv');
+            res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+            return res.send(MealPlanner.shoppingListToCsv(list));
+        }
+        if (format === 'md' || format === 'markdown') {
+            res.type('text/markdown');
+            res.set('Content-Disposition', `attachment; filename="${filename}.md"`);
+            return res.send(MealPlanner.shoppingListToMarkdown(plan, list));
+        }
+
+        res.json({ plan_id: plan.id, start_date: plan.start_date, end_date: plan.end_date, items: list });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/meal-plans/:id', async (req, res) => {
+    try {
+        const deleted = await mealPlanner.delete(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Meal plan not found' });
+        }
+
+        console.log(`✓ Deleted meal plan: ID ${req.params.id}`);
+        res.json({ success: true, message: 'Meal plan deleted' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============ DAY SETTINGS API ============
+
+// Timezone, when the logical day ends, and what "today" is right now
+app.get('/api/settings/day', async (req, res) => {
+    try {
+        res.json(await daySettings.getSettings());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// { "timezone": "America/Chicago" }, { "day_ends_at": "04:00" } - applies to
+// entries logged from now on; dates already stored are left as they are
+app.patch('/api/settings/day', async (req, res) => {
+    const validationError = DaySettings.validateSettingsChanges(req.body || {});
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const settings = await daySettings.updateSettings(req.body);
+        console.log(`✓ Day: ${settings.timezone}, ends at ${settings.day_ends_at}`);
+        res.json(settings);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============ CAFFEINE API ============
+
+const BEDTIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Today's doses, what's active now, the level at bedtime and an hourly curve:
+// GET /api/caffeine?bedtime=00:30
+app.get('/api/caffeine', async (req, res) => {
+    const { bedtime } = req.query;
+    if (bedtime !== undefined && !BEDTIME_PATTERN.test(bedtime)) {
+        return res.status(400).json({ error: 'bedtime must be HH:MM' });
+    }
+
+    try {
+        res.json(await getCaffeineStatus({ bedtime }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Would another dose now break the daily limit or the bedtime threshold?
+// GET /api/caffeine/check?mg=200 or ?item=coffee / ?item=Mountain Ops Ignite
+app.get('/api/caffeine/check', async (req, res) => {
+    const { item, bedtime } = req.query;
+    if (bedtime !== undefined && !BEDTIME_PATTERN.test(bedtime)) {
+        return res.status(400).json({ error: 'bedtime must be HH:MM' });
+    }
+
+    let dose = null;
+    if (req.query.mg !== undefined) {
+        const mg = parseFloat(req.query.mg);
+        if (!(mg > 0 && mg <= 1000)) {
+            return res.status(400).json({ error: 'mg must be between 0 and 1000' });
+        }
+        dose = { name: item || null, mg };
+    } else if (item) {
+        dose = caffeineInText(item, await getCaffeinatedSupplements());
+        if (!dose) {
+            return res.status(404).json({ error: `No caffeine content known for "${item}"` });
+        }
+    } else {
+        return res.status(400).json({ error: 'mg or item is required' });
+    }
+
+    try {
+        const result = await checkCaffeineDose(dose.mg, { bedtime });
+        res.json({ item: dose.name, ...result });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============ FASTING API ============
+
+const MAX_FASTING_RANGE_DAYS = 90;
+
+// Daily eating windows, fasts, streaks and the running fast:
+// GET /api/fasting?from=2025-01-01&to=2025-01-14 (default: last 14 days)
+app.get('/api/fasting', async (req, res) => {
+    const today = currentDate();
+    const { from, to, error } = parseDateRange(req.query, { defaultDays: 14, maxDays: MAX_FASTING_RANGE_DAYS });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        res.json(await fastingTracker.summary({ from, to, today }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/fasting/settings', async (req, res) => {
+    try {
+        res.json({ ...await fastingTracker.getSettings(), protocols: FastingTracker.PROTOCOLS });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// { "protocol": "18:6" }, { "protocol": "custom", "target_hours": 17 }, { "weekly_goal_days": 6 }
+app.patch('/api/fasting/settings', async (req, res) => {
+    const validationError = FastingTracker.validateSettingsChanges(req.body || {});
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const settings = await fastingTracker.updateSettings(req.body);
+        console.log(`✓ Fasting protocol: ${settings.protocol} (${settings.target_hours}h)`);
+        res.json(settings);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/fasting/sessions', async (req, res) => {
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 20;
+    if (!(limit >= 1 && limit <= 100)) {
+        return res.status(400).json({ error: 'limit must be between 1 and 100' });
+    }
+
+    try {
+        res.json(await fastingTracker.sessions(limit));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Optional body: { "at": "2025-01-06T23:45:00Z", "protocol": "18:6" } or { "target_hours": 20 }
+app.post('/api/fasting/start', async (req, res) => {
+    const { at, protocol, target_hours: targetHours } = req.body || {};
+    const startAt = at ? new Date(at) : new Date();
+
+    if (isNaN(startAt.getTime()) || startAt > new Date()) {
+        return res.status(400).json({ error: 'at must be a past ISO timestamp' });
+    }
+    const validationError = FastingTracker.validateSettingsChanges({ protocol, target_hours: targetHours });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const session = await fastingTracker.start({
+            at: startAt,
+            protocol,
+            targetHours: targetHours || (protocol ? FastingTracker.PROTOCOLS[protocol] : undefined)
+        });
+        console.log(`⏳ Fast started ${session.started_local} (${session.target_hours}h goal)`);
+        res.json(session);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Optional body: { "at": "2025-01-07T16:30:00Z" }
+app.post('/api/fasting/end', async (req, res) => {
+    const { at } = req.body || {};
+    const endAt = at ? new Date(at) : new Date();
+
+    if (isNaN(endAt.getTime()) || endAt > new Date()) {
+        return res.status(400).json({ error: 'at must be a past ISO timestamp' });
+    }
+
+    try {
+        const session = await fastingTracker.end({ at: endAt, endedBy: 'api' });
+        if (!session) {
+            return res.status(404).json({ error: 'No fast is running (or it started after that time)' });
+        }
+        console.log(`⏳ Fast ended: ${session.hours}h of ${session.target_hours}h`);
+        res.json(session);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/push/subscribe', (req, res) => {
+    const subscription = req.body;
+    
+    db.run(
+        'INSERT OR REPLACE INTO push_subscriptions (endpoint, keys) VALUES (?, ?)',
+        [subscription.endpoint, JSON.stringify(subscription.keys)],
+        (err) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+            } else {
+                res.json({ success: true });
+            }
+        }
+    );
+});
+
+app.get('/api/reminders', (req, res) => {
+    db.all('SELECT * FROM reminders ORDER BY time', (err, rows) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+        } else {
+            res.json(rows || []);
+        }
+    });
+});
+
+app.post('/api/reminders', (req, res) => {
+    const { type, time, message, enabled } = req.body;
+    
+    db.run(
+        'INSERT INTO reminders (type, time, message, enabled) VALUES (?, ?, ?, ?)',
+        [type, time, message, enabled !== false ? 1 : 0],
+        function(err) {
+            if (err) {
+                res.status(500).json({ error: err.message });
+            } else {
+                res.json({ id: this.lastID });
+            }
+        }
+    );
+});
+
+// ============ SLEEP API ============
+
+const MAX_SLEEP_RANGE_DAYS = 90;
+
+// Nightly sleep, naps and the running sleep debt:
+// GET /api/sleep?from=2025-01-01&to=2025-01-14 (default: last 14 days)
+app.get('/api/sleep', async (req, res) => {
+    const { from, to, error } = parseDateRange(req.query, { defaultDays: 14, maxDays: MAX_SLEEP_RANGE_DAYS });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        res.json(await sleepTracker.summary({ from, to }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/sleep/settings', async (req, res) => {
+    try {
+        res.json(await sleepTracker.getSettings());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// { "target_hours": 7.5 }, { "debt_window_days": 14 }
+app.patch('/api/sleep/settings', async (req, res) => {
+    const validationError = SleepTracker.validateSettingsChanges(req.body || {});
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const settings = await sleepTracker.updateSettings(req.body);
+        console.log(`✓ Sleep target: ${settings.target_hours}h, debt over ${settings.debt_window_days} days`);
+        res.json(settings);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// { "bedtime": "23:30", "wake_time": "07:00", "quality": 7 } (wake on today or "date"),
+// ISO times, or { "duration_hours": 1.5, "nap": true }
+app.post('/api/sleep', async (req, res) => {
+    const { fields, error } = validateSessionInput(req.body || {});
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const session = await sleepTracker.add(fields, { source: 'manual' });
+        console.log(`🛌 ${session.nap ? 'Nap' : 'Sleep'} logged for ${session.date}: ${session.duration_hours}h`);
+        res.json(session);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Same fields as POST; anything left out keeps its value
+app.patch('/api/sleep/:id', async (req, res) => {
+    try {
+        const existing = await sleepTracker.find(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Sleep session not found' });
+        }
+
+        const { fields, error } = validateSessionInput(req.body || {}, { existing });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        res.json(await sleepTracker.update(req.params.id, fields));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/sleep/:id', async (req, res) => {
+    try {
+        const session = await sleepTracker.remove(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Sleep session not found' });
+        }
+
+        console.log(`🗑️ Deleted sleep session ${session.id} (${session.date})`);
+        res.json({ success: true, deleted: session });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============ WORKOUTS API ============
+
+// Workout ranges default to the last 30 days
+const WORKOUT_RANGE = { defaultDays: 30, maxDays: 366 };
+
+// Sessions with exercises and sets: GET /api/workouts?from=2025-01-01&to=2025-01-31
+app.get('/api/workouts', async (req, res) => {
+    const { from, to, error } = parseDateRange(req.query, WORKOUT_RANGE);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        res.json(await workoutLog.sessions({ from, to }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Totals, sets by knee load, weekly volume and per-exercise progression
+app.get('/api/workouts/summary', async (req, res) => {
+    const { from, to, error } = parseDateRange(req.query, WORKOUT_RANGE);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const { sessions, ...summary } = await workoutLog.summary({ from, to });
+        res.json(summary);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// One exercise session by session: GET /api/workouts/progress/goblet_squat?from=2025-01-01
+app.get('/api/workouts/progress/:exercise', async (req, res) => {
+    const exercise = workoutLog.findExercise(req.params.exercise);
+    if (!exercise) {
+        return res.status(404).json({ error: `Unknown exercise "${req.params.exercise}"` });
+    }
+    const { from, to, error } = parseDateRange(req.query, { ...WORKOUT_RANGE, defaultDays: 90 });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const [progression] = await workoutLog.progression({ from, to, exercise: exercise.name });
+        res.json(progression || { ...exercise, sessions: [], session_count: 0, trend: 'new' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// { "date": "2025-01-14", "duration_minutes": 40, "exercises": [
+//     { "exercise": "goblet squat", "sets": 3, "reps": 10, "weight": 35 },
+//     { "exercise": "walk", "sets": [{ "duration_seconds": 1200, "distance_miles": 1 }] } ] }
+app.post('/api/workouts', async (req, res) => {
+    const body = req.body || {};
+    const validationError = validateWorkout(body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    if (body.date !== undefined && !isValidDate(body.date)) {
+        return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+    }
+
+    try {
+        const date = body.date || currentDate();
+        const at = body.at ? new Date(body.at) : date === currentDate() ? new Date() : atLocalTime(date, '12:00');
+        if (isNaN(at.getTime())) {
+            return res.status(400).json({ error: 'at must be an ISO timestamp' });
+        }
+
+        const entries = body.exercises.map(entry => ({ exercise: entry.exercise, sets: expandSets(entry) }));
+        const session = await workoutLog.log(
+            { date, at, entries, durationMinutes: body.duration_minutes || null, notes: body.notes || null },
+            { source: 'manual' }
+        );
+        const goals = await linkWorkoutToGoals(date, session.exercises.map(entry => entry.summary));
+        console.log(`🏋️ Workout logged for ${date}: ${session.exercises.map(entry => entry.summary).join(', ')}`);
+        res.json({ ...session, goals });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/workouts/sets/:id', async (req, res) => {
+    try {
+        const set = await workoutLog.removeSet(req.params.id);
+        if (!set) {
+            return res.status(404).json({ error: 'Set not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/workouts/:id', async (req, res) => {
+    try {
+        const session = await workoutLog.removeSession(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Workout not found' });
+        }
+
+        console.log(`🗑️ Deleted workout ${session.id} (${session.date})`);
+        res.json({ success: true, deleted: session });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// The exercise library with knee-load tags
+app.get('/api/workouts/exercises', async (req, res) => {
+    try {
+        res.json(await workoutLog.exercises());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// { "label": "Spanish Squat", "category": "strength", "knee_load": "low", "synonyms": ["spanish squat"] }
+app.post('/api/workouts/exercises', async (req, res) => {
+    const body = req.body || {};
+    const validationError = validateExercise(body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    if (workoutLog.findExercise(body.label)) {
+        return res.status(409).json({ error: `"${body.label}" is already in the library` });
+    }
+
+    try {
+        res.json(await workoutLog.addExercise(body));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Retag or rename: { "knee_load": "moderate" }, { "synonyms": ["goblet squat", "gob squat"] }
+app.patch('/api/workouts/exercises/:name', async (req, res) => {
+    const body = req.body || {};
+    const validationError = validateExercise(body, { partial: true });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const exercise = await workoutLog.updateExercise(req.params.name, body);
+        if (!exercise) {
+            return res.status(404).json({ error: `Unknown exercise "${req.params.name}"` });
+        }
+        console.log(`✓ Exercise ${exercise.label}: knee load ${exercise.knee_load}`);
+        res.json(exercise);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============ SYMPTOMS API ============
+
+const MAX_SYMPTOM_RANGE_DAYS = 366;
+
+// Symptom ranges default to the last 30 days
+const SYMPTOM_RANGE = { defaultDays: 30, maxDays: MAX_SYMPTOM_RANGE_DAYS };
+
+// Journal entries: GET /api/symptoms?from=2025-01-01&to=2025-01-31&site=knee&type=pain
+app.get('/api/symptoms', async (req, res) => {
+    const { from, to, error } = parseDateRange(req.query, SYMPTOM_RANGE);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const { fields, error: filterError } = validateSymptom({
+        ...(req.query.site ? { site: req.query.site } : {}),
+        ...(req.query.type ? { type: req.query.type } : {})
+    }, { partial: true });
+    if (filterError) {
+        return res.status(400).json({ error: filterError });
+    }
+
+    try {
+        res.json(await symptomJournal.entries({ from, to, site: fields.site, type: fields.type }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Every body site logged in the range, most entries first
+app.get('/api/symptoms/sites', async (req, res) => {
+    const { from, to, error } = parseDateRange(req.query, SYMPTOM_RANGE);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        res.json({ from, to, sites: await symptomJournal.sites({ from, to }), known_sites: SITES.map(site => site.name) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// One site day by day with its trend and reported triggers:
+// GET /api/symptoms/sites/lower_back?from=2025-01-01&to=2025-01-31
+app.get('/api/symptoms/sites/:site', async (req, res) => {
+    const { fields } = validateSymptom({ site: req.params.site }, { partial: true });
+    if (!fields) {
+        return res.status(404).json({ error: `Unknown body site "${req.params.site}"` });
+    }
+
+    const { from, to, error } = parseDateRange(req.query, SYMPTOM_RANGE);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        res.json(await symptomJournal.siteHistory({ site: fields.site, from, to }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Which foods, short nights and workouts come before bad symptom days:
+// GET /api/symptoms/triggers?days=90&site=lower_back&min_severity=5
+app.get('/api/symptoms/triggers', async (req, res) => {
+    const to = req.query.to || currentDate();
+    const days = req.query.days !== undefined ? Number(req.query.days) : undefined;
+    const minSeverity = req.query.min_severity !== undefined ? Number(req.query.min_severity) : undefined;
+
+    if (!isValidDate(to)) {
+        return res.status(400).json({ error: 'to must be in YYYY-MM-DD format' });
+    }
+    if (days !== undefined && (!Number.isInteger(days) || days < 7 || days > MAX_SYMPTOM_RANGE_DAYS)) {
+        return res.status(400).json({ error: `days must be a whole number from 7 to ${MAX_SYMPTOM_RANGE_DAYS}` });
+    }
+    if (minSeverity !== undefined && (!Number.isInteger(minSeverity) || minSeverity < 1 || minSeverity > 10)) {
+        return res.status(400).json({ error: 'min_severity must be a whole number from 1 to 10' });
+    }
+
+    const { fields, error } = validateSymptom({
+        ...(req.query.site ? { site: req.query.site } : {}),
+        ...(req.query.type ? { type: req.query.type } : {})
+    }, { partial: true });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        res.json(await symptomJournal.triggers({ to, days, site: fields.site, type: fields.type, minSeverity }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// { "site": "lower back", "severity": 4, "triggers": ["lifting"] }, { "type": "headache", "severity": 6 },
+// optional "side", "notes" and a past "at" timestamp
+app.post('/api/symptoms', async (req, res) => {
+    const { fields, error } = validateSymptom(req.body || {});
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const entry = await symptomJournal.add(fields, { source: 'manual' });
+        console.log(`🩹 Symptom logged for ${entry.date}: ${entry.summary}`);
+        res.json(entry);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Same fields as POST; anything left out keeps its value
+app.patch('/api/symptoms/:id', async (req, res) => {
+    const { fields, error } = validateSymptom(req.body || {}, { partial: true });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const entry = await symptomJournal.update(req.params.id, fields);
+        if (!entry) {
+            return res.status(404).json({ error: 'Symptom entry not found' });
+        }
+        res.json(entry);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
     }
 });
 
-app.post('/api/push/subscribe', (req, res) => {
-    const subscription = req.body;
-    
-    db.run(
-        'INSERT OR REPLACE INTO push_subscriptions (endpoint, keys) VALUES (?, ?)',
-        [subscription.endpoint, JSON.stringify(subscription.keys)],
-        (err) => {
-            if (err) {
-                res.status(500).json({ error: err.message });
-            } else {
-                res.json({ success: true });
-            }
+app.delete('/api/symptoms/:id', async (req, res) => {
+    try {
+        const entry = await symptomJournal.remove(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Symptom entry not found' });
         }
-    );
+
+        console.log(`🗑️ Deleted symptom entry ${entry.id} (${entry.date})`);
+        res.json({ success: true, deleted: entry });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
-app.get('/api/reminders', (req, res) => {
-    db.all('SELECT * FROM reminders ORDER BY time', (err, rows) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
-        } else {
-            res.json(rows || []);
+// ============ JOURNAL API ============
+
+const MAX_JOURNAL_RANGE_DAYS = 366;
+const JOURNAL_MOODS = ['positive', 'negative', 'mixed', 'neutral'];
+
+// Search by date and keyword, newest first:
+// GET /api/journal?from=2025-01-01&to=2025-01-31&q=overtime&mood=negative&limit=50
+app.get('/api/journal', async (req, res) => {
+    const { from, to, q, mood } = req.query;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50;
+
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+        return res.status(400).json({ error: 'from and to must be in YYYY-MM-DD format' });
+    }
+    if (from && to && from > to) {
+        return res.status(400).json({ error: 'from must be on or before to' });
+    }
+    if (mood && !JOURNAL_MOODS.includes(mood)) {
+        return res.status(400).json({ error: `mood must be one of: ${JOURNAL_MOODS.join(', ')}` });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+        return res.status(400).json({ error: 'limit must be a whole number from 1 to 200' });
+    }
+
+    try {
+        res.json(await dailyJournal.search({ from, to, q: q || '', mood, limit }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Daily sentiment/stress, averages and trend: GET /api/journal/summary?from=&to= (default: last 30 days)
+app.get('/api/journal/summary', async (req, res) => {
+    const { from, to, error } = parseDateRange(req.query, { defaultDays: 30, maxDays: MAX_JOURNAL_RANGE_DAYS });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        res.json(await dailyJournal.summary({ from, to }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/journal/:id', async (req, res) => {
+    try {
+        const entry = await dailyJournal.find(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Journal entry not found' });
         }
-    });
+        res.json(entry);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
-app.post('/api/reminders', (req, res) => {
-    const { type, time, message, enabled } = req.body;
-    
-    db.run(
-        'INSERT INTO reminders (type, time, message, enabled) VALUES (?, ?, ?, ?)',
-        [type, time, message, enabled !== false ? 1 : 0],
-        function(err) {
-            if (err) {
-                res.status(500).json({ error: err.message });
-            } else {
-                res.json({ id: this.lastID });
-            }
+// { "text": "Rough day at the plant", "date": "2025-01-14" } (date defaults to today)
+app.post('/api/journal', async (req, res) => {
+    const { fields, error } = validateEntry(req.body || {});
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const entry = await dailyJournal.add(fields, { source: 'manual' });
+        console.log(`📓 Journal entry for ${entry.date}: ${entry.mood} (sentiment ${entry.sentiment}, stress ${entry.stress}/10)`);
+        res.json(entry);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// { "text": ... } and/or { "date": ... }; edited text is scored again
+app.patch('/api/journal/:id', async (req, res) => {
+    const { fields, error } = validateEntry(req.body || {}, { partial: true });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const entry = await dailyJournal.update(req.params.id, fields);
+        if (!entry) {
+            return res.status(404).json({ error: 'Journal entry not found' });
         }
-    );
+        res.json(entry);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/journal/:id', async (req, res) => {
+    try {
+        const entry = await dailyJournal.remove(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Journal entry not found' });
+        }
+
+        console.log(`🗑️ Deleted journal entry ${entry.id} (${entry.date})`);
+        res.json({ success: true, deleted: entry });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
 // ============ GOALS API ENDPOINTS - NEW ============
@@ -2750,7 +4769,7 @@ app.get('/api/goals', (req, res) => {
 // Create a new goal
 app.post('/api/goals', async (req, res) => {
     const { type, title, description, target_value, target_date, icon } = req.body;
-    const start_date = new Date().toISOString().split('T')[0];
+    const start_date = currentDate();
     
     db.run(
         `INSERT INTO goals (type, title, description, target_value, start_date, target_date, icon) 
@@ -2770,7 +4789,7 @@ app.post('/api/goals', async (req, res) => {
 app.post('/api/goals/:id/progress', (req, res) => {
     const { id } = req.params;
     const { value, notes, completed } = req.body;
-    const date = new Date().toISOString().split('T')[0];
+    const date = currentDate();
     
     db.run(
         `INSERT INTO goal_progress (goal_id, date, value, notes, completed) 
@@ -2803,11 +4822,14 @@ app.get('/api/goals/:id', (req, res) => {
             [id], (err, plan) => {
                 // Get progress history
                 db.all('SELECT * FROM goal_progress WHERE goal_id = ? ORDER BY date DESC', 
-                    [id], (err, progress) => {
+                    [id], async (err, progress) => {
+                        // Fitness goals: training volume + progression since the start date
+                        const workouts = await goalWorkouts(goal).catch(() => null);
                         res.json({
                             ...goal,
                             plan: plan ? JSON.parse(plan.plan_data) : null,
-                            progress: progress || []
+                            progress: progress || [],
+                            workouts
                         });
                     });
             });
@@ -2833,10 +4855,12 @@ app.get('/api/insights', async (req, res) => {
         const patterns = await analyzeUserPatterns();
         const context = await getTodayContext();
         const coachingMessage = await generateAdaptiveCoachingMessage(patterns, context);
+        const correlations = await correlationEngine.analyze({ to: currentDate() });
         
         res.json({
             patterns,
             coaching_message: coachingMessage,
+            correlations: correlations.findings,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -2844,6 +4868,32 @@ app.get('/api/insights', async (req, res) => {
     }
 });
 
+// Every significant correlation - ?days=90&lag=1&metric=sleep&to=2025-01-31
+app.get('/api/insights/correlations', async (req, res) => {
+    try {
+        const to = req.query.to || currentDate();
+        const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : CorrelationEngine.WINDOW_DAYS;
+        const lag = req.query.lag !== undefined ? parseInt(req.query.lag, 10) : null;
+
+        if (!isValidDate(to)) {
+            return res.status(400).json({ error: 'to must be a YYYY-MM-DD date' });
+        }
+        if (isNaN(days) || days < 14 || days > 730) {
+            return res.status(400).json({ error: 'days must be between 14 and 730' });
+        }
+        if (lag !== null && (isNaN(lag) || lag < 0 || lag > CorrelationEngine.MAX_LAG)) {
+            return res.status(400).json({ error: `lag must be between 0 and ${CorrelationEngine.MAX_LAG}` });
+        }
+        if (req.query.metric && !(await metricRegistry.find(req.query.metric))) {
+            return res.status(400).json({ error: `Unknown metric: ${req.query.metric}` });
+        }
+
+        res.json(await correlationEngine.analyze({ to, days, lag, outcome: req.query.metric || null }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // ============ v11.0 SELF-EVOLUTION API ENDPOINTS ============
 
 // Get active custom components
@@ -2933,34 +4983,68 @@ app.listen(PORT, () => {
     console.log(`   AI: ${hasClaudeAPI ? '✓ ENABLED' : '✗ NEEDS API KEY'}`);
     console.log(`   Calendar: ${hasGoogleCalendar ? '✓ READY' : '✗ NEEDS CONFIG'}`);
     console.log('   Push Notifications: ✓ ACTIVE');
+    console.log(`   Nutrition: ${nutritionProviders.names.join(' → ')}`);
     console.log('');
     console.log('🍒 Ready for conversations');
     console.log('');
 });
 
-// Get metrics history
-app.get('/api/metrics/history', (req, res) => {
+// Get metrics history: daily rows (default, ?days=30), or ?view=raw for every
+// timestamped reading and ?view=daily for per-metric rollups. Also takes
+// ?from=&to= and ?metric= (name or chat word).
+app.get('/api/metrics/history', async (req, res) => {
+    const today = currentDate();
     const days = parseInt(req.query.days) || 30;
-    const date = new Date();
-    date.setDate(date.getDate() - days);
-    const startDate = date.toISOString().split('T')[0];
-    
-    db.all(
-        'SELECT * FROM metrics WHERE date >= ? ORDER BY date ASC',
-        [startDate],
-        (err, rows) => {
-            if (err) {
-                res.status(500).json({ error: err.message });
-            } else {
-                res.json(rows || []);
+    const to = req.query.to || today;
+    const from = req.query.from || addDays(to, -days);
+    const view = req.query.view || 'rows';
+    
+    if (!isValidDate(from) || !isValidDate(to)) {
+        return res.status(400).json({ error: 'from and to must be in YYYY-MM-DD format' });
+    }
+    if (from > to) {
+        return res.status(400).json({ error: 'from must be on or before to' });
+    }
+    if (!['rows', 'raw', 'daily'].includes(view)) {
+        return res.status(400).json({ error: 'view must be rows, raw or daily' });
+    }
+    
+    try {
+        let metric = null;
+        if (req.query.metric) {
+            const definition = await metricRegistry.resolve(req.query.metric);
+            if (!definition) {
+                return res.status(404).json({ error: `Unknown metric: ${req.query.metric}` });
             }
+            metric = definition.name;
         }
-    );
+        
+        if (view === 'raw') {
+            return res.json({ from, to, metric, readings: await metricReadings.readings({ from, to, metric }) });
+        }
+        if (view === 'daily') {
+            return res.json({ from, to, metric, days: await metricReadings.daily({ from, to, metric }) });
+        }
+        
+        db.all(
+            'SELECT * FROM metrics WHERE date >= ? AND date <= ? ORDER BY date ASC',
+            [from, to],
+            (err, rows) => {
+                if (err) {
+                    res.status(500).json({ error: err.message });
+                } else {
+                    res.json(rows || []);
+                }
+            }
+        );
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
 // Get TODAY's metrics specifically
 app.get('/api/metrics/today', (req, res) => {
-    const today = new Date().toISOString().split('T')[0];
+    const today = currentDate();
     
     db.get(
         'SELECT * FROM metrics WHERE date = ? ORDER BY created_at DESC LIMIT 1',
@@ -2975,21 +5059,232 @@ app.get('/api/metrics/today', (req, res) => {
     );
 });
 
-// Save metrics with expanded fields
-app.post('/api/metrics', (req, res) => {
-    const { date, sleep, energy, knee, seltzers, weight, steps, calories } = req.body;
+// Log metric readings - any active metric definition by name or chat word.
+// Each value is a reading at `at` (HH:MM or ISO, default now); the day's
+// value is rolled up from all its readings:
+// { "date": "2025-01-14", "at": "10:00", "energy": 6, "knee": 3, "mood": 4 }
+app.post('/api/metrics', async (req, res) => {
+    if (req.body.date !== undefined && !isValidDate(req.body.date)) {
+        return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+    }
+    const time = readingTime(req.body.date, req.body.at);
+    if (time.error) {
+        return res.status(400).json({ error: time.error });
+    }
+    
+    try {
+        const { values, unknown, errors } = await metricRegistry.resolveFields(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid metric values', errors });
+        }
+        
+        const { readings, daily } = await metricReadings.record(time.date, values, {
+            recordedAt: time.recorded_at,
+            source: typeof req.body.source === 'string' ? req.body.source : 'manual'
+        });
+        res.json({ success: true, date: time.date, recorded_at: time.recorded_at, readings, daily, ignored: unknown });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Merge values into one day: only the given metrics change, each set to the
+// value sent (replacing that day's readings) or cleared with null. Every field
+// is checked against its definition's type and range before anything is written:
+// PATCH /api/metrics/2025-01-14 { "sleep": 7, "knee": null }
+app.patch('/api/metrics/:date', async (req, res) => {
+    const date = req.params.date;
+    if (!isValidDate(date)) {
+        return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+    }
+    const time = readingTime(date, req.body.at);
+    if (time.error) {
+        return res.status(400).json({ error: time.error });
+    }
     
-    db.run(
-        `INSERT OR REPLACE INTO metrics 
-         (date, sleep, energy, knee_pain, seltzers, weight, steps, calories_consumed) 
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [date, sleep, energy, knee, seltzers, weight, steps, calories],
-        function(err) {
+    try {
+        const { values, unknown, errors } = await metricRegistry.resolveFields(req.body);
+        unknown.forEach(field => errors.push({
+            field, metric: null, value: req.body[field], code: 'unknown_metric', message: 'is not a tracked metric'
+        }));
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid metric values', errors });
+        }
+        if (Object.keys(values).length === 0) {
+            return res.status(400).json({ error: 'No metric values to update' });
+        }
+        
+        const { daily } = await metricReadings.setDay(date, values, { recordedAt: time.recorded_at });
+        db.get('SELECT * FROM metrics WHERE date = ? ORDER BY created_at DESC LIMIT 1', [date], (err, row) => {
             if (err) {
                 res.status(500).json({ error: err.message });
             } else {
-                res.json({ success: true });
+                res.json({ success: true, date, updated: daily, metrics: row });
             }
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Remove a mistaken reading; the day's value is rolled up again without it
+app.delete('/api/metrics/readings/:id', async (req, res) => {
+    try {
+        const reading = await metricReadings.remove(req.params.id);
+        if (!reading) {
+            return res.status(404).json({ error: 'Reading not found' });
         }
-    );
+        res.json({ success: true, deleted: reading });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============ HISTORY IMPORT API ============
+
+// Bulk import of spreadsheet history into metrics, food_log or supplement_log:
+// POST /api/import/metrics { "format": "csv", "data": "Date,Sleep Score\n1/14/2025,7",
+//   "mapping": { "Sleep Score": "sleep" }, "policy": "merge", "dry_run": true }
+// A raw text/csv body works too, with ?mapping=<json>&policy=&dry_run=true.
+// date_policies ({ "2025-01-14": "overwrite" }) overrides the policy per date.
+app.post('/api/import/:target', express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), async (req, res) => {
+    const raw = typeof req.body === 'string';
+    const body = raw ? {} : req.body || {};
+    
+    let mapping = body.mapping;
+    if (raw && req.query.mapping) {
+        try {
+            mapping = JSON.parse(req.query.mapping);
+        } catch (error) {
+            return res.status(400).json({ error: 'mapping must be JSON' });
+        }
+    }
+    
+    const options = {
+        target: req.params.target,
+        policy: body.policy || req.query.policy,
+        datePolicies: body.date_policies,
+        mapping
+    };
+    const validationError = validateImportOptions(options);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
+    let rows;
+    try {
+        rows = parseImportData(raw ? req.body : body.data, raw ? 'csv' : body.format || req.query.format);
+    } catch (error) {
+        return res.status(400).json({ error: `Could not read import data: ${error.message}` });
+    }
+    if (rows.length === 0) {
+        return res.status(400).json({ error: 'No rows to import' });
+    }
+    
+    try {
+        const report = await historyImporter.import({
+            ...options,
+            rows,
+            dryRun: body.dry_run === true || req.query.dry_run === 'true'
+        });
+        console.log(`📥 ${report.dry_run ? 'Dry run' : 'Imported'} ${report.target}: ${report.inserted} added, ${report.skipped} kept, ${report.replaced} replaced, ${report.invalid.length} invalid rows`);
+        res.json(report);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============ METRIC DEFINITIONS API ============
+
+// Every tracked metric with its type, unit, range, aggregation and chat words
+app.get('/api/metrics/definitions', async (req, res) => {
+    try {
+        res.json(await metricRegistry.list({ includeInactive: req.query.all === 'true' }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// New custom metric - adds the metrics column too:
+// { "name": "mood", "label": "Mood", "type": "integer", "min": 1, "max": 5, "synonyms": ["mood"] }
+app.post('/api/metrics/definitions', async (req, res) => {
+    const fields = req.body || {};
+    const validationError = validateDefinition(fields, { creating: true });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
+    try {
+        const existing = await metricRegistry.find(fields.name);
+        if (existing && existing.active) {
+            return res.status(409).json({ error: `Metric "${fields.name}" already exists` });
+        }
+        
+        const type = existing ? existing.type : fields.type || 'integer';
+        const migration = await schemaMigration.addField('metrics', fields.name, columnType(type));
+        if (!migration.success && migration.reason !== 'already_exists') {
+            return res.status(500).json({ error: migration.error || 'Could not add metric column' });
+        }
+        
+        const { name, ...changes } = fields;
+        const definition = await metricRegistry.define(name, { ...changes, type, active: true });
+        console.log(`✓ Metric defined: ${definition.name} (${definition.type})`);
+        res.status(201).json(definition);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Change label, unit, range, aggregation, synonyms or display hints.
+// The type is fixed once the column exists.
+app.patch('/api/metrics/definitions/:name', async (req, res) => {
+    const fields = req.body || {};
+    if (fields.type !== undefined || fields.name !== undefined) {
+        return res.status(400).json({ error: 'name and type cannot be changed' });
+    }
+    const validationError = validateDefinition(fields);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
+    try {
+        const existing = await metricRegistry.find(req.params.name);
+        if (!existing) {
+            return res.status(404).json({ error: 'Metric not found' });
+        }
+        
+        const min = fields.min !== undefined ? fields.min : existing.min;
+        const max = fields.max !== undefined ? fields.max : existing.max;
+        if (min !== null && max !== null && min > max) {
+            return res.status(400).json({ error: 'min must not be greater than max' });
+        }
+        
+        const changes = {};
+        ['label', 'unit', 'min', 'max', 'aggregation', 'synonyms', 'chat_position', 'active'].forEach(key => {
+            if (fields[key] !== undefined) changes[key] = fields[key];
+        });
+        if (fields.display !== undefined) changes.display = { ...existing.display, ...fields.display };
+        
+        const definition = await metricRegistry.define(existing.name, changes);
+        if (changes.aggregation !== undefined && changes.aggregation !== existing.aggregation) {
+            const rolledUp = await metricReadings.rollupMetric(definition.name);
+            console.log(`✓ ${definition.name} now aggregates by ${definition.aggregation} (${rolledUp} days rolled up)`);
+        }
+        res.json(definition);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Stop tracking a metric. Its column and history stay, so it can be re-activated.
+app.delete('/api/metrics/definitions/:name', async (req, res) => {
+    try {
+        const removed = await metricRegistry.deactivate(req.params.name);
+        if (!removed) {
+            return res.status(404).json({ error: 'Metric not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
@@ -0,0 +1,42 @@
+// Correlation statistics: Pearson r, its p-value, and the false discovery
+// rate cutoff that decides which findings are reported.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { pearson, correlationPValue, falseDiscoveryCutoff } = require('../Correlations');
+
+function assertClose(actual, expected, tolerance = 0.0005) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+test('pearson is null when a series never varies', () => {
+    assert.strictEqual(pearson([1, 2, 3, 4], [2, 4, 6, 8]), 1);
+    assert.strictEqual(pearson([1, 2, 3], [3, 2, 1]), -1);
+    assert.strictEqual(pearson([1, 2, 3], [5, 5, 5]), null);
+});
+
+test('p-values match the two-tailed t-test', () => {
+    // t = r √(n - 2) / √(1 - r²); reference values from R's cor.test
+    assertClose(correlationPValue(0.5, 12), 0.0979);
+    assertClose(correlationPValue(-0.5, 12), 0.0979);
+    assertClose(correlationPValue(0.3, 30), 0.1072);
+    assert.ok(correlationPValue(0.6, 30) < 0.001);
+});
+
+test('p-values at the edges', () => {
+    assert.strictEqual(correlationPValue(0, 20), 1);
+    assert.strictEqual(correlationPValue(0.9, 2), 1);
+    assert.strictEqual(correlationPValue(1, 10), 0);
+});
+
+test('false discovery cutoff is the largest p under its Benjamini-Hochberg line', () => {
+    assert.strictEqual(falseDiscoveryCutoff([0.2, 0.01, 0.04, 0.03], 0.1), 0.04);
+    assert.strictEqual(falseDiscoveryCutoff([0.2, 0.01, 0.04, 0.03]), 0.01);
+    // Step-up: 0.03 misses its own line (0.025) but passes under the larger 0.04
+    assert.strictEqual(falseDiscoveryCutoff([0.04, 0.03]), 0.04);
+});
+
+test('false discovery cutoff is -1 when nothing passes', () => {
+    assert.strictEqual(falseDiscoveryCutoff([]), -1);
+    assert.strictEqual(falseDiscoveryCutoff([0.04, 0.3, 0.5]), -1);
+});
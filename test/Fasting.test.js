@@ -0,0 +1,48 @@
+// Fasting chat commands, protocol parsing and streaks.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseFastingCommand, parseProtocol, fastingStreaks } = require('../Fasting');
+
+test('starts a fast with the protocol named in the message', () => {
+    assert.deepStrictEqual(parseFastingCommand('starting a 18:6 fast'), { action: 'start', protocol: '18:6', targetHours: 18 });
+    assert.deepStrictEqual(parseFastingCommand('start my 20h fast'), { action: 'start', protocol: 'custom', targetHours: 20 });
+    assert.deepStrictEqual(parseFastingCommand('beginning omad fast'), { action: 'start', protocol: 'omad', targetHours: 23 });
+    assert.deepStrictEqual(parseFastingCommand('fasting starts now'), { action: 'start' });
+});
+
+test('ends a fast and asks for its status', () => {
+    assert.deepStrictEqual(parseFastingCommand('broke my fast with eggs'), { action: 'end' });
+    assert.deepStrictEqual(parseFastingCommand('done with the fast'), { action: 'end' });
+    assert.deepStrictEqual(parseFastingCommand('how long have I been fasting?'), { action: 'status' });
+    assert.deepStrictEqual(parseFastingCommand("how's my fast going"), { action: 'status' });
+});
+
+test('leaves messages that only mention fast alone', () => {
+    assert.strictEqual(parseFastingCommand('fast food burger for lunch'), null);
+    assert.strictEqual(parseFastingCommand('ran a fast 5k'), null);
+    assert.strictEqual(parseFastingCommand('breakfast: 2 eggs'), null);
+});
+
+test('parses named, custom and out-of-range protocols', () => {
+    assert.deepStrictEqual(parseProtocol('16:8'), { protocol: '16:8', targetHours: 16 });
+    assert.deepStrictEqual(parseProtocol('15:9'), { protocol: 'custom', targetHours: 15 });
+    assert.deepStrictEqual(parseProtocol('one meal a day'), { protocol: 'omad', targetHours: 23 });
+    assert.deepStrictEqual(parseProtocol('36 hours'), { protocol: 'custom', targetHours: 36 });
+    assert.strictEqual(parseProtocol('5 hours'), null);
+    assert.strictEqual(parseProtocol('10:30'), null);
+});
+
+test('a day still in progress does not break the current streak', () => {
+    const days = [
+        { date: '2025-01-11', met: true },
+        { date: '2025-01-12', met: true },
+        { date: '2025-01-13', met: true },
+        { date: '2025-01-14', met: false },
+        { date: '2025-01-15', met: true },
+        { date: '2025-01-16', met: true },
+        { date: '2025-01-17', met: false }
+    ];
+    assert.deepStrictEqual(fastingStreaks(days, '2025-01-17'), { current: 2, best: 3 });
+    assert.deepStrictEqual(fastingStreaks(days, '2025-01-18'), { current: 0, best: 3 });
+});
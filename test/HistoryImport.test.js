@@ -0,0 +1,138 @@
+// History import against a temp-file database (imports write through a
+// connection of their own, so :memory: won't do): merge and overwrite
+// policies, dry runs, and importing the same file twice.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const MetricRegistry = require('../MetricRegistry');
+const MetricReadings = require('../MetricReadings');
+const HistoryImporter = require('../HistoryImport');
+const { parseImportData } = HistoryImporter;
+
+const FOOD_CSV = 'date,food,calories\n2025-01-14,Oatmeal,150\n2025-01-14,Banana,105\n2025-01-15,Eggs,140\n';
+
+function query(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+async function setup(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cherry-import-'));
+    const db = new sqlite3.Database(path.join(dir, 'cherry.db'));
+    t.after(() => new Promise(resolve => db.close(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        resolve();
+    })));
+
+    await query(db, `CREATE TABLE metrics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, date TEXT NOT NULL, sleep INTEGER, energy INTEGER,
+        knee_pain INTEGER, seltzers INTEGER, water_oz INTEGER, workout_done BOOLEAN, weight REAL,
+        steps INTEGER, calories_consumed INTEGER, heart_rate INTEGER, resting_heart_rate INTEGER,
+        sleep_hours REAL, created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await query(db, `CREATE TABLE food_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, food_name TEXT NOT NULL, calories REAL, meal TEXT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP, date TEXT NOT NULL
+    )`);
+    await query(db, `CREATE TABLE supplement_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, supplement_name TEXT NOT NULL,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP, date TEXT NOT NULL
+    )`);
+
+    const registry = new MetricRegistry(db);
+    const readings = new MetricReadings(db, registry);
+    await registry.init();
+    await readings.init();
+    return { db, importer: new HistoryImporter(db, { registry, readings }) };
+}
+
+test('merge keeps food already logged and adds the rest', async t => {
+    const { db, importer } = await setup(t);
+    await query(db, "INSERT INTO food_log (food_name, calories, date) VALUES ('oatmeal', 150, '2025-01-14')");
+
+    const report = await importer.import({ target: 'food_log', rows: parseImportData(FOOD_CSV) });
+    assert.strictEqual(report.inserted, 2);
+    assert.strictEqual(report.skipped, 1);
+    assert.deepStrictEqual(report.conflicts.map(conflict => conflict.resolution), ['kept']);
+
+    const rows = await query(db, 'SELECT date, food_name FROM food_log ORDER BY id');
+    assert.deepStrictEqual(rows.map(row => row.food_name), ['oatmeal', 'Banana', 'Eggs']);
+});
+
+test('overwrite replaces only the dates it covers', async t => {
+    const { db, importer } = await setup(t);
+    await query(db, "INSERT INTO food_log (food_name, calories, date) VALUES ('Pizza', 800, '2025-01-14'), ('Soup', 200, '2025-01-16')");
+
+    const report = await importer.import({ target: 'food_log', rows: parseImportData(FOOD_CSV), policy: 'overwrite' });
+    assert.strictEqual(report.replaced, 1);
+    assert.strictEqual(report.inserted, 3);
+    assert.deepStrictEqual(report.overwritten_dates, ['2025-01-14', '2025-01-15']);
+
+    const rows = await query(db, 'SELECT food_name FROM food_log ORDER BY date, id');
+    assert.deepStrictEqual(rows.map(row => row.food_name), ['Oatmeal', 'Banana', 'Eggs', 'Soup']);
+});
+
+test('importing the same file twice adds nothing the second time', async t => {
+    const { db, importer } = await setup(t);
+
+    await importer.import({ target: 'food_log', rows: parseImportData(FOOD_CSV) });
+    const again = await importer.import({ target: 'food_log', rows: parseImportData(FOOD_CSV) });
+    assert.strictEqual(again.inserted, 0);
+    assert.strictEqual(again.skipped, 3);
+
+    const [{ count }] = await query(db, 'SELECT COUNT(*) AS count FROM food_log');
+    assert.strictEqual(count, 3);
+});
+
+test('metrics merge keeps a differing value and overwrite replaces it', async t => {
+    const { db, importer } = await setup(t);
+    const rows = parseImportData('date,Sleep Score\n2025-01-14,8\n');
+    const mapping = { 'Sleep Score': 'sleep' };
+
+    await importer.import({ target: 'metrics', rows: parseImportData('date,sleep\n2025-01-14,6\n') });
+    const merged = await importer.import({ target: 'metrics', rows, mapping });
+    assert.strictEqual(merged.skipped, 1);
+    assert.deepStrictEqual(merged.conflicts.map(({ existing, incoming, resolution }) => ({ existing, incoming, resolution })),
+        [{ existing: 6, incoming: 8, resolution: 'kept' }]);
+
+    const overwritten = await importer.import({ target: 'metrics', rows, mapping, datePolicies: { '2025-01-14': 'overwrite' } });
+    assert.strictEqual(overwritten.replaced, 1);
+    const readings = await query(db, "SELECT value FROM metric_readings WHERE date = '2025-01-14' AND metric = 'sleep'");
+    assert.deepStrictEqual(readings.map(reading => reading.value), [8]);
+    const [day] = await query(db, "SELECT sleep FROM metrics WHERE date = '2025-01-14'");
+    assert.strictEqual(day.sleep, 8);
+});
+
+test('a dry run reports without writing', async t => {
+    const { db, importer } = await setup(t);
+
+    const report = await importer.import({ target: 'food_log', rows: parseImportData(FOOD_CSV), dryRun: true });
+    assert.strictEqual(report.inserted, 3);
+
+    const [{ count }] = await query(db, 'SELECT COUNT(*) AS count FROM food_log');
+    assert.strictEqual(count, 0);
+});
+
+test('invalid rows are reported and the rest imported', async t => {
+    const { importer } = await setup(t);
+
+    const report = await importer.import({ target: 'food_log', rows: parseImportData('date,food,calories\n2025-01-14,Toast,-5\nnot a date,Tea,2\n2025-01-14,Jam,50\n') });
+    assert.strictEqual(report.inserted, 1);
+    assert.deepStrictEqual(report.invalid.map(({ row, errors }) => [row, errors[0].field]), [[1, 'calories'], [2, 'date']]);
+});
+
+test('refuses an in-memory database rather than importing into an empty copy', async () => {
+    const db = new sqlite3.Database(':memory:');
+    const importer = new HistoryImporter(db, { registry: new MetricRegistry(db), readings: null });
+
+    await assert.rejects(
+        importer.import({ target: 'supplement_log', rows: [{ date: '2025-01-14', supplement: 'Creatine' }] }),
+        /database file/
+    );
+    db.close();
+});
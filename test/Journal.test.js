@@ -0,0 +1,56 @@
+// Journal scoring: sentiment, stress and mood from entry text, and which chat
+// messages are journal entries.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { scoreText, parseJournalMessage, HIGH_STRESS } = require('../Journal');
+
+test('scores plain positive and negative entries', () => {
+    const good = scoreText('Great day, felt really productive');
+    assert.strictEqual(good.mood, 'positive');
+    assert.strictEqual(good.stress, 0);
+    assert.deepStrictEqual(good.signals, ['great day', 'productive']);
+
+    const bad = scoreText('Mandatory overtime again, completely overwhelmed and burned out');
+    assert.strictEqual(bad.mood, 'negative');
+    assert.ok(bad.stress >= HIGH_STRESS);
+    assert.deepStrictEqual(bad.signals, ['mandatory overtime', 'overwhelmed', 'burned out']);
+});
+
+test('a negation flips and softens the word after it', () => {
+    const notHappy = scoreText('not happy with how the shift went');
+    assert.ok(notHappy.sentiment < 0);
+    assert.ok(notHappy.sentiment > -scoreText('happy').sentiment);
+    assert.deepStrictEqual(notHappy.signals, ['not happy']);
+
+    assert.ok(scoreText('not bad at all').sentiment > 0);
+});
+
+test('intensifiers boost and downtoners soften', () => {
+    assert.ok(scoreText('really happy').sentiment > scoreText('happy').sentiment);
+    assert.ok(scoreText('kind of tired').sentiment > scoreText('tired').sentiment);
+});
+
+test('the part after "but" counts more than the part before', () => {
+    assert.strictEqual(scoreText('tired but proud of the progress').mood, 'positive');
+    assert.strictEqual(scoreText('proud but so tired').mood, 'mixed');
+    assert.ok(scoreText('proud but so tired').sentiment < 0);
+});
+
+test('reads multi-word phrases and curly apostrophes', () => {
+    const result = scoreText('I can’t sleep, stressed out');
+    assert.deepStrictEqual(result.signals, ['cant sleep', 'stressed out']);
+    assert.strictEqual(result.mood, 'negative');
+});
+
+test('text without any scored words is neutral', () => {
+    assert.deepStrictEqual(scoreText('went to the store'), { sentiment: 0, stress: 0, mood: 'neutral', signals: [] });
+    assert.deepStrictEqual(scoreText(''), { sentiment: 0, stress: 0, mood: 'neutral', signals: [] });
+});
+
+test('takes journal entries only from a journal prefix', () => {
+    assert.strictEqual(parseJournalMessage('journal: rough day at the plant'), 'rough day at the plant');
+    assert.strictEqual(parseJournalMessage('Dear diary, long shift'), 'long shift');
+    assert.strictEqual(parseJournalMessage('journal:'), null);
+    assert.strictEqual(parseJournalMessage('my journal is full'), null);
+});
@@ -0,0 +1,43 @@
+// Nutrient gaps: which nutrients count as low over the week, and which chat
+// messages ask how to fix one.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { findGaps, parseNutrientQuestion } = require('../NutrientGaps');
+
+const ROWS = [
+    { date: '2025-01-13', fiber: 10, iron: 15, vitamin_c: 40, calcium: 200 },
+    { date: '2025-01-14', fiber: 12, iron: 15, vitamin_c: 50, calcium: 200 },
+    { date: '2025-01-15', fiber: 8, iron: 15, vitamin_c: 60, calcium: 200 }
+];
+const TARGETS = { fiber: 30, iron: 18, vitamin_c: 90 };
+
+test('reports nutrients below 70% of target, lowest first', () => {
+    const gaps = findGaps(ROWS, { to: '2025-01-15', targets: TARGETS });
+    assert.deepStrictEqual(gaps.map(gap => [gap.nutrient, gap.week_percent]), [['fiber', 33.3], ['vitamin_c', 55.6]]);
+});
+
+test('reads today from the row dated `to`', () => {
+    const [fiber] = findGaps(ROWS, { to: '2025-01-15', targets: TARGETS });
+    assert.strictEqual(fiber.today, 8);
+    assert.strictEqual(fiber.remaining_today, 22);
+    assert.strictEqual(fiber.days_below, 3);
+    assert.strictEqual(fiber.chronic, true);
+
+    const [missing] = findGaps(ROWS, { to: '2025-01-16', targets: TARGETS });
+    assert.strictEqual(missing.today, 0);
+});
+
+test('skips nutrients without a target and calls too few days not chronic', () => {
+    const gaps = findGaps(ROWS.slice(0, 2), { to: '2025-01-14', targets: { fiber: 30 } });
+    assert.deepStrictEqual(gaps.map(gap => gap.nutrient), ['fiber']);
+    assert.strictEqual(gaps[0].low, true);
+    assert.strictEqual(gaps[0].chronic, false);
+});
+
+test('finds nutrient questions but not food logs', () => {
+    assert.strictEqual(parseNutrientQuestion('what should I eat to fix my magnesium?'), 'magnesium');
+    assert.strictEqual(parseNutrientQuestion("I'm low on vit d"), 'vitamin_d');
+    assert.strictEqual(parseNutrientQuestion('had spinach to boost my iron'), null);
+    assert.strictEqual(parseNutrientQuestion('magnesium 200mg'), null);
+});
@@ -0,0 +1,69 @@
+// Sleep chat parsing: clock ranges, durations, naps and named days, and what
+// is left of the message for the metric parser.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSleepMessage, parseDuration, runningDebt } = require('../SleepSessions');
+
+// Wednesday 2025-01-15, 10:00 in America/Los_Angeles
+const NOW = new Date('2025-01-15T18:00:00Z');
+
+function session(message) {
+    const parsed = parseSleepMessage(message, NOW);
+    assert.ok(parsed, `expected sleep in "${message}"`);
+    assert.strictEqual(parsed.sessions.length, 1);
+    return parsed.sessions[0];
+}
+
+test('reads a bedtime to wake range ending this morning', () => {
+    const slept = session('slept 1am to 8:30');
+    assert.strictEqual(slept.date, '2025-01-15');
+    assert.strictEqual(slept.bedtime.toISOString(), '2025-01-15T09:00:00.000Z');
+    assert.strictEqual(slept.wake.toISOString(), '2025-01-15T16:30:00.000Z');
+    assert.strictEqual(slept.duration_hours, 7.5);
+    assert.strictEqual(slept.nap, false);
+});
+
+test('an ambiguous bedtime reads as the evening before the wake-up', () => {
+    const slept = session('bed at 11, up at 7');
+    assert.strictEqual(slept.bedtime.toISOString(), '2025-01-15T07:00:00.000Z');
+    assert.strictEqual(slept.duration_hours, 8);
+});
+
+test('a nap range reads as the afternoon', () => {
+    const nap = session('nap 2 to 3:30');
+    assert.strictEqual(nap.nap, true);
+    assert.strictEqual(nap.date, '2025-01-14');
+    assert.strictEqual(nap.duration_hours, 1.5);
+});
+
+test('reads durations, and dates them by the night or day named', () => {
+    const short = session('7 hrs sleep');
+    assert.deepStrictEqual([short.duration_hours, short.date], [7, '2025-01-15']);
+    const lastNight = session('slept 6 and a half hours last night');
+    assert.deepStrictEqual([lastNight.duration_hours, lastNight.date], [6.5, '2025-01-15']);
+    assert.strictEqual(session('slept 7 hours saturday').date, '2025-01-11');
+    const nap = session('napped 30 min');
+    assert.deepStrictEqual([nap.duration_hours, nap.nap], [0.5, true]);
+});
+
+test('blanks out the sleep phrase so its numbers are not read again', () => {
+    const parsed = parseSleepMessage('energy 7, slept 11 to 6', NOW);
+    assert.strictEqual(parsed.rest.trim(), 'energy 7,');
+    assert.strictEqual(parsed.sessions[0].duration_hours, 7);
+});
+
+test('ignores messages without sleep in them', () => {
+    assert.strictEqual(parseSleepMessage('ran 5 miles in 45 min', NOW), null);
+    assert.strictEqual(parseSleepMessage('sleep 7', NOW), null);
+});
+
+test('parses durations and keeps a running debt that never goes negative', () => {
+    assert.strictEqual(parseDuration('6h 30m'), 6.5);
+    assert.strictEqual(parseDuration('45 min'), 0.75);
+    assert.strictEqual(parseDuration('none'), null);
+
+    // The surplus on the first day doesn't carry over; the unlogged day adds nothing
+    const days = [{ total_hours: 10 }, { total_hours: 6 }, { total_hours: null }, { total_hours: 7 }];
+    assert.strictEqual(runningDebt(days, 8), 3);
+});
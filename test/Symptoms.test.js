@@ -0,0 +1,47 @@
+// Symptom chat parsing: sites, sides, types, severities and triggers, and
+// what must not be read as a symptom.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSymptoms } = require('../Symptoms');
+
+test('reads a site with a severity as pain there', () => {
+    const { entries, rest } = parseSymptoms('lower back at 4');
+    assert.deepStrictEqual(entries, [
+        { site: 'lower_back', side: null, type: 'pain', severity: 4, phrase: 'lower back at 4', triggers: [] }
+    ]);
+    assert.strictEqual(rest.trim(), '');
+});
+
+test('reads the side, type and trigger', () => {
+    const [entry] = parseSymptoms('left knee pain 5/10 after running').entries;
+    assert.strictEqual(entry.site, 'knee');
+    assert.strictEqual(entry.side, 'left');
+    assert.strictEqual(entry.severity, 5);
+    assert.deepStrictEqual(entry.triggers, ['running']);
+
+    const [sore] = parseSymptoms('my shoulder is sore, like a 3').entries;
+    assert.deepStrictEqual([sore.site, sore.type, sore.severity], ['shoulder', 'soreness', 3]);
+});
+
+test('gives each symptom only the trigger that follows it', () => {
+    const { entries } = parseSymptoms('headache 6/10 since lunch, fatigue at 7');
+    assert.deepStrictEqual(entries.map(entry => [entry.site, entry.type, entry.severity, entry.triggers]), [
+        ['head', 'headache', 6, ['lunch']],
+        ['general', 'fatigue', 7, []]
+    ]);
+});
+
+test('reads a severity before a standalone symptom', () => {
+    const [entry] = parseSymptoms('6/10 headache').entries;
+    assert.deepStrictEqual([entry.type, entry.severity], ['headache', 6]);
+});
+
+test('leaves clock times, sets, metrics and out-of-range numbers alone', () => {
+    assert.strictEqual(parseSymptoms('knee at 3pm'), null);
+    assert.strictEqual(parseSymptoms('back 3x10 rows'), null);
+    assert.strictEqual(parseSymptoms('did 3x10 squats, knee was fine'), null);
+    assert.strictEqual(parseSymptoms('energy 7 sleep 8'), null);
+    assert.strictEqual(parseSymptoms('knee 12'), null);
+    assert.strictEqual(parseSymptoms('head 4'), null);
+});
@@ -0,0 +1,148 @@
+// Wearable import: sleep interval union, unit conversion, and Apple Health /
+// Google Fit exports imported into a temp-file database.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const MetricRegistry = require('../MetricRegistry');
+const MetricReadings = require('../MetricReadings');
+const WearableImporter = require('../WearableImport');
+const { WearableDays, unionDuration } = WearableImporter;
+
+const HOUR = 3600000;
+
+const APPLE_EXPORT = `<?xml version="1.0" encoding="UTF-8"?>
+<HealthData locale="en_US">
+ <Record type="HKQuantityTypeIdentifierBodyMass" sourceName="Scale" unit="kg" startDate="2025-01-14 08:00:00 -0800" endDate="2025-01-14 08:00:00 -0800" value="70"/>
+ <Record type="HKQuantityTypeIdentifierBodyMass" sourceName="Scale" unit="lb" startDate="2025-01-15 08:00:00 -0800" endDate="2025-01-15 08:00:00 -0800" value="155.2"/>
+ <Record type="HKCategoryTypeIdentifierSleepAnalysis" sourceName="Watch" value="HKCategoryValueSleepAnalysisAsleepCore" startDate="2025-01-13 23:00:00 -0800" endDate="2025-01-14 06:00:00 -0800"/>
+ <Record type="HKCategoryTypeIdentifierSleepAnalysis" sourceName="iPhone" value="HKCategoryValueSleepAnalysisAsleepUnspecified" startDate="2025-01-13 23:30:00 -0800" endDate="2025-01-14 07:00:00 -0800"/>
+ <Record type="HKCategoryTypeIdentifierSleepAnalysis" sourceName="iPhone" value="HKCategoryValueSleepAnalysisInBed" startDate="2025-01-13 22:00:00 -0800" endDate="2025-01-14 07:30:00 -0800"/>
+</HealthData>
+`;
+
+function fitPoint(type, start, end, value) {
+    return {
+        dataTypeName: type,
+        startTimeNanos: String(Date.parse(start) * 1e6),
+        endTimeNanos: String(Date.parse(end) * 1e6),
+        fitValue: [{ value }]
+    };
+}
+
+function query(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+async function setup(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cherry-wearables-'));
+    const db = new sqlite3.Database(path.join(dir, 'cherry.db'));
+    t.after(() => new Promise(resolve => db.close(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        resolve();
+    })));
+
+    await query(db, `CREATE TABLE metrics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, date TEXT NOT NULL, sleep INTEGER, energy INTEGER,
+        knee_pain INTEGER, seltzers INTEGER, water_oz INTEGER, workout_done BOOLEAN, weight REAL,
+        steps INTEGER, calories_consumed INTEGER, created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await WearableImporter.ensureWearableColumns(db);
+
+    const registry = new MetricRegistry(db);
+    const readings = new MetricReadings(db, registry);
+    await registry.init();
+    await readings.init();
+    return { db, dir, importer: new WearableImporter(db, { registry, readings }) };
+}
+
+async function dayValues(db, source) {
+    const rows = await query(db, 'SELECT date, metric, value FROM metric_readings WHERE source = ? ORDER BY date, metric', [source]);
+    return rows.map(row => `${row.date} ${row.metric} ${row.value}`);
+}
+
+test('unionDuration counts overlapping intervals once', () => {
+    assert.strictEqual(unionDuration([]), 0);
+    assert.strictEqual(unionDuration([[0, 2 * HOUR], [HOUR, 3 * HOUR]]), 3 * HOUR);
+    assert.strictEqual(unionDuration([[4 * HOUR, 5 * HOUR], [0, HOUR]]), 2 * HOUR);
+    assert.strictEqual(unionDuration([[0, 8 * HOUR], [HOUR, 2 * HOUR]]), 8 * HOUR);
+});
+
+test('sleep uses asleep intervals when there are any, time in bed otherwise', () => {
+    const at = hours => new Date(Date.UTC(2025, 0, 14, 7) + hours * HOUR);
+    const days = new WearableDays();
+    days.addSleep(at(0), at(7), true);
+    days.addSleep(at(0.5), at(8), true);
+    days.addSleep(at(-1), at(8.5), false);
+    days.addSleep(at(24), at(30), false);
+
+    const totals = days.totals();
+    assert.strictEqual(totals['2025-01-14'].sleep_hours.value, 8);
+    assert.strictEqual(totals['2025-01-15'].sleep_hours.value, 6);
+});
+
+test('a night whose stages end on both sides of the day boundary counts once, on the wake-up day', () => {
+    // 23:00-03:00 and 03:00-06:30 Pacific; the day ends at 04:00
+    const days = new WearableDays();
+    days.addSleep(new Date('2025-01-15T07:00:00Z'), new Date('2025-01-15T11:00:00Z'), true);
+    days.addSleep(new Date('2025-01-15T11:00:00Z'), new Date('2025-01-15T14:30:00Z'), true);
+
+    assert.deepStrictEqual(Object.keys(days.totals()), ['2025-01-15']);
+    assert.strictEqual(days.totals()['2025-01-15'].sleep_hours.value, 7.5);
+});
+
+test('Apple Health weight in kg is stored in pounds, and overlapping sleep is merged', async t => {
+    const { db, dir, importer } = await setup(t);
+    const file = path.join(dir, 'export.xml');
+    fs.writeFileSync(file, APPLE_EXPORT);
+
+    const report = await importer.import(file);
+    assert.strictEqual(report.source, 'apple_health');
+    assert.deepStrictEqual(await dayValues(db, 'apple_health'), [
+        '2025-01-14 sleep_hours 8',
+        '2025-01-14 weight 154.3',
+        '2025-01-15 weight 155.2'
+    ]);
+});
+
+test('importing the same export twice leaves the values unchanged', async t => {
+    const { db, dir, importer } = await setup(t);
+    const file = path.join(dir, 'export.xml');
+    fs.writeFileSync(file, APPLE_EXPORT);
+
+    await importer.import(file);
+    const again = await importer.import(file);
+    assert.strictEqual(again.written, 0);
+    assert.strictEqual(again.unchanged, 3);
+    assert.strictEqual((await dayValues(db, 'apple_health')).length, 3);
+});
+
+test('Google Fit weight in kg is stored in pounds, and sleep stages are merged', async t => {
+    const { db, dir, importer } = await setup(t);
+    const folder = path.join(dir, 'Fit', 'All data');
+    fs.mkdirSync(folder, { recursive: true });
+    fs.writeFileSync(path.join(folder, 'derived_com.google.weight.json'), JSON.stringify({
+        'Data Source': 'derived:com.google.weight',
+        'Data Points': [fitPoint('com.google.weight', '2025-01-15T16:00:00Z', '2025-01-15T16:00:00Z', { fpVal: 80 })]
+    }));
+    fs.writeFileSync(path.join(folder, 'derived_com.google.sleep.segment.json'), JSON.stringify({
+        'Data Source': 'derived:com.google.sleep.segment',
+        'Data Points': [
+            fitPoint('com.google.sleep.segment', '2025-01-15T07:00:00Z', '2025-01-15T11:00:00Z', { intVal: 4 }),
+            fitPoint('com.google.sleep.segment', '2025-01-15T10:00:00Z', '2025-01-15T14:00:00Z', { intVal: 5 }),
+            fitPoint('com.google.sleep.segment', '2025-01-15T14:00:00Z', '2025-01-15T14:30:00Z', { intVal: 1 })
+        ]
+    }));
+
+    const report = await importer.import(path.join(dir, 'Fit'));
+    assert.strictEqual(report.source, 'google_fit');
+    assert.deepStrictEqual(await dayValues(db, 'google_fit'), [
+        '2025-01-15 sleep_hours 7',
+        '2025-01-15 weight 176.4'
+    ]);
+});
@@ -0,0 +1,73 @@
+// Chat parsing for workouts: what gets logged, and what must not become a
+// session or a new exercise.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sqlite3 = require('sqlite3');
+const WorkoutLog = require('../Workouts');
+
+async function workoutLog() {
+    const log = new WorkoutLog(new sqlite3.Database(':memory:'));
+    await log.init();
+    return log;
+}
+
+test('logs library exercises with sets, reps and weight', async () => {
+    const log = await workoutLog();
+    const [entry] = log.parseMessage('3x10 goblet squats at 35');
+    assert.strictEqual(entry.exercise, 'goblet_squat');
+    assert.strictEqual(entry.known, true);
+    assert.strictEqual(entry.sets.length, 3);
+    assert.deepStrictEqual(entry.sets[0], { reps: 10, weight: 35 });
+});
+
+test('splits clauses and reads cardio durations', async () => {
+    const log = await workoutLog();
+    const entries = log.parseMessage('did 3x12 push-ups, then walked 20 min');
+    assert.deepStrictEqual(entries.map(entry => entry.exercise), ['push_up', 'walk']);
+    assert.strictEqual(entries[1].sets[0].duration_seconds, 1200);
+});
+
+test('drops trailing time words from the exercise name', async () => {
+    const log = await workoutLog();
+    const [entry] = log.parseMessage('3x10 squats today');
+    assert.strictEqual(entry.exercise, 'squat');
+});
+
+test('creates a new exercise only after a done verb', async () => {
+    const log = await workoutLog();
+    const entries = log.parseMessage('did 3x10 cossack squats and 3x8 pistol squats');
+    assert.deepStrictEqual(entries.map(entry => entry.exercise), ['cossack_squat', 'pistol_squat']);
+    assert.ok(entries.every(entry => !entry.known && entry.knee_load === 'high'));
+
+    assert.deepStrictEqual(log.parseMessage('3x10 cossack squats'), []);
+});
+
+test('ignores food with sets-like quantities', async () => {
+    const log = await workoutLog();
+    assert.deepStrictEqual(log.parseMessage('ate 3 x 4 oz chicken'), []);
+    assert.deepStrictEqual(log.parseMessage('did 3x10 squats and ate 3 x 4 oz chicken').map(entry => entry.exercise), ['squat']);
+});
+
+test('keeps the workout when another clause has a negation or a plan', async () => {
+    const log = await workoutLog();
+    [
+        'did 3x10 goblet squats at 35, knee was not bad',
+        'did 3x10 squats, skipped lunges',
+        'did 3x10 squats. Tomorrow legs again'
+    ].forEach(message => assert.strictEqual(log.parseMessage(message).length, 1, message));
+    assert.deepStrictEqual(log.parseMessage('skipped lunges but did 3x10 squats').map(entry => entry.exercise), ['squat']);
+});
+
+test('ignores negated, planned and hypothetical workouts', async () => {
+    const log = await workoutLog();
+    [
+        "I don't feel like doing 3x10 squats today",
+        'Plan: 3x10 goblet squats at 35',
+        'going to do 3x10 squats tomorrow',
+        'going to do 3x10 squats and 20 push-ups',
+        'Plan: 3x10 goblet squats, 3x12 push-ups',
+        "didn't do my 3x10 lunges",
+        'skipped 20 push-ups'
+    ].forEach(message => assert.deepStrictEqual(log.parseMessage(message), [], message));
+});